@@ -1,5 +1,30 @@
 const supabase = require('..//database');
 const emailService = require('..//emailService'); // Ensure this path is correct
+const {
+    getExchangeRateSnapshot,
+    getExchangeRateSettings,
+    getExchangeRateProviderNames,
+    clearExchangeRateCache
+} = require('..//utils/exchangeRateService');
+const { CURRENCIES } = require('..//utils/currencyRegistry');
+const {
+    FINANCE_INTERVALS,
+    parseFinanceFilters,
+    getFinancialSummary,
+    getFinancialTimeSeries,
+    getOutstandingLiabilities
+} = require('..//utils/financialStats');
+const {
+    getNegotiationExpirySettings,
+    validateNegotiationExpirySettings,
+    expireStaleNegotiations
+} = require('..//utils/negotiationExpiry');
+const {
+    getDeadlineMonitorSettings,
+    validateDeadlineMonitorSettings,
+    checkJobDeadlines,
+    getOverdueJobs
+} = require('..//utils/deadlineMonitor');
 
 // Define explicit columns to select from the 'users' table, excluding 'is_available'
 const USER_SELECT_COLUMNS_EXCLUDING_PASSWORD_AND_IS_AVAILABLE = `
@@ -81,6 +106,7 @@ const getActiveJobsCount = async (req, res) => { // UPDATED: Will return separat
                 'client_counter',
                 'accepted_awaiting_payment',
                 'hired',
+                'delivered_awaiting_payment',
                 'completed'
             ]);
         if (negotiationError) throw negotiationError;
@@ -99,10 +125,16 @@ const getActiveJobsCount = async (req, res) => { // UPDATED: Will return separat
             ]);
         if (directUploadError) throw directUploadError;
 
+        // NEW: Jobs still being worked on past their deadline
+        const overdue = await getOverdueJobs();
+
         res.json({
             negotiationJobsCount: negotiationCount || 0,
             directUploadJobsCount: directUploadCount || 0,
-            totalActiveJobs: (negotiationCount || 0) + (directUploadCount || 0) // Keep total for overall dashboard stat
+            totalActiveJobs: (negotiationCount || 0) + (directUploadCount || 0), // Keep total for overall dashboard stat
+            overdueNegotiationJobsCount: overdue.negotiationCount,
+            overdueDirectUploadJobsCount: overdue.directUploadCount,
+            totalOverdueJobs: overdue.totalCount
         });
     } catch (error) {
         console.error('Error fetching active jobs count:', error);
@@ -126,6 +158,88 @@ const getOpenDisputesCount = async (req, res) => {
     }
 };
 
+// NEW: Hired negotiations and taken direct upload jobs past their deadline, with counts. See utils/deadlineMonitor.js.
+const getOverdueJobsStats = async (req, res) => {
+    try {
+        const overdue = await getOverdueJobs();
+        res.json(overdue);
+    } catch (error) {
+        console.error('Error fetching overdue jobs:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Money figures for the finance dashboard (?from, ?to as YYYY-MM-DD, ?jobType). See utils/financialStats.js.
+const getFinancialSummaryStats = async (req, res) => {
+    const filters = parseFinanceFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+        const [summary, liabilities] = await Promise.all([
+            getFinancialSummary(filters),
+            getOutstandingLiabilities(filters.jobType)
+        ]);
+        res.json({
+            from: filters.start.toISOString(),
+            to: filters.end.toISOString(),
+            jobType: filters.jobType,
+            currency: 'USD',
+            ...summary,
+            liabilities
+        });
+    } catch (error) {
+        console.error('[getFinancialSummaryStats] Error building financial summary:', error);
+        res.status(500).json({ error: 'Server error building financial summary.ᐟ' });
+    }
+};
+
+// NEW: Gross volume, refunds and revenue per ?interval=day|week|month, for charting.
+const getFinancialTimeSeriesStats = async (req, res) => {
+    const interval = req.query.interval || 'day';
+    if (!FINANCE_INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `interval must be one of: ${FINANCE_INTERVALS.join(', ')}.ᐟ` });
+    }
+    const filters = parseFinanceFilters(req.query);
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+        const { series, error } = await getFinancialTimeSeries(filters, interval);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({
+            from: filters.start.toISOString(),
+            to: filters.end.toISOString(),
+            jobType: filters.jobType,
+            interval,
+            currency: 'USD',
+            series
+        });
+    } catch (error) {
+        console.error('[getFinancialTimeSeriesStats] Error building financial time series:', error);
+        res.status(500).json({ error: 'Server error building financial time series.ᐟ' });
+    }
+};
+
+// NEW: Earnings owed to transcribers right now (?jobType).
+const getTranscriberLiabilitiesStats = async (req, res) => {
+    const filters = parseFinanceFilters({ jobType: req.query.jobType });
+    if (filters.error) {
+        return res.status(400).json({ error: filters.error });
+    }
+
+    try {
+        res.json({ jobType: filters.jobType, currency: 'USD', ...await getOutstandingLiabilities(filters.jobType) });
+    } catch (error) {
+        console.error('[getTranscriberLiabilitiesStats] Error fetching transcriber liabilities:', error);
+        res.status(500).json({ error: 'Server error fetching transcriber liabilities.ᐟ' });
+    }
+};
+
 // Get total count of users in the system
 const getTotalUsersCount = async (req, res) => {
     try {
@@ -474,7 +588,7 @@ const getAdminSettings = async (req, res) => {
         // UPDATED: Fetch pricing_rules instead of individual price/deadline settings
         const { data: settings, error } = await supabase
             .from('admin_settings')
-            .select('id, pricing_rules') // Select the id and the new JSONB column
+            .select('id, pricing_rules, commission_rules') // Select the id and the JSONB rule columns
             .single();
 
         // Handle case where settings table might be empty (return defaults)
@@ -482,7 +596,8 @@ const getAdminSettings = async (req, res) => {
             return res.json({
                 settings: {
                     id: null, // No ID if no settings exist yet
-                    pricing_rules: [] // Default to an empty array of rules
+                    pricing_rules: [], // Default to an empty array of rules
+                    commission_rules: [] // No commission rules: the default transcriber rate applies
                 }
             });
         }
@@ -499,14 +614,25 @@ const getAdminSettings = async (req, res) => {
 const updateAdminSettings = async (req, res) => {
     try {
         // UPDATED: Expect pricing_rules from the body
-        const { id, pricing_rules } = req.body; // 'id' will be used for updating an existing row
+        const { id, pricing_rules, commission_rules } = req.body; // 'id' will be used for updating an existing row
 
         if (!pricing_rules || !Array.isArray(pricing_rules)) {
             return res.status(400).json({ error: 'Pricing rules must be provided as an array!!' });
         }
+        // NEW: Commission rules are optional so older admin clients that only send pricing_rules keep working
+        if (commission_rules !== undefined) {
+            if (!Array.isArray(commission_rules)) {
+                return res.status(400).json({ error: 'Commission rules must be provided as an array!!' });
+            }
+            const invalidRule = commission_rules.find(rule => typeof rule.transcriber_rate !== 'number' || rule.transcriber_rate < 0 || rule.transcriber_rate > 1);
+            if (invalidRule) {
+                return res.status(400).json({ error: `Commission rule '${invalidRule.name || invalidRule.id}' must have a transcriber_rate between 0 and 1.` });
+            }
+        }
 
         const updatePayload = {
             pricing_rules: pricing_rules,
+            ...(commission_rules !== undefined && { commission_rules }),
             updated_at: new Date().toISOString(),
         };
 
@@ -542,6 +668,174 @@ const updateAdminSettings = async (req, res) => {
     }
 };
 
+// Saves the given columns on the single admin_settings row, creating the row if none exists yet.
+const saveAdminSettingsFields = async (fields) => {
+    const { data: existingSettings, error: fetchError } = await supabase
+        .from('admin_settings')
+        .select('id')
+        .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+
+    const payload = { ...fields, updated_at: new Date().toISOString() };
+    const query = existingSettings
+        ? supabase.from('admin_settings').update(payload).eq('id', existingSettings.id)
+        : supabase.from('admin_settings').insert(payload);
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+    return data;
+};
+
+// NEW: Get exchange rate settings together with the rates currently being charged
+const getExchangeRateSettingsForAdmin = async (req, res) => {
+    try {
+        const settings = await getExchangeRateSettings();
+        // UPDATED: Every chargeable currency, flagging those with no rate so checkouts in them would be refused.
+        const currentRates = {};
+        for (const code of Object.keys(CURRENCIES)) {
+            try {
+                currentRates[code] = await getExchangeRateSnapshot(code);
+            } catch (rateError) {
+                currentRates[code] = { rate: null, configured: false, error: rateError.message };
+            }
+        }
+
+        res.json({
+            settings,
+            providers: getExchangeRateProviderNames(),
+            currentRates
+        });
+    } catch (error) {
+        console.error('Error fetching exchange rate settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Update the exchange rate provider, admin-entered rates, manual overrides and margin
+const updateExchangeRateSettings = async (req, res) => {
+    const { provider, admin_rates = {}, manual_overrides = {}, margin_percent = 0, cache_ttl_seconds } = req.body;
+
+    if (provider && !getExchangeRateProviderNames().includes(provider)) {
+        return res.status(400).json({ error: `Unknown exchange rate provider '${provider}'.` });
+    }
+    const isValidRateMap = (rates) => rates && typeof rates === 'object' && !Array.isArray(rates) &&
+        Object.values(rates).every(rate => rate === null || (typeof rate === 'number' && rate > 0));
+    if (!isValidRateMap(admin_rates) || !isValidRateMap(manual_overrides)) {
+        return res.status(400).json({ error: 'Rates must be an object of currency codes to positive numbers.ᐟ' });
+    }
+    if (typeof margin_percent !== 'number' || margin_percent < 0 || margin_percent > 50) {
+        return res.status(400).json({ error: 'Margin must be a number between 0 and 50 percent.ᐟ' });
+    }
+    if (cache_ttl_seconds !== undefined && (!Number.isInteger(cache_ttl_seconds) || cache_ttl_seconds < 0)) {
+        return res.status(400).json({ error: 'Cache TTL must be a whole number of seconds.ᐟ' });
+    }
+
+    try {
+        const exchangeRateSettings = {
+            provider: provider || 'file',
+            admin_rates,
+            manual_overrides,
+            margin_percent,
+            ...(cache_ttl_seconds !== undefined && { cache_ttl_seconds }),
+            updated_by: req.user.userId
+        };
+
+        const savedSettings = await saveAdminSettingsFields({ exchange_rate_settings: exchangeRateSettings });
+        // New charges must pick up the change immediately rather than after the cache TTL.
+        clearExchangeRateCache();
+
+        res.json({ message: 'Exchange rate settings updated successfully.', settings: savedSettings.exchange_rate_settings });
+    } catch (error) {
+        console.error('Error updating exchange rate settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Get how long negotiations may wait in each status before they expire
+const getNegotiationExpirySettingsForAdmin = async (req, res) => {
+    try {
+        const settings = await getNegotiationExpirySettings();
+        res.json({ settings });
+    } catch (error) {
+        console.error('Error fetching negotiation expiry settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Update the negotiation expiry TTLs, or switch expiry off
+const updateNegotiationExpirySettings = async (req, res) => {
+    const validation = validateNegotiationExpirySettings(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const negotiationExpirySettings = { ...validation.settings, updated_by: req.user.userId };
+        const savedSettings = await saveAdminSettingsFields({ negotiation_expiry_settings: negotiationExpirySettings });
+        res.json({ message: 'Negotiation expiry settings updated successfully.', settings: savedSettings.negotiation_expiry_settings });
+    } catch (error) {
+        console.error('Error updating negotiation expiry settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Run the expiry sweep now instead of waiting for the next scheduled one
+const runNegotiationExpirySweep = async (req, res, io) => {
+    try {
+        const { expired, skipped } = await expireStaleNegotiations(io);
+        if (skipped) {
+            return res.status(409).json({ error: 'Negotiation expiry is switched off in the settings.ᐟ' });
+        }
+        res.json({ message: `${expired.length} negotiation(s) expired.`, expired });
+    } catch (error) {
+        console.error('Error running negotiation expiry sweep:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Get when transcribers are reminded of their deadlines
+const getDeadlineMonitorSettingsForAdmin = async (req, res) => {
+    try {
+        const settings = await getDeadlineMonitorSettings();
+        res.json({ settings });
+    } catch (error) {
+        console.error('Error fetching deadline monitor settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Update the deadline reminder points, or switch the deadline monitor off
+const updateDeadlineMonitorSettings = async (req, res) => {
+    const validation = validateDeadlineMonitorSettings(req.body);
+    if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+        const deadlineMonitorSettings = { ...validation.settings, updated_by: req.user.userId };
+        const savedSettings = await saveAdminSettingsFields({ deadline_monitor_settings: deadlineMonitorSettings });
+        res.json({ message: 'Deadline monitor settings updated successfully.', settings: savedSettings.deadline_monitor_settings });
+    } catch (error) {
+        console.error('Error updating deadline monitor settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// NEW: Run the deadline check now instead of waiting for the next scheduled one
+const runDeadlineCheck = async (req, res, io) => {
+    try {
+        const { remindersSent, overdue, skipped } = await checkJobDeadlines(io);
+        if (skipped) {
+            return res.status(409).json({ error: 'The deadline monitor is switched off in the settings.ᐟ' });
+        }
+        res.json({ message: `${remindersSent} reminder(s) sent; ${overdue.length} job(s) newly overdue.`, remindersSent, overdue });
+    } catch (error) {
+        console.error('Error running deadline check:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
 // Function to get all negotiation jobs for admin view
 const getAllJobsForAdmin = async (req, res) => { // UPDATED: Function name implies negotiation jobs
     try {
@@ -766,6 +1060,10 @@ module.exports = {
     getActiveJobsCount,
     getOpenDisputesCount,
     getTotalUsersCount,
+    getFinancialSummaryStats,
+    getFinancialTimeSeriesStats,
+    getTranscriberLiabilitiesStats,
+    getOverdueJobsStats,
     getAllTranscriberTestSubmissions,
     getTranscriberTestSubmissionById,
     approveTranscriberTest,
@@ -776,6 +1074,14 @@ module.exports = {
     deleteUser, // NEW: Export the deleteUser function
     getAdminSettings,
     updateAdminSettings,
+    getExchangeRateSettingsForAdmin,
+    updateExchangeRateSettings,
+    getNegotiationExpirySettingsForAdmin,
+    updateNegotiationExpirySettings,
+    runNegotiationExpirySweep,
+    getDeadlineMonitorSettingsForAdmin,
+    updateDeadlineMonitorSettings,
+    runDeadlineCheck,
     getAllJobsForAdmin, // Now only fetches negotiation jobs
     getJobByIdForAdmin, // Handles both negotiation and direct upload
     getAllDisputesForAdmin,
@@ -0,0 +1,216 @@
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const {
+    DELIVERABLES_DIR,
+    DELIVERABLE_JOB_TYPES,
+    DELIVERED_STATUSES,
+    deliverablePath,
+    removeUploadedFiles,
+    getDeliverableJob,
+    getDeliverables,
+    getDeliverable,
+    createDeliverable
+} = require('..//utils/jobDeliverables');
+const { DELIVERED_AWAITING_PAYMENT, getNegotiationMilestones, hasUnpaidMilestones } = require('..//utils/negotiationMilestones');
+
+/**
+ * NEW: Transcript deliverables. Transcribers upload them when completing a job (and as revisions until
+ * the client acknowledges one); the job's client, transcriber and admins can list and download them.
+ * See utils/jobDeliverables.js.
+ *
+ * UPDATED: A client only gets the transcript once every milestone due on delivery is paid.
+ */
+
+const MAX_DELIVERABLE_FILES = 10;
+const MAX_DELIVERABLE_FILE_SIZE = 50 * 1024 * 1024;
+
+const deliverableStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    if (!fs.existsSync(DELIVERABLES_DIR)) {
+      fs.mkdirSync(DELIVERABLES_DIR, { recursive: true });
+    }
+    cb(null, DELIVERABLES_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'deliverable-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const deliverableFileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'application/pdf',
+    'application/msword', // .doc
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
+    'application/vnd.oasis.opendocument.text', // .odt
+    'application/rtf',
+    'text/rtf',
+    'text/plain', // .txt and most .srt uploads
+    'text/vtt',
+    'application/x-subrip'
+  ];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF, DOC, DOCX, ODT, RTF, TXT, SRT and VTT files can be delivered as transcripts!'), false);
+  }
+};
+
+const deliverableUpload = multer({
+  storage: deliverableStorage,
+  fileFilter: deliverableFileFilter,
+  limits: {
+    fileSize: MAX_DELIVERABLE_FILE_SIZE,
+    files: MAX_DELIVERABLE_FILES
+  }
+}).array('deliverables', MAX_DELIVERABLE_FILES);
+
+// Multer for the 'deliverables' field, answering upload errors itself so any route can use it.
+const uploadDeliverableFiles = (req, res, next) => {
+  deliverableUpload(req, res, (err) => {
+    if (err) {
+      console.error('[uploadDeliverableFiles] Upload error:', err.message);
+      removeUploadedFiles(req.files);
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+const canViewDeliverables = (job, user) => (
+  user.userType === 'admin' || job.client_id === user.userId || job.transcriber_id === user.userId
+);
+
+// Whether the client still owes a delivery milestone, in which case the transcript is withheld from them.
+const clientOwesDeliveryPayment = async (jobType, job, user) => {
+  if (jobType !== 'negotiation' || job.client_id !== user.userId || user.userType === 'admin') {
+    return false;
+  }
+  if (job.status === DELIVERED_AWAITING_PAYMENT) {
+    return true;
+  }
+  return hasUnpaidMilestones(await getNegotiationMilestones(job.id), 'delivery');
+};
+
+const DELIVERY_PAYMENT_REQUIRED_ERROR = 'Pay the remaining delivery milestone to access the transcript.ᐟ';
+
+const getJobDeliverables = async (req, res) => {
+  const { jobType, jobId } = req.params;
+
+  if (!DELIVERABLE_JOB_TYPES.includes(jobType)) {
+    return res.status(400).json({ error: `jobType must be one of: ${DELIVERABLE_JOB_TYPES.join(', ')}.ᐟ` });
+  }
+
+  try {
+    const job = await getDeliverableJob(jobType, jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found.ᐟ' });
+    }
+    if (!canViewDeliverables(job, req.user)) {
+      return res.status(403).json({ error: 'You are not authorized to view the deliverables of this job.ᐟ' });
+    }
+    if (await clientOwesDeliveryPayment(jobType, job, req.user)) {
+      return res.status(402).json({ error: DELIVERY_PAYMENT_REQUIRED_ERROR });
+    }
+
+    const deliverables = await getDeliverables(jobType, jobId);
+    res.json({ deliverables, latestVersion: deliverables[0]?.version || null });
+  } catch (error) {
+    console.error('[getJobDeliverables] Error fetching deliverables:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch deliverables.ᐟ' });
+  }
+};
+
+const downloadDeliverableFile = async (req, res) => {
+  const { deliverableId, fileName } = req.params;
+
+  try {
+    const deliverable = await getDeliverable(deliverableId);
+    const file = deliverable?.files?.find(f => f.file_name === fileName);
+    if (!file) {
+      return res.status(404).json({ error: 'Deliverable file not found.ᐟ' });
+    }
+
+    const job = await getDeliverableJob(deliverable.job_type, deliverable.job_id);
+    if (!job || !canViewDeliverables(job, req.user)) {
+      return res.status(403).json({ error: 'Access denied. You are not authorized to download this file.ᐟ' });
+    }
+    if (await clientOwesDeliveryPayment(deliverable.job_type, job, req.user)) {
+      return res.status(402).json({ error: DELIVERY_PAYMENT_REQUIRED_ERROR });
+    }
+
+    const filePath = path.resolve(deliverablePath(file.file_name));
+    if (!fs.existsSync(filePath)) {
+      console.error(`[downloadDeliverableFile] File not found on disk: ${filePath}`);
+      return res.status(404).json({ error: 'File not found on server.ᐟ' });
+    }
+
+    res.download(filePath, file.original_name, (err) => {
+      if (err && !res.headersSent) {
+        console.error(`[downloadDeliverableFile] Error sending file ${fileName}:`, err);
+        res.status(500).json({ error: 'Failed to download file.ᐟ' });
+      }
+    });
+  } catch (error) {
+    console.error('[downloadDeliverableFile] Error downloading deliverable:', error);
+    res.status(500).json({ error: error.message || 'Server error during file download.ᐟ' });
+  }
+};
+
+// A revised version from the transcriber, for a delivered job the client has not acknowledged yet.
+const submitDeliverableRevision = async (req, res, io) => {
+  const { jobType, jobId } = req.params;
+  const transcriberId = req.user.userId;
+  const files = req.files || [];
+
+  try {
+    if (!DELIVERABLE_JOB_TYPES.includes(jobType)) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: `jobType must be one of: ${DELIVERABLE_JOB_TYPES.join(', ')}.ᐟ` });
+    }
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Upload at least one transcript file.ᐟ' });
+    }
+
+    const job = await getDeliverableJob(jobType, jobId);
+    if (!job || job.transcriber_id !== transcriberId) {
+      removeUploadedFiles(files);
+      return res.status(404).json({ error: 'Job not found or not assigned to you.ᐟ' });
+    }
+    if (!DELIVERED_STATUSES[jobType].includes(job.status)) {
+      removeUploadedFiles(files);
+      return res.status(409).json({ error: `Revisions can only be sent for delivered jobs. Current status: ${job.status}.ᐟ` });
+    }
+    const existing = await getDeliverables(jobType, jobId);
+    if (existing.some(deliverable => deliverable.acknowledged_at)) {
+      removeUploadedFiles(files);
+      return res.status(409).json({ error: 'The client has already acknowledged a deliverable for this job.ᐟ' });
+    }
+
+    const deliverable = await createDeliverable(jobType, jobId, files, transcriberId, req.body.note);
+
+    if (io) {
+      io.to(job.client_id).emit('deliverable_submitted', {
+        relatedJobId: jobId,
+        jobType,
+        deliverableId: deliverable.id,
+        version: deliverable.version,
+        message: `Version ${deliverable.version} of your transcript has been delivered.`
+      });
+    }
+
+    res.status(201).json({ message: `Version ${deliverable.version} delivered.`, deliverable });
+  } catch (error) {
+    console.error('[submitDeliverableRevision] Error submitting revision:', error);
+    removeUploadedFiles(files);
+    res.status(500).json({ error: error.message || 'Failed to submit the revision.ᐟ' });
+  }
+};
+
+module.exports = {
+  uploadDeliverableFiles,
+  getJobDeliverables,
+  downloadDeliverableFile,
+  submitDeliverableRevision
+};
@@ -3,33 +3,24 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { syncAvailabilityStatus } = require('./transcriberController');
-const emailService = require('../emailService');
 const util = require('util');
 const { getAudioDurationInSeconds } = require('get-audio-duration');
 const { calculatePricePerMinute } = require('../utils/pricingCalculator');
+const { calculateTranscriberPay, getCommissionRules } = require('../utils/commissionCalculator');
 const { updateAverageRating } = require('./ratingController');
 
-const axios = require('axios');
-const { convertUsdToKes, EXCHANGE_RATE_USD_TO_KES, calculateTranscriberEarning } = require('../utils/paymentUtils');
-const http = require('http');
-const https = require('https');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
-const KORAPAY_SECRET_KEY = process.env.KORAPAY_SECRET_KEY;
-const KORAPAY_PUBLIC_KEY = process.env.KORAPAY_PUBLIC_KEY;
-const KORAPAY_BASE_URL = process.env.KORAPAY_BASE_URL || 'https://api-sandbox.korapay.com/v1';
-const KORAPAY_WEBHOOK_URL = process.env.KORAPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment/korapay-webhook';
-
-
-const httpAgent = new http.Agent({ family: 4 });
-const httpsAgent = new https.Agent({ family: 4 });
-
+const { getGateway, resolveChargeCurrency, chargeMatchesJob } = require('../utils/paymentGateway');
+const { fulfillDirectUploadPayment, payDirectUploadFromWallet } = require('../utils/paymentFulfillment');
+const { WALLET_PAYMENT_METHOD } = require('../utils/wallet');
+const { getAmountDueUsd, validatePromoCode, applyPromoCodeToJob, confirmPromoCodeBeforePayment } = require('../utils/promoCodes');
+const { recordEscrowRelease, recordCancellation } = require('../utils/ledger');
+const { clearJobDeadlineTracking } = require('../utils/deadlineMonitor');
+const { createDeliverable, removeUploadedFiles, checkDeliverableAcknowledgement, acknowledgeDeliverable, deleteJobDeliverables } = require('../utils/jobDeliverables');
 
 const unlinkAsync = util.promisify(fs.unlink);
 
-// Import getNextFriday from paymentController - CORRECTED PATH
-const { getNextFriday } = require('../controllers/paymentController'); 
+// What the client actually paid for a job, after any promo discount and refunds; transcriber pay is a share of this.
+const getNetPaidUsd = (payment) => parseFloat((payment.amount - (payment.refunded_amount || 0)).toFixed(2));
 
 const getQuoteAndDeadline = async (audioLengthMinutes, audioQualityParam, deadlineTypeParam, specialRequirements) => {
     const jobParams = {
@@ -81,7 +72,8 @@ const handleQuoteCalculationRequest = async (req, res, io) => {
     const { 
         audioQualityParam,
         deadlineTypeParam,
-        specialRequirements
+        specialRequirements,
+        promoCode
     } = req.body;
 
     let audioVideoFile = req.files?.audioVideoFile?.[0];
@@ -129,6 +121,25 @@ const handleQuoteCalculationRequest = async (req, res, io) => {
             parsedSpecialRequirements
         );
 
+        // NEW: Preview the discount a promo code would give; it is only applied once the job is created.
+        if (promoCode) {
+            const promoValidation = await validatePromoCode(promoCode, {
+                clientId,
+                jobType: 'direct_upload',
+                amountUsd: quoteDetails.quote_amount,
+                audioMinutes: audioLengthMinutes
+            });
+            if (promoValidation.valid) {
+                quoteDetails.promo = {
+                    code: promoValidation.promoCode.code,
+                    discount_amount_usd: promoValidation.discountUsd,
+                    amount_due_usd: promoValidation.amountDueUsd
+                };
+            } else {
+                quoteDetails.promo_error = promoValidation.error;
+            }
+        }
+
         res.status(200).json({
             message: 'Quote calculated successfully.',
             quoteDetails: quoteDetails
@@ -156,7 +167,8 @@ const createDirectUploadJob = async (req, res, io) => {
         quote_amount,
         pricePerMinuteUsd,
         agreedDeadlineHours,
-        jobType
+        jobType,
+        promoCode
     } = req.body;
 
     let audioVideoFile = req.files?.audioVideoFile?.[0];
@@ -255,13 +267,24 @@ const createDirectUploadJob = async (req, res, io) => {
             throw jobError;
         }
 
-        const newJob = job;
+        let newJob = job;
 
-        const transcriberEstimatedPay = (newJob.quote_amount * 0.70).toFixed(2);
+        // NEW: A code that fails validation leaves the job at full price; the client can apply another later.
+        let promoError = null;
+        if (promoCode) {
+            const promoResult = await applyPromoCodeToJob({ jobType: 'direct_upload', job: newJob, code: promoCode });
+            if (promoResult.valid) {
+                newJob = promoResult.job;
+            } else {
+                promoError = promoResult.error;
+            }
+        }
+
+        const commissionRules = await getCommissionRules();
 
         const { data: transcribers, error: transcriberFetchError } = await supabase
             .from('users')
-            .select('id, full_name, email, transcriber_average_rating')
+            .select('id, full_name, email, transcriber_average_rating, transcriber_user_level')
             .eq('user_type', 'transcriber')
             .eq('is_online', true)
             .gte('transcriber_average_rating', 4);
@@ -270,7 +293,15 @@ const createDirectUploadJob = async (req, res, io) => {
 
         if (io && transcribers && transcribers.length > 0) {
             const qualifiedTranscribers = transcribers.filter(t => t.transcriber_average_rating >= 4);
-            qualifiedTranscribers.forEach(transcriber => {
+            for (const transcriber of qualifiedTranscribers) {
+                // Each transcriber sees the pay their own level and rating earns.
+                const { earning } = await calculateTranscriberPay({
+                    amountUsd: getAmountDueUsd('direct_upload', newJob),
+                    jobType: 'direct_upload',
+                    transcriber,
+                    rules: commissionRules
+                });
+                const transcriberEstimatedPay = earning.toFixed(2);
                 io.to(transcriber.id).emit('new_direct_job_available', {
                     jobId: newJob.id,
                     clientName: req.user.full_name,
@@ -278,13 +309,15 @@ const createDirectUploadJob = async (req, res, io) => {
                     message: `A new direct upload job from ${req.user.full_name} is available for USD ${transcriberEstimatedPay}!`,
                     newStatus: 'pending_review'
                 });
-            });
+            }
             console.log(`Emitted 'new_direct_job_available' to ${qualifiedTranscribers.length} transcribers.`);
         }
 
         res.status(201).json({
             message: 'Direct upload job created successfully. Awaiting transcriber.',
-            job: newJob
+            job: newJob,
+            amountDue: getAmountDueUsd('direct_upload', newJob),
+            ...(promoError && { promoError })
         });
 
     } catch (error) {
@@ -351,7 +384,7 @@ const getAvailableDirectUploadJobsForTranscriber = async (req, res) => {
     try {
         const { data: transcriberUser, error: userError } = await supabase
             .from('users')
-            .select('is_online, current_job_id, transcriber_average_rating, transcriber_status')
+            .select('is_online, current_job_id, transcriber_average_rating, transcriber_status, transcriber_user_level')
             .eq('id', transcriberId)
             .eq('user_type', 'transcriber')
             .single();
@@ -402,9 +435,25 @@ const getAvailableDirectUploadJobsForTranscriber = async (req, res) => {
 
         if (error) throw error;
 
-        const jobsWithTranscriberPay = jobs.map(job => ({
-            ...job,
-            transcriber_pay: (job.quote_amount * 0.70).toFixed(2)
+        const { data: payments, error: paymentsError } = jobs.length === 0
+            ? { data: [], error: null }
+            : await supabase
+                .from('payments')
+                .select('direct_upload_job_id, amount, refunded_amount')
+                .in('direct_upload_job_id', jobs.map(job => job.id));
+
+        if (paymentsError) throw paymentsError;
+
+        const commissionRules = await getCommissionRules();
+        const jobsWithTranscriberPay = await Promise.all(jobs.map(async job => {
+            const payment = payments.find(p => p.direct_upload_job_id === job.id);
+            const { earning } = await calculateTranscriberPay({
+                amountUsd: payment ? getNetPaidUsd(payment) : job.quote_amount,
+                jobType: 'direct_upload',
+                transcriber: transcriberUser,
+                rules: commissionRules
+            });
+            return { ...job, transcriber_pay: earning.toFixed(2) };
         }));
 
         res.status(200).json({
@@ -600,7 +649,7 @@ const takeDirectUploadJob = async (req, res, io) => {
     try {
         const { data: transcriberUser, error: userError } = await supabase
             .from('users')
-            .select('is_online, current_job_id, transcriber_average_rating, transcriber_status')
+            .select('is_online, current_job_id, transcriber_average_rating, transcriber_status, transcriber_user_level')
             .eq('id', transcriberId)
             .eq('user_type', 'transcriber')
             .single();
@@ -657,11 +706,28 @@ const takeDirectUploadJob = async (req, res, io) => {
         console.log(`[takeDirectUploadJob] Successfully updated direct_upload_jobs for job ${jobId}. New status: ${updatedJob.status}`); // NEW LOG
 
 
-        // UPDATED: Update the payment record with the transcriber_id
+        // UPDATED: Update the payment record with the transcriber_id and the earning advertised to this transcriber
         console.log(`[takeDirectUploadJob] Attempting to update payment record for job ${jobId}.`); // NEW LOG
+        // UPDATED: Pay is worked out from what the client paid, as at payment time, not from the undiscounted quote.
+        const { data: jobPayment, error: jobPaymentError } = await supabase
+            .from('payments')
+            .select('amount, refunded_amount')
+            .eq('direct_upload_job_id', jobId)
+            .is('transcriber_id', null)
+            .single();
+
+        if (jobPaymentError && jobPaymentError.code !== 'PGRST116') {
+            console.error(`[takeDirectUploadJob] Error fetching payment record for job ${jobId}:`, jobPaymentError);
+        }
+
+        const { earning: transcriberEarning } = await calculateTranscriberPay({
+            amountUsd: jobPayment ? getNetPaidUsd(jobPayment) : updatedJob.quote_amount,
+            jobType: 'direct_upload',
+            transcriber: transcriberUser
+        });
         const { error: paymentUpdateError } = await supabase
             .from('payments')
-            .update({ transcriber_id: transcriberId, updated_at: new Date().toISOString() })
+            .update({ transcriber_id: transcriberId, transcriber_earning: transcriberEarning, updated_at: new Date().toISOString() })
             .eq('direct_upload_job_id', jobId)
             .is('transcriber_id', null); // Only update if transcriber_id is currently null
 
@@ -752,17 +818,50 @@ const cancelDirectUploadJob = async (req, res, io) => {
         if (jobUpdateError) throw jobUpdateError;
 
         // NEW: Update the payment record's payout_status to 'voided_by_cancellation'
-        const { error: paymentUpdateError } = await supabase
+        const { data: voidedPayments, error: paymentUpdateError } = await supabase
             .from('payments')
             .update({ payout_status: 'voided_by_cancellation', updated_at: new Date().toISOString() })
             .eq('direct_upload_job_id', jobId)
-            .eq('transcriber_id', transcriberId);
+            .eq('transcriber_id', transcriberId)
+            .select();
 
         if (paymentUpdateError) {
             console.error(`[cancelDirectUploadJob] Error updating payment record to 'voided_by_cancellation' for job ${jobId}:`, paymentUpdateError);
             // Log the error but do not prevent job cancellation from succeeding
         } else {
             console.log(`[cancelDirectUploadJob] Payment record for job ${jobId} updated to 'voided_by_cancellation'.`);
+            for (const payment of voidedPayments || []) {
+                await recordCancellation(payment);
+
+                // UPDATED: Put the payment back as it was before the job was taken, so the next transcriber
+                // to take the job is linked to it and paid from it.
+                const { earning: unassignedEarning } = await calculateTranscriberPay({
+                    amountUsd: getNetPaidUsd(payment),
+                    jobType: 'direct_upload',
+                    transcriberId: null
+                });
+                const { error: paymentResetError } = await supabase
+                    .from('payments')
+                    .update({
+                        transcriber_id: null,
+                        transcriber_earning: unassignedEarning,
+                        payout_status: 'pending',
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', payment.id)
+                    .eq('payout_status', 'voided_by_cancellation');
+
+                if (paymentResetError) {
+                    console.error(`[cancelDirectUploadJob] Error returning payment ${payment.id} for job ${jobId} to unassigned:`, paymentResetError);
+                }
+            }
+        }
+
+        // NEW: The next transcriber to take the job gets a fresh deadline
+        try {
+            await clearJobDeadlineTracking('direct_upload', jobId);
+        } catch (trackingError) {
+            console.error(`[cancelDirectUploadJob] Error clearing deadline tracking for job ${jobId}:`, trackingError);
         }
 
         // Update transcriber's current_job_id to null
@@ -795,10 +894,16 @@ const cancelDirectUploadJob = async (req, res, io) => {
     }
 };
 
+// UPDATED: Completing a job delivers the transcript files uploaded with it ('deliverables') as a new version.
 const completeDirectUploadJob = async (req, res, io) => {
     const { jobId } = req.params;
     const transcriberId = req.user.userId;
     const { transcriberComment } = req.body;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'Upload at least one transcript file to complete the job.ᐟ' });
+    }
 
     try {
         const { data: job, error: jobError } = await supabase
@@ -810,12 +915,16 @@ const completeDirectUploadJob = async (req, res, io) => {
 
         if (jobError || !job) {
             console.error(`[completeDirectUploadJob] Job fetch error or not found:`, jobError);
+            removeUploadedFiles(files);
             return res.status(404).json({ error: 'Job not found or not assigned to you.ᐟ' });
         }
         if (job.status !== 'taken' && job.status !== 'in_progress') {
+            removeUploadedFiles(files);
             return res.status(400).json({ error: `Job is not currently active for completion.ᐟ` });
         }
 
+        // UPDATED: The status moves first, only from the status read above, so a second submission racing
+        // this one is refused instead of delivering its files as another version.
         const { data: updatedJob, error: updateError } = await supabase
             .from('direct_upload_jobs')
             .update({
@@ -825,14 +934,34 @@ const completeDirectUploadJob = async (req, res, io) => {
                 updated_at: new Date().toISOString()
             })
             .eq('id', jobId)
+            .eq('transcriber_id', transcriberId)
+            .eq('status', job.status)
             .select()
             .single();
 
+        if (updateError?.code === 'PGRST116') {
+            removeUploadedFiles(files);
+            return res.status(409).json({ error: 'This job has already been completed or is no longer active.ᐟ' });
+        }
         if (updateError) {
             console.error(`[completeDirectUploadJob] Supabase update error for job ${jobId}:`, updateError);
             throw updateError;
         }
 
+        let deliverable;
+        try {
+            deliverable = await createDeliverable('direct_upload', jobId, files, transcriberId, transcriberComment);
+        } catch (deliverableError) {
+            // Without its transcript the job is not delivered, so it goes back to its previous status.
+            removeUploadedFiles(files);
+            await supabase
+                .from('direct_upload_jobs')
+                .update({ status: job.status, completed_at: null, updated_at: new Date().toISOString() })
+                .eq('id', jobId)
+                .eq('status', 'completed');
+            throw deliverableError;
+        }
+
         const { data: existingPayment, error: paymentFetchError } = await supabase
             .from('payments')
             .select('id, payout_status')
@@ -847,15 +976,22 @@ const completeDirectUploadJob = async (req, res, io) => {
         if (existingPayment) {
             // This block ensures payout_status is 'pending' once the transcriber completes the job.
             // This is crucial for the transcriber earnings display.
-            const { error: paymentUpdateError } = await supabase
+            // UPDATED: Only from 'awaiting_completion' or 'pending', so a payment on hold, being paid out,
+            // paid out or refunded keeps its status.
+            const { data: releasedPayments, error: paymentUpdateError } = await supabase
                 .from('payments')
                 .update({ payout_status: 'pending', updated_at: new Date().toISOString() })
-                .eq('id', existingPayment.id);
+                .eq('id', existingPayment.id)
+                .or('payout_status.eq.awaiting_completion,payout_status.eq.pending')
+                .select();
 
             if (paymentUpdateError) {
                 console.error(`[completeDirectUploadJob] Error updating payment record for direct upload job ${jobId} to 'pending':`, paymentUpdateError);
+            } else if (!releasedPayments || releasedPayments.length === 0) {
+                console.warn(`[completeDirectUploadJob] Payment record for direct upload job ${jobId} is '${existingPayment.payout_status}'; payout status left unchanged.`);
             } else {
                 console.log(`[completeDirectUploadJob] Payment record for direct upload job ${jobId} updated to 'pending' payout status.`);
+                await recordEscrowRelease(releasedPayments[0]);
             }
         } else {
             console.warn(`[completeDirectUploadJob] No existing payment record found for direct upload job ${jobId} and transcriber ${transcriberId}. A payment record should have been created upon client payment.`);
@@ -867,6 +1003,7 @@ const completeDirectUploadJob = async (req, res, io) => {
             // Notify the client that their job has been completed by the transcriber
             io.to(updatedJob.client_id).emit('direct_job_completed', {
                 jobId: updatedJob.id,
+                deliverableId: deliverable.id,
                 transcriberName: req.user.full_name,
                 message: `Your direct upload job '${updatedJob.id.substring(0, 8)}...' has been submitted for client review!`,
                 newStatus: 'completed'
@@ -882,7 +1019,8 @@ const completeDirectUploadJob = async (req, res, io) => {
 
         res.status(200).json({
             message: 'Direct upload job submitted successfully. Awaiting client review.',
-            job: updatedJob
+            job: updatedJob,
+            deliverable
         });
 
     } catch (error) {
@@ -891,10 +1029,11 @@ const completeDirectUploadJob = async (req, res, io) => {
     }
 };
 
+// UPDATED: The client acknowledges the deliverable version they reviewed (deliverableId) when completing.
 const clientCompleteDirectUploadJob = async (req, res, io) => {
     const { jobId } = req.params;
     const clientId = req.user.userId;
-    const { clientFeedbackComment, clientFeedbackRating } = req.body;
+    const { clientFeedbackComment, clientFeedbackRating, deliverableId } = req.body;
 
     if (!jobId || !clientFeedbackRating) {
         return res.status(400).json({ error: 'Job ID and client feedback rating are required.ᐟ' });
@@ -916,6 +1055,12 @@ const clientCompleteDirectUploadJob = async (req, res, io) => {
             return res.status(400).json({ error: `Job must be in 'completed' status by transcriber before client can mark it complete. Current status: ${job.status}` });
         }
 
+        const acknowledgement = await checkDeliverableAcknowledgement('direct_upload', jobId, deliverableId);
+        if (acknowledgement.error) {
+            return res.status(acknowledgement.status).json({ error: acknowledgement.error });
+        }
+
+        // Only one completion can move the job out of 'completed', so ratings and counters are applied once.
         const { data: updatedJob, error: updateError } = await supabase
             .from('direct_upload_jobs')
             .update({
@@ -926,10 +1071,15 @@ const clientCompleteDirectUploadJob = async (req, res, io) => {
                 updated_at: new Date().toISOString()
             })
             .eq('id', jobId)
+            .eq('status', 'completed')
             .select()
             .single();
 
+        if (updateError?.code === 'PGRST116') {
+            return res.status(409).json({ error: 'This job has already been marked as complete.ᐟ' });
+        }
         if (updateError) throw updateError;
+        const acknowledgedDeliverable = await acknowledgeDeliverable(acknowledgement.deliverable, clientId);
 
         if (job.transcriber_id && clientFeedbackRating) {
             await updateAverageRating(job.transcriber_id, clientFeedbackRating, 'transcriber');
@@ -962,17 +1112,22 @@ const clientCompleteDirectUploadJob = async (req, res, io) => {
 
         // UPDATED: Ensure payment status is 'pending' when client marks as complete
         // This is crucial for the transcriber earnings display
-        const { error: paymentUpdateError } = await supabase
+        const { data: releasedPayments, error: paymentUpdateError } = await supabase
             .from('payments')
             .update({ payout_status: 'pending', updated_at: new Date().toISOString() })
             .eq('direct_upload_job_id', jobId)
             .eq('transcriber_id', job.transcriber_id) // Ensure we update the correct payment record
-            .or('payout_status.eq.awaiting_completion,payout_status.eq.pending'); // Update if awaiting completion or already pending
+            .or('payout_status.eq.awaiting_completion,payout_status.eq.pending') // Update if awaiting completion or already pending
+            .select();
 
         if (paymentUpdateError) {
             console.error(`[clientCompleteDirectUploadJob] Error updating payment record for direct upload job ${jobId} to 'pending':`, paymentUpdateError);
         } else {
             console.log(`[clientCompleteDirectUploadJob] Payment record for direct upload job ${jobId} updated to 'pending' payout status.`);
+            // Already posted if the transcriber's completion released the escrow.
+            for (const payment of releasedPayments || []) {
+                await recordEscrowRelease(payment);
+            }
         }
         
         if (io && updatedJob.transcriber_id) {
@@ -996,7 +1151,8 @@ const clientCompleteDirectUploadJob = async (req, res, io) => {
 
         res.status(200).json({
             message: 'Direct upload job marked as client-completed successfully.',
-            job: updatedJob
+            job: updatedJob,
+            deliverable: acknowledgedDeliverable
         });
 
     } catch (error) {
@@ -1049,10 +1205,63 @@ const getAllDirectUploadJobsForAdmin = async (req, res) => {
     }
 };
 
+// NEW: Pays a direct upload job's quote from the client's wallet, with no gateway checkout.
+const payDirectUploadJobFromWallet = async (req, res, io) => {
+    const { jobId: directUploadJobId } = req.body;
+    const clientId = req.user.userId;
+
+    if (!directUploadJobId) {
+        return res.status(400).json({ error: 'Direct Upload Job ID is required.ᐟ' });
+    }
+
+    try {
+        const { outcome, payment, job, walletBalance, message } = await payDirectUploadFromWallet({ directUploadJobId, clientId }, io);
+
+        if (outcome === 'job_not_found') {
+            return res.status(404).json({ error: 'Direct upload job not found or not accessible.ᐟ' });
+        }
+        if (outcome === 'promo_code_removed') {
+            return res.status(409).json({ error: message, amountDue: getAmountDueUsd('direct_upload', job) });
+        }
+        if (outcome === 'insufficient_funds') {
+            const amountDue = getAmountDueUsd('direct_upload', job);
+            return res.status(402).json({
+                error: `Your wallet balance of USD ${walletBalance.toFixed(2)} does not cover this job's amount due of USD ${amountDue.toFixed(2)}.ᐟ`,
+                walletBalance,
+                amountRequired: amountDue
+            });
+        }
+        if (outcome === 'already_processed') {
+            if (payment) {
+                return res.status(200).json({ message: 'Payment already processed and recorded.ᐟ', paidFromWallet: true, payment, walletBalance });
+            }
+            return res.status(400).json({ error: `Payment can only be made for direct upload jobs awaiting review or with assigned transcriber. Current status: ${job.status}` });
+        }
+        if (outcome === 'amount_mismatch') {
+            return res.status(400).json({ error: 'Payment amount does not match the agreed quote amount.ᐟ' });
+        }
+
+        res.status(200).json({
+            message: 'Paid from your wallet. The job is now active.ᐟ',
+            paidFromWallet: true,
+            payment,
+            walletBalance
+        });
+    } catch (error) {
+        console.error(`[payDirectUploadJobFromWallet] Error paying job ${directUploadJobId} from wallet:`, error);
+        res.status(500).json({ error: 'Server error paying from wallet.ᐟ' });
+    }
+};
+
 const initializeDirectUploadPayment = async (req, res, io) => {
     console.log('[initializeDirectUploadPayment] Received request body:', req.body);
 
-    const { jobId: directUploadJobId, amount, email, paymentMethod = 'paystack', mobileNumber, fullName } = req.body;
+    // UPDATED: 'wallet' pays straight from the client's balance instead of starting a gateway checkout.
+    if (req.body.paymentMethod === WALLET_PAYMENT_METHOD) {
+        return payDirectUploadJobFromWallet(req, res, io);
+    }
+
+    const { jobId: directUploadJobId, amount, email, paymentMethod = 'paystack', mobileNumber, fullName, currency: requestedCurrency } = req.body;
     const clientId = req.user.userId;
 
     const finalJobId = directUploadJobId;
@@ -1064,146 +1273,74 @@ const initializeDirectUploadPayment = async (req, res, io) => {
         console.error('[initializeDirectUploadPayment] Validation failed: Missing required parameters.ᐟ');
         return res.status(400).json({ error: 'Direct Upload Job ID, amount, and client email are required.ᐟ' });
     }
-    if (!['paystack', 'korapay'].includes(paymentMethod)) {
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
         console.error(`[initializeDirectUploadPayment] Validation failed: Invalid payment method provided: ${paymentMethod}`);
         return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
     }
-
-    if (paymentMethod === 'paystack' && !PAYSTACK_SECRET_KEY) {
-        return res.status(500).json({ error: 'Paystack service not configured.ᐟ' });
+    if (!gateway.isConfigured()) {
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
-    if (paymentMethod === 'korapay' && !KORAPAY_SECRET_KEY) {
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    const { currency, error: currencyError } = await resolveChargeCurrency(gateway, requestedCurrency);
+    if (currencyError) {
+        return res.status(400).json({ error: currencyError });
     }
 
-
     const parsedAmountUsd = parseFloat(amount);
     if (isNaN(parsedAmountUsd) || parsedAmountUsd <= 0) {
         return res.status(400).json({ error: 'Invalid payment amount.ᐟ' });
     }
 
     try {
-        let jobDetails;
-        let transcriberId;
-        let quoteAmountUsd; // Renamed from agreedPriceUsd
-        let jobStatus;
-
-        const { data, error } = await supabase
+        const { data: fetchedJob, error } = await supabase
             .from('direct_upload_jobs')
-            .select('id, client_id, transcriber_id, quote_amount, status')
+            .select('id, client_id, transcriber_id, quote_amount, discount_amount_usd, promo_code_id, promo_code, audio_length_minutes, status')
             .eq('id', finalJobId)
             .eq('client_id', clientId)
             .single();
-        if (error || !data) {
+        if (error || !fetchedJob) {
             console.error(`[initializeDirectUploadPayment] Error fetching direct upload job ${finalJobId} for payment:`, error);
             return res.status(404).json({ error: 'Direct upload job not found or not accessible.ᐟ' });
         }
-        jobDetails = data;
-        transcriberId = data.transcriber_id;
-        quoteAmountUsd = data.quote_amount; // Assigned from data.quote_amount
-        jobStatus = data.status;
-        if (jobStatus !== 'pending_review' && jobStatus !== 'transcriber_assigned') {
-            console.error(`[initializeDirectUploadPayment] Direct upload job ${finalJobId} status is ${jobStatus}, not 'pending_review' or 'transcriber_assigned'.`);
-            return res.status(400).json({ error: `Payment can only be initiated for direct upload jobs awaiting review or with assigned transcriber. Current status: ${jobStatus}` });
+        if (fetchedJob.status !== 'pending_review' && fetchedJob.status !== 'transcriber_assigned') {
+            console.error(`[initializeDirectUploadPayment] Direct upload job ${finalJobId} status is ${fetchedJob.status}, not 'pending_review' or 'transcriber_assigned'.`);
+            return res.status(400).json({ error: `Payment can only be initiated for direct upload jobs awaiting review or with assigned transcriber. Current status: ${fetchedJob.status}` });
         }
 
-        if (Math.round(parsedAmountUsd * 100) !== Math.round(quoteAmountUsd * 100)) { // Used quoteAmountUsd
-            console.error('[initializeDirectUploadPayment] Payment amount mismatch. Provided USD:', parsedAmountUsd, 'Expected Quote Amount (USD):', quoteAmountUsd); // Console log
-            return res.status(400).json({ error: 'Payment amount does not match the agreed quote amount.ᐟ' }); // Error message
+        // UPDATED: A promo code that stopped being valid since it was applied is removed before charging.
+        const promoCheck = await confirmPromoCodeBeforePayment('direct_upload', fetchedJob);
+        const job = promoCheck.job;
+        const amountDueUsd = getAmountDueUsd('direct_upload', job);
+        if (!promoCheck.valid) {
+            return res.status(409).json({ error: promoCheck.error, amountDue: amountDueUsd });
         }
 
-        if (paymentMethod === 'paystack') {
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            const amountInCentsKes = Math.round(amountKes * 100);
-
-            const paystackResponse = await axios.post(
-                'https://api.paystack.co/transaction/initialize',
-                {
-                    email: finalClientEmail,
-                    amount: amountInCentsKes,
-                    reference: `${finalJobId}-${Date.now()}`,
-                    callback_url: `${CLIENT_URL}/payment-callback?relatedJobId=${finalJobId}&jobType=direct_upload`,
-                    currency: 'KES',
-                    channels: ['mobile_money', 'card', 'bank_transfer', 'pesalink'],
-                    metadata: {
-                        related_job_id: finalJobId,
-                        related_job_type: 'direct_upload',
-                        client_id: clientId,
-                        transcriber_id: transcriberId || '', // Send empty string if null
-                        agreed_price_usd: quoteAmountUsd, // Use quoteAmountUsd
-                        currency_paid: 'KES',
-                        exchange_rate_usd_to_kes: EXCHANGE_RATE_USD_TO_KES,
-                        amount_paid_kes: amountKes
-                    }
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'Content-Type': 'application/json',
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    }
-                }
-            );
-
-            if (!paystackResponse.data.status) {
-                console.error('[initializeDirectUploadPayment] Paystack initialization failed:ᐟ', paystackResponse.data.message);
-                return res.status(500).json({ error: paystackResponse.data.message || 'Failed to initialize payment with Paystack.ᐟ' });
-            }
-
-            res.status(200).json({
-                message: 'Payment initialization successful',
-                data: paystackResponse.data.data
-            });
-        } else if (paymentMethod === 'korapay') {
-            if (!KORAPAY_PUBLIC_KEY) {
-                console.error('[initializeDirectUploadPayment] KORAPAY_PUBLIC_KEY is not set for KoraPay frontend integration.ᐟ');
-                return res.status(500).json({ error: 'KoraPay public key not configured.ᐟ' });
-            }
-
-            const reference = `JOB-${finalJobId.substring(0, 8)}-${Date.now().toString(36)}`;
-            
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            const amountInKes = Math.round(amountKes); 
+        if (Math.round(parsedAmountUsd * 100) !== Math.round(amountDueUsd * 100)) {
+            console.error('[initializeDirectUploadPayment] Payment amount mismatch. Provided USD:', parsedAmountUsd, 'Amount due (USD):', amountDueUsd);
+            return res.status(400).json({ error: 'Payment amount does not match the agreed quote amount.ᐟ' });
+        }
 
-            const korapayCustomer = {
-                name: fullName || req.user.full_name || 'Customer',
-                email: finalClientEmail,
-            };
-            // The mobileNumber is not sent in the customer object to KoraPay's API,
-            // as it caused an error 'customer.phone is not allowed'.
-
-            // Conditionally build metadata object to adhere to KoraPay's 5-key limit
-            const metadata = {
-                related_job_id: finalJobId,
-                related_job_type: 'direct_upload',
-                client_id: clientId,
-                agreed_price_usd: quoteAmountUsd,
-                currency_paid: 'KES',
-                // Removed: amount_paid_kes as it's redundant with agreed_price_usd & currency_paid
-                // Removed: exchange_rate_usd_to_kes as it's not allowed
-            };
+        const initialization = await gateway.initialize({
+            jobType: 'direct_upload',
+            jobId: finalJobId,
+            amountUsd: amountDueUsd,
+            currency,
+            email: finalClientEmail,
+            customerName: fullName || req.user.full_name,
+            clientId,
+            discount: job.promo_code_id ? { code: job.promo_code, amountUsd: job.discount_amount_usd, originalAmountUsd: job.quote_amount } : null
+        });
 
-            // Conditionally add transcriber_id if it's not null to stay within 5 keys
-            if (transcriberId) {
-                metadata.transcriber_id = transcriberId;
-            }
-            
-            const korapayData = {
-                key: KORAPAY_PUBLIC_KEY, // Corrected from KORAPAY_PUBLIC_PUBLIC_KEY
-                reference: reference,
-                amount: amountInKes,
-                currency: 'KES',
-                customer: korapayCustomer,
-                notification_url: KORAPAY_WEBHOOK_URL,
-                metadata: metadata
-            };
-            
-            res.status(200).json({
-                message: 'KoraPay payment initialization data successful',
-                korapayData: korapayData
-            });
+        if (!initialization.success) {
+            console.error(`[initializeDirectUploadPayment] ${gateway.displayName} initialization failed:ᐟ`, initialization.message);
+            return res.status(500).json({ error: initialization.message });
         }
 
+        res.status(200).json({
+            message: 'Payment initialization successful',
+            ...initialization.checkout
+        });
+
     } catch (error) {
         console.error(`[initializeDirectUploadPayment] Error initializing ${paymentMethod} payment:`, error.response ? error.response.data : error.message);
         res.status(500).json({ error: `Server error during ${paymentMethod} payment initialization.ᐟ` });
@@ -1227,232 +1364,52 @@ const verifyDirectUploadPayment = async (req, res, io) => {
     if (!reference || !relatedJobId) {
         return res.status(400).json({ error: 'Payment reference and direct upload job ID are required for verification.ᐟ' });
     }
-    if (!['paystack', 'korapay'].includes(paymentMethod)) {
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
         console.error(`Invalid payment method provided: ${paymentMethod}`);
         return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
     }
-    if (paymentMethod === 'paystack' && !PAYSTACK_SECRET_KEY) {
-        return res.status(500).json({ error: 'Paystack service not configured.ᐟ' });
-    }
-    if (paymentMethod === 'korapay' && !KORAPAY_SECRET_KEY) {
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    if (!gateway.isConfigured()) {
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
 
     try {
-        // --- START OF ENHANCED DUPLICATE PAYMENT CHECK ---
-        let existingPaymentQuery;
-        if (paymentMethod === 'korapay') {
-            existingPaymentQuery = supabase
-                .from('payments')
-                .select('id, korapay_status')
-                .eq('direct_upload_job_id', relatedJobId)
-                .eq('korapay_reference', reference)
-                .or('korapay_status.eq.success,korapay_status.eq.settled'); // Check for success or settled status
-        } else if (paymentMethod === 'paystack') {
-            existingPaymentQuery = supabase
-                .from('payments')
-                .select('id, paystack_status')
-                .eq('direct_upload_job_id', relatedJobId)
-                .eq('paystack_reference', reference)
-                .eq('paystack_status', 'success'); // Check for success status
-        }
-
-        if (existingPaymentQuery) {
-            const { data: existingPayments, error: existingPaymentError } = await existingPaymentQuery;
-
-            if (existingPaymentError) {
-                console.error(`[verifyDirectUploadPayment] Error checking for existing payment record for reference ${reference}:`, existingPaymentError);
-                return res.status(500).json({ error: 'Server error during payment verification.ᐟ' });
-            }
-
-            if (existingPayments && existingPayments.length > 0) {
-                console.warn(`[verifyDirectUploadPayment] A successful payment record for reference ${reference} and job ${relatedJobId} already exists. Preventing duplicate insertion.`);
-                return res.status(200).json({ message: 'Payment already processed and recorded.ᐟ', transaction: existingPayments[0] }); // Return existing payment info
-            }
-        }
-        // --- END OF ENHANCED DUPLICATE PAYMENT CHECK ---
-
-        let transaction;
-        let metadataCurrencyPaid;
-        let metadataExchangeRate;
-        let actualAmountPaidUsd;
-
-        if (paymentMethod === 'paystack') {
-            const paystackResponse = await axios.get(
-                `https://api.paystack.co/transaction/verify/${reference}`,
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    }
-                }
-            );
-
-            if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
-                console.error('Paystack verification failed:ᐟ', paystackResponse.data.data.gateway_response);
-                return res.status(400).json({ error: paystackResponse.data.data.gateway_response || 'Payment verification failed.ᐟ' });
-            }
-            transaction = paystackResponse.data.data;
-            metadataCurrencyPaid = transaction.metadata.currency_paid;
-            metadataExchangeRate = transaction.metadata.exchange_rate_usd_to_kes;
-            actualAmountPaidUsd = parseFloat((transaction.amount / 100 / metadataExchangeRate).toFixed(2));
-        } else if (paymentMethod === 'korapay') {
-            const korapayResponse = await axios.get(
-                `${KORAPAY_BASE_URL}/charges/${reference}`,
-                {
-                    headers: {
-                        Authorization: `Bearer ${KORAPAY_SECRET_KEY}`,
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    },
-                    httpsAgent: httpsAgent,
-                    httpAgent: httpAgent
-                }
-            );
-
-            if (!korapayResponse.data.status || korapayResponse.data.data.status !== 'success') {
-                console.error('KoraPay verification failed:ᐟ', korapayResponse.data.message || korapayResponse.data.errors);
-                return res.status(400).json({ error: korapayResponse.data.message || 'Payment verification failed with KoraPay.ᐟ' });
-            }
-            transaction = korapayResponse.data.data;
-            const amountPaidKes = parseFloat(transaction.amount);
-            actualAmountPaidUsd = parseFloat((amountPaidKes / EXCHANGE_RATE_USD_TO_KES).toFixed(2));
-            metadataCurrencyPaid = 'KES';
-            metadataExchangeRate = EXCHANGE_RATE_USD_TO_KES;
-            
-            transaction.metadata = {
-                related_job_id: relatedJobId,
-                related_job_type: 'direct_upload',
-                client_id: req.user.userId, 
-                transcriber_id: transaction.metadata?.transcriber_id || null, 
-                agreed_price_usd: actualAmountPaidUsd,
-                currency_paid: metadataCurrencyPaid,
-                exchange_rate_usd_to_kes: metadataExchangeRate,
-                amount_paid_kes: amountPaidKes
-            };
-            transaction.paid_at = transaction.createdAt ? new Date(transaction.createdAt).toISOString() : new Date().toISOString(); 
+        const verification = await gateway.verify(reference);
+        if (!verification.success) {
+            console.error(`${gateway.displayName} verification failed:ᐟ`, verification.message);
+            return res.status(400).json({ error: verification.message });
         }
 
-        const {
-            related_job_id: metadataRelatedJobId,
-            related_job_type: metadataRelatedJobType,
-            client_id: metadataClientId,
-            transcriber_id: metadataTranscriberIdRaw,
-            agreed_price_usd: metadataAgreedPrice, 
-            currency_paid: metadataCurrencyPaidFromMeta,
-            exchange_rate_usd_to_kes: metadataExchangeRateFromMeta,
-            amount_paid_kes: metadataAmountPaidKes
-        } = transaction.metadata;
-
-        const finalTranscriberId = (metadataTranscriberIdRaw === '' || metadataTranscriberIdRaw === undefined) ? null : metadataTranscriberIdRaw;
-
-        if (metadataRelatedJobId !== relatedJobId || metadataRelatedJobType !== 'direct_upload') {
-            console.error('Metadata job ID or type mismatch:ᐟ', metadataRelatedJobId, relatedJobId, metadataRelatedJobType);
+        if (!chargeMatchesJob(verification.metadata, relatedJobId, 'direct_upload')) {
+            console.error('Metadata job ID or type mismatch:ᐟ', verification.metadata.related_job_id, relatedJobId, verification.metadata.related_job_type);
             return res.status(400).json({ error: 'Invalid transaction metadata (job ID or type mismatch).ᐟ' });
         }
 
-        if (Math.round(actualAmountPaidUsd * 100) !== Math.round(metadataAgreedPrice * 100)) {
-            console.error('[verifyDirectUploadPayment] Payment verification amount mismatch. Transaction amount (USD):ᐟ', actualAmountPaidUsd, 'Expected Quote Amount (USD):', metadataAgreedPrice); 
-            return res.status(400).json({ error: 'Invalid transaction metadata (amount mismatch). Payment charged a different amount than expected.ᐟ' });
-        }
-        
-        let currentJob;
-        let updateTable = 'direct_upload_jobs';
-        let updateStatusColumn = 'status';
-        let newJobStatus = 'available_for_transcriber'; 
+        const { outcome, payment } = await fulfillDirectUploadPayment({
+            directUploadJobId: relatedJobId,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
 
-        const { data, error } = await supabase
-            .from('direct_upload_jobs')
-            .select('id, client_id, transcriber_id, quote_amount, status')
-            .eq('id', relatedJobId)
-            .single();
-        if (error || !data) {
-            console.error(`Error fetching direct upload job ${relatedJobId} during payment verification: `, error);
+        if (outcome === 'job_not_found') {
             return res.status(404).json({ error: 'Direct upload job not found for verification.ᐟ' });
         }
-        currentJob = data;
-        
-        // This check is for job *status*, not payment record. We keep it as it prevents re-processing job state.
-        if (currentJob.status === 'available_for_transcriber' || currentJob.status === 'taken' || currentJob.status === 'in_progress' || currentJob.status === 'completed' || currentJob.status === 'client_completed') {
-             return res.status(200).json({ message: 'Payment already processed and direct upload job already active.ᐟ' });
-        }
-        
-        const transcriberPayAmount = calculateTranscriberEarning(actualAmountPaidUsd);
-        const payoutWeekEndDate = getNextFriday(new Date(transaction.paid_at)); 
-
-        const paymentData = {
-            related_job_type: 'direct_upload',
-            client_id: metadataClientId,
-            transcriber_id: finalTranscriberId, 
-            amount: actualAmountPaidUsd,
-            transcriber_earning: transcriberPayAmount,
-            currency: 'USD',
-            paystack_reference: paymentMethod === 'paystack' ? transaction.reference : null,
-            korapay_reference: paymentMethod === 'korapay' ? transaction.reference : null,
-            paystack_status: paymentMethod === 'paystack' ? transaction.status : null,
-            korapay_status: paymentMethod === 'korapay' ? transaction.status : null,
-            transaction_date: new Date(transaction.paid_at).toISOString(),
-            payout_status: 'pending', 
-            payout_week_end_date: payoutWeekEndDate, 
-            currency_paid_by_client: metadataCurrencyPaidFromMeta,
-            exchange_rate_used: metadataExchangeRateFromMeta
-        };
-
-        paymentData.direct_upload_job_id = relatedJobId;
-        paymentData.negotiation_id = null;
-
-        console.log('[verifyDirectUploadPayment] Final paymentData before insertion:', paymentData); 
-
-        const { data: paymentRecord, error: paymentError } = await supabase
-            .from('payments')
-            .insert([paymentData])
-            .select()
-            .single();
-
-        if (paymentError) {
-            console.error('Error recording payment in Supabase: ', paymentError);
-            throw paymentError;
-        }
-
-        const { error: jobUpdateError } = await supabase
-            .from(updateTable)
-            .update({ [updateStatusColumn]: newJobStatus, updated_at: new Date().toISOString() })
-            .eq('id', relatedJobId);
-
-        if (jobUpdateError) {
-            console.error(`Error updating job status to ${newJobStatus} for direct upload job ${relatedJobId}: `, jobUpdateError);
-            throw jobUpdateError;
-        }
-
-        const { data: clientUser, error: clientError } = await supabase.from('users').select('full_name, email').eq('id', metadataClientId).single();
-        const transcriberUser = (finalTranscriberId)
-            ? (await supabase.from('users').select('full_name, email').eq('id', finalTranscriberId).single()).data
-            : null;
-
-        if (clientError) console.error('Error fetching client for payment email: ', clientError);
-        if (transcriberUser === null && finalTranscriberId) console.error('Error fetching transcriber for payment email: ', clientError);
-
-        if (clientUser) {
-            await emailService.sendPaymentConfirmationEmail(clientUser, transcriberUser, currentJob, paymentRecord);
+        if (outcome === 'amount_mismatch') {
+            return res.status(400).json({ error: 'Invalid transaction metadata (amount mismatch). Payment charged a different amount than expected.ᐟ' });
         }
-
-        if (io) {
-            io.to(metadataClientId).emit('payment_successful', {
-                relatedJobId: relatedJobId,
-                jobType: 'direct_upload',
-                message: 'Your payment was successful and the job is now active!ᐟ',
-                newStatus: newJobStatus
-            });
-            io.emit('direct_job_paid', {
-                jobId: relatedJobId,
-                message: `A direct upload job has been paid for and is now available!`,
-                newStatus: newJobStatus
-            });
-            console.log(`Emitted 'payment_successful' to client ${metadataClientId} and 'direct_job_paid' to all transcribers.`);
+        if (outcome === 'already_processed') {
+            if (payment) {
+                return res.status(200).json({ message: 'Payment already processed and recorded.ᐟ', transaction: payment });
+            }
+            return res.status(200).json({ message: 'Payment already processed and direct upload job already active.ᐟ' });
         }
 
         res.status(200).json({
             message: 'Payment verified successfully and job is now active.ᐟ',
-            transaction: transaction
+            transaction: verification.transaction
         });
 
     } catch (error) {
@@ -1634,6 +1591,12 @@ const deleteDirectUploadJob = async (req, res, io) => { // Added io parameter fo
         }
         console.log(`Deleted messages for direct upload job ${jobId}.`);
 
+        // NEW: Delivered transcripts go with the job
+        try {
+            await deleteJobDeliverables('direct_upload', jobId);
+        } catch (deliverableError) {
+            console.error(`Error deleting deliverables for direct upload job ${jobId}:`, deliverableError);
+        }
 
         // Delete main file
         if (job.file_name) {
@@ -0,0 +1,217 @@
+const supabase = require('..//database');
+const {
+    HOLD_OUTCOMES,
+    placeDisputeHolds,
+    resolveDisputeHolds,
+    getPayoutHoldEvents
+} = require('..//utils/payoutHolds');
+
+/**
+ * NEW: Opening and resolving disputes on negotiated jobs. Either party can open one; while it is open the
+ * job's payouts are held, and the admin's resolution releases, reduces or voids them. See utils/payoutHolds.js.
+ * Dispute columns added: opened_by, resolved_by, resolution_outcome, payout_percentage.
+ * A job has at most one open dispute: a partial unique index on disputes (negotiation_id) where status = 'open'
+ * makes the loser of two simultaneous openings fail with 23505, which is answered like the existing-dispute check.
+ */
+
+const DISPUTE_ALREADY_OPEN_ERROR = 'A dispute is already open for this job.ᐟ';
+
+// Negotiation statuses in which the work has started, so there is something to dispute.
+const DISPUTABLE_STATUSES = ['hired', 'delivered_awaiting_payment', 'completed'];
+
+const openDispute = async (req, res, io) => {
+    const { negotiationId } = req.params;
+    const { reason, description } = req.body;
+    const userId = req.user.userId;
+
+    if (!reason || !String(reason).trim()) {
+        return res.status(400).json({ error: 'A reason is required to open a dispute.ᐟ' });
+    }
+
+    try {
+        const { data: negotiation, error: negotiationError } = await supabase
+            .from('negotiations')
+            .select('id, client_id, transcriber_id, status')
+            .eq('id', negotiationId)
+            .single();
+
+        if (negotiationError || !negotiation) {
+            return res.status(404).json({ error: 'Negotiation not found.ᐟ' });
+        }
+        if (negotiation.client_id !== userId && negotiation.transcriber_id !== userId) {
+            return res.status(403).json({ error: 'You are not a party to this negotiation.ᐟ' });
+        }
+        if (!DISPUTABLE_STATUSES.includes(negotiation.status)) {
+            return res.status(400).json({ error: `Disputes can only be opened once a job is under way. Current status: ${negotiation.status}` });
+        }
+
+        const { data: existing, error: existingError } = await supabase
+            .from('disputes')
+            .select('id')
+            .eq('negotiation_id', negotiationId)
+            .eq('status', 'open')
+            .limit(1)
+            .maybeSingle();
+
+        if (existingError) throw existingError;
+        if (existing) {
+            return res.status(409).json({ error: DISPUTE_ALREADY_OPEN_ERROR, disputeId: existing.id });
+        }
+
+        const { data: dispute, error: insertError } = await supabase
+            .from('disputes')
+            .insert([{
+                negotiation_id: negotiationId,
+                client_id: negotiation.client_id,
+                transcriber_id: negotiation.transcriber_id,
+                opened_by: userId,
+                reason: String(reason).trim(),
+                description: description || null,
+                status: 'open',
+                opened_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (insertError) {
+            if (insertError.code === '23505') {
+                return res.status(409).json({ error: DISPUTE_ALREADY_OPEN_ERROR });
+            }
+            throw insertError;
+        }
+
+        const { held, notHeld } = await placeDisputeHolds(dispute, userId);
+
+        if (io) {
+            const otherParty = userId === negotiation.client_id ? negotiation.transcriber_id : negotiation.client_id;
+            if (otherParty) {
+                io.to(otherParty).emit('dispute_opened', {
+                    disputeId: dispute.id,
+                    negotiationId,
+                    message: 'A dispute has been opened on one of your jobs. An admin will review it.'
+                });
+            }
+            if (negotiation.transcriber_id && held.length > 0) {
+                io.to(negotiation.transcriber_id).emit('payout_on_hold', {
+                    disputeId: dispute.id,
+                    negotiationId,
+                    paymentIds: held.map(payment => payment.id),
+                    message: 'Payouts for this job are on hold until the dispute is resolved.'
+                });
+            }
+        }
+
+        res.status(201).json({
+            message: 'Dispute opened. Payouts for this job are on hold until it is resolved.',
+            dispute,
+            heldPayments: held.map(payment => ({ paymentId: payment.id, transcriberEarning: payment.transcriber_earning })),
+            notHeldPayments: notHeld
+        });
+    } catch (error) {
+        console.error(`[openDispute] Error opening dispute for negotiation ${negotiationId}:`, error);
+        res.status(500).json({ error: 'Server error opening dispute.ᐟ' });
+    }
+};
+
+const resolveDispute = async (req, res, io) => {
+    const { disputeId } = req.params;
+    const { outcome, payoutPercentage, resolutionNotes } = req.body;
+    const adminId = req.user.userId;
+
+    if (!HOLD_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: `outcome must be one of: ${HOLD_OUTCOMES.join(', ')}.ᐟ` });
+    }
+    const percentage = Number(payoutPercentage);
+    if (outcome === 'reduce' && (!Number.isFinite(percentage) || percentage <= 0 || percentage >= 100)) {
+        return res.status(400).json({ error: 'A reduced payout needs a payoutPercentage between 0 and 100.ᐟ' });
+    }
+
+    try {
+        const { data: dispute, error: fetchError } = await supabase
+            .from('disputes')
+            .select('*')
+            .eq('id', disputeId)
+            .single();
+
+        if (fetchError || !dispute) {
+            return res.status(404).json({ error: 'Dispute not found.ᐟ' });
+        }
+        if (dispute.status !== 'open') {
+            return res.status(400).json({ error: `Dispute is already ${dispute.status}.ᐟ` });
+        }
+
+        // UPDATED: The holds are settled before the dispute is closed, so a settlement that fails partway leaves
+        // the dispute open for the admin to resolve again. Each hold is settled only from 'on_hold', so a
+        // retry or a second resolve never settles the same payment twice.
+        const settledPayments = await resolveDisputeHolds(dispute, {
+            outcome,
+            payoutPercentage: percentage,
+            notes: resolutionNotes || null
+        }, adminId);
+
+        const { data: resolvedDispute, error: updateError } = await supabase
+            .from('disputes')
+            .update({
+                status: 'resolved',
+                resolution_outcome: outcome,
+                payout_percentage: outcome === 'reduce' ? percentage : null,
+                resolution_notes: resolutionNotes || null,
+                resolved_by: adminId,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('id', disputeId)
+            .eq('status', 'open')
+            .select()
+            .maybeSingle();
+
+        if (updateError) throw updateError;
+        if (!resolvedDispute) {
+            return res.status(409).json({ error: 'Dispute was resolved by another request.ᐟ', settledPayments });
+        }
+
+        if (io) {
+            const message = `The dispute on your job has been resolved (${outcome}).`;
+            for (const partyId of [dispute.client_id, dispute.transcriber_id].filter(Boolean)) {
+                io.to(partyId).emit('dispute_resolved', { disputeId, negotiationId: dispute.negotiation_id, outcome, message });
+            }
+            if (dispute.transcriber_id && settledPayments.length > 0) {
+                io.to(dispute.transcriber_id).emit('payout_hold_resolved', {
+                    disputeId,
+                    negotiationId: dispute.negotiation_id,
+                    outcome,
+                    payments: settledPayments.map(payment => ({ paymentId: payment.id, payoutStatus: payment.payout_status, transcriberEarning: payment.transcriber_earning }))
+                });
+            }
+        }
+
+        res.status(200).json({
+            message: outcome === 'void'
+                ? 'Dispute resolved and held payouts voided. Refund the client through the payment refund endpoint if due.'
+                : 'Dispute resolved and held payouts settled.',
+            dispute: resolvedDispute,
+            settledPayments
+        });
+    } catch (error) {
+        console.error(`[resolveDispute] Error resolving dispute ${disputeId}:`, error);
+        res.status(500).json({ error: 'Server error resolving dispute.ᐟ' });
+    }
+};
+
+// Admin audit trail of every hold placed and settled for a dispute.
+const getDisputePayoutHolds = async (req, res) => {
+    const { disputeId } = req.params;
+
+    try {
+        const events = await getPayoutHoldEvents(disputeId);
+        res.status(200).json({ disputeId, events });
+    } catch (error) {
+        console.error(`[getDisputePayoutHolds] Error fetching payout holds for dispute ${disputeId}:`, error);
+        res.status(500).json({ error: 'Server error fetching payout holds.ᐟ' });
+    }
+};
+
+module.exports = {
+    openDispute,
+    resolveDispute,
+    getDisputePayoutHolds
+};
@@ -2,31 +2,35 @@ const supabase = require('../database');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const {
     sendNewNegotiationRequestEmail,
     sendTranscriberCounterOfferEmail,
     sendClientCounterBackEmail,
     sendNegotiationAcceptedEmail,
-    sendPaymentConfirmationEmail,
     sendNegotiationRejectedEmail,
     sendJobCompletedEmailToTranscriber,
     sendJobCompletedEmailToClient
 } = require('../emailService');
 
-const axios = require('axios');
-const { calculateTranscriberEarning, convertUsdToKes, EXCHANGE_RATE_USD_TO_KES } = require('../utils/paymentUtils');
-const http = require('http');
-const https = require('https');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
-const KORAPAY_SECRET_KEY = process.env.KORAPAY_SECRET_KEY;
-const KORAPAY_PUBLIC_KEY = process.env.KORAPAY_PUBLIC_KEY;
-const KORAPAY_BASE_URL = process.env.KORAPAY_BASE_URL || 'https://api-sandbox.korapay.com/v1';
-const KORAPAY_WEBHOOK_URL = process.env.KORAPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment/korapay-webhook';
-
-const httpAgent = new http.Agent({ family: 4 });
-const httpsAgent = new https.Agent({ family: 4 });
+const { getGateway, resolveChargeCurrency, chargeMatchesJob } = require('../utils/paymentGateway');
+const { fulfillNegotiationPayment } = require('../utils/paymentFulfillment');
+const { recordEscrowRelease } = require('../utils/ledger');
+const { getAmountDueUsd, confirmPromoCodeBeforePayment } = require('../utils/promoCodes');
+const {
+    MILESTONE_PAYABLE_STATUS,
+    SCHEDULE_EDITABLE_STATUSES,
+    validateMilestoneSchedule,
+    getNegotiationMilestones: fetchNegotiationMilestones,
+    saveMilestoneSchedule,
+    priceMilestones,
+    getNextMilestone,
+    hasUnpaidMilestones,
+    markMilestonesReleased
+} = require('../utils/negotiationMilestones');
+const { recordNegotiationOffer, getNegotiationOffers, getLatestOffers } = require('../utils/negotiationOffers');
+const { MAX_RFQ_TRANSCRIBERS, getRfqNegotiations } = require('../utils/negotiationRfq');
+const { checkDeliverableAcknowledgement, acknowledgeDeliverable, deleteJobDeliverables } = require('../utils/jobDeliverables');
 
 const { syncAvailabilityStatus } = require('./transcriberController');
 
@@ -233,13 +237,23 @@ const tempUploadNegotiationFile = async (req, res) => {
 
 const createNegotiation = async (req, res, next, io) => {
   try {
-    const { transcriber_id, requirements, proposed_price_usd, deadline_hours, negotiation_file_url } = req.body;
+    const { transcriber_id, requirements, proposed_price_usd, deadline_hours, negotiation_file_url, milestones } = req.body;
     const clientId = req.user.userId;
 
     if (!transcriber_id || !requirements || !proposed_price_usd || !deadline_hours || !negotiation_file_url) {
       return res.status(400).json({ error: 'All fields (transcriber_id, requirements, proposed_price_usd, deadline_hours, and negotiation_file_url) are required.ᐟ' });
     }
 
+    // NEW: Optional milestone schedule; without one the job is paid in full on hire.
+    let milestoneSchedule = [];
+    if (milestones && milestones.length > 0) {
+      const { schedule, error: scheduleError } = validateMilestoneSchedule(milestones);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+      milestoneSchedule = schedule;
+    }
+
     const tempFilePath = path.join('uploads/temp_negotiation_files', negotiation_file_url);
     if (!fs.existsSync(tempFilePath)) {
         return res.status(400).json({ error: 'Uploaded file not found on server. Please re-upload the file.ᐟ' });
@@ -332,6 +346,8 @@ const createNegotiation = async (req, res, next, io) => {
     }
 
     const newNegotiation = data;
+    await recordNegotiationOffer(newNegotiation, { action: 'proposal', actorId: clientId, actorRole: 'client', message: requirements });
+    const newMilestones = milestoneSchedule.length > 0 ? await saveMilestoneSchedule(newNegotiation.id, milestoneSchedule) : [];
 
     if (io) {
       io.to(transcriber_id).emit('new_negotiation_request', {
@@ -359,7 +375,8 @@ const createNegotiation = async (req, res, next, io) => {
 
     res.status(201).json({
       message: 'Negotiation request sent successfully',
-      negotiation: newNegotiation,
+      negotiation: { ...newNegotiation, milestone_count: newMilestones.length, milestones_cleared: 0 },
+      milestones: newMilestones,
       transcriber_name: transcriberUser.full_name
     });
 
@@ -369,6 +386,185 @@ const createNegotiation = async (req, res, next, io) => {
   }
 };
 
+// NEW: Request-for-quote. Sends the same job to several transcribers at once (see utils/negotiationRfq.js);
+// each gets its own negotiation and copy of the file, and paying one closes the rest.
+const createRfqNegotiation = async (req, res, next, io) => {
+  const { transcriber_ids, requirements, proposed_price_usd, deadline_hours, negotiation_file_url, milestones } = req.body;
+  const clientId = req.user.userId;
+  const tempFilePath = negotiation_file_url ? path.join('uploads/temp_negotiation_files', negotiation_file_url) : null;
+  const removeTempFile = () => {
+    if (tempFilePath && fs.existsSync(tempFilePath)) fs.unlinkSync(tempFilePath);
+  };
+  const savedFiles = [];
+
+  try {
+    if (!Array.isArray(transcriber_ids) || !requirements || !proposed_price_usd || !deadline_hours || !negotiation_file_url) {
+      return res.status(400).json({ error: 'All fields (transcriber_ids, requirements, proposed_price_usd, deadline_hours, and negotiation_file_url) are required.ᐟ' });
+    }
+    const transcriberIds = [...new Set(transcriber_ids)];
+    if (transcriberIds.length < 2 || transcriberIds.length > MAX_RFQ_TRANSCRIBERS) {
+      return res.status(400).json({ error: `Choose between 2 and ${MAX_RFQ_TRANSCRIBERS} different transcribers for a request-for-quote.ᐟ` });
+    }
+
+    let milestoneSchedule = [];
+    if (milestones && milestones.length > 0) {
+      const { schedule, error: scheduleError } = validateMilestoneSchedule(milestones);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+      milestoneSchedule = schedule;
+    }
+
+    if (!fs.existsSync(tempFilePath)) {
+        return res.status(400).json({ error: 'Uploaded file not found on server. Please re-upload the file.ᐟ' });
+    }
+
+    // Same availability rules as getAvailableTranscribers.
+    const { data: candidates, error: transcribersError } = await supabase
+      .from('users')
+      .select('id, full_name, email, transcriber_user_level')
+      .in('id', transcriberIds)
+      .eq('user_type', 'transcriber')
+      .eq('is_online', true)
+      .is('current_job_id', null)
+      .eq('transcriber_status', 'active_transcriber');
+
+    if (transcribersError) throw transcribersError;
+    const transcribers = candidates.filter(user => user.transcriber_user_level !== 'trainee');
+    if (transcribers.length !== transcriberIds.length) {
+      removeTempFile();
+      const availableIds = new Set(transcribers.map(t => t.id));
+      return res.status(404).json({
+        error: 'Some of the chosen transcribers are not online or not available for new jobs.ᐟ',
+        unavailableTranscriberIds: transcriberIds.filter(id => !availableIds.has(id))
+      });
+    }
+
+    const { data: existingNegotiations, error: existingNegError } = await supabase
+      .from('negotiations')
+      .select('transcriber_id')
+      .eq('client_id', clientId)
+      .in('transcriber_id', transcriberIds)
+      .eq('status', 'pending');
+
+    if (existingNegError) throw existingNegError;
+    if (existingNegotiations.length > 0) {
+      removeTempFile();
+      return res.status(400).json({
+        error: 'You already have a pending negotiation with some of these transcribers. Please wait for their response or cancel the existing one.ᐟ',
+        busyTranscriberIds: [...new Set(existingNegotiations.map(n => n.transcriber_id))]
+      });
+    }
+
+    // Each negotiation owns its file, so deleting one negotiation never removes another's.
+    const permanentUploadDir = 'uploads/negotiation_files';
+    if (!fs.existsSync(permanentUploadDir)) {
+      fs.mkdirSync(permanentUploadDir, { recursive: true });
+    }
+    const extension = path.extname(negotiation_file_url);
+    const baseName = path.basename(negotiation_file_url, extension);
+    const fileNames = transcribers.map((transcriber, index) => `${baseName}-rfq${index + 1}${extension}`);
+    for (const fileName of fileNames) {
+      fs.copyFileSync(tempFilePath, path.join(permanentUploadDir, fileName));
+      savedFiles.push(path.join(permanentUploadDir, fileName));
+    }
+    removeTempFile();
+
+    const rfqId = crypto.randomUUID();
+    const dueDate = new Date(Date.now() + deadline_hours * 60 * 60 * 1000);
+    const { data: negotiations, error: insertError } = await supabase
+      .from('negotiations')
+      .insert(transcribers.map((transcriber, index) => ({
+        client_id: clientId,
+        transcriber_id: transcriber.id,
+        rfq_id: rfqId,
+        requirements: requirements,
+        agreed_price_usd: proposed_price_usd,
+        deadline_hours: deadline_hours,
+        due_date: dueDate.toISOString(),
+        client_message: `Budget: USD ${proposed_price_usd}, Deadline: ${deadline_hours} hours`,
+        negotiation_files: fileNames[index],
+        status: 'pending'
+      })))
+      .select();
+
+    if (insertError) {
+      console.error('createRfqNegotiation: Supabase error inserting negotiations:', insertError);
+      throw insertError;
+    }
+    savedFiles.length = 0;
+
+    const transcriberMap = new Map(transcribers.map(t => [t.id, t]));
+    const clientDetailsForEmail = { full_name: req.user.full_name, email: req.user.email };
+    const created = [];
+    for (const negotiation of negotiations) {
+      await recordNegotiationOffer(negotiation, { action: 'proposal', actorId: clientId, actorRole: 'client', message: requirements });
+      const newMilestones = milestoneSchedule.length > 0 ? await saveMilestoneSchedule(negotiation.id, milestoneSchedule) : [];
+      const transcriber = transcriberMap.get(negotiation.transcriber_id);
+
+      if (io) {
+        io.to(transcriber.id).emit('new_negotiation_request', {
+          negotiationId: negotiation.id,
+          clientId: clientId,
+          clientName: req.user.full_name,
+          rfqId: rfqId,
+          message: `You have a new negotiation request from ${req.user.full_name}. Other transcribers were asked to quote too.`,
+          newStatus: 'pending'
+        });
+      }
+      if (transcriber.email && clientDetailsForEmail.email) {
+        await sendNewNegotiationRequestEmail({ full_name: transcriber.full_name, email: transcriber.email }, clientDetailsForEmail);
+      }
+
+      created.push({
+        ...negotiation,
+        milestone_count: newMilestones.length,
+        milestones_cleared: 0,
+        milestones: newMilestones,
+        transcriber_name: transcriber.full_name
+      });
+    }
+
+    res.status(201).json({
+      message: `Request-for-quote sent to ${created.length} transcribers.`,
+      rfq_id: rfqId,
+      negotiations: created
+    });
+
+  } catch (error) {
+    console.error('createRfqNegotiation: UNCAUGHT EXCEPTION:', error);
+    removeTempFile();
+    savedFiles.forEach(filePath => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+    res.status(500).json({ error: error.message || 'Failed to send the request-for-quote due to server error.ᐟ' });
+  }
+};
+
+// NEW: All quotes of one request-for-quote, for the client to compare.
+const getRfqQuotes = async (req, res) => {
+  try {
+    const { rfqId } = req.params;
+    const negotiations = await getRfqNegotiations(rfqId);
+
+    if (negotiations.length === 0) {
+      return res.status(404).json({ error: 'Request-for-quote not found.ᐟ' });
+    }
+    if (req.user.userType !== 'admin' && negotiations[0].client_id !== req.user.userId) {
+      return res.status(403).json({ error: 'You are not authorized to view this request-for-quote.ᐟ' });
+    }
+
+    const latestOffers = await getLatestOffers(negotiations.map(n => n.id));
+    res.json({
+      rfq_id: rfqId,
+      negotiations: negotiations.map(n => ({ ...n, latest_offer: latestOffers.get(n.id) || null }))
+    });
+  } catch (error) {
+    console.error('[getRfqQuotes] Error fetching request-for-quote:', error);
+    res.status(500).json({ error: error.message || 'Failed to fetch the request-for-quote.ᐟ' });
+  }
+};
+
 const getClientNegotiations = async (req, res) => {
   try {
     const clientId = req.user.userId;
@@ -391,7 +587,10 @@ const getClientNegotiations = async (req, res) => {
         client_feedback_comment, 
         client_feedback_rating,  
         client_id,
-        transcriber_id
+        transcriber_id,
+        rfq_id,
+        milestone_count,
+        milestones_cleared
       `)
       .eq('client_id', clientId)
       .order('created_at', { ascending: false });
@@ -430,12 +629,16 @@ const getClientNegotiations = async (req, res) => {
         }
     }
 
+    // NEW: The latest entry in each negotiation's offer history.
+    const latestOffers = await getLatestOffers(negotiations.map(n => n.id));
+
     const negotiationsWithTranscribers = negotiations.map(negotiation => {
         const transcriberData = transcriberMap.get(negotiation.transcriber_id);
         
         return {
             ...negotiation,
             jobType: 'negotiation',
+            latest_offer: latestOffers.get(negotiation.id) || null,
             transcriber_info: transcriberData ? { 
                 id: transcriberData.id,
                 full_name: transcriberData.full_name,
@@ -524,12 +727,16 @@ const getTranscriberNegotiations = async (req, res) => {
       });
     }
 
+    // NEW: The latest entry in each negotiation's offer history.
+    const latestOffers = await getLatestOffers(negotiations.map(n => n.id));
+
     const negotiationsWithClients = negotiations.map(negotiation => {
         const { client, transcriber, ...rest } = negotiation;
 
         return {
             ...rest,
             jobType: 'negotiation',
+            latest_offer: latestOffers.get(negotiation.id) || null,
             client_info: client ? {
                 id: client.id,
                 full_name: client.full_name,
@@ -581,7 +788,7 @@ const deleteNegotiation = async (req, res, io) => {
 
     const { data: negotiation, error: fetchError } = await supabase
       .from('negotiations')
-      .select('status, client_id, negotiation_files, transcriber_id')
+      .select('status, client_id, negotiation_files, transcriber_id, milestones_cleared')
       .eq('id', negotiationId)
       .single();
 
@@ -594,10 +801,14 @@ const deleteNegotiation = async (req, res, io) => {
           return res.status(403).json({ error: 'You are not authorized to delete this negotiation.ᐟ' });
         }
 
-        const deletableStatuses = ['pending', 'accepted_awaiting_payment', 'rejected', 'cancelled', 'transcriber_counter', 'client_counter', 'completed'];
+        const deletableStatuses = ['pending', 'accepted_awaiting_payment', 'rejected', 'cancelled', 'transcriber_counter', 'client_counter', 'completed', 'expired', 'rfq_closed'];
         if (!deletableStatuses.includes(negotiation.status)) {
           return res.status(400).json({ error: `Negotiations with status '${negotiation.status}' cannot be deleted. Only ${deletableStatuses.join(', ')} can be deleted by a client.ᐟ` });
         }
+        // NEW: A partly paid milestone job holds the client's money in escrow.
+        if (negotiation.status === 'accepted_awaiting_payment' && negotiation.milestones_cleared > 0) {
+          return res.status(400).json({ error: 'This negotiation has paid milestones and cannot be deleted. Contact support to cancel it.ᐟ' });
+        }
     }
 
     if (negotiation.transcriber_id && (negotiation.status === 'hired' || negotiation.status === 'completed')) {
@@ -617,6 +828,18 @@ const deleteNegotiation = async (req, res, io) => {
     }
     console.log(`Deleted messages for negotiation ${negotiationId}.`);
 
+    const { error: deleteOffersError } = await supabase
+        .from('negotiation_offers')
+        .delete()
+        .eq('negotiation_id', negotiationId);
+
+    if (deleteOffersError) {
+        console.error(`Error deleting offer history for negotiation ${negotiationId}:`, deleteOffersError);
+        throw deleteOffersError;
+    }
+
+    await deleteJobDeliverables('negotiation', negotiationId);
+
 
     if (negotiation.negotiation_files) {
       const filePath = path.join('uploads/negotiation_files', negotiation.negotiation_files);
@@ -683,6 +906,7 @@ const acceptNegotiation = async (req, res, io) => {
             .single();
 
         if (updateError) throw updateError;
+        await recordNegotiationOffer(updatedNegotiation, { action: 'accept', actorId: transcriberId, actorRole: 'transcriber' });
 
         if (io) {
             io.to(negotiation.client_id).emit('negotiation_accepted', {
@@ -750,6 +974,7 @@ const counterNegotiation = async (req, res, io) => {
             .single();
 
         if (updateError) throw updateError;
+        await recordNegotiationOffer(updatedNegotiation, { action: 'counter', actorId: transcriberId, actorRole: 'transcriber', message: transcriber_response });
 
         if (io) {
             io.to(negotiation.client_id).emit('negotiation_countered', {
@@ -807,6 +1032,7 @@ const rejectNegotiation = async (req, res, io) => {
             .single();
 
         if (updateError) throw updateError;
+        await recordNegotiationOffer(updatedNegotiation, { action: 'reject', actorId: transcriberId, actorRole: 'transcriber', message: reason });
 
         if (io) {
             io.to(negotiation.client_id).emit('negotiation_rejected', {
@@ -863,6 +1089,7 @@ const clientAcceptCounter = async (req, res, io) => {
             .single();
 
         if (updateError) throw updateError;
+        await recordNegotiationOffer(updatedNegotiation, { action: 'accept', actorId: clientId, actorRole: 'client' });
 
         if (io) {
             io.to(negotiation.transcriber_id).emit('negotiation_accepted', {
@@ -919,7 +1146,8 @@ const clientRejectCounter = async (req, res, io) => {
             .select()
             .single();
 
-        if (updateError) throw error;
+        if (updateError) throw updateError;
+        await recordNegotiationOffer(updatedNegotiation, { action: 'reject', actorId: clientId, actorRole: 'client', message: client_response });
 
         if (io) {
             io.to(negotiation.transcriber_id).emit('negotiation_rejected', {
@@ -994,6 +1222,7 @@ const clientCounterBack = async (req, res, io) => {
             console.error('Client counter back: Supabase error updating negotiation:', updateError);
             throw updateError;
         }
+        await recordNegotiationOffer(updatedNegotiation, { action: 'counter', actorId: clientId, actorRole: 'client', message: client_response });
 
         if (io) {
             io.to(negotiation.transcriber_id).emit('negotiation_countered', {
@@ -1019,10 +1248,11 @@ const clientCounterBack = async (req, res, io) => {
     }
 };
 
+// UPDATED: The client acknowledges the deliverable version they reviewed (deliverableId) when completing.
 const markJobCompleteByClient = async (req, res, io) => {
     try {
         const { negotiationId } = req.params;
-        const { clientFeedbackComment, clientFeedbackRating } = req.body;
+        const { clientFeedbackComment, clientFeedbackRating, deliverableId } = req.body;
         const clientId = req.user.userId;
         const userType = req.user.userType;
 
@@ -1032,7 +1262,7 @@ const markJobCompleteByClient = async (req, res, io) => {
 
         const { data: negotiation, error: fetchError } = await supabase
             .from('negotiations')
-            .select('status, client_id, transcriber_id, agreed_price_usd, deadline_hours')
+            .select('status, client_id, transcriber_id, agreed_price_usd, deadline_hours, milestone_count')
             .eq('id', negotiationId)
             .single();
 
@@ -1044,38 +1274,62 @@ const markJobCompleteByClient = async (req, res, io) => {
             return res.status(403).json({ error: 'You are not authorized to mark this job as complete.ᐟ' });
         }
 
-        if (negotiation.status !== 'hired') {
-            return res.status(400).json({ error: `Job must be in 'hired' status to be marked as complete. Current status: ${negotiation.status}` });
+        // NEW: Milestone jobs are completed by paying their last milestone once the work is delivered.
+        if (negotiation.milestone_count > 0 && hasUnpaidMilestones(await fetchNegotiationMilestones(negotiationId))) {
+            return res.status(400).json({ error: 'This job still has unpaid milestones. It is completed when the final milestone is paid after delivery.ᐟ' });
+        }
+
+        // UPDATED: Transcribers complete a job by delivering it, so the client completes it from 'completed' as well.
+        if (negotiation.status !== 'hired' && negotiation.status !== 'completed') {
+            return res.status(400).json({ error: `Job must be in 'hired' or 'completed' status to be marked as complete. Current status: ${negotiation.status}` });
         }
 
+        const acknowledgement = await checkDeliverableAcknowledgement('negotiation', negotiationId, deliverableId);
+        if (acknowledgement.error) {
+            return res.status(acknowledgement.status).json({ error: acknowledgement.error });
+        }
+
+        // UPDATED: Only one completion can set client_completed_at, so ratings and counters are applied once.
         const { data: updatedNegotiation, error: updateError } = await supabase
             .from('negotiations')
             .update({ 
                 status: 'completed', 
                 completed_at: new Date().toISOString(), 
+                client_completed_at: new Date().toISOString(),
                 client_feedback_comment: clientFeedbackComment,
                 client_feedback_rating: clientFeedbackRating,
                 updated_at: new Date().toISOString() 
             })
             .eq('id', negotiationId)
+            .in('status', ['hired', 'completed'])
+            .is('client_completed_at', null)
             .select()
             .single();
 
+        if (updateError?.code === 'PGRST116') {
+            return res.status(409).json({ error: 'This job has already been marked as complete.ᐟ' });
+        }
         if (updateError) throw updateError;
+        const acknowledgedDeliverable = await acknowledgeDeliverable(acknowledgement.deliverable, clientId);
 
         // UPDATED: Update payment payout_status to 'pending' when client completes negotiation job
         console.log(`[markJobCompleteByClient] Attempting to update payment for negotiationId: ${negotiationId}, transcriber_id: ${negotiation.transcriber_id}`);
-        const { error: paymentUpdateError } = await supabase
+        const { data: releasedPayments, error: paymentUpdateError } = await supabase
             .from('payments')
             .update({ payout_status: 'pending', updated_at: new Date().toISOString() })
             .eq('negotiation_id', negotiationId)
             .eq('transcriber_id', negotiation.transcriber_id)
-            .eq('payout_status', 'awaiting_completion');
+            .eq('payout_status', 'awaiting_completion')
+            .select();
 
         if (paymentUpdateError) {
             console.error(`[markJobCompleteByClient] Error updating payment record for negotiation ${negotiationId} to 'pending':`, paymentUpdateError);
         } else {
-            console.log(`[markJobCompleteByClient] Payment record for negotiation ${negotiationId} updated to 'pending' payout status. Rows affected: ${paymentUpdateError ? 0 : 1}.`);
+            console.log(`[markJobCompleteByClient] Payment record for negotiation ${negotiationId} updated to 'pending' payout status. Rows affected: ${releasedPayments?.length || 0}.`);
+            for (const payment of releasedPayments || []) {
+                await recordEscrowRelease(payment);
+            }
+            await markMilestonesReleased(releasedPayments);
         }
 
 
@@ -1153,7 +1407,7 @@ const markJobCompleteByClient = async (req, res, io) => {
             await sendJobCompletedEmailToClient(req.user, transcriberUser, updatedNegotiation);
         }
 
-        res.json({ message: 'Job marked as complete successfully.ᐟ', negotiation: updatedNegotiation });
+        res.json({ message: 'Job marked as complete successfully.ᐟ', negotiation: updatedNegotiation, deliverable: acknowledgedDeliverable });
 
     } catch (error) {
         console.error('Error marking job as complete by client:ᐟ', error);
@@ -1166,7 +1420,7 @@ const initializeNegotiationPayment = async (req, res, io) => {
     console.log('[initializeNegotiationPayment] Received req.body:', req.body);     // Added for debugging
 
     const { negotiationId } = req.params; // Correctly get negotiationId from URL parameters
-    const { amount, email, paymentMethod = 'paystack', mobileNumber } = req.body; // Get amount and email from request body
+    const { amount, email, paymentMethod = 'paystack', mobileNumber, currency: requestedCurrency } = req.body; // Get amount and email from request body
     const clientId = req.user.userId;
 
     const finalJobId = negotiationId; // Use negotiationId from params
@@ -1178,139 +1432,93 @@ const initializeNegotiationPayment = async (req, res, io) => {
         console.error('[initializeNegotiationPayment] Validation failed: Missing required parameters.ᐟ');
         return res.status(400).json({ error: 'Negotiation ID, amount, and client email are required.ᐟ' });
     }
-    if (!['paystack', 'korapay'].includes(paymentMethod)) {
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
         console.error(`[initializeNegotiationPayment] Validation failed: Invalid payment method provided: ${paymentMethod}`);
         return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
     }
-
-    if (paymentMethod === 'paystack' && !PAYSTACK_SECRET_KEY) {
-        console.error('[initializeNegotiationPayment] PAYSTACK_SECRET_KEY is not set.ᐟ');
-        return res.status(500).json({ error: 'Paystack service not configured.ᐟ' });
+    if (!gateway.isConfigured()) {
+        console.error(`[initializeNegotiationPayment] ${gateway.displayName} keys are not set.ᐟ`);
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
-    if (paymentMethod === 'korapay' && !KORAPAY_SECRET_KEY) {
-        console.error('[initializeNegotiationPayment] KORAPAY_SECRET_KEY is not set.ᐟ');
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    const { currency, error: currencyError } = await resolveChargeCurrency(gateway, requestedCurrency);
+    if (currencyError) {
+        return res.status(400).json({ error: currencyError });
     }
 
-
     const parsedAmountUsd = parseFloat(amount);
     if (isNaN(parsedAmountUsd) || parsedAmountUsd <= 0) {
         return res.status(400).json({ error: 'Invalid payment amount.ᐟ' });
     }
 
     try {
-        let jobDetails;
-        let transcriberId;
-        let agreedPriceUsd;
-        let jobStatus;
-
-        const { data, error } = await supabase
+        const { data: fetchedNegotiation, error } = await supabase
             .from('negotiations')
-            .select('id, client_id, transcriber_id, agreed_price_usd, status')
+            .select('id, client_id, transcriber_id, agreed_price_usd, discount_amount_usd, promo_code_id, promo_code, status, milestone_count, milestones_cleared')
             .eq('id', finalJobId)
             .eq('client_id', clientId)
             .single();
-        if (error || !data) {
+        if (error || !fetchedNegotiation) {
             console.error(`[initializeNegotiationPayment] Error fetching negotiation ${finalJobId} for payment:`, error);
             return res.status(404).json({ error: 'Negotiation not found or not accessible.ᐟ' });
         }
-        jobDetails = data;
-        transcriberId = data.transcriber_id;
-        agreedPriceUsd = data.agreed_price_usd;
-        jobStatus = data.status;
-        if (jobStatus !== 'accepted_awaiting_payment') {
-            console.error(`[initializeNegotiationPayment] Negotiation ${finalJobId} status is ${jobStatus}, not 'accepted_awaiting_payment'.`);
-            return res.status(400).json({ error: `Payment can only be initiated for accepted negotiations (status: accepted_awaiting_payment). Current status: ${jobStatus}` });
+        const usesMilestones = fetchedNegotiation.milestone_count > 0;
+        const payableStatuses = usesMilestones ? Object.values(MILESTONE_PAYABLE_STATUS) : ['accepted_awaiting_payment'];
+        if (!payableStatuses.includes(fetchedNegotiation.status)) {
+            console.error(`[initializeNegotiationPayment] Negotiation ${finalJobId} status is ${fetchedNegotiation.status}, not one of ${payableStatuses.join(', ')}.`);
+            return res.status(400).json({ error: `Payment can only be initiated for accepted negotiations (status: ${payableStatuses.join(' or ')}). Current status: ${fetchedNegotiation.status}` });
+        }
+
+        // UPDATED: A promo code that stopped being valid since it was applied is removed before charging.
+        // Once a milestone is paid the code has been redeemed and the discount is settled.
+        const promoCheck = fetchedNegotiation.milestones_cleared > 0
+            ? { valid: true, job: fetchedNegotiation }
+            : await confirmPromoCodeBeforePayment('negotiation', fetchedNegotiation);
+        const negotiation = promoCheck.job;
+        const amountDueUsd = getAmountDueUsd('negotiation', negotiation);
+        if (!promoCheck.valid) {
+            return res.status(409).json({ error: promoCheck.error, amountDue: amountDueUsd });
+        }
+
+        // NEW: Milestone jobs are charged one milestone at a time.
+        let chargeUsd = amountDueUsd;
+        let milestone = null;
+        if (usesMilestones) {
+            const next = getNextMilestone(negotiation, await fetchNegotiationMilestones(finalJobId));
+            if (!next || !next.isPayableNow) {
+                return res.status(400).json({ error: next ? `Milestone ${next.milestone.sequence_number} (${next.milestone.label}) is due on ${next.milestone.due_on}.ᐟ` : 'Every milestone of this job has been paid.ᐟ' });
+            }
+            chargeUsd = next.amountUsd;
+            milestone = next.milestone;
         }
 
-        if (Math.round(parsedAmountUsd * 100) !== Math.round(agreedPriceUsd * 100)) {
-            console.error('[initializeNegotiationPayment] Payment amount mismatch. Provided USD:', parsedAmountUsd, 'Agreed USD:', agreedPriceUsd);
+        if (Math.round(parsedAmountUsd * 100) !== Math.round(chargeUsd * 100)) {
+            console.error('[initializeNegotiationPayment] Payment amount mismatch. Provided USD:', parsedAmountUsd, 'Amount due USD:', chargeUsd);
             return res.status(400).json({ error: 'Payment amount does not match the agreed job price.ᐟ' });
         }
 
-        if (paymentMethod === 'paystack') {
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            const amountInCentsKes = Math.round(amountKes * 100);
-
-            const paystackResponse = await axios.post(
-                'https://api.paystack.co/transaction/initialize',
-                {
-                    email: finalClientEmail,
-                    amount: amountInCentsKes,
-                    reference: `${finalJobId}-${Date.now()}`,
-                    callback_url: `${CLIENT_URL}/payment-callback?relatedJobId=${finalJobId}&jobType=negotiation`,
-                    currency: 'KES',
-                    channels: ['mobile_money', 'card', 'bank_transfer', 'pesalink'],
-                    metadata: {
-                        related_job_id: finalJobId,
-                        related_job_type: 'negotiation',
-                        client_id: clientId,
-                        transcriber_id: transcriberId,
-                        agreed_price_usd: agreedPriceUsd,
-                        currency_paid: 'KES',
-                        exchange_rate_usd_to_kes: EXCHANGE_RATE_USD_TO_KES,
-                        amount_paid_kes: amountKes
-                    }
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'Content-Type': 'application/json',
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    }
-                }
-            );
-
-            if (!paystackResponse.data.status) {
-                console.error('[initializeNegotiationPayment] Paystack initialization failed:ᐟ', paystackResponse.data.message);
-                return res.status(500).json({ error: paystackResponse.data.message || 'Failed to initialize payment with Paystack.ᐟ' });
-            }
-
-            res.status(200).json({
-                message: 'Payment initialization successful',
-                data: paystackResponse.data.data
-            });
-        } else if (paymentMethod === 'korapay') {
-            if (!KORAPAY_PUBLIC_KEY) {
-                console.error('[initializeNegotiationPayment] KORAPAY_PUBLIC_KEY is not set for KoraPay frontend integration.ᐟ');
-                return res.status(500).json({ error: 'KoraPay public key not configured.ᐟ' });
-            }
+        const initialization = await gateway.initialize({
+            jobType: 'negotiation',
+            jobId: finalJobId,
+            amountUsd: chargeUsd,
+            currency,
+            email: finalClientEmail,
+            customerName: req.user.full_name,
+            clientId,
+            discount: negotiation.promo_code_id ? { code: negotiation.promo_code, amountUsd: negotiation.discount_amount_usd, originalAmountUsd: negotiation.agreed_price_usd } : null
+        });
 
-            const reference = `JOB-${finalJobId.substring(0, 8)}-${Date.now().toString(36)}`;
-            
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            const amountForKorapay = Math.round(amountKes);
-
-            const korapayCustomer = {
-                name: req.user.full_name || 'Customer',
-                email: finalClientEmail,
-            };
-            
-            const korapayData = {
-                key: KORAPAY_PUBLIC_KEY,
-                reference: reference,
-                amount: amountForKorapay, 
-                currency: 'KES',
-                customer: korapayCustomer,
-                notification_url: KORAPAY_WEBHOOK_URL,
-                metadata: {
-                    related_job_id: finalJobId,
-                    related_job_type: 'negotiation',
-                    client_id: clientId,
-                    transcriber_id: transcriberId,
-                    agreed_price_usd: agreedPriceUsd,
-                    currency_paid: 'KES',
-                    exchange_rate_usd_to_kes: EXCHANGE_RATE_USD_TO_KES,
-                    amount_paid_kes: amountKes
-                }
-            };
-            
-            res.status(200).json({
-                message: 'KoraPay payment initialization data successful',
-                korapayData: korapayData
-            });
+        if (!initialization.success) {
+            console.error(`[initializeNegotiationPayment] ${gateway.displayName} initialization failed:ᐟ`, initialization.message);
+            return res.status(500).json({ error: initialization.message });
         }
 
+        res.status(200).json({
+            message: 'Payment initialization successful',
+            ...initialization.checkout,
+            ...(milestone && { milestone: { id: milestone.id, sequenceNumber: milestone.sequence_number, label: milestone.label, amountUsd: chargeUsd } })
+        });
+
     } catch (error) {
         console.error(`[initializeNegotiationPayment] Error initializing ${paymentMethod} payment:`, error.response ? error.response.data : error.message);
         res.status(500).json({ error: `Server error during ${paymentMethod} payment initialization.ᐟ` });
@@ -1330,240 +1538,192 @@ const verifyNegotiationPayment = async (req, res, io) => {
         console.error('[verifyNegotiationPayment] Validation failed: Missing reference or relatedJobId. Reference:', reference, 'relatedJobId:', relatedJobId);
         return res.status(400).json({ error: 'Payment reference and negotiation ID are required for verification.ᐟ' });
     }
-    if (!['paystack', 'korapay'].includes(paymentMethod)) {
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
         console.error(`Invalid payment method provided: ${paymentMethod}`);
         return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
     }
-    if (paymentMethod === 'paystack' && !PAYSTACK_SECRET_KEY) {
-        console.error('PAYSTACK_SECRET_KEY is not set.ᐟ');
-        return res.status(500).json({ error: 'Paystack service not configured.ᐟ' });
-    }
-    if (paymentMethod === 'korapay' && !KORAPAY_SECRET_KEY) {
-        console.error('KORAPAY_SECRET_KEY is not set.ᐟ');
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    if (!gateway.isConfigured()) {
+        console.error(`${gateway.displayName} keys are not set.ᐟ`);
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
 
     try {
-        let transaction;
-        let metadataCurrencyPaid;
-        let metadataExchangeRate;
-        let actualAmountPaidUsd;
-
-        if (paymentMethod === 'paystack') {
-            const paystackResponse = await axios.get(
-                `https://api.paystack.co/transaction/verify/${reference}`,
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    }
-                }
-            );
-
-            if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
-                console.error('Paystack verification failed:ᐟ', paystackResponse.data.data.gateway_response);
-                return res.status(400).json({ error: paystackResponse.data.data.gateway_response || 'Payment verification failed.ᐟ' });
-            }
-            transaction = paystackResponse.data.data;
-            metadataCurrencyPaid = transaction.metadata.currency_paid;
-            metadataExchangeRate = transaction.metadata.exchange_rate_usd_to_kes;
-            actualAmountPaidUsd = parseFloat((transaction.amount / 100 / metadataExchangeRate).toFixed(2));
-        } else if (paymentMethod === 'korapay') {
-            const korapayResponse = await axios.get(
-                `${KORAPAY_BASE_URL}/charges/${reference}`,
-                {
-                    headers: {
-                        Authorization: `Bearer ${KORAPAY_SECRET_KEY}`,
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    },
-                    httpsAgent: httpsAgent,
-                    httpAgent: httpAgent
-                }
-            );
-
-            if (!korapayResponse.data.status || korapayResponse.data.data.status !== 'success') {
-                console.error('KoraPay verification failed:ᐟ', korapayResponse.data.message || korapayResponse.data.errors);
-                return res.status(400).json({ error: korapayResponse.data.message || 'Payment verification failed with KoraPay.ᐟ' });
-            }
-            transaction = korapayResponse.data.data;
-            if (transaction.currency === 'KES') {
-                actualAmountPaidUsd = parseFloat((transaction.amount / EXCHANGE_RATE_USD_TO_KES).toFixed(2));
-            } else {
-                actualAmountPaidUsd = parseFloat((transaction.amount).toFixed(2));
-            }
-            metadataCurrencyPaid = transaction.currency;
-            metadataExchangeRate = (metadataCurrencyPaid === 'USD') ? 1 : EXCHANGE_RATE_USD_TO_KES;
-            
-            transaction.metadata = {
-                related_job_id: relatedJobId,
-                related_job_type: 'negotiation',
-                client_id: req.user.userId,
-                transcriber_id: transaction.metadata?.transcriber_id || null,
-                agreed_price_usd: actualAmountPaidUsd,
-                currency_paid: metadataCurrencyPaid,
-                exchange_rate_usd_to_kes: metadataExchangeRate,
-                amount_paid_usd: actualAmountPaidUsd
-            };
-            const parsedCreatedAt = new Date(transaction.createdAt);
-            transaction.paid_at = !isNaN(parsedCreatedAt.getTime()) ? parsedCreatedAt.toISOString() : new Date().toISOString();
-        }
-
-
-        const {
-            related_job_id: metadataRelatedJobId,
-            related_job_type: metadataRelatedJobType,
-            client_id: metadataClientId,
-            transcriber_id: metadataTranscriberIdRaw,
-            agreed_price_usd: metadataAgreedPrice,
-            currency_paid: metadataCurrencyPaidFromMeta,
-            exchange_rate_usd_to_kes: metadataExchangeRateFromMeta,
-            amount_paid_kes: metadataAmountPaidKes
-        } = transaction.metadata;
-
-        // UPDATED: Ensure finalTranscriberId always has a value, falling back to currentJob.transcriber_id
-        let finalTranscriberId;
-        if (metadataTranscriberIdRaw && metadataTranscriberIdRaw !== '') {
-            finalTranscriberId = metadataTranscriberIdRaw;
-        } else {
-            // Fetch currentJob to get transcriber_id if not in metadata
-            const { data: currentJobData, error: currentJobError } = await supabase
-                .from('negotiations')
-                .select('transcriber_id')
-                .eq('id', relatedJobId)
-                .single();
-
-            if (currentJobError || !currentJobData) {
-                console.error(`Error fetching current job data for transcriber_id fallback for negotiation ${relatedJobId}: `, currentJobError);
-                finalTranscriberId = null; 
-            } else {
-                finalTranscriberId = currentJobData.transcriber_id;
-            }
+        const verification = await gateway.verify(reference);
+        if (!verification.success) {
+            console.error(`${gateway.displayName} verification failed:ᐟ`, verification.message);
+            return res.status(400).json({ error: verification.message });
         }
 
-        if (metadataRelatedJobId !== relatedJobId || metadataRelatedJobType !== 'negotiation') {
-            console.error('Metadata job ID or type mismatch:ᐟ', metadataRelatedJobId, relatedJobId, metadataRelatedJobType);
+        if (!chargeMatchesJob(verification.metadata, relatedJobId, 'negotiation')) {
+            console.error('Metadata job ID or type mismatch:ᐟ', verification.metadata.related_job_id, relatedJobId, verification.metadata.related_job_type);
             return res.status(400).json({ error: 'Invalid transaction metadata (job ID or type mismatch).ᐟ' });
         }
 
-        if (Math.round(actualAmountPaidUsd * 100) !== Math.round(metadataAgreedPrice * 100)) {
-            console.error('Payment verification amount mismatch. Transaction amount (USD):ᐟ', actualAmountPaidUsd, 'Expected USD:', metadataAgreedPrice);
+        const { outcome, job, milestone } = await fulfillNegotiationPayment({
+            negotiationId: relatedJobId,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
+
+        if (outcome === 'job_not_found') {
+            return res.status(404).json({ error: 'Negotiation not found for verification.ᐟ' });
+        }
+        if (outcome === 'amount_mismatch') {
             return res.status(400).json({ error: 'Invalid transaction metadata (amount mismatch). Payment charged a different amount than expected.ᐟ' });
         }
-        
-        let currentJob;
-        let updateTable = 'negotiations';
-        let updateStatusColumn = 'status';
-        let newJobStatus = 'hired';
+        if (outcome === 'milestone_not_due') {
+            return res.status(409).json({ error: 'No milestone of this job is due for payment in its current status. Contact support to resolve this charge.ᐟ' });
+        }
+        if (outcome === 'refund_required') {
+            return res.status(409).json({ error: `This job is ${job.status} and can no longer be paid for. Your payment will be refunded.ᐟ` });
+        }
+        if (outcome === 'already_processed') {
+            return res.status(200).json({ message: 'Payment already processed and job already hired.ᐟ' });
+        }
+
+        res.status(200).json({
+            message: milestone
+                ? `Milestone ${milestone.sequence_number} (${milestone.label}) paid successfully.ᐟ`
+                : 'Payment verified successfully and job is now active.ᐟ',
+            transaction: verification.transaction,
+            ...(milestone && { milestone, newStatus: job.status })
+        });
+
+    } catch (error) {
+        console.error(`[verifyNegotiationPayment] Error verifying ${paymentMethod} payment:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: `Server error during ${paymentMethod} payment verification.ᐟ` + (error.message || '') });
+    }
+};
+
+// NEW: A negotiation's milestone schedule with what each milestone costs, for the client, the transcriber or an admin.
+const getNegotiationMilestones = async (req, res) => {
+    const { negotiationId } = req.params;
+    const { userId, userType } = req.user;
 
-        const { data, error } = await supabase
+    try {
+        const { data: negotiation, error } = await supabase
             .from('negotiations')
-            .select('id, client_id, transcriber_id, agreed_price_usd, status')
-            .eq('id', relatedJobId)
+            .select('id, client_id, transcriber_id, status, agreed_price_usd, discount_amount_usd, milestone_count, milestones_cleared')
+            .eq('id', negotiationId)
             .single();
-        if (error || !data) {
-            console.error(`Error fetching negotiation ${relatedJobId} during payment verification: `, error);
-            return res.status(404).json({ error: 'Negotiation not found for verification.ᐟ' });
+
+        if (error || !negotiation) {
+            return res.status(404).json({ error: 'Negotiation not found.ᐟ' });
         }
-        currentJob = data;
-        if (currentJob.status === 'hired') {
-            return res.status(200).json({ message: 'Payment already processed and job already hired.ᐟ' });
+        if (userType !== 'admin' && negotiation.client_id !== userId && negotiation.transcriber_id !== userId) {
+            return res.status(403).json({ error: 'You are not authorized to view this negotiation.ᐟ' });
         }
-        
-        const transcriberPayAmount = calculateTranscriberEarning(actualAmountPaidUsd);
-        
-        const paymentData = {
-            related_job_type: 'negotiation',
-            client_id: metadataClientId,
-            transcriber_id: finalTranscriberId, // Use the determined finalTranscriberId
-            amount: actualAmountPaidUsd,
-            transcriber_earning: transcriberPayAmount,
-            currency: 'USD',
-            paystack_reference: paymentMethod === 'paystack' ? transaction.reference : null,
-            korapay_reference: paymentMethod === 'korapay' ? transaction.reference : null,
-            paystack_status: paymentMethod === 'paystack' ? transaction.status : null,
-            korapay_status: paymentMethod === 'korapay' ? transaction.status : null,
-            transaction_date: new Date(transaction.paid_at).toISOString(),
-            payout_status: 'awaiting_completion',
-            currency_paid_by_client: metadataCurrencyPaidFromMeta,
-            exchange_rate_used: metadataExchangeRateFromMeta
-        };
 
-        paymentData.negotiation_id = relatedJobId;
-        paymentData.direct_upload_job_id = null;
+        const milestones = await fetchNegotiationMilestones(negotiationId);
+        const next = getNextMilestone(negotiation, milestones);
+        res.status(200).json({
+            negotiationId,
+            status: negotiation.status,
+            amountDueUsd: getAmountDueUsd('negotiation', negotiation),
+            milestonesCleared: negotiation.milestones_cleared || 0,
+            milestones: priceMilestones(negotiation, milestones),
+            nextMilestone: next ? { ...next.milestone, isPayableNow: next.isPayableNow } : null
+        });
+    } catch (error) {
+        console.error(`[getNegotiationMilestones] Error fetching milestones for negotiation ${negotiationId}:`, error);
+        res.status(500).json({ error: 'Server error fetching milestones.ᐟ' });
+    }
+};
 
-        const { data: paymentRecord, error: paymentError } = await supabase
-            .from('payments')
-            .insert([paymentData])
-            .select()
+// NEW: Every proposal, counter, acceptance and rejection on a negotiation, oldest first.
+const getNegotiationHistory = async (req, res) => {
+    const { negotiationId } = req.params;
+    const { userId, userType } = req.user;
+
+    try {
+        const { data: negotiation, error } = await supabase
+            .from('negotiations')
+            .select('id, client_id, transcriber_id, status, agreed_price_usd, deadline_hours')
+            .eq('id', negotiationId)
             .single();
 
-        if (paymentError) {
-            console.error('Error recording payment in Supabase: ', paymentError);
-            throw paymentError;
+        if (error || !negotiation) {
+            return res.status(404).json({ error: 'Negotiation not found.ᐟ' });
+        }
+        if (userType !== 'admin' && negotiation.client_id !== userId && negotiation.transcriber_id !== userId) {
+            return res.status(403).json({ error: 'You are not authorized to view this negotiation.ᐟ' });
         }
 
-        const { error: jobUpdateError } = await supabase
-            .from(updateTable)
-            .update({ [updateStatusColumn]: newJobStatus, updated_at: new Date().toISOString() })
-            .eq('id', relatedJobId);
+        const offers = await getNegotiationOffers(negotiationId);
+        res.status(200).json({
+            negotiationId,
+            status: negotiation.status,
+            currentPriceUsd: negotiation.agreed_price_usd,
+            currentDeadlineHours: negotiation.deadline_hours,
+            offers: offers.map(({ actor, ...offer }) => ({ ...offer, actor_name: actor?.full_name || null }))
+        });
+    } catch (error) {
+        console.error(`[getNegotiationHistory] Error fetching history for negotiation ${negotiationId}:`, error);
+        res.status(500).json({ error: 'Server error fetching negotiation history.ᐟ' });
+    }
+};
 
-        if (jobUpdateError) {
-            console.error(`Error updating job status to ${newJobStatus} for negotiation ${relatedJobId}: `, jobUpdateError);
-            throw jobUpdateError;
-        }
+// NEW: Client sets or replaces the schedule before the transcriber accepts; an empty list means paying in full.
+const updateNegotiationMilestones = async (req, res, io) => {
+    const { negotiationId } = req.params;
+    const { milestones = [] } = req.body;
+    const clientId = req.user.userId;
 
-        if (finalTranscriberId) {
-            await syncAvailabilityStatus(finalTranscriberId, relatedJobId); 
+    let schedule = [];
+    if (milestones.length > 0) {
+        const validation = validateMilestoneSchedule(milestones);
+        if (validation.error) {
+            return res.status(400).json({ error: validation.error });
         }
+        schedule = validation.schedule;
+    }
 
-        const { data: clientUser, error: clientError } = await supabase.from('users').select('full_name, email').eq('id', metadataClientId).single();
-        const transcriberUser = (finalTranscriberId)
-            ? (await supabase.from('users').select('full_name, email').eq('id', finalTranscriberId).single()).data
-            : null;
-
-        if (clientError) console.error('Error fetching client for payment email: ', clientError);
-        if (transcriberUser === null) console.error('Error fetching transcriber for payment email: ', clientError);
+    try {
+        const { data: negotiation, error } = await supabase
+            .from('negotiations')
+            .select('id, client_id, transcriber_id, status')
+            .eq('id', negotiationId)
+            .eq('client_id', clientId)
+            .single();
 
-        if (clientUser) {
-            await sendPaymentConfirmationEmail(clientUser, transcriberUser, currentJob, paymentRecord);
+        if (error || !negotiation) {
+            return res.status(404).json({ error: 'Negotiation not found or not accessible.ᐟ' });
+        }
+        if (!SCHEDULE_EDITABLE_STATUSES.includes(negotiation.status)) {
+            return res.status(400).json({ error: `The milestone schedule can only be changed before the offer is accepted. Current status: ${negotiation.status}` });
         }
 
-        if (io) {
-            io.to(metadataClientId).emit('payment_successful', {
-                relatedJobId: relatedJobId,
-                jobType: 'negotiation',
-                message: 'Your payment was successful and the job is now active!ᐟ',
-                newStatus: newJobStatus
+        const savedMilestones = await saveMilestoneSchedule(negotiationId, schedule);
+
+        if (io && negotiation.transcriber_id) {
+            io.to(negotiation.transcriber_id).emit('negotiation_milestones_updated', {
+                negotiationId,
+                message: savedMilestones.length > 0
+                    ? `The client set a ${savedMilestones.length}-milestone payment schedule for negotiation ${negotiationId.substring(0, 8)}.`
+                    : `The client will pay negotiation ${negotiationId.substring(0, 8)} in full on hire.`,
+                milestones: savedMilestones
             });
-            if (finalTranscriberId) {
-                io.to(finalTranscriberId).emit('job_hired', {
-                    relatedJobId: relatedJobId,
-                    jobType: 'negotiation',
-                    message: 'A client has paid for your accepted job. The job is now active!ᐟ',
-                    newStatus: newJobStatus
-                });
-                console.log(`Emitted 'payment_successful' to client ${metadataClientId} and 'job_hired' to transcriber ${finalTranscriberId}`);
-            }
         }
 
-        res.status(200).json({
-            message: 'Payment verified successfully and job is now active.ᐟ',
-            transaction: transaction
-        });
-
+        res.status(200).json({ message: 'Milestone schedule updated.', milestones: savedMilestones });
     } catch (error) {
-        console.error(`[verifyNegotiationPayment] Error verifying ${paymentMethod} payment:`, error.response ? error.response.data : error.message);
-        res.status(500).json({ error: `Server error during ${paymentMethod} payment verification.ᐟ` + (error.message || '') });
+        console.error(`[updateNegotiationMilestones] Error updating milestones for negotiation ${negotiationId}:`, error);
+        res.status(500).json({ error: 'Server error updating milestones.ᐟ' });
     }
 };
 
-
 module.exports = {
     uploadNegotiationFiles,
     uploadTempNegotiationFile,
     tempUploadNegotiationFile,
     getAvailableTranscribers,
     createNegotiation,
+    createRfqNegotiation,
+    getRfqQuotes,
     getClientNegotiations,
     getTranscriberNegotiations,
     deleteNegotiation,
@@ -1576,5 +1736,8 @@ module.exports = {
     clientCounterBack,
     markJobCompleteByClient,
     initializeNegotiationPayment,
-    verifyNegotiationPayment
+    verifyNegotiationPayment,
+    getNegotiationMilestones,
+    updateNegotiationMilestones,
+    getNegotiationHistory
 };
@@ -1,20 +1,17 @@
-const axios = require('axios');
 const supabase = require('..//database');
 const { syncAvailabilityStatus } = require('..//controllers/transcriberController'); 
 const emailService = require('..//emailService');
-const { calculateTranscriberEarning, convertUsdToKes, EXCHANGE_RATE_USD_TO_KES } = require('..//utils/paymentUtils');
-const http = require('http');
-const https = require('https');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
-const KORAPAY_SECRET_KEY = process.env.KORAPAY_SECRET_KEY;
-const KORAPAY_PUBLIC_KEY = process.env.KORAPAY_PUBLIC_KEY;
-const KORAPAY_BASE_URL = process.env.KORAPAY_BASE_URL || 'https://api-sandbox.korapay.com/v1';
-const KORAPAY_WEBHOOK_URL = process.env.KORAPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment/korapay-webhook';
-
-const httpAgent = new http.Agent({ family: 4 });
-const httpsAgent = new https.Agent({ family: 4 });
+const { calculateTranscriberEarning, EXCHANGE_RATE_USD_TO_KES } = require('..//utils/paymentUtils');
+const { fulfillNegotiationPayment, fulfillDirectUploadPayment, fulfillTrainingPayment, fulfillWalletTopUp } = require('..//utils/paymentFulfillment');
+const { getGateway, getGatewayForPayment } = require('..//utils/paymentGateway');
+const { reconcilePayments } = require('..//utils/paymentReconciliation');
+const { getPayoutGateway } = require('..//utils/payoutGateway');
+const { completePayout, startPayouts, applyPayoutResult, checkPayoutStatus } = require('..//utils/payoutDisbursement');
+const { ACCOUNTS, recordRefund, getTrialBalance, getAccountStatement } = require('..//utils/ledger');
+const { issueInvoice, generateInvoicePdf } = require('..//utils/invoiceService');
+const { WALLET_PAYMENT_METHOD, postWalletTransaction } = require('..//utils/wallet');
+const { getPayoutPreferences, schedulePayouts } = require('..//utils/payoutSchedule');
+const { parseStatementPeriod, buildEarningsStatement, buildEarningsStatementCsv, buildEarningsStatementPdf } = require('..//utils/earningsStatement');
 
 const getNextFriday = (currentDate = new Date()) => {
     const today = new Date(currentDate);
@@ -78,8 +75,9 @@ const getTranscriberPaymentHistory = async (req, res) => {
                 )
             `)
             .eq('transcriber_id', transcriberId)
-            // Filter to include only 'pending' and 'paid_out' payments for history and exclude 'voided_by_cancellation'
-            .or('payout_status.eq.pending,payout_status.eq.paid_out') 
+            // Filter to include only 'pending', 'on_hold' and 'paid_out' payments for history and exclude 'voided_by_cancellation'
+            // UPDATED: 'on_hold' payments (open dispute) are shown separately from upcoming payouts.
+            .or('payout_status.eq.pending,payout_status.eq.on_hold,payout_status.eq.paid_out') 
             .order('transaction_date', { ascending: false });
 
         if (error) {
@@ -148,6 +146,7 @@ const getTranscriberPaymentHistory = async (req, res) => {
 
         let totalUpcomingPayouts = 0;
         let totalEarned = 0;
+        let totalOnHold = 0;
 
         paymentsWithJobDetails.forEach(payout => {
             // This summation logic is correct based on 'pending' and 'paid_out'
@@ -155,6 +154,8 @@ const getTranscriberPaymentHistory = async (req, res) => {
                 totalUpcomingPayouts += payout.transcriber_earning;
             } else if (payout.payout_status === 'paid_out') {
                 totalEarned += payout.transcriber_earning;
+            } else if (payout.payout_status === 'on_hold') {
+                totalOnHold += payout.transcriber_earning;
             }
         });
 
@@ -166,6 +167,7 @@ const getTranscriberPaymentHistory = async (req, res) => {
             summary: {
                 totalEarned: totalEarned,
                 upcomingPayout: totalUpcomingPayouts, 
+                onHoldPayout: totalOnHold,
             }
         });
 
@@ -175,6 +177,47 @@ const getTranscriberPaymentHistory = async (req, res) => {
     }
 };
 
+/**
+ * NEW: Monthly (?year&month) or yearly (?year) earnings statement, as JSON or a ?format=pdf|csv download.
+ * Transcribers get their own; admins pass the transcriber in the URL.
+ */
+const getTranscriberEarningsStatement = async (req, res) => {
+    const transcriberId = req.params.transcriberId || req.user.userId;
+    const { year, month, format = 'json' } = req.query;
+
+    if (!['json', 'pdf', 'csv'].includes(format)) {
+        return res.status(400).json({ error: "format must be 'json', 'pdf' or 'csv'.ᐟ" });
+    }
+    const period = parseStatementPeriod(year, month);
+    if (period.error) {
+        return res.status(400).json({ error: period.error });
+    }
+
+    try {
+        const statement = await buildEarningsStatement(transcriberId, period);
+        if (!statement) {
+            return res.status(404).json({ error: 'Transcriber not found.ᐟ' });
+        }
+
+        if (format === 'json') {
+            return res.status(200).json({ message: 'Earnings statement generated successfully.', statement });
+        }
+
+        const fileName = `earnings-statement-${period.year}${period.month ? `-${String(period.month).padStart(2, '0')}` : ''}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            return res.status(200).send(buildEarningsStatementCsv(statement));
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.status(200).send(await buildEarningsStatementPdf(statement));
+
+    } catch (error) {
+        console.error(`[getTranscriberEarningsStatement] Error building statement for transcriber ${transcriberId}:`, error);
+        res.status(500).json({ error: 'Server error generating the earnings statement.ᐟ' });
+    }
+};
+
 const getClientPaymentHistory = async (req, res) => {
     const clientId = req.user.userId;
 
@@ -199,13 +242,14 @@ const getClientPaymentHistory = async (req, res) => {
                 payout_status,
                 currency_paid_by_client,
                 exchange_rate_used,
+                wallet_transaction_id,
                 transcriber:users!transcriber_id(full_name, email), 
                 negotiation:negotiation_id(id, status, requirements, deadline_hours, agreed_price_usd),
                 direct_upload_job:direct_upload_jobs!direct_upload_job_id(id, status, client_instructions, agreed_deadline_hours, quote_amount)
             `)
             .eq('client_id', clientId)
             // Filter to include only successfully completed payments by the client
-            .or('paystack_status.eq.success,korapay_status.eq.success') 
+            .or('paystack_status.eq.success,korapay_status.eq.success,wallet_transaction_id.not.is.null') 
             .order('transaction_date', { ascending: false });
 
         if (error) {
@@ -240,6 +284,19 @@ const getClientPaymentHistory = async (req, res) => {
             return { ...payment, ...jobDetails, transcriberName: transcriberName }; 
         }));
 
+        // NEW: Attach each payment's invoice number and receipt download link.
+        const paymentIds = paymentsWithJobDetails.map(p => p.id);
+        const { data: invoices, error: invoicesError } = paymentIds.length > 0
+            ? await supabase.from('invoices').select('payment_id, invoice_number, issued_at').in('payment_id', paymentIds)
+            : { data: [] };
+        if (invoicesError) console.error('Error fetching invoices for client payment history:', invoicesError);
+        paymentsWithJobDetails.forEach(p => {
+            const invoice = (invoices || []).find(i => i.payment_id === p.id);
+            p.invoice_number = invoice?.invoice_number || null;
+            p.invoice_issued_at = invoice?.issued_at || null;
+            p.invoice_url = `/api/client/payments/${p.id}/invoice`;
+        });
+
         const totalPayments = (paymentsWithJobDetails || []).reduce((sum, p) => sum + p.amount, 0);
         const currentMonth = new Date().getMonth();
         const currentYear = new Date().getFullYear();
@@ -251,6 +308,7 @@ const getClientPaymentHistory = async (req, res) => {
 
         res.status(200).json({
             message: 'Client payment history retrieved successfully.',
+            payments: paymentsWithJobDetails,
             summary: {
                 totalPayments: totalPayments,
                 thisMonthsPayments: monthlyPayments, 
@@ -263,6 +321,43 @@ const getClientPaymentHistory = async (req, res) => {
     }
 };
 
+// NEW: Downloads a payment's PDF receipt. Payments recorded before invoicing started get their invoice issued here.
+const downloadPaymentInvoice = async (req, res) => {
+    const { paymentId } = req.params;
+
+    try {
+        const { data: payment, error: paymentError } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        if (paymentError || !payment) {
+            return res.status(404).json({ error: 'Payment not found.ᐟ' });
+        }
+        if (payment.client_id !== req.user.userId && req.user.userType !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. This payment does not belong to you.ᐟ' });
+        }
+        if (payment.paystack_status !== 'success' && payment.korapay_status !== 'success' && !payment.wallet_transaction_id) {
+            return res.status(400).json({ error: 'Receipts are only available for successful payments.ᐟ' });
+        }
+
+        const invoice = await issueInvoice(payment);
+        if (!invoice) {
+            return res.status(500).json({ error: 'Could not issue the invoice for this payment.ᐟ' });
+        }
+
+        const pdf = await generateInvoicePdf(invoice);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+        res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error(`[downloadPaymentInvoice] Server error for payment ${paymentId}:`, error);
+        res.status(500).json({ error: 'Server error generating the payment receipt.ᐟ' });
+    }
+};
+
 const getAllPaymentHistoryForAdmin = async (req, res) => {
   try {
     const { data: payments, error } = await supabase
@@ -329,6 +424,105 @@ const getAllPaymentHistoryForAdmin = async (req, res) => {
   }
 };
 
+/**
+ * UPDATED: A transcriber's pending earnings grouped by the payout day they are due on, following their
+ * payout frequency and minimum threshold (see utils/payoutSchedule.js). Earnings below the threshold
+ * are returned in rolledForward instead of as due.
+ */
+const buildUpcomingPayouts = async (transcriberId) => {
+    const { data: transcriber, error: transcriberError } = await supabase
+        .from('users')
+        .select('id, transcriber_mpesa_number, transcriber_paypal_email, payout_method, payout_frequency, payout_threshold_usd')
+        .eq('id', transcriberId)
+        .single();
+
+    if (transcriberError) throw transcriberError;
+    const preferences = getPayoutPreferences(transcriber);
+
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select(`
+            id,
+            negotiation_id,
+            direct_upload_job_id,
+            related_job_type,
+            client_id,
+            transcriber_id,
+            amount,
+            transcriber_earning,
+            currency,
+            paystack_reference,
+            korapay_reference,
+            paystack_status,
+            korapay_status,
+            transaction_date,
+            payout_status,
+            currency_paid_by_client,
+            exchange_rate_used,
+            client:users!client_id(full_name, email)
+        `)
+        .eq('transcriber_id', transcriberId)
+        .eq('payout_status', 'pending')
+        .order('transaction_date', { ascending: true });
+
+    if (error) throw error;
+
+    const paymentsWithJobDetails = await Promise.all((payments || []).map(async (payment) => {
+        let jobDetails = {};
+        if (payment.related_job_type === 'negotiation') {
+            const { data: negotiation, error: negError } = await supabase
+                .from('negotiations')
+                .select('requirements, deadline_hours, agreed_price_usd, created_at')
+                .eq('id', payment.negotiation_id)
+                .single();
+            jobDetails = { negotiation: negotiation || null };
+        } else if (payment.related_job_type === 'direct_upload') {
+            const { data: directJob, error: directJobError } = await supabase
+                .from('direct_upload_jobs')
+                .select('client_instructions, agreed_deadline_hours, quote_amount, created_at')
+                .eq('id', payment.direct_upload_job_id)
+                .single();
+            if (directJobError) {
+                console.error(`Error fetching direct upload job ${payment.direct_upload_job_id} for payment:`, directJobError);
+            }
+            jobDetails = { direct_upload_job: directJob || null };
+        } else if (payment.related_job_type === 'training') {
+            jobDetails = { training_info: { requirements: 'Training Fee Payment', agreed_price_usd: payment.amount, created_at: payment.transaction_date } };
+        }
+        return { ...payment, ...jobDetails };
+    }));
+
+    const toPayoutItem = (payout) => ({
+        id: payout.id,
+        negotiation_id: payout.negotiation_id,
+        direct_upload_job_id: payout.direct_upload_job_id,
+        related_job_type: payout.related_job_type,
+        clientName: payout.client?.full_name || 'N/A',
+        jobRequirements: payout.negotiation?.requirements || payout.direct_upload_job?.client_instructions || payout.training_info?.requirements || 'N/A',
+        amount: payout.transcriber_earning,
+        status: payout.payout_status,
+        created_at: new Date(payout.transaction_date).toLocaleDateString()
+    });
+
+    const { cycles, rolledForward } = schedulePayouts(paymentsWithJobDetails, preferences);
+    return {
+        preferences,
+        upcomingPayouts: cycles.map(cycle => ({
+            date: cycle.date,
+            totalAmount: cycle.totalAmount,
+            carriedForwardAmount: cycle.carriedForwardAmount,
+            payouts: cycle.payments.map(toPayoutItem)
+        })),
+        totalUpcomingPayouts: Math.round(cycles.reduce((sum, cycle) => sum + cycle.totalAmount, 0) * 100) / 100,
+        rolledForward: rolledForward && {
+            totalAmount: rolledForward.totalAmount,
+            nextPayoutDate: rolledForward.nextPayoutDate,
+            shortfall: rolledForward.shortfall,
+            payouts: rolledForward.payments.map(toPayoutItem)
+        }
+    };
+};
+
 const getTranscriberUpcomingPayoutsForAdmin = async (req, res) => {
     const { transcriberId } = req.params;
     const adminId = req.user.userId;
@@ -344,103 +538,10 @@ const getTranscriberUpcomingPayoutsForAdmin = async (req, res) => {
     }
 
     try {
-        const { data: payments, error } = await supabase
-            .from('payments')
-            .select(`
-                id,
-                negotiation_id,
-                direct_upload_job_id,
-                related_job_type,
-                client_id,
-                transcriber_id,
-                amount,
-                transcriber_earning,
-                currency,
-                paystack_reference,
-                korapay_reference,
-                paystack_status,
-                korapay_status,
-                transaction_date,
-                payout_status,
-                currency_paid_by_client,
-                exchange_rate_used,
-                client:users!client_id(full_name, email)
-            `)
-            .eq('transcriber_id', transcriberId)
-            .eq('payout_status', 'pending') // This filter is now correct
-            .order('transaction_date', { ascending: true });
-
-        if (error) {
-            console.error(`Error fetching upcoming payouts for transcriber ${transcriberId}:`, error);
-            return res.status(500).json({ error: error.message });
-        }
-
-        const paymentsWithJobDetails = await Promise.all((payments || []).map(async (payment) => {
-            let jobDetails = {};
-            if (payment.related_job_type === 'negotiation') {
-                const { data: negotiation, error: negError } = await supabase
-                    .from('negotiations')
-                    .select('requirements, deadline_hours, agreed_price_usd, created_at')
-                    .eq('id', payment.negotiation_id)
-                    .single();
-                jobDetails = { negotiation: negotiation || null };
-            } else if (payment.related_job_type === 'direct_upload') {
-                const { data: directJob, error: directJobError } = await supabase
-                    .from('direct_upload_jobs')
-                    .select('client_instructions, agreed_deadline_hours, quote_amount, created_at')
-                    .eq('id', payment.direct_upload_job_id)
-                    .single();
-                if (directJobError) {
-                    console.error(`Error fetching direct upload job ${payment.direct_upload_job_id} for payment:`, directJobError);
-                }
-                jobDetails = { direct_upload_job: directJob || null };
-            } else if (payment.related_job_type === 'training') {
-                jobDetails = { training_info: { requirements: 'Training Fee Payment', agreed_price_usd: payment.amount, created_at: payment.transaction_date } };
-            }
-            return { ...payment, ...jobDetails };
-        }));
-
-        const groupedPayouts = {};
-        let totalUpcomingPayouts = 0;
-
-        paymentsWithJobDetails.forEach(payout => {
-            const transactionDate = new Date(payout.transaction_date);
-            const dayOfWeek = transactionDate.getDay();
-            const daysUntilFriday = (5 - dayOfWeek + 7) % 7;
-
-            const weekEndingDate = new Date(transactionDate);
-            weekEndingDate.setDate(transactionDate.getDate() + daysUntilFriday);
-            weekEndingDate.setHours(23, 59, 59, 999);
-            const weekEndingString = weekEndingDate.toISOString().split('T')[0];
-
-            if (!groupedPayouts[weekEndingString]) {
-                groupedPayouts[weekEndingString] = {
-                    date: weekEndingString,
-                    totalAmount: 0,
-                    payouts: []
-                    };
-                }
-                groupedPayouts[weekEndingString].totalAmount += payout.transcriber_earning;
-                groupedPayouts[weekEndingString].payouts.push({
-                    id: payout.id,
-                    negotiation_id: payout.negotiation_id,
-                    direct_upload_job_id: payout.direct_upload_job_id,
-                    related_job_type: payout.related_job_type,
-                    clientName: payout.client?.full_name || 'N/A',
-                    jobRequirements: payout.negotiation?.requirements || payout.direct_upload_job?.client_instructions || payout.training_info?.requirements || 'N/A',
-                    amount: payout.transcriber_earning,
-                    status: payout.payout_status,
-                    created_at: new Date(payout.transaction_date).toLocaleDateString()
-                });
-                totalUpcomingPayouts += payout.transcriber_earning;
-            });
-
-        const upcomingPayoutsArray = Object.values(groupedPayouts).sort((a, b) => new Date(a.date) - new Date(b.date));
-
+        const upcoming = await buildUpcomingPayouts(transcriberId);
         res.status(200).json({
             message: `Upcoming payouts for transcriber ${transcriberId} retrieved successfully.`,
-            upcomingPayouts: upcomingPayoutsArray,
-            totalUpcomingPayouts: totalUpcomingPayouts
+            ...upcoming
         });
 
     } catch (error) {
@@ -449,6 +550,22 @@ const getTranscriberUpcomingPayoutsForAdmin = async (req, res) => {
     }
 };
 
+// NEW: The signed-in transcriber's own upcoming payouts.
+const getTranscriberUpcomingPayouts = async (req, res) => {
+    const transcriberId = req.user.userId;
+
+    try {
+        const upcoming = await buildUpcomingPayouts(transcriberId);
+        res.status(200).json({
+            message: 'Upcoming payouts retrieved successfully.',
+            ...upcoming
+        });
+    } catch (error) {
+        console.error(`[getTranscriberUpcomingPayouts] Error fetching upcoming payouts for transcriber ${transcriberId}:`, error);
+        res.status(500).json({ error: 'Server error fetching upcoming payouts.ᐟ' });
+    }
+};
+
 const markPaymentAsPaidOut = async (req, res, io) => {
     const { paymentId } = req.params;
     const adminId = req.user.userId;
@@ -489,45 +606,683 @@ const markPaymentAsPaidOut = async (req, res, io) => {
             console.error(`Error updating payment ${paymentId} to 'paid_out':`, updateError);
             throw updateError;
         }
+        await completePayout(updatedPayment, io);
 
-        if (io && payment.transcriber_id) {
-            io.to(payment.transcriber_id).emit('payout_processed', {
-                paymentId: updatedPayment.id,
-                amount: updatedPayment.transcriber_earning,
-                message: 'Your payment has been processed and disbursed!ᐟ',
-                status: 'paid_out'
+        res.status(200).json({
+            message: 'Payment marked as paid out successfully.ᐟ',
+            payment: updatedPayment
+        });
+
+    } catch (error) {
+        console.error(`Server error marking payment ${paymentId} as paid out:`, error);
+        res.status(500).json({ error: 'Server error marking payment as paid out.ᐟ' });
+    }
+};
+
+/**
+ * NEW: Sends a pending earning to the transcriber through a payout adapter (body: { payoutMethod }).
+ * The payment only becomes 'paid_out' once the provider confirms the transfer; see utils/payoutDisbursement.js.
+ */
+const initiatePaymentPayout = async (req, res, io) => {
+    const { paymentId } = req.params;
+    const { payoutMethod } = req.body;
+    const adminId = req.user.userId;
+
+    const { data: adminUser, error: adminError } = await supabase
+        .from('users')
+        .select('user_type')
+        .eq('id', adminId)
+        .single();
+
+    if (adminError || adminUser?.user_type !== 'admin') {
+        return res.status(403).json({ error: 'Unauthorized: Only administrators can send payouts.ᐟ' });
+    }
+
+    const payoutGateway = getPayoutGateway(payoutMethod);
+    if (!payoutGateway) {
+        return res.status(400).json({ error: 'Invalid payout method.ᐟ' });
+    }
+    if (!payoutGateway.isConfigured()) {
+        return res.status(500).json({ error: `${payoutGateway.displayName} payouts are not configured.ᐟ` });
+    }
+
+    try {
+        const { data: payment, error: fetchError } = await supabase
+            .from('payments')
+            .select('id, transcriber_id, transcriber_earning, payout_status')
+            .eq('id', paymentId)
+            .single();
+
+        if (fetchError || !payment) {
+            return res.status(404).json({ error: 'Payment record not found.ᐟ' });
+        }
+        if (payment.payout_status !== 'pending') {
+            return res.status(400).json({ error: `Payment status is '${payment.payout_status}'. Only payments 'pending' can be paid out.` });
+        }
+
+        const { sent, failed, uncertain, skipped } = await startPayouts(payoutGateway, [payment]);
+
+        if (skipped.length > 0) {
+            return skipped[0].reason === 'no_recipient'
+                ? res.status(400).json({ error: `This transcriber has no ${payoutGateway.displayName} payout details on their profile.ᐟ` })
+                : res.status(409).json({ error: 'This payment is already being paid out.ᐟ' });
+        }
+        if (failed.length > 0) {
+            return res.status(502).json({ error: failed[0].message });
+        }
+        if (uncertain.length > 0) {
+            console.warn(`[initiatePaymentPayout] Payout of payment ${paymentId} via ${payoutGateway.displayName} may have been sent: ${uncertain[0].message}`);
+            return res.status(202).json({
+                message: `${payoutGateway.displayName} did not confirm the payout request. The payment stays in processing until a status check settles it.ᐟ`,
+                payout: uncertain[0]
             });
         }
-        
-        const { data: transcriberUser, error: transcriberError } = await supabase
-            .from('users')
-            .select('full_name, email')
-            .eq('id', payment.transcriber_id)
+
+        console.log(`[initiatePaymentPayout] Admin ${adminId} sent payment ${paymentId} via ${payoutGateway.displayName} (ref ${sent[0].payoutReference}).`);
+        res.status(202).json({
+            message: `Payout sent to ${payoutGateway.displayName}. It will be marked as paid out once confirmed.ᐟ`,
+            payout: sent[0]
+        });
+
+    } catch (error) {
+        console.error(`Server error sending payout for payment ${paymentId}:`, error);
+        res.status(500).json({ error: 'Server error sending payout.ᐟ' });
+    }
+};
+
+// Reads a B2C result or timeout callback, or with statusQuery the answer to a Transaction Status query.
+const handleMpesaB2cCallback = async (req, res, io, { timedOut, statusQuery = false }) => {
+    const payoutGateway = getPayoutGateway('mpesa');
+    const logPrefix = `[handleMpesaB2cCallback:${statusQuery ? 'status-' : ''}${timedOut ? 'timeout' : 'result'}]`;
+
+    if (!payoutGateway.isConfigured()) {
+        console.error(`${logPrefix} M-Pesa B2C is not configured.`);
+        return res.status(500).json({ ResultCode: 1, ResultDesc: 'Not configured' });
+    }
+
+    const result = statusQuery
+        ? payoutGateway.parseStatusCallback(req, { timedOut })
+        : payoutGateway.parseCallback(req, { timedOut });
+    if (!result.valid) {
+        console.warn(`${logPrefix} Rejected callback with missing token or body.`);
+        return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+    }
+
+    try {
+        const outcome = await applyPayoutResult(payoutGateway, result, io);
+        console.log(`${logPrefix} Payout ${result.reference} (conversation ${result.externalReference}): ${outcome}${result.failureReason ? ` - ${result.failureReason}` : ''}`);
+        // Safaricom only needs an acknowledgement.
+        res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    } catch (error) {
+        console.error(`${logPrefix} Error applying payout result ${result.reference}:`, error);
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Server error' });
+    }
+};
+
+const handleMpesaB2cResult = (req, res, io) => handleMpesaB2cCallback(req, res, io, { timedOut: false });
+
+const handleMpesaB2cTimeout = (req, res, io) => handleMpesaB2cCallback(req, res, io, { timedOut: true });
+
+const handleMpesaB2cStatusResult = (req, res, io) => handleMpesaB2cCallback(req, res, io, { timedOut: false, statusQuery: true });
+
+const handleMpesaB2cStatusTimeout = (req, res, io) => handleMpesaB2cCallback(req, res, io, { timedOut: true, statusQuery: true });
+
+// NEW: PayPal Payouts webhook. Only PAYMENT.PAYOUTS-ITEM.* events change a payment.
+const handlePaypalPayoutWebhook = async (req, res, io) => {
+    const payoutGateway = getPayoutGateway('paypal');
+    const logPrefix = '[handlePaypalPayoutWebhook]';
+
+    if (!payoutGateway.isConfigured()) {
+        console.error(`${logPrefix} PayPal Payouts is not configured.`);
+        return res.status(500).json({ error: 'PayPal Payouts not configured.ᐟ' });
+    }
+
+    try {
+        const result = await payoutGateway.parseCallback(req);
+        if (!result.valid) {
+            console.warn(`${logPrefix} Rejected webhook with missing or invalid signature.`);
+            return res.status(401).json({ error: 'Invalid webhook signature.ᐟ' });
+        }
+        if (!result.reference) {
+            console.log(`${logPrefix} Ignoring event '${result.event}'.`);
+            return res.status(200).json({ message: 'Event ignored.ᐟ' });
+        }
+
+        const outcome = await applyPayoutResult(payoutGateway, result, io);
+        console.log(`${logPrefix} ${result.event} for payout ${result.reference} (item ${result.externalReference}): ${outcome}${result.failureReason ? ` - ${result.failureReason}` : ''}`);
+        res.status(200).json({ message: 'Webhook processed.ᐟ', outcome });
+    } catch (error) {
+        console.error(`${logPrefix} Error processing webhook:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: 'Server error processing PayPal webhook.ᐟ' });
+    }
+};
+
+// NEW: Asks the payout provider for the status of a payment's transfer, for when a callback never arrived
+// or the payout was flagged because it may have been sent.
+const refreshPaymentPayoutStatus = async (req, res, io) => {
+    const { paymentId } = req.params;
+
+    try {
+        const { data: payment, error: fetchError } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        if (fetchError || !payment) {
+            return res.status(404).json({ error: 'Payment record not found.ᐟ' });
+        }
+        if (payment.payout_status !== 'payout_processing') {
+            return res.status(400).json({ error: `Payment status is '${payment.payout_status}'. Only payouts in progress can be refreshed.` });
+        }
+
+        const payoutGateway = getPayoutGateway(payment.payout_method);
+        if (!payoutGateway) {
+            return res.status(400).json({ error: 'This payout method does not support status checks. Wait for its callback.ᐟ' });
+        }
+
+        const outcome = await checkPayoutStatus(payoutGateway, payment, io);
+        if (outcome === 'unsupported') {
+            return res.status(400).json({ error: `${payoutGateway.displayName} does not support status checks. Wait for its callback.ᐟ` });
+        }
+        if (outcome === 'not_found') {
+            return res.status(404).json({ error: `${payoutGateway.displayName} has no record of this payout yet.ᐟ` });
+        }
+        if (outcome === 'status_requested') {
+            return res.status(202).json({ message: `Status requested from ${payoutGateway.displayName}. The payout will update when it answers.ᐟ`, outcome });
+        }
+        res.status(200).json({ message: 'Payout status refreshed.ᐟ', outcome });
+
+    } catch (error) {
+        console.error(`[refreshPaymentPayoutStatus] Error refreshing payout for payment ${paymentId}:`, error.response ? error.response.data : error);
+        res.status(500).json({ error: 'Server error refreshing payout status.ᐟ' });
+    }
+};
+
+// Payout statuses in which none of the transcriber's earning has started paying out. 'on_hold' payments are
+// frozen by an open dispute, which a refund may be part of settling. 'refund_required' charges arrived for a job
+// that could no longer be paid for.
+const REFUNDABLE_PAYOUT_STATUSES = ['awaiting_completion', 'pending', 'on_hold', 'voided_by_cancellation', 'voided_by_dispute', 'refund_required'];
+// Held by a refund while its money goes back, so no payout, batch or second refund can take the payment meanwhile.
+const REFUND_PROCESSING_STATUS = 'refund_processing';
+
+// Claims a payment for a refund, only if nothing has changed its payout status or refunded amount since it was read.
+const claimPaymentForRefund = async (payment) => {
+    let claimQuery = supabase
+        .from('payments')
+        .update({ payout_status: REFUND_PROCESSING_STATUS, updated_at: new Date().toISOString() })
+        .eq('id', payment.id)
+        .eq('payout_status', payment.payout_status);
+    claimQuery = payment.refunded_amount === null
+        ? claimQuery.is('refunded_amount', null)
+        : claimQuery.eq('refunded_amount', payment.refunded_amount);
+
+    const { data: claimedPayment, error } = await claimQuery.select().maybeSingle();
+    if (error) throw error;
+    return claimedPayment;
+};
+
+// Hands a claimed payment back with the payout status it had, when its refund did not go through.
+const releaseRefundClaim = async (payment) => {
+    const { error } = await supabase
+        .from('payments')
+        .update({ payout_status: payment.payout_status, updated_at: new Date().toISOString() })
+        .eq('id', payment.id)
+        .eq('payout_status', REFUND_PROCESSING_STATUS);
+    if (error) console.error(`[refundPayment] Error releasing refund claim on payment ${payment.id}:`, error);
+};
+
+// Sends the money back, to the client's wallet or through the gateway that took the charge.
+// Resolves to the refund's source, or to { error, statusCode } when nothing was refunded.
+const issueRefund = async ({ payment, gateway, refundToWallet, refundKey, refundAmount, alreadyRefunded, reason }) => {
+    if (refundToWallet) {
+        const walletCredit = await postWalletTransaction({
+            clientId: payment.client_id,
+            transactionKey: refundKey,
+            type: 'refund',
+            amount: refundAmount,
+            details: {
+                payment_method: WALLET_PAYMENT_METHOD,
+                payment_id: payment.id,
+                description: reason ? `Refund: ${reason}` : 'Refund to wallet'
+            }
+        });
+        if (walletCredit.outcome !== 'recorded') {
+            return { error: 'A refund for this payment was just issued. Refresh and try again.ᐟ', statusCode: 409 };
+        }
+        return { name: WALLET_PAYMENT_METHOD, displayName: 'Wallet', refundReference: walletCredit.transaction.id, status: 'success' };
+    }
+
+    const isFullRefundOfCharge = alreadyRefunded === 0 && Math.round(refundAmount * 100) === Math.round(payment.amount * 100);
+    const gatewayRefund = await gateway.refund({
+        reference: payment[gateway.referenceColumn],
+        amountUsd: isFullRefundOfCharge ? undefined : refundAmount,
+        currency: payment.currency_paid_by_client || 'KES',
+        exchangeRate: payment.exchange_rate_used || undefined,
+        reason,
+        refundKey
+    });
+
+    if (!gatewayRefund.success) {
+        console.error(`[refundPayment] ${gateway.displayName} refund failed for payment ${payment.id}:`, gatewayRefund.message);
+        return { error: gatewayRefund.message, statusCode: 502 };
+    }
+    return { name: gateway.name, displayName: gateway.displayName, refundReference: gatewayRefund.refundReference, status: gatewayRefund.status };
+};
+
+/**
+ * NEW: Refunds all or part of a negotiation or direct upload payment through the gateway that took it,
+ * or into the client's wallet (body refundTo: 'wallet'). Payments made from the wallet always go back to it.
+ *
+ * Each refund is recorded in the `refunds` table (payment_id, amount, reason, payment_method,
+ * gateway_refund_reference, gateway_status, refunded_by, created_at) and the running total is kept
+ * in payments.refunded_amount. The transcriber's earning shrinks in proportion to what is refunded;
+ * a fully refunded payment is moved to payout_status 'refunded' so it never reaches a payout.
+ * UPDATED: The payment is claimed ('refund_processing') before any money moves, so two refunds, or a refund and a
+ * payout, cannot both take it; a refund that fails hands it back. Refunds are keyed refund:<payment id>:<cents
+ * refunded before>, so a repeated request is refused by the wallet and, where the gateway supports it, the gateway.
+ */
+const refundPayment = async (req, res, io) => {
+    const { paymentId } = req.params;
+    const { amount, reason, refundTo = 'original' } = req.body;
+    const adminId = req.user.userId;
+
+    if (!['original', 'wallet'].includes(refundTo)) {
+        return res.status(400).json({ error: "refundTo must be 'original' or 'wallet'.ᐟ" });
+    }
+
+    const { data: adminUser, error: adminError } = await supabase
+        .from('users')
+        .select('user_type')
+        .eq('id', adminId)
+        .single();
+
+    if (adminError || adminUser?.user_type !== 'admin') {
+        return res.status(403).json({ error: 'Unauthorized: Only administrators can refund payments.ᐟ' });
+    }
+
+    try {
+        const { data: payment, error: fetchError } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentId)
+            .single();
+
+        if (fetchError || !payment) {
+            return res.status(404).json({ error: 'Payment record not found.ᐟ' });
+        }
+        if (payment.related_job_type !== 'negotiation' && payment.related_job_type !== 'direct_upload') {
+            return res.status(400).json({ error: 'Only negotiation and direct upload payments can be refunded.ᐟ' });
+        }
+        if (payment.payout_status === 'payout_processing') {
+            return res.status(409).json({ error: 'A payout to the transcriber is in progress for this payment. Try again once it has settled.ᐟ' });
+        }
+        if (payment.payout_status === REFUND_PROCESSING_STATUS) {
+            return res.status(409).json({ error: 'A refund for this payment is already in progress.ᐟ' });
+        }
+        if (payment.payout_status === 'paid_out') {
+            return res.status(400).json({ error: 'This payment has already been paid out to the transcriber and cannot be refunded.ᐟ' });
+        }
+        if (!REFUNDABLE_PAYOUT_STATUSES.includes(payment.payout_status)) {
+            return res.status(400).json({ error: `Payments with payout status '${payment.payout_status}' cannot be refunded.ᐟ` });
+        }
+
+        const refundToWallet = refundTo === 'wallet' || Boolean(payment.wallet_transaction_id);
+        const gateway = getGatewayForPayment(payment);
+        if (!refundToWallet && !gateway) {
+            return res.status(400).json({ error: 'This payment has no gateway reference to refund against.ᐟ' });
+        }
+        if (!refundToWallet && !gateway.isConfigured()) {
+            return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
+        }
+
+        const alreadyRefunded = parseFloat(payment.refunded_amount || 0);
+        const refundableAmount = parseFloat((payment.amount - alreadyRefunded).toFixed(2));
+        if (refundableAmount <= 0) {
+            return res.status(400).json({ error: 'This payment has already been fully refunded.ᐟ' });
+        }
+
+        // No amount means refund whatever is still refundable.
+        const refundAmount = amount === undefined || amount === null || amount === '' ? refundableAmount : parseFloat(amount);
+        if (isNaN(refundAmount) || refundAmount <= 0) {
+            return res.status(400).json({ error: 'Invalid refund amount.ᐟ' });
+        }
+        if (Math.round(refundAmount * 100) > Math.round(refundableAmount * 100)) {
+            return res.status(400).json({ error: `Refund amount exceeds the refundable balance of USD ${refundableAmount.toFixed(2)}.` });
+        }
+
+        const claimedPayment = await claimPaymentForRefund(payment);
+        if (!claimedPayment) {
+            return res.status(409).json({ error: 'This payment changed while the refund was being prepared. Refresh and try again.ᐟ' });
+        }
+
+        // Keyed by what had been refunded before, so a repeated request cannot refund the same amount twice.
+        const refundKey = `refund:${payment.id}:${Math.round(alreadyRefunded * 100)}`;
+        let refundSource;
+        try {
+            refundSource = await issueRefund({ payment, gateway, refundToWallet, refundKey, refundAmount, alreadyRefunded, reason });
+        } catch (refundError) {
+            await releaseRefundClaim(payment);
+            throw refundError;
+        }
+        if (refundSource.error) {
+            await releaseRefundClaim(payment);
+            return res.status(refundSource.statusCode).json({ error: refundSource.error });
+        }
+
+        const { data: refund, error: refundInsertError } = await supabase
+            .from('refunds')
+            .insert([{
+                payment_id: payment.id,
+                amount: refundAmount,
+                reason: reason || null,
+                payment_method: refundSource.name,
+                gateway_refund_reference: refundSource.refundReference,
+                gateway_status: refundSource.status,
+                refunded_by: adminId,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (refundInsertError) {
+            // The money has already gone back, so log loudly rather than pretend it failed. The payment stays
+            // 'refund_processing', out of payouts, until an admin records the refund.
+            console.error(`[refundPayment] Refund ${refundSource.refundReference} was issued by ${refundSource.displayName} but could not be recorded for payment ${paymentId}:`, refundInsertError);
+            throw refundInsertError;
+        }
+
+        const remainingAmount = parseFloat((refundableAmount - refundAmount).toFixed(2));
+        const paymentUpdate = {
+            refunded_amount: parseFloat((alreadyRefunded + refundAmount).toFixed(2)),
+            transcriber_earning: parseFloat((payment.transcriber_earning * (remainingAmount / refundableAmount)).toFixed(2)),
+            payout_status: remainingAmount === 0 ? 'refunded' : payment.payout_status,
+            updated_at: new Date().toISOString()
+        };
+
+        const { data: updatedPayment, error: updateError } = await supabase
+            .from('payments')
+            .update(paymentUpdate)
+            .eq('id', paymentId)
+            .eq('payout_status', REFUND_PROCESSING_STATUS)
+            .select()
             .single();
 
-        if (transcriberError) console.error(`Error fetching transcriber ${payment.transcriber_id} for payout email:`, transcriberError);
+        if (updateError) {
+            console.error(`[refundPayment] Error updating payment ${paymentId} after refund:`, updateError);
+            throw updateError;
+        }
+        await recordRefund(payment, updatedPayment, refund);
+
+        const [{ data: clientUser }, { data: transcriberUser }] = await Promise.all([
+            supabase.from('users').select('full_name, email').eq('id', payment.client_id).single(),
+            supabase.from('users').select('full_name, email').eq('id', payment.transcriber_id).single()
+        ]);
 
+        if (clientUser) {
+            await emailService.sendRefundConfirmationEmailToClient(clientUser, updatedPayment, refund);
+        }
         if (transcriberUser) {
-            await emailService.sendPayoutConfirmationEmail(transcriberUser, updatedPayment);
+            await emailService.sendRefundNotificationEmailToTranscriber(transcriberUser, updatedPayment, refund);
+        }
+
+        if (io) {
+            const refundEvent = {
+                paymentId: updatedPayment.id,
+                refundAmount: refund.amount,
+                transcriberEarning: updatedPayment.transcriber_earning,
+                payoutStatus: updatedPayment.payout_status,
+                message: `A refund of USD ${refund.amount.toFixed(2)} was issued.`
+            };
+            if (payment.client_id) io.to(payment.client_id).emit('payment_refunded', refundEvent);
+            if (payment.transcriber_id) io.to(payment.transcriber_id).emit('payment_refunded', refundEvent);
         }
 
         res.status(200).json({
-            message: 'Payment marked as paid out successfully.ᐟ',
+            message: remainingAmount === 0 ? 'Payment fully refunded.ᐟ' : 'Partial refund issued successfully.ᐟ',
+            refund: refund,
             payment: updatedPayment
         });
 
     } catch (error) {
-        console.error(`Server error marking payment ${paymentId} as paid out:`, error);
-        res.status(500).json({ error: 'Server error marking payment as paid out.ᐟ' });
+        console.error(`Server error refunding payment ${paymentId}:`, error.response ? error.response.data : error);
+        res.status(500).json({ error: 'Server error refunding payment.ᐟ' });
+    }
+};
+
+// Dispatches a verified, successful charge to the fulfillment for the job type it paid for.
+const fulfillGatewayCharge = async ({ relatedJobId, relatedJobType, ...chargeDetails }, io) => {
+    switch (relatedJobType) {
+        case 'negotiation':
+            return fulfillNegotiationPayment({ negotiationId: relatedJobId, ...chargeDetails }, io);
+        case 'direct_upload':
+            return fulfillDirectUploadPayment({ directUploadJobId: relatedJobId, ...chargeDetails }, io);
+        case 'training':
+            return fulfillTrainingPayment({ traineeId: relatedJobId, ...chargeDetails }, io);
+        case 'wallet_top_up':
+            return fulfillWalletTopUp({ clientId: relatedJobId, ...chargeDetails }, io);
+        default:
+            return { outcome: 'job_not_found' };
     }
 };
 
+/**
+ * Receives a gateway's asynchronous charge notification, so payments are recorded even when
+ * the client's browser never returns to call a verify endpoint. The signature is checked by the
+ * gateway adapter, then the charge is re-verified with the gateway before anything is recorded.
+ */
+const handleGatewayWebhook = async (paymentMethod, req, res, io) => {
+    const gateway = getGateway(paymentMethod);
+    const logPrefix = `[handleGatewayWebhook:${paymentMethod}]`;
+
+    if (!gateway.isConfigured()) {
+        console.error(`${logPrefix} ${gateway.displayName} keys are not set.`);
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
+    }
+
+    const webhook = gateway.parseWebhook(req);
+    if (!webhook.valid) {
+        console.warn(`${logPrefix} Rejected webhook with missing or invalid signature.`);
+        return res.status(401).json({ error: 'Invalid webhook signature.ᐟ' });
+    }
+    if (!webhook.isChargeSuccess) {
+        console.log(`${logPrefix} Ignoring event '${webhook.event}' for reference ${webhook.reference}.`);
+        return res.status(200).json({ message: 'Event ignored.ᐟ' });
+    }
+
+    try {
+        const verification = await gateway.verify(webhook.reference);
+        if (!verification.success) {
+            console.warn(`${logPrefix} Charge ${webhook.reference} is not successful at ${gateway.displayName}. Ignoring.`);
+            return res.status(200).json({ message: 'Charge not successful. Ignored.ᐟ' });
+        }
+
+        const { related_job_id: relatedJobId, related_job_type: relatedJobType } = verification.metadata;
+        if (!relatedJobId || !relatedJobType) {
+            console.error(`${logPrefix} Charge ${webhook.reference} has no related job metadata. Cannot match it to a job.`);
+            return res.status(200).json({ message: 'Charge could not be matched to a job.ᐟ' });
+        }
+
+        const { outcome } = await fulfillGatewayCharge({
+            relatedJobId,
+            relatedJobType,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
+
+        if (outcome === 'job_not_found' || outcome === 'amount_mismatch' || outcome === 'refund_required') {
+            console.error(`${logPrefix} Could not fulfill charge ${webhook.reference} for ${relatedJobType} ${relatedJobId}: ${outcome}`);
+        } else {
+            console.log(`${logPrefix} Charge ${webhook.reference} for ${relatedJobType} ${relatedJobId}: ${outcome}`);
+        }
+
+        // Acknowledge with 200 for every handled outcome; only unexpected errors should make the gateway retry.
+        res.status(200).json({ message: 'Webhook processed.ᐟ', outcome });
+
+    } catch (error) {
+        console.error(`${logPrefix} Error processing webhook:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: `Server error processing ${gateway.displayName} webhook.ᐟ` });
+    }
+};
+
+// Longest period one reconciliation report may cover; each gateway is queried live.
+const MAX_RECONCILIATION_DAYS = 31;
+
+/**
+ * NEW: Admin report comparing gateway charges with recorded payments for ?from=&to= (ISO dates).
+ * Defaults to the last 7 days. See utils/paymentReconciliation.js for what each finding means.
+ */
+const getPaymentReconciliationReport = async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ error: 'Invalid date range. Provide ISO dates with from before to.ᐟ' });
+    }
+    if (to - from > MAX_RECONCILIATION_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ error: `Date range cannot exceed ${MAX_RECONCILIATION_DAYS} days.ᐟ` });
+    }
+
+    try {
+        const report = await reconcilePayments(from, to);
+        res.status(200).json({ message: 'Reconciliation report generated.ᐟ', report });
+    } catch (error) {
+        console.error('[getPaymentReconciliationReport] Error building reconciliation report:', error);
+        res.status(500).json({ error: 'Server error generating reconciliation report.ᐟ' });
+    }
+};
+
+/**
+ * NEW: Records a charge that succeeded at the gateway but never reached `payments`
+ * (a "missing" finding). The charge is re-verified and fulfilled exactly as a webhook would be,
+ * so repairing a reference that has since been recorded does nothing.
+ */
+const repairMissingPayment = async (req, res, io) => {
+    const { paymentMethod, reference } = req.body;
+    const gateway = getGateway(paymentMethod);
+
+    if (!gateway) {
+        return res.status(400).json({ error: 'Invalid payment method.ᐟ' });
+    }
+    if (!reference) {
+        return res.status(400).json({ error: 'Charge reference is required.ᐟ' });
+    }
+    if (!gateway.isConfigured()) {
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
+    }
+
+    try {
+        const verification = await gateway.verify(reference);
+        if (!verification.success) {
+            return res.status(400).json({ error: `Charge ${reference} is not successful at ${gateway.displayName}: ${verification.message}` });
+        }
+
+        const { related_job_id: relatedJobId, related_job_type: relatedJobType } = verification.metadata;
+        if (!relatedJobId || !relatedJobType) {
+            return res.status(422).json({ error: 'This charge has no job metadata, so it cannot be matched to a job automatically.ᐟ' });
+        }
+
+        const { outcome, payment } = await fulfillGatewayCharge({
+            relatedJobId,
+            relatedJobType,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
+
+        console.log(`[repairMissingPayment] Admin ${req.user.userId} repaired ${paymentMethod} charge ${reference} for ${relatedJobType} ${relatedJobId}: ${outcome}`);
+
+        switch (outcome) {
+            case 'recorded':
+                return res.status(201).json({ message: 'Payment recorded.ᐟ', outcome, payment });
+            case 'already_processed':
+                return res.status(200).json({ message: 'This charge or job has already been paid for. Nothing was changed.ᐟ', outcome, payment });
+            case 'job_not_found':
+                return res.status(404).json({ error: `The ${relatedJobType} job this charge was for no longer exists.ᐟ`, outcome });
+            case 'refund_required':
+                return res.status(409).json({ error: 'The job can no longer be paid for. The charge was recorded for refund.ᐟ', outcome, payment });
+            default:
+                return res.status(409).json({ error: 'The charged amount does not match the job price. Resolve this manually.ᐟ', outcome });
+        }
+    } catch (error) {
+        console.error(`[repairMissingPayment] Error repairing ${paymentMethod} charge ${reference}:`, error.response ? error.response.data : error);
+        res.status(500).json({ error: 'Server error repairing payment.ᐟ' });
+    }
+};
+
+// NEW: Admin trial balance of the ledger, optionally as of ?asOf= (ISO date).
+const getLedgerTrialBalance = async (req, res) => {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+        return res.status(400).json({ error: 'Invalid asOf date.ᐟ' });
+    }
+
+    try {
+        const trialBalance = await getTrialBalance(asOf);
+        if (!trialBalance.isBalanced) {
+            console.error(`[getLedgerTrialBalance] Ledger is out of balance as of ${trialBalance.asOf}: debits ${trialBalance.totalDebits}, credits ${trialBalance.totalCredits}.`);
+        }
+        res.status(200).json({ trialBalance });
+    } catch (error) {
+        console.error('[getLedgerTrialBalance] Error building trial balance:', error);
+        res.status(500).json({ error: 'Server error building trial balance.ᐟ' });
+    }
+};
+
+// NEW: Admin statement for one ledger account. ?ownerId= narrows client_escrow or transcriber_payable to one user.
+const getLedgerAccountStatement = async (req, res) => {
+    const { account } = req.params;
+    const { ownerId } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if (!Object.values(ACCOUNTS).includes(account)) {
+        return res.status(400).json({ error: `Unknown ledger account '${account}'.ᐟ` });
+    }
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({ error: 'Invalid date range.ᐟ' });
+    }
+
+    try {
+        const statement = await getAccountStatement(account, { ownerId, from, to });
+        res.status(200).json({ statement });
+    } catch (error) {
+        console.error(`[getLedgerAccountStatement] Error building statement for ${account}:`, error);
+        res.status(500).json({ error: 'Server error building account statement.ᐟ' });
+    }
+};
+
+const handleKorapayWebhook = (req, res, io) => handleGatewayWebhook('korapay', req, res, io);
+
+const handlePaystackWebhook = (req, res, io) => handleGatewayWebhook('paystack', req, res, io);
 
 module.exports = {
     getTranscriberPaymentHistory,
+    getTranscriberEarningsStatement,
     getClientPaymentHistory,
+    downloadPaymentInvoice,
     getAllPaymentHistoryForAdmin,
     getTranscriberUpcomingPayoutsForAdmin,
+    getTranscriberUpcomingPayouts,
     markPaymentAsPaidOut,
+    initiatePaymentPayout,
+    handleMpesaB2cResult,
+    handleMpesaB2cTimeout,
+    handleMpesaB2cStatusResult,
+    handleMpesaB2cStatusTimeout,
+    handlePaypalPayoutWebhook,
+    refreshPaymentPayoutStatus,
+    refundPayment,
+    handleKorapayWebhook,
+    handlePaystackWebhook,
+    getPaymentReconciliationReport,
+    repairMissingPayment,
+    getLedgerTrialBalance,
+    getLedgerAccountStatement,
     getNextFriday // EXPORTED: getNextFriday
 };
@@ -0,0 +1,485 @@
+const supabase = require('..//database');
+const emailService = require('..//emailService');
+const { recordPayout } = require('..//utils/ledger');
+const { getBaseExchangeRate } = require('..//utils/exchangeRateService');
+const { buildMpesaBulkCsv, buildPaypalMassPayCsv } = require('..//utils/payoutExport');
+const { getPayoutGateway } = require('..//utils/payoutGateway');
+const { startPayouts } = require('..//utils/payoutDisbursement');
+const { leavePayoutBatch } = require('..//utils/payoutBatches');
+const { getPayoutPreferences, isDueInBatch } = require('..//utils/payoutSchedule');
+const { isEarnedPayment } = require('..//utils/paymentUtils');
+
+/**
+ * NEW: Weekly payout batches.
+ *
+ * A batch snapshots every 'pending' earning paid on or before a week-ending Friday that is not already
+ * in a batch, grouped per transcriber:
+ *   payout_batches:     id, week_ending (date), status ('open' | 'paid'), total_amount, transcriber_count,
+ *                       payment_count, created_by, created_at, paid_amount, paid_by, paid_at
+ *   payout_batch_items: id, batch_id, transcriber_id, payment_ids (uuid[]), total_amount, payment_count,
+ *                       mpesa_number, paypal_email
+ *   payments.payout_batch_id links each payment to the batch that claimed it.
+ *
+ * Direct upload payments are 'pending' from the moment the client pays, so they are only batched once the
+ * transcriber has completed the job.
+ *
+ * Exports and mark-paid work from the batch's payments that are still 'pending', so a payment refunded
+ * or paid individually after the batch was generated is not paid twice. A payment put on hold by a
+ * dispute leaves its batch and is picked up by a later one once released.
+ *
+ * UPDATED: Mark-paid only settles payments that went out in an export file: exporting stamps
+ * payments.payout_exported_at on the payments in the file. Payees left out of every file (no payout details,
+ * or sent through an adapter instead) are not recorded as paid; whatever is still pending and unexported when
+ * the batch is marked paid leaves it for a later batch. Payments sent through an adapter settle one by one as
+ * their transfers are confirmed, and those whose transfer fails or is skipped leave the batch straight away.
+ * See utils/payoutBatches.js.
+ *
+ * UPDATED: Only transcribers due that Friday are included: it must be one of their payout days (monthly
+ * payees are paid on the last Friday of the month) and their earnings must reach their minimum threshold.
+ * Everyone else's earnings stay unbatched and roll forward. Each payee is exported and sent through their
+ * preferred payout method only. See utils/payoutSchedule.js.
+ */
+
+const roundToCents = (amount) => parseFloat(amount.toFixed(2));
+
+// Parses a YYYY-MM-DD Friday into the end of that day, matching getNextFriday's week ends.
+const parseWeekEnding = (weekEnding) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(weekEnding || '');
+    if (!match) return null;
+    const weekEnd = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), 23, 59, 59, 999);
+    return weekEnd.getDay() === 5 ? weekEnd : null;
+};
+
+const fetchBatch = async (batchId) => {
+    const { data: batch, error } = await supabase
+        .from('payout_batches')
+        .select('*')
+        .eq('id', batchId)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return batch || null;
+};
+
+// The batch's payments that can still be paid out, grouped per transcriber with their payout details.
+const getBatchPayees = async (batchId) => {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('id, transcriber_id, transcriber_earning, negotiation_id, direct_upload_job_id, related_job_type, transaction_date, payout_batch_id, payout_exported_at')
+        .eq('payout_batch_id', batchId)
+        .eq('payout_status', 'pending');
+
+    if (error) throw error;
+    if (!payments || payments.length === 0) return [];
+
+    const transcriberIds = [...new Set(payments.map(payment => payment.transcriber_id))];
+    const { data: transcribers, error: transcribersError } = await supabase
+        .from('users')
+        .select('id, full_name, email, transcriber_mpesa_number, transcriber_paypal_email, payout_method, payout_frequency, payout_threshold_usd')
+        .in('id', transcriberIds);
+
+    if (transcribersError) throw transcribersError;
+
+    return transcriberIds.map(transcriberId => {
+        const transcriber = transcribers.find(user => user.id === transcriberId) || {};
+        const transcriberPayments = payments.filter(payment => payment.transcriber_id === transcriberId);
+        return {
+            transcriberId,
+            fullName: transcriber.full_name,
+            email: transcriber.email,
+            mpesaNumber: transcriber.transcriber_mpesa_number,
+            paypalEmail: transcriber.transcriber_paypal_email,
+            payoutMethod: getPayoutPreferences(transcriber).method,
+            totalAmount: roundToCents(transcriberPayments.reduce((sum, payment) => sum + payment.transcriber_earning, 0)),
+            payments: transcriberPayments
+        };
+    });
+};
+
+// Splits transcribers with unbatched pending earnings up to the week end into those due and those rolled forward,
+// and lists the earned payments of those due.
+const getTranscribersDueInBatch = async (weekEnd) => {
+    const { data: pendingPayments, error } = await supabase
+        .from('payments')
+        .select('id, transcriber_id, transcriber_earning, related_job_type, direct_upload_job:direct_upload_job_id(status)')
+        .eq('payout_status', 'pending')
+        .is('payout_batch_id', null)
+        .not('transcriber_id', 'is', null)
+        .lte('transaction_date', weekEnd.toISOString());
+
+    if (error) throw error;
+    const payments = (pendingPayments || []).filter(isEarnedPayment);
+    if (payments.length === 0) return { dueTranscriberIds: [], duePaymentIds: [], deferred: [] };
+
+    const pendingByTranscriber = new Map();
+    for (const payment of payments) {
+        pendingByTranscriber.set(payment.transcriber_id, (pendingByTranscriber.get(payment.transcriber_id) || 0) + payment.transcriber_earning);
+    }
+
+    const { data: transcribers, error: transcribersError } = await supabase
+        .from('users')
+        .select('id, transcriber_mpesa_number, transcriber_paypal_email, payout_method, payout_frequency, payout_threshold_usd')
+        .in('id', [...pendingByTranscriber.keys()]);
+
+    if (transcribersError) throw transcribersError;
+
+    const dueTranscriberIds = [];
+    const deferred = [];
+    for (const [transcriberId, pendingAmount] of pendingByTranscriber) {
+        const preferences = getPayoutPreferences(transcribers.find(user => user.id === transcriberId) || {});
+        if (isDueInBatch(preferences, weekEnd, pendingAmount)) {
+            dueTranscriberIds.push(transcriberId);
+        } else {
+            deferred.push({
+                transcriberId,
+                pendingAmount: roundToCents(pendingAmount),
+                payoutFrequency: preferences.frequency,
+                payoutThresholdUsd: preferences.thresholdUsd
+            });
+        }
+    }
+    const duePaymentIds = payments
+        .filter(payment => dueTranscriberIds.includes(payment.transcriber_id))
+        .map(payment => payment.id);
+    return { dueTranscriberIds, duePaymentIds, deferred };
+};
+
+const createPayoutBatch = async (req, res) => {
+    const adminId = req.user.userId;
+    const weekEnd = parseWeekEnding(req.body.weekEnding);
+
+    if (!weekEnd) {
+        return res.status(400).json({ error: 'weekEnding must be a Friday in YYYY-MM-DD format.ᐟ' });
+    }
+
+    try {
+        const { data: batch, error: batchError } = await supabase
+            .from('payout_batches')
+            .insert([{
+                week_ending: req.body.weekEnding,
+                status: 'open',
+                total_amount: 0,
+                transcriber_count: 0,
+                payment_count: 0,
+                created_by: adminId,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (batchError) throw batchError;
+
+        const { duePaymentIds, deferred } = await getTranscribersDueInBatch(weekEnd);
+
+        // Claim the payments in one update, so two batches generated at once cannot share a payment.
+        const { data: claimedPayments, error: claimError } = duePaymentIds.length === 0
+            ? { data: [], error: null }
+            : await supabase
+                .from('payments')
+                .update({ payout_batch_id: batch.id, updated_at: new Date().toISOString() })
+                .in('id', duePaymentIds)
+                .eq('payout_status', 'pending')
+                .is('payout_batch_id', null)
+                .select('id, transcriber_id, transcriber_earning');
+
+        if (claimError) throw claimError;
+
+        if (!claimedPayments || claimedPayments.length === 0) {
+            await supabase.from('payout_batches').delete().eq('id', batch.id);
+            return res.status(400).json({ error: 'There are no pending earnings due to be paid out this week.ᐟ', deferred });
+        }
+
+        const payees = await getBatchPayees(batch.id);
+        const { error: itemsError } = await supabase
+            .from('payout_batch_items')
+            .insert(payees.map(payee => ({
+                batch_id: batch.id,
+                transcriber_id: payee.transcriberId,
+                payment_ids: payee.payments.map(payment => payment.id),
+                total_amount: payee.totalAmount,
+                payment_count: payee.payments.length,
+                mpesa_number: payee.mpesaNumber || null,
+                paypal_email: payee.paypalEmail || null
+            })));
+
+        if (itemsError) throw itemsError;
+
+        const { data: updatedBatch, error: updateError } = await supabase
+            .from('payout_batches')
+            .update({
+                total_amount: roundToCents(payees.reduce((sum, payee) => sum + payee.totalAmount, 0)),
+                transcriber_count: payees.length,
+                payment_count: claimedPayments.length
+            })
+            .eq('id', batch.id)
+            .select()
+            .single();
+
+        if (updateError) throw updateError;
+
+        res.status(201).json({ message: 'Payout batch generated successfully.ᐟ', batch: updatedBatch, items: payees, deferred });
+
+    } catch (error) {
+        console.error('[createPayoutBatch] Error generating payout batch:', error);
+        res.status(500).json({ error: 'Server error generating payout batch.ᐟ' });
+    }
+};
+
+const getPayoutBatches = async (req, res) => {
+    try {
+        const { data: batches, error } = await supabase
+            .from('payout_batches')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        res.status(200).json({ batches: batches || [] });
+    } catch (error) {
+        console.error('[getPayoutBatches] Error fetching payout batches:', error);
+        res.status(500).json({ error: 'Server error fetching payout batches.ᐟ' });
+    }
+};
+
+const getPayoutBatchDetails = async (req, res) => {
+    const { batchId } = req.params;
+    try {
+        const batch = await fetchBatch(batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Payout batch not found.ᐟ' });
+        }
+
+        const { data: items, error } = await supabase
+            .from('payout_batch_items')
+            .select('*, transcriber:users!transcriber_id(full_name, email)')
+            .eq('batch_id', batchId);
+
+        if (error) throw error;
+        res.status(200).json({ batch, items: items || [], payableNow: await getBatchPayees(batchId) });
+    } catch (error) {
+        console.error(`[getPayoutBatchDetails] Error fetching payout batch ${batchId}:`, error);
+        res.status(500).json({ error: 'Server error fetching payout batch.ᐟ' });
+    }
+};
+
+// GET ?format=mpesa|paypal - downloads the batch as a bulk payment file.
+const exportPayoutBatch = async (req, res) => {
+    const { batchId } = req.params;
+    const { format } = req.query;
+
+    if (format !== 'mpesa' && format !== 'paypal') {
+        return res.status(400).json({ error: "format must be 'mpesa' or 'paypal'.ᐟ" });
+    }
+
+    try {
+        const batch = await fetchBatch(batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Payout batch not found.ᐟ' });
+        }
+
+        const payees = await getBatchPayees(batchId);
+        if (payees.length === 0) {
+            return res.status(400).json({ error: 'This batch has nothing left to pay out.ᐟ' });
+        }
+
+        // Payees who prefer the other method go in the other file.
+        const formatPayees = payees.filter(payee => !payee.payoutMethod || payee.payoutMethod === format);
+        const batchReference = `PB-${batch.week_ending}`;
+        const { csv, skipped } = format === 'mpesa'
+            ? buildMpesaBulkCsv(formatPayees, batchReference, await getBaseExchangeRate('KES'))
+            : buildPaypalMassPayCsv(formatPayees, batchReference);
+
+        // Skipped payees are not marked paid with the batch; exported again once their details are added, they are.
+        if (skipped.length > 0) {
+            console.warn(`[exportPayoutBatch] ${skipped.length} transcriber(s) in batch ${batchId} have no ${format} payout details and were left out, so they will not be marked paid: ${skipped.map(payee => payee.transcriberId).join(', ')}`);
+        }
+
+        // Only what is in the file can be marked paid with the batch.
+        const exportedPaymentIds = formatPayees
+            .filter(payee => !skipped.includes(payee))
+            .flatMap(payee => payee.payments.map(payment => payment.id));
+        if (exportedPaymentIds.length > 0) {
+            const { error: stampError } = await supabase
+                .from('payments')
+                .update({ payout_exported_at: new Date().toISOString() })
+                .in('id', exportedPaymentIds)
+                .eq('payout_status', 'pending');
+            if (stampError) throw stampError;
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="payout-batch-${batch.week_ending}-${format}.csv"`);
+        res.setHeader('X-Skipped-Transcribers', String(skipped.length));
+        res.setHeader('X-Skipped-Transcriber-Ids', skipped.map(payee => payee.transcriberId).join(','));
+        res.status(200).send(csv);
+
+    } catch (error) {
+        console.error(`[exportPayoutBatch] Error exporting payout batch ${batchId}:`, error);
+        res.status(500).json({ error: 'Server error exporting payout batch.ᐟ' });
+    }
+};
+
+/**
+ * Marks every still-pending payment in a batch that was exported as paid out, posts each payout to the ledger,
+ * and sends each transcriber one consolidated confirmation email. Pending payments that were never exported
+ * leave the batch unpaid.
+ * @returns {Promise<{paidAmount: number, payees: Array, returnedToQueue: number}>}
+ */
+const settlePayoutBatch = async (batch, adminId, io) => {
+    const payees = await getBatchPayees(batch.id);
+    const paidAt = new Date().toISOString();
+    const settledPayees = [];
+
+    const unexported = payees.flatMap(payee => payee.payments.filter(payment => !payment.payout_exported_at));
+    const returnedToQueue = await leavePayoutBatch(unexported);
+    if (returnedToQueue.length > 0) {
+        console.warn(`[settlePayoutBatch] ${returnedToQueue.length} payment(s) in batch ${batch.id} were never exported and were returned to the payout queue.`);
+    }
+
+    for (const payee of payees) {
+        const exportedPayments = payee.payments.filter(payment => payment.payout_exported_at);
+        if (exportedPayments.length === 0) continue;
+
+        const { data: paidPayments, error } = await supabase
+            .from('payments')
+            .update({ payout_status: 'paid_out', paid_out_date: paidAt, updated_at: paidAt })
+            .in('id', exportedPayments.map(payment => payment.id))
+            .eq('payout_batch_id', batch.id)
+            .eq('payout_status', 'pending')
+            .not('payout_exported_at', 'is', null)
+            .select();
+
+        if (error) {
+            console.error(`[settlePayoutBatch] Error marking payments paid for transcriber ${payee.transcriberId} in batch ${batch.id}:`, error);
+            continue;
+        }
+        if (!paidPayments || paidPayments.length === 0) continue;
+
+        for (const payment of paidPayments) {
+            await recordPayout(payment);
+        }
+
+        const totalPaid = roundToCents(paidPayments.reduce((sum, payment) => sum + payment.transcriber_earning, 0));
+        if (payee.email) {
+            await emailService.sendPayoutConfirmationEmail(
+                { full_name: payee.fullName, email: payee.email },
+                { id: batch.id, transcriber_earning: totalPaid },
+                paidPayments
+            );
+        }
+        if (io) {
+            io.to(payee.transcriberId).emit('payout_processed', {
+                batchId: batch.id,
+                amount: totalPaid,
+                paymentIds: paidPayments.map(payment => payment.id),
+                message: 'Your weekly payout has been processed and disbursed!ᐟ',
+                status: 'paid_out'
+            });
+        }
+        settledPayees.push({ transcriberId: payee.transcriberId, totalPaid, paymentCount: paidPayments.length });
+    }
+
+    const paidAmount = roundToCents(settledPayees.reduce((sum, payee) => sum + payee.totalPaid, 0));
+    const { error: batchUpdateError } = await supabase
+        .from('payout_batches')
+        .update({ status: 'paid', paid_amount: paidAmount, paid_by: adminId, paid_at: paidAt })
+        .eq('id', batch.id);
+
+    if (batchUpdateError) {
+        console.error(`[settlePayoutBatch] Error marking batch ${batch.id} as paid:`, batchUpdateError);
+        throw batchUpdateError;
+    }
+    return { paidAmount, payees: settledPayees, returnedToQueue: returnedToQueue.length };
+};
+
+const markPayoutBatchAsPaid = async (req, res, io) => {
+    const { batchId } = req.params;
+    try {
+        const batch = await fetchBatch(batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Payout batch not found.ᐟ' });
+        }
+        if (batch.status === 'paid') {
+            return res.status(400).json({ error: 'This payout batch has already been marked as paid.ᐟ' });
+        }
+
+        // Transfers still in flight are settled by their provider, so the batch waits for them.
+        const { count: processingCount, error: processingError } = await supabase
+            .from('payments')
+            .select('*', { count: 'exact', head: true })
+            .eq('payout_batch_id', batchId)
+            .eq('payout_status', 'payout_processing');
+
+        if (processingError) throw processingError;
+        if (processingCount > 0) {
+            return res.status(409).json({ error: `${processingCount} payout(s) in this batch are still being processed. Mark the batch as paid once they are confirmed.ᐟ` });
+        }
+
+        const result = await settlePayoutBatch(batch, req.user.userId, io);
+        res.status(200).json({ message: 'Payout batch marked as paid successfully.ᐟ', ...result });
+
+    } catch (error) {
+        console.error(`[markPayoutBatchAsPaid] Error marking payout batch ${batchId} as paid:`, error);
+        res.status(500).json({ error: 'Server error marking payout batch as paid.ᐟ' });
+    }
+};
+
+/**
+ * NEW: Sends a batch's pending earnings through a payout adapter (body: { payoutMethod }) instead of a CSV upload.
+ * Only transcribers who prefer that method and have details for it are included, and payments already exported
+ * to a file are left to it. Each payment is marked paid out as its transfer is confirmed; one whose transfer
+ * fails or that has no payout details leaves the batch for a later one. Marking the batch paid afterwards
+ * closes it without recording anything that was not exported as paid.
+ */
+const sendPayoutBatch = async (req, res) => {
+    const { batchId } = req.params;
+    const payoutGateway = getPayoutGateway(req.body.payoutMethod);
+
+    if (!payoutGateway) {
+        return res.status(400).json({ error: 'Invalid payout method.ᐟ' });
+    }
+    if (!payoutGateway.isConfigured()) {
+        return res.status(500).json({ error: `${payoutGateway.displayName} payouts are not configured.ᐟ` });
+    }
+
+    try {
+        const batch = await fetchBatch(batchId);
+        if (!batch) {
+            return res.status(404).json({ error: 'Payout batch not found.ᐟ' });
+        }
+        if (batch.status === 'paid') {
+            return res.status(400).json({ error: 'This payout batch has already been marked as paid.ᐟ' });
+        }
+
+        const payees = await getBatchPayees(batchId);
+        if (payees.length === 0) {
+            return res.status(400).json({ error: 'This batch has nothing left to pay out.ᐟ' });
+        }
+        const payments = payees
+            .filter(payee => !payee.payoutMethod || payee.payoutMethod === payoutGateway.name)
+            .flatMap(payee => payee.payments)
+            .filter(payment => !payment.payout_exported_at);
+        if (payments.length === 0) {
+            return res.status(400).json({ error: `No one in this batch is paid through ${payoutGateway.displayName}.ᐟ` });
+        }
+
+        const outcome = await startPayouts(payoutGateway, payments, `PB-${batch.week_ending}-${Date.now().toString(36)}`);
+        // Failed transfers left the batch when they returned to pending; payees without details leave it here.
+        const skippedIds = new Set(outcome.skipped.filter(entry => entry.reason === 'no_recipient').map(entry => entry.paymentId));
+        await leavePayoutBatch(payments.filter(payment => skippedIds.has(payment.id)));
+        console.log(`[sendPayoutBatch] Batch ${batchId} via ${payoutGateway.displayName}: ${outcome.sent.length} sent, ${outcome.failed.length} failed, ${outcome.uncertain.length} awaiting a status check, ${outcome.skipped.length} skipped.`);
+        res.status(202).json({ message: `Batch payouts sent to ${payoutGateway.displayName}.ᐟ`, ...outcome });
+
+    } catch (error) {
+        console.error(`[sendPayoutBatch] Error sending payout batch ${batchId}:`, error);
+        res.status(500).json({ error: 'Server error sending payout batch.ᐟ' });
+    }
+};
+
+module.exports = {
+    createPayoutBatch,
+    getPayoutBatches,
+    getPayoutBatchDetails,
+    exportPayoutBatch,
+    sendPayoutBatch,
+    markPayoutBatchAsPaid
+};
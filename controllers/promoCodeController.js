@@ -0,0 +1,292 @@
+const supabase = require('..//database');
+const {
+    PROMO_JOB_TYPES,
+    DISCOUNT_TYPES,
+    JOB_SOURCES,
+    normalizePromoCode,
+    getAmountDueUsd,
+    applyPromoCodeToJob,
+    removePromoCodeFromJob,
+    countRedemptions
+} = require('..//utils/promoCodes');
+
+/**
+ * NEW: Promo codes. Admins manage the codes and their limits; clients apply a code to a direct upload
+ * or an accepted negotiation before paying. See utils/promoCodes.js.
+ */
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Fetches a job awaiting payment that belongs to the client, or null.
+const fetchClientJob = async (jobType, jobId, clientId) => {
+    const source = JOB_SOURCES[jobType];
+    const columns = jobType === 'direct_upload'
+        ? 'id, client_id, status, quote_amount, discount_amount_usd, promo_code_id, promo_code, audio_length_minutes'
+        : 'id, client_id, status, agreed_price_usd, discount_amount_usd, promo_code_id, promo_code, milestones_cleared';
+
+    const { data: job, error } = await supabase
+        .from(source.table)
+        .select(columns)
+        .eq('id', jobId)
+        .eq('client_id', clientId)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return job || null;
+};
+
+const describeDiscount = (jobType, job) => ({
+    jobType,
+    jobId: job.id,
+    promoCode: job.promo_code,
+    discountAmountUsd: parseFloat(job.discount_amount_usd || 0),
+    originalAmountUsd: parseFloat(job[JOB_SOURCES[jobType].priceColumn]),
+    amountDueUsd: getAmountDueUsd(jobType, job)
+});
+
+const applyPromoCode = async (req, res) => {
+    const { jobType, jobId, code } = req.body;
+    const clientId = req.user.userId;
+
+    if (!PROMO_JOB_TYPES.includes(jobType) || !jobId || !code) {
+        return res.status(400).json({ error: `jobType (${PROMO_JOB_TYPES.join(' or ')}), jobId and code are required.ᐟ` });
+    }
+
+    try {
+        const job = await fetchClientJob(jobType, jobId, clientId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or not accessible.ᐟ' });
+        }
+
+        const result = await applyPromoCodeToJob({ jobType, job, code });
+        if (!result.valid) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.status(200).json({
+            message: `Promo code ${normalizePromoCode(code)} applied.`,
+            ...describeDiscount(jobType, result.job)
+        });
+    } catch (error) {
+        console.error(`[applyPromoCode] Error applying promo code to ${jobType} ${jobId}:`, error);
+        res.status(500).json({ error: 'Server error applying promo code.ᐟ' });
+    }
+};
+
+const removePromoCode = async (req, res) => {
+    const { jobType, jobId } = req.params;
+    const clientId = req.user.userId;
+
+    if (!PROMO_JOB_TYPES.includes(jobType)) {
+        return res.status(400).json({ error: 'Invalid job type.ᐟ' });
+    }
+
+    try {
+        const job = await fetchClientJob(jobType, jobId, clientId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or not accessible.ᐟ' });
+        }
+        if (!job.promo_code_id) {
+            return res.status(400).json({ error: 'This job has no promo code applied.ᐟ' });
+        }
+        if (!JOB_SOURCES[jobType].awaitingPaymentStatuses.includes(job.status)) {
+            return res.status(400).json({ error: `Promo codes can only be removed before payment. Current status: ${job.status}` });
+        }
+        if (job.milestones_cleared > 0) {
+            return res.status(400).json({ error: 'Promo codes cannot be changed once a milestone has been paid.ᐟ' });
+        }
+
+        const updatedJob = await removePromoCodeFromJob(jobType, job);
+        res.status(200).json({
+            message: 'Promo code removed.',
+            ...describeDiscount(jobType, updatedJob)
+        });
+    } catch (error) {
+        console.error(`[removePromoCode] Error removing promo code from ${jobType} ${jobId}:`, error);
+        res.status(500).json({ error: 'Server error removing promo code.ᐟ' });
+    }
+};
+
+const parseOptionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Checks the admin-editable fields and maps them to promo_codes columns. Returns { error } or { fields }.
+const buildPromoCodeFields = (body, existing = {}) => {
+    const fields = {};
+
+    if (body.code !== undefined) {
+        const code = normalizePromoCode(body.code);
+        if (!PROMO_CODE_PATTERN.test(code)) {
+            return { error: 'Codes must be 3-32 letters, digits, hyphens or underscores.ᐟ' };
+        }
+        fields.code = code;
+    }
+    if (body.description !== undefined) fields.description = body.description || null;
+
+    if (body.discountType !== undefined) {
+        if (!DISCOUNT_TYPES.includes(body.discountType)) {
+            return { error: `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}.ᐟ` };
+        }
+        fields.discount_type = body.discountType;
+    }
+    if (body.discountValue !== undefined) {
+        const discountValue = Number(body.discountValue);
+        if (!Number.isFinite(discountValue) || discountValue <= 0) {
+            return { error: 'discountValue must be a positive number.ᐟ' };
+        }
+        fields.discount_value = discountValue;
+    }
+    const discountType = fields.discount_type || existing.discount_type;
+    const discountValue = fields.discount_value ?? existing.discount_value;
+    if (discountType === 'percentage' && discountValue > 100) {
+        return { error: 'A percentage discount cannot exceed 100.ᐟ' };
+    }
+
+    for (const [bodyKey, column, integer] of [['maxDiscountUsd', 'max_discount_usd', false], ['maxUses', 'max_uses', true], ['minMinutes', 'min_minutes', false]]) {
+        if (body[bodyKey] === undefined) continue;
+        const value = parseOptionalNumber(body[bodyKey]);
+        if (value !== null && (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value)))) {
+            return { error: `${bodyKey} must be a positive ${integer ? 'whole number' : 'number'} or empty.ᐟ` };
+        }
+        fields[column] = value;
+    }
+
+    for (const [bodyKey, column] of [['startsAt', 'starts_at'], ['expiresAt', 'expires_at']]) {
+        if (body[bodyKey] === undefined) continue;
+        if (body[bodyKey] && isNaN(new Date(body[bodyKey]).getTime())) {
+            return { error: `${bodyKey} must be a valid date.ᐟ` };
+        }
+        fields[column] = body[bodyKey] ? new Date(body[bodyKey]).toISOString() : null;
+    }
+    const startsAt = fields.starts_at !== undefined ? fields.starts_at : existing.starts_at;
+    const expiresAt = fields.expires_at !== undefined ? fields.expires_at : existing.expires_at;
+    if (startsAt && expiresAt && new Date(expiresAt) <= new Date(startsAt)) {
+        return { error: 'expiresAt must be after startsAt.ᐟ' };
+    }
+
+    if (body.jobTypes !== undefined) {
+        const jobTypes = body.jobTypes || [];
+        if (!Array.isArray(jobTypes) || jobTypes.some(jobType => !PROMO_JOB_TYPES.includes(jobType))) {
+            return { error: `jobTypes may only contain: ${PROMO_JOB_TYPES.join(', ')}.ᐟ` };
+        }
+        fields.job_types = jobTypes.length > 0 ? jobTypes : null;
+    }
+    if (body.firstOrderOnly !== undefined) fields.first_order_only = Boolean(body.firstOrderOnly);
+    if (body.isActive !== undefined) fields.is_active = Boolean(body.isActive);
+
+    return { fields };
+};
+
+const createPromoCode = async (req, res) => {
+    if (!req.body.code || !req.body.discountType || req.body.discountValue === undefined) {
+        return res.status(400).json({ error: 'code, discountType and discountValue are required.ᐟ' });
+    }
+
+    const { fields, error: validationError } = buildPromoCodeFields(req.body);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const now = new Date().toISOString();
+        const { data: promoCode, error } = await supabase
+            .from('promo_codes')
+            .insert([{
+                first_order_only: false,
+                is_active: true,
+                ...fields,
+                created_by: req.user.userId,
+                created_at: now,
+                updated_at: now
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `Promo code ${fields.code} already exists.ᐟ` });
+            }
+            throw error;
+        }
+
+        res.status(201).json({ message: 'Promo code created.', promoCode });
+    } catch (error) {
+        console.error('[createPromoCode] Error creating promo code:', error);
+        res.status(500).json({ error: 'Server error creating promo code.ᐟ' });
+    }
+};
+
+// Lists every code with how often it has been redeemed (?active=true for active codes only).
+const getPromoCodes = async (req, res) => {
+    try {
+        let query = supabase
+            .from('promo_codes')
+            .select('*')
+            .order('created_at', { ascending: false });
+        if (req.query.active === 'true') query = query.eq('is_active', true);
+
+        const { data: promoCodes, error } = await query;
+        if (error) throw error;
+
+        const withUsage = await Promise.all((promoCodes || []).map(async promoCode => ({
+            ...promoCode,
+            redemption_count: await countRedemptions(promoCode.id)
+        })));
+
+        res.status(200).json({ promoCodes: withUsage });
+    } catch (error) {
+        console.error('[getPromoCodes] Error fetching promo codes:', error);
+        res.status(500).json({ error: 'Server error fetching promo codes.ᐟ' });
+    }
+};
+
+// Edits a code's limits or deactivates it. Discounts already applied to jobs are re-checked at checkout.
+const updatePromoCode = async (req, res) => {
+    const { promoCodeId } = req.params;
+
+    try {
+        const { data: existing, error: fetchError } = await supabase
+            .from('promo_codes')
+            .select('*')
+            .eq('id', promoCodeId)
+            .single();
+
+        if (fetchError || !existing) {
+            return res.status(404).json({ error: 'Promo code not found.ᐟ' });
+        }
+
+        const { fields, error: validationError } = buildPromoCodeFields(req.body, existing);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'No promo code fields to update.ᐟ' });
+        }
+
+        const { data: promoCode, error } = await supabase
+            .from('promo_codes')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', promoCodeId)
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: `Promo code ${fields.code} already exists.ᐟ` });
+            }
+            throw error;
+        }
+
+        res.status(200).json({ message: 'Promo code updated.', promoCode });
+    } catch (error) {
+        console.error(`[updatePromoCode] Error updating promo code ${promoCodeId}:`, error);
+        res.status(500).json({ error: 'Server error updating promo code.ᐟ' });
+    }
+};
+
+module.exports = {
+    applyPromoCode,
+    removePromoCode,
+    createPromoCode,
+    getPromoCodes,
+    updatePromoCode
+};
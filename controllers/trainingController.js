@@ -4,22 +4,9 @@ const path = require('path');
 const emailService = require('../emailService');
 const multer = require('multer');
 
-const axios = require('axios');
-const { convertUsdToKes, EXCHANGE_RATE_USD_TO_KES } = require('../utils/paymentUtils');
-const http = require('http');
-const https = require('https');
-
-const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
-const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
-const KORAPAY_SECRET_KEY = process.env.KORAPAY_SECRET_KEY;
-const KORAPAY_PUBLIC_KEY = process.env.KORAPAY_PUBLIC_KEY;
-const KORAPAY_BASE_URL = process.env.KORAPAY_BASE_URL || 'https://api-sandbox.korapay.com/v1';
-const KORAPAY_WEBHOOK_URL = process.env.KORAPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment/korapay-webhook';
-
-const httpAgent = new http.Agent({ family: 4 });
-const httpsAgent = new https.Agent({ family: 4 });
-
-const TRAINING_FEE_USD = 50.00; // Updated training fee to 50 USD
+const { TRAINING_FEE_USD } = require('../utils/paymentUtils');
+const { getGateway, resolveChargeCurrency, chargeMatchesJob } = require('../utils/paymentGateway');
+const { fulfillTrainingPayment } = require('../utils/paymentFulfillment');
 
 
 const trainingRoomFileStorage = multer.diskStorage({
@@ -400,23 +387,24 @@ const completeTraining = async (req, res) => {
 };
 
 const initializeTrainingPayment = async (req, res, io) => {
-    const { amount, email, paymentMethod = 'paystack', mobileNumber, fullName } = req.body;
+    const { amount, email, paymentMethod = 'paystack', mobileNumber, fullName, currency: requestedCurrency } = req.body;
     const traineeId = req.user.userId;
 
     if (!amount || !email) {
         return res.status(400).json({ error: 'Amount and trainee email are required for training payment.ᐟ' });
     }
-    if (!['paystack', 'korapay'].includes(paymentMethod)) {
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
         console.error(`Invalid payment method provided: ${paymentMethod}`);
         return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
     }
-    if (paymentMethod === 'paystack' && !PAYSTACK_SECRET_KEY) {
-        console.error('PAYSTACK_SECRET_KEY is not set for training payment.');
-        return res.status(500).json({ error: 'Paystack service not configured.ᐟ' });
+    if (!gateway.isConfigured()) {
+        console.error(`${gateway.displayName} keys are not set for training payment.`);
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
-    if (paymentMethod === 'korapay' && (!KORAPAY_SECRET_KEY || !KORAPAY_PUBLIC_KEY)) {
-        console.error('KORAPAY_SECRET_KEY or KORAPAY_PUBLIC_KEY is not set for training payment.');
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    const { currency, error: currencyError } = await resolveChargeCurrency(gateway, requestedCurrency);
+    if (currencyError) {
+        return res.status(400).json({ error: currencyError });
     }
 
     const parsedAmountUsd = parseFloat(amount);
@@ -430,191 +418,96 @@ const initializeTrainingPayment = async (req, res, io) => {
     }
 
     try {
-        if (paymentMethod === 'paystack') {
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            const amountInCentsKes = Math.round(amountKes * 100);
-
-            const paystackResponse = await axios.post(
-                'https://api.paystack.co/transaction/initialize',
-                {
-                    email: email,
-                    amount: amountInCentsKes,
-                    reference: `TRAINING-${traineeId}-${Date.now()}`,
-                    callback_url: `${CLIENT_URL}/payment-callback?relatedJobId=${traineeId}&jobType=training`,
-                    currency: 'KES',
-                    channels: ['mobile_money', 'card', 'bank_transfer', 'pesalink'],
-                    metadata: {
-                        related_job_id: traineeId,
-                        related_job_type: 'training',
-                        client_id: traineeId,
-                        agreed_price_usd: TRAINING_FEE_USD,
-                        currency_paid: 'KES',
-                        exchange_rate_usd_to_kes: EXCHANGE_RATE_USD_TO_KES,
-                        amount_paid_kes: amountKes
-                    }
-                },
-                {
-                    headers: {
-                        Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
-                        'Content-Type': 'application/json',
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                    }
-                }
-            );
-
-            if (!paystackResponse.data.status) {
-                console.error('Paystack training initialization failed:', paystackResponse.data.message);
-                return res.status(500).json({ error: paystackResponse.data.message || 'Failed to initialize training payment with Paystack.ᐟ' });
-            }
+        const initialization = await gateway.initialize({
+            jobType: 'training',
+            jobId: traineeId,
+            amountUsd: TRAINING_FEE_USD,
+            currency,
+            email: email,
+            customerName: fullName || req.user.full_name || 'Trainee',
+            clientId: traineeId
+        });
 
-            res.status(200).json({
-                message: 'Training payment initialization successful',
-                data: paystackResponse.data.data
-            });
-        } else if (paymentMethod === 'korapay') {
-            const reference = `TR-${traineeId.substring(0, 8)}-${Date.now().toString(36)}`;
-            
-            const amountKes = convertUsdToKes(parsedAmountUsd);
-            // MODIFIED: Send amount in KES (integer, base unit) for KoraPay Checkout Standard
-            const amountInKes = Math.round(amountKes); // Round to integer for base KES unit
-
-            const korapayData = {
-                key: KORAPAY_PUBLIC_KEY,
-                reference: reference,
-                amount: amountInKes, // Send amount in KES (base unit)
-                currency: 'KES',
-                customer: {
-                    name: fullName || req.user.full_name || 'Trainee',
-                    email: email,
-                },
-                notification_url: KORAPAY_WEBHOOK_URL, 
-                metadata: {
-                    related_job_id: traineeId,
-                    related_job_type: 'training',
-                    agreed_price_usd: TRAINING_FEE_USD,
-                    currency_paid: 'KES',
-                    amount_paid_kes: amountKes
-                }
-            };
-            
-            res.status(200).json({
-                message: 'KoraPay training payment initialization data successful',
-                korapayData: korapayData
-            });
+        if (!initialization.success) {
+            console.error(`${gateway.displayName} training initialization failed:`, initialization.message);
+            return res.status(500).json({ error: initialization.message });
         }
 
+        res.status(200).json({
+            message: 'Training payment initialization successful',
+            ...initialization.checkout
+        });
+
     } catch (error) {
         console.error(`[initializeTrainingPayment] Error initializing ${paymentMethod} payment:`, error.response ? error.response.data : error.message);
         res.status(500).json({ error: `Server error during ${paymentMethod} payment initialization.ᐟ` });
     }
 };
 
-const verifyKorapayTrainingPayment = async (req, res, io) => {
-    const { reference } = req.body;
+// UPDATED: Verifies training payments for any gateway. KoraPay's inline checkout POSTs the
+// reference back in the body; Paystack redirects to the callback page, which verifies via GET.
+const verifyTrainingPayment = async (req, res, io) => {
+    const reference = req.params.reference || req.body.reference;
+    const paymentMethod = req.params.reference ? (req.query.paymentMethod || 'paystack') : 'korapay';
     const traineeId = req.user.userId;
 
     if (!reference) {
-        return res.status(400).json({ error: 'KoraPay transaction reference is required for verification.ᐟ' });
+        return res.status(400).json({ error: 'Transaction reference is required for training payment verification.ᐟ' });
     }
-    if (!KORAPAY_SECRET_KEY) {
-        console.error('KORAPAY_SECRET_KEY is not set for KoraPay verification.');
-        return res.status(500).json({ error: 'KoraPay service not configured.ᐟ' });
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
+        console.error(`Invalid payment method provided: ${paymentMethod}`);
+        return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
+    }
+    if (!gateway.isConfigured()) {
+        console.error(`${gateway.displayName} keys are not set for training payment verification.`);
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
     }
 
     try {
-        const korapayResponse = await axios.get(
-            `${KORAPAY_BASE_URL}/charges/${reference}`,
-            {
-                headers: {
-                    Authorization: `Bearer ${KORAPAY_SECRET_KEY}`,
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
-                },
-                httpsAgent: httpsAgent,
-                httpAgent: httpAgent
-            }
-        );
-
-        if (!korapayResponse.data.status || korapayResponse.data.data.status !== 'success') {
-            console.error('KoraPay training verification failed:', korapayResponse.data.message || korapayResponse.data.errors);
-            return res.status(400).json({ error: korapayResponse.data.message || 'KoraPay training payment verification failed.ᐟ' });
+        const verification = await gateway.verify(reference);
+        if (!verification.success) {
+            console.error(`${gateway.displayName} training verification failed:`, verification.message);
+            return res.status(400).json({ error: verification.message });
         }
 
-        const transaction = korapayResponse.data.data;
-
-        let transactionDate = transaction.createdAt ? new Date(transaction.createdAt) : new Date();
-        if (isNaN(transactionDate.getTime())) {
-            console.error('[verifyKorapayTrainingPayment] KoraPay transaction.createdAt is an invalid date:', transaction.createdAt);
-            transactionDate = new Date();
-        }
-
-        // MODIFIED: Interpret amount received from KoraPay as KES (base unit), then convert to USD
-        const amountPaidKes = parseFloat(transaction.amount); // KoraPay returns amount in base unit
-        const amountPaidInUsd = parseFloat((amountPaidKes / EXCHANGE_RATE_USD_TO_KES).toFixed(2));
-
-        if (Math.round(amountPaidInUsd * 100) !== Math.round(TRAINING_FEE_USD * 100)) {
-            console.error('KoraPay training verification amount mismatch. Paid USD:', amountPaidInUsd, 'Expected USD:', TRAINING_FEE_USD);
-            return res.status(400).json({ error: 'KoraPay training payment amount mismatch.ᐟ' });
+        if (!chargeMatchesJob(verification.metadata, traineeId, 'training')) {
+            console.error('Training payment metadata mismatch:', verification.metadata.related_job_id, traineeId, verification.metadata.related_job_type);
+            return res.status(400).json({ error: 'Invalid transaction metadata (trainee or payment type mismatch).ᐟ' });
         }
 
-        const { error: updateTraineeStatusError } = await supabase
-            .from('users')
-            .update({ transcriber_status: 'paid_training_fee', updated_at: new Date().toISOString() })
-            .eq('id', traineeId);
-
-        if (updateTraineeStatusError) {
-            console.error(`Error updating trainee ${traineeId} status after KoraPay payment:`, updateTraineeStatusError);
-            throw updateTraineeStatusError;
+        const { outcome } = await fulfillTrainingPayment({
+            traineeId,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
+
+        if (outcome === 'job_not_found') {
+            return res.status(404).json({ error: 'Trainee not found for training payment verification.ᐟ' });
         }
-        console.log(`Trainee ${traineeId} status updated to 'paid_training_fee' after successful KoraPay payment.`);
-
-        const { error: paymentRecordError } = await supabase
-            .from('payments')
-            .insert([
-                {
-                    negotiation_id: null,
-                    direct_upload_job_id: null,
-                    related_job_type: 'training',
-                    client_id: traineeId,
-                    transcriber_id: traineeId,
-                    amount: amountPaidInUsd,
-                    transcriber_earning: amountPaidInUsd,
-                    currency: 'USD',
-                    paystack_reference: null,
-                    paystack_status: null,
-                    korapay_reference: transaction.reference,
-                    korapay_status: transaction.status,
-                    transaction_date: transactionDate.toISOString(),
-                    payout_status: 'completed',
-                    currency_paid_by_client: 'KES',
-                    exchange_rate_used: EXCHANGE_RATE_USD_TO_KES
-                }
-            ])
-            .select()
-            .single();
-
-        if (paymentRecordError) {
-            console.error('Error recording KoraPay training payment in Supabase:', paymentRecordError);
-            throw paymentRecordError;
+        if (outcome === 'amount_mismatch') {
+            return res.status(400).json({ error: 'Training payment amount mismatch.ᐟ' });
         }
-
-        if (io) {
-            io.to(traineeId).emit('training_payment_successful', {
-                traineeId: traineeId,
-                message: 'Your training payment was successful! You now have access to the training dashboard.ᐟ',
-                newStatus: 'paid_training_fee'
+        if (outcome === 'already_processed') {
+            return res.status(200).json({
+                success: true,
+                message: 'Training payment already processed and access granted.ᐟ',
+                transaction: verification.transaction
             });
-            console.log(`Emitted 'training_payment_successful' to trainee ${traineeId}`);
         }
 
         res.status(200).json({
             success: true,
-            message: 'KoraPay training payment verified successfully and access granted.ᐟ',
-            transaction: transaction
+            message: 'Training payment verified successfully and access granted.ᐟ',
+            transaction: verification.transaction
         });
 
     } catch (error) {
-        console.error('[verifyKorapayTrainingPayment] Error verifying KoraPay training payment:', error.response ? error.response.data : error.message);
-        res.status(500).json({ error: 'Server error during KoraPay training payment verification.ᐟ' + (error.message || '') });
+        console.error(`[verifyTrainingPayment] Error verifying ${paymentMethod} training payment:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: `Server error during ${paymentMethod} training payment verification.ᐟ` + (error.message || '') });
     }
 };
 
@@ -631,5 +524,5 @@ module.exports = {
     handleTrainingRoomAttachmentUpload,
     completeTraining,
     initializeTrainingPayment,
-    verifyKorapayTrainingPayment
+    verifyTrainingPayment
 };
@@ -4,7 +4,12 @@ const fs = require('fs');
 const emailService = require('..//emailService');
 const { updateAverageRating } = require('.//ratingController');
 const { calculateTranscriberEarning } = require('..//utils/paymentUtils');
+const { recordEscrowRelease } = require('..//utils/ledger');
+const { DELIVERED_AWAITING_PAYMENT, getNegotiationMilestones, hasUnpaidMilestones, markMilestonesReleased } = require('..//utils/negotiationMilestones');
 const { getNextFriday } = require('..//controllers/paymentController'); // Corrected path for getNextFriday
+const { getPayoutPreferences, validatePayoutPreferences, getPayoutDate } = require('..//utils/payoutSchedule');
+const { recordNegotiationOffer, getLatestOffers } = require('..//utils/negotiationOffers');
+const { createDeliverable, removeUploadedFiles } = require('..//utils/jobDeliverables');
 
 // --- UPDATED: Function to synchronize transcriber's availability status and current job ---
 const syncAvailabilityStatus = async (transcriberId, newJobId = null) => {
@@ -268,6 +273,7 @@ const getTranscriberNegotiations = async (req, res) => {
         client_feedback_comment, 
         client_feedback_rating, 
         client_id,
+        rfq_id,
         client:users!client_id (
             id,
             full_name,
@@ -305,11 +311,15 @@ const getTranscriberNegotiations = async (req, res) => {
       });
     }
 
+    // NEW: The latest entry in each negotiation's offer history.
+    const latestOffers = await getLatestOffers(negotiations.map(n => n.id));
+
     const negotiationsWithClients = negotiations.map(negotiation => {
         const { client, transcriber, ...rest } = negotiation;
         return {
             ...rest,
             jobType: 'negotiation', // Explicitly set jobType
+            latest_offer: latestOffers.get(negotiation.id) || null,
             client_info: client ? {
                 id: client.id,
                 full_name: client.full_name,
@@ -403,7 +413,7 @@ const acceptNegotiation = async (req, res, next, io) => {
             return res.status(409).json({ error: 'Negotiation is no longer pending (it may have been accepted or deleted by the client). Current status: ' + negotiationToAccept.status });
         }
 
-        const { error: negError, count } = await supabase
+        const { data: acceptedNegotiations, error: negError, count } = await supabase
             .from('negotiations')
             .update({ status: 'accepted_awaiting_payment', updated_at: new Date().toISOString() })
             .eq('id', negotiationId)
@@ -419,6 +429,7 @@ const acceptNegotiation = async (req, res, next, io) => {
         if (count === 0) {
             return res.status(409).json({ error: 'Negotiation was not found, or its status is no longer pending. This could be a race, or the negotiation was already accepted/deleted.' });
         }
+        await recordNegotiationOffer(acceptedNegotiations[0], { action: 'accept', actorId: transcriberId, actorRole: 'transcriber' });
 
         if (io) {
             io.to(negotiationToAccept.client_id).emit('negotiation_accepted', {
@@ -467,7 +478,7 @@ const rejectNegotiation = async (req, res, next, io) => {
             return res.status(409).json({ error: 'Negotiation is no longer pending. Current status: ' + negotiationToReject.status });
         }
 
-        const { error: negError, count } = await supabase
+        const { data: rejectedNegotiations, error: negError, count } = await supabase
             .from('negotiations')
             .update({
                 status: 'rejected',
@@ -487,6 +498,7 @@ const rejectNegotiation = async (req, res, next, io) => {
         if (count === 0) {
             return res.status(404).json({ error: 'Negotiation not found or not in pending status. This could be a race condition.' });
         }
+        await recordNegotiationOffer(rejectedNegotiations[0], { action: 'reject', actorId: transcriberId, actorRole: 'transcriber', message: transcriberResponse });
 
         if (io) {
             io.to(negotiationToReject.client_id).emit('negotiation_rejected', {
@@ -539,7 +551,7 @@ const counterNegotiation = async (req, res, next, io) => {
             return res.status(409).json({ error: 'Negotiation is no longer pending. Current status: ' + negotiationToCounter.status });
         }
 
-        const { error: negError, count } = await supabase
+        const { data: counteredNegotiations, error: negError, count } = await supabase
             .from('negotiations')
             .update({
                 status: 'transcriber_counter',
@@ -561,6 +573,7 @@ const counterNegotiation = async (req, res, next, io) => {
         if (count === 0) {
             return res.status(404).json({ error: 'Negotiation not found or not in pending status. This could be a race condition.' });
         }
+        await recordNegotiationOffer(counteredNegotiations[0], { action: 'counter', actorId: transcriberId, actorRole: 'transcriber', message: counteredNegotiations[0].transcriber_response });
 
         if (io) {
             io.to(negotiationToCounter.client_id).emit('negotiation_countered', {
@@ -582,64 +595,119 @@ const counterNegotiation = async (req, res, next, io) => {
     }
 };
 
+// UPDATED: Completing a job delivers the transcript files uploaded with it ('deliverables') as a new version.
 const completeJob = async (req, res, next, io) => {
     const { negotiationId } = req.params;
     const transcriberId = req.user.userId;
+    const files = req.files || [];
 
     if (!negotiationId) {
+        removeUploadedFiles(files);
         return res.status(400).json({ error: 'Negotiation ID is required.' });
     }
+    if (files.length === 0) {
+        return res.status(400).json({ error: 'Upload at least one transcript file to complete the job.ᐟ' });
+    }
 
     try {
         const { data: negotiation, error: fetchError } = await supabase
             .from('negotiations')
-            .select('client_id, status')
+            .select('client_id, status, milestone_count')
             .eq('id', negotiationId)
             .eq('transcriber_id', transcriberId)
             .single();
 
         if (fetchError || !negotiation) {
             console.error(`[completeJob] Negotiation ${negotiationId} not found or not assigned to transcriber ${transcriberId}:`, fetchError);
+            removeUploadedFiles(files);
             return res.status(404).json({ error: 'Job not found or not assigned to you.' });
         }
 
         if (negotiation.status !== 'accepted' && negotiation.status !== 'hired' && negotiation.status !== 'accepted_awaiting_payment') {
+            removeUploadedFiles(files);
             return res.status(409).json({ error: 'Job is not in an active state. Only active jobs can be marked complete. Current status: ' + negotiation.status });
         }
 
+        // NEW: A milestone job is only worked on once hired, and waits for its delivery milestones once delivered.
+        const usesMilestones = negotiation.milestone_count > 0;
+        if (usesMilestones && negotiation.status !== 'hired') {
+            removeUploadedFiles(files);
+            return res.status(409).json({ error: 'This job is paid in milestones and has not been hired yet. Current status: ' + negotiation.status });
+        }
+
+        const awaitsDeliveryPayment = usesMilestones && hasUnpaidMilestones(await getNegotiationMilestones(negotiationId), 'delivery');
+        const newStatus = awaitsDeliveryPayment ? DELIVERED_AWAITING_PAYMENT : 'completed';
+
+        // UPDATED: The status moves first, only from the status read above, so a second submission racing
+        // this one is refused instead of delivering its files as another version.
         const { error: updateError } = await supabase
             .from('negotiations')
             .update({
-                status: 'completed',
+                status: newStatus,
                 updated_at: new Date().toISOString()
             })
-            .eq('id', negotiationId);
+            .eq('id', negotiationId)
+            .eq('transcriber_id', transcriberId)
+            .eq('status', negotiation.status)
+            .select('id')
+            .single();
 
+        if (updateError?.code === 'PGRST116') {
+            removeUploadedFiles(files);
+            return res.status(409).json({ error: 'This job has already been completed or is no longer active.ᐟ' });
+        }
         if (updateError) {
             console.error(`[completeJob] Supabase error updating negotiation ${negotiationId} status:`, updateError);
             throw updateError;
         }
 
+        let deliverable;
+        try {
+            deliverable = await createDeliverable('negotiation', negotiationId, files, transcriberId, req.body.transcriberComment);
+        } catch (deliverableError) {
+            // Without its transcript the job is not delivered, so it goes back to its previous status.
+            removeUploadedFiles(files);
+            await supabase
+                .from('negotiations')
+                .update({ status: negotiation.status, updated_at: new Date().toISOString() })
+                .eq('id', negotiationId)
+                .eq('status', newStatus);
+            throw deliverableError;
+        }
+
         // UPDATED: Set payout_status to 'pending' when transcriber completes negotiation job
-        const { error: paymentUpdateError } = await supabase
+        const { data: releasedPayments, error: paymentUpdateError } = await supabase
             .from('payments')
             .update({ payout_status: 'pending', updated_at: new Date().toISOString() })
             .eq('negotiation_id', negotiationId)
             .eq('transcriber_id', transcriberId)
-            .eq('payout_status', 'awaiting_completion'); // Only update if it's awaiting completion
+            .eq('payout_status', 'awaiting_completion') // Only update if it's awaiting completion
+            .select();
 
         if (paymentUpdateError) {
             console.error(`[completeJob] Error updating payment record for negotiation ${negotiationId} to 'pending':`, paymentUpdateError);
         } else {
             console.log(`[completeJob] Payment record for negotiation ${negotiationId} updated to 'pending' payout status.`);
+            for (const payment of releasedPayments || []) {
+                await recordEscrowRelease(payment);
+            }
+            await markMilestonesReleased(releasedPayments);
         }
 
         await syncAvailabilityStatus(transcriberId, null);
 
-        if (io) {
+        if (io && awaitsDeliveryPayment) {
+            io.to(negotiation.client_id).emit('milestone_payment_due', {
+                negotiationId: negotiationId,
+                deliverableId: deliverable.id,
+                message: `Your transcription job (ID: ${negotiationId}) has been delivered. Please pay the delivery milestone to complete it.`,
+                newStatus
+            });
+        } else if (io) {
             io.to(negotiation.client_id).emit('job_completed', {
                 negotiationId: negotiationId,
                 transcriberId: transcriberId,
+                deliverableId: deliverable.id,
                 message: `Your transcription job (ID: ${negotiationId}) has been completed!`,
                 newStatus: 'completed'
             });
@@ -653,6 +721,7 @@ const completeJob = async (req, res, next, io) => {
 
         res.status(200).json({
             message: 'Job marked as completed successfully. You are now available for new jobs.',
+            deliverable
         });
 
     } catch (error) {
@@ -701,6 +770,73 @@ const updateTranscriberProfile = async (req, res) => {
     }
 };
 
+// NEW: Payout method, frequency and minimum threshold (see utils/payoutSchedule.js).
+const PAYOUT_PREFERENCE_COLUMNS = 'id, transcriber_mpesa_number, transcriber_paypal_email, payout_method, payout_frequency, payout_threshold_usd';
+
+const describePayoutPreferences = (user) => {
+    const preferences = getPayoutPreferences(user);
+    return {
+        payoutMethod: preferences.method,
+        payoutFrequency: preferences.frequency,
+        payoutThresholdUsd: preferences.thresholdUsd,
+        nextPayoutDate: getPayoutDate(new Date(), preferences.frequency).toISOString().split('T')[0]
+    };
+};
+
+const getTranscriberPayoutPreferences = async (req, res) => {
+    const transcriberId = req.user.userId;
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select(PAYOUT_PREFERENCE_COLUMNS)
+            .eq('id', transcriberId)
+            .single();
+
+        if (error || !user) {
+            return res.status(404).json({ error: 'Transcriber not found.ᐟ' });
+        }
+        res.status(200).json(describePayoutPreferences(user));
+    } catch (error) {
+        console.error(`[getTranscriberPayoutPreferences] Error fetching payout preferences for ${transcriberId}:`, error);
+        res.status(500).json({ error: 'Server error fetching payout preferences.ᐟ' });
+    }
+};
+
+const updateTranscriberPayoutPreferences = async (req, res) => {
+    const transcriberId = req.user.userId;
+
+    try {
+        const { data: user, error: fetchError } = await supabase
+            .from('users')
+            .select(PAYOUT_PREFERENCE_COLUMNS)
+            .eq('id', transcriberId)
+            .single();
+
+        if (fetchError || !user) {
+            return res.status(404).json({ error: 'Transcriber not found.ᐟ' });
+        }
+
+        const { fields, error: validationError } = validatePayoutPreferences(req.body, user);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { data: updatedUser, error } = await supabase
+            .from('users')
+            .update({ ...fields, updated_at: new Date().toISOString() })
+            .eq('id', transcriberId)
+            .select(PAYOUT_PREFERENCE_COLUMNS)
+            .single();
+
+        if (error) throw error;
+        res.status(200).json({ message: 'Payout preferences updated.', ...describePayoutPreferences(updatedUser) });
+    } catch (error) {
+        console.error(`[updateTranscriberPayoutPreferences] Error updating payout preferences for ${transcriberId}:`, error);
+        res.status(500).json({ error: 'Server error updating payout preferences.ᐟ' });
+    }
+};
+
 
 module.exports = {
   submitTest,
@@ -713,4 +849,6 @@ module.exports = {
   syncAvailabilityStatus,
   setTranscriberOnlineStatus, // Renamed and exported
   updateTranscriberProfile,
+  getTranscriberPayoutPreferences,
+  updateTranscriberPayoutPreferences,
 };
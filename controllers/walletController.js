@@ -0,0 +1,172 @@
+const supabase = require('..//database');
+const { getGateway, resolveChargeCurrency, chargeMatchesJob } = require('..//utils/paymentGateway');
+const { fulfillWalletTopUp } = require('..//utils/paymentFulfillment');
+const { getWalletBalance, getWalletHistory } = require('..//utils/wallet');
+
+/**
+ * NEW: Client prepaid wallet. Clients top up through the usual gateways (charges with
+ * related_job_type 'wallet_top_up' for the client's own ID, so webhooks credit them too), pay
+ * direct upload quotes from the balance, and can have refunds paid into it. See utils/wallet.js.
+ */
+
+const MIN_TOP_UP_USD = 1;
+
+// Balance plus history, newest first (?limit, ?offset).
+const getClientWallet = async (req, res) => {
+    const clientId = req.user.userId;
+
+    try {
+        const { balance, transactions, total } = await getWalletHistory(clientId, { limit: req.query.limit, offset: req.query.offset });
+        res.status(200).json({
+            message: 'Wallet retrieved successfully.',
+            balance,
+            currency: 'USD',
+            transactions,
+            total
+        });
+    } catch (error) {
+        console.error(`[getClientWallet] Error fetching wallet for client ${clientId}:`, error);
+        res.status(500).json({ error: 'Server error fetching wallet.ᐟ' });
+    }
+};
+
+const initializeWalletTopUp = async (req, res) => {
+    const { amount, email, paymentMethod = 'paystack', fullName, currency: requestedCurrency } = req.body;
+    const clientId = req.user.userId;
+
+    if (!amount || !email) {
+        return res.status(400).json({ error: 'Amount and client email are required to top up the wallet.ᐟ' });
+    }
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
+        console.error(`[initializeWalletTopUp] Invalid payment method provided: ${paymentMethod}`);
+        return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
+    }
+    if (!gateway.isConfigured()) {
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
+    }
+    const { currency, error: currencyError } = await resolveChargeCurrency(gateway, requestedCurrency);
+    if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+    }
+
+    const parsedAmountUsd = parseFloat(amount);
+    if (isNaN(parsedAmountUsd) || parsedAmountUsd < MIN_TOP_UP_USD) {
+        return res.status(400).json({ error: `Top-ups must be at least USD ${MIN_TOP_UP_USD.toFixed(2)}.ᐟ` });
+    }
+
+    try {
+        const initialization = await gateway.initialize({
+            jobType: 'wallet_top_up',
+            jobId: clientId,
+            amountUsd: parseFloat(parsedAmountUsd.toFixed(2)),
+            currency,
+            email,
+            customerName: fullName || req.user.full_name,
+            clientId
+        });
+
+        if (!initialization.success) {
+            console.error(`[initializeWalletTopUp] ${gateway.displayName} initialization failed:`, initialization.message);
+            return res.status(500).json({ error: initialization.message });
+        }
+
+        res.status(200).json({
+            message: 'Wallet top-up initialization successful',
+            ...initialization.checkout
+        });
+
+    } catch (error) {
+        console.error(`[initializeWalletTopUp] Error initializing ${paymentMethod} top-up:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: `Server error during ${paymentMethod} top-up initialization.ᐟ` });
+    }
+};
+
+// KoraPay's inline checkout POSTs the reference back in the body; Paystack's callback page verifies via GET.
+const verifyWalletTopUp = async (req, res, io) => {
+    const reference = req.params.reference || req.body.reference;
+    const paymentMethod = req.params.reference ? (req.query.paymentMethod || 'paystack') : 'korapay';
+    const clientId = req.user.userId;
+
+    if (!reference) {
+        return res.status(400).json({ error: 'Transaction reference is required for top-up verification.ᐟ' });
+    }
+    const gateway = getGateway(paymentMethod);
+    if (!gateway) {
+        console.error(`[verifyWalletTopUp] Invalid payment method provided: ${paymentMethod}`);
+        return res.status(400).json({ error: 'Invalid payment method provided.ᐟ' });
+    }
+    if (!gateway.isConfigured()) {
+        return res.status(500).json({ error: `${gateway.displayName} service not configured.ᐟ` });
+    }
+
+    try {
+        const verification = await gateway.verify(reference);
+        if (!verification.success) {
+            console.error(`[verifyWalletTopUp] ${gateway.displayName} verification failed:`, verification.message);
+            return res.status(400).json({ error: verification.message });
+        }
+
+        // chargeMatchesJob lets charges without metadata through; a top-up must name this client.
+        if (!verification.metadata?.related_job_id || !chargeMatchesJob(verification.metadata, clientId, 'wallet_top_up')) {
+            console.error('[verifyWalletTopUp] Top-up metadata mismatch:', verification.metadata?.related_job_id, clientId, verification.metadata?.related_job_type);
+            return res.status(400).json({ error: 'Invalid transaction metadata (client or payment type mismatch).ᐟ' });
+        }
+
+        const { outcome, payment: walletTransaction } = await fulfillWalletTopUp({
+            clientId,
+            paymentMethod,
+            transaction: verification.transaction,
+            amountPaidUsd: verification.amountPaidUsd,
+            currencyPaid: verification.currencyPaid,
+            exchangeRate: verification.exchangeRate
+        }, io);
+
+        if (outcome === 'job_not_found') {
+            return res.status(404).json({ error: 'No top-up was started for this client with that reference.ᐟ' });
+        }
+        if (outcome === 'amount_mismatch') {
+            return res.status(400).json({ error: 'The amount paid does not match the top-up that was started.ᐟ' });
+        }
+
+        res.status(200).json({
+            message: outcome === 'already_processed' ? 'Top-up already credited to your wallet.ᐟ' : 'Top-up verified and credited to your wallet.ᐟ',
+            walletTransaction,
+            balance: await getWalletBalance(clientId)
+        });
+
+    } catch (error) {
+        console.error(`[verifyWalletTopUp] Error verifying ${paymentMethod} top-up:`, error.response ? error.response.data : error.message);
+        res.status(500).json({ error: `Server error during ${paymentMethod} top-up verification.ᐟ` });
+    }
+};
+
+// Admin view of any client's wallet.
+const getClientWalletForAdmin = async (req, res) => {
+    const { clientId } = req.params;
+
+    try {
+        const { data: client, error: clientError } = await supabase
+            .from('users')
+            .select('id, full_name, email')
+            .eq('id', clientId)
+            .single();
+
+        if (clientError || !client) {
+            return res.status(404).json({ error: 'Client not found.ᐟ' });
+        }
+
+        const { balance, transactions, total } = await getWalletHistory(clientId, { limit: req.query.limit, offset: req.query.offset });
+        res.status(200).json({ client, balance, currency: 'USD', transactions, total });
+    } catch (error) {
+        console.error(`[getClientWalletForAdmin] Error fetching wallet for client ${clientId}:`, error);
+        res.status(500).json({ error: 'Server error fetching wallet.ᐟ' });
+    }
+};
+
+module.exports = {
+    getClientWallet,
+    initializeWalletTopUp,
+    verifyWalletTopUp,
+    getClientWalletForAdmin
+};
@@ -308,7 +308,9 @@ const sendNegotiationAcceptedEmail = async (client, transcriber, negotiation) =>
     }
 };
 
-const sendPaymentConfirmationEmail = async (client, transcriber, negotiation, payment) => {
+// UPDATED: transcriber may be null (direct uploads are paid before anyone takes them); attachments go on the client's email
+// milestone (optional): the negotiation milestone this payment covers, with `total` milestones in the schedule.
+const sendPaymentConfirmationEmail = async (client, transcriber, negotiation, payment, attachments = [], milestone = null) => {
     try {
         const clientSubject = `Payment Confirmed for Job #${negotiation.id} - TypeMyworDz`;
         const clientHtmlContent = `
@@ -319,14 +321,16 @@ const sendPaymentConfirmationEmail = async (client, transcriber, negotiation, pa
                 </div>
                 <p style="font-size: 16px;">Hello ${client.full_name || 'Client'},</p>
                 <p style="font-size: 16px;">Your payment of USD ${payment.amount ? payment.amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : 'undefined'} for negotiation ID <strong>${negotiation.id}</strong> has been successfully processed.</p>
-                <p style="font-size: 16px;">Your job is now active, and <strong>${transcriber.full_name || 'Transcriber'}</strong> has been notified.</p>
+                ${milestone ? `<p style="font-size: 16px;">This payment covers milestone ${milestone.sequence_number} of ${milestone.total}: <strong>${milestone.label}</strong>.</p>` : ''}
+                <p style="font-size: 16px;">${transcriber ? `Your job is now active, and <strong>${transcriber.full_name || 'Transcriber'}</strong> has been notified.` : (milestone ? 'Your transcriber has been notified.' : 'Your job is now active and available to our transcribers.')}</p>
                 <p style="font-size: 16px;"><strong>Job Details:</strong></p>
                 <ul style="font-size: 16px;">
                     <li>Negotiation ID: ${negotiation.id}</li>
-                    <li>Transcriber: ${transcriber.full_name || 'Transcriber'} (${transcriber.email})</li>
+                    ${transcriber ? `<li>Transcriber: ${transcriber.full_name || 'Transcriber'} (${transcriber.email})</li>` : ''}
                     <li>Agreed Price: USD ${negotiation.agreed_price_usd ? negotiation.agreed_price_usd.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : 'undefined'}</li>
                     <li>Deadline: ${negotiation.deadline_hours} hours</li>
                 </ul>
+                ${attachments.length > 0 ? '<p style="font-size: 16px;">Your receipt is attached to this email.</p>' : ''}
                 <p style="font-size: 16px;">You can track the progress of your job on your dashboard.</p>
                 <p style="font-size: 16px;"><a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/client-dashboard" style="color: #6a0dad; text-decoration: none; font-weight: bold;">Go to Dashboard</a></p>
                 <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
@@ -336,6 +340,18 @@ const sendPaymentConfirmationEmail = async (client, transcriber, negotiation, pa
             </div>
         `;
 
+        // Send to client
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: client.email,
+            subject: clientSubject,
+            html: clientHtmlContent,
+            attachments,
+        });
+        console.log(`Payment confirmation email sent to client ${client.email} for #${negotiation.id}`);
+
+        if (!transcriber) return;
+
         const transcriberSubject = `New Job Hired! Negotiation #${negotiation.id} - TypeMyworDz`;
         const transcriberHtmlContent = `
             <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
@@ -362,15 +378,6 @@ const sendPaymentConfirmationEmail = async (client, transcriber, negotiation, pa
             </div>
         `;
 
-        // Send to client
-        await transporter.sendMail({
-            from: FROM_ADDRESS,
-            to: client.email,
-            subject: clientSubject,
-            html: clientHtmlContent,
-        });
-        console.log(`Payment confirmation email sent to client ${client.email} for #${negotiation.id}`);
-
         // Send to transcriber
         await transporter.sendMail({
             from: FROM_ADDRESS,
@@ -421,6 +428,151 @@ const sendNegotiationRejectedEmail = async (user, negotiation, reason) => {
     }
 };
 
+// NEW: Sent to both parties when a negotiation expires after waiting too long in one status
+const sendNegotiationExpiredEmail = async (user, negotiation, previousStatus) => {
+    const recipientName = user.full_name || 'User';
+    const recipientEmail = user.email;
+    const waitingOn = {
+        pending: 'a response from the transcriber',
+        transcriber_counter: "the client's response to a counter-offer",
+        client_counter: "the transcriber's response to a counter-offer",
+        accepted_awaiting_payment: 'payment from the client'
+    }[previousStatus] || 'a response';
+    const htmlContent = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+            <div style="text-align: center; margin-bottom: 20px;">
+                <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                <h1 style="color: #6a0dad; margin-top: 15px;">Negotiation Expired</h1>
+            </div>
+            <p style="font-size: 16px;">Hello ${recipientName},</p>
+            <p style="font-size: 16px;">The negotiation (ID: <strong>${negotiation.id}</strong>) has expired after waiting too long for ${waitingOn}.</p>
+            <p style="font-size: 16px;">No payment was taken. If you still want this job done, please start a new negotiation from your dashboard.</p>
+            <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+            <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: recipientEmail,
+            subject: `Negotiation #${negotiation.id} Expired`,
+            html: htmlContent,
+        });
+        console.log(`Negotiation expired email sent to ${recipientEmail} for #${negotiation.id}`);
+    } catch (error) {
+        console.error(`Error sending negotiation expired email to ${recipientEmail} for #${negotiation.id}:`, error);
+    }
+};
+
+// NEW: Tells a transcriber that the client hired someone else for a request they were quoted on
+const sendRfqClosedEmail = async (transcriber, negotiation) => {
+    const recipientName = transcriber.full_name || 'Transcriber';
+    const htmlContent = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+            <div style="text-align: center; margin-bottom: 20px;">
+                <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                <h1 style="color: #6a0dad; margin-top: 15px;">Request Closed</h1>
+            </div>
+            <p style="font-size: 16px;">Hello ${recipientName},</p>
+            <p style="font-size: 16px;">The client sent negotiation <strong>#${negotiation.id}</strong> to several transcribers and has now hired one of them, so this request is closed.</p>
+            <p style="font-size: 16px;">No action is needed from you. New requests will appear on your dashboard as usual.</p>
+            <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+            <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: transcriber.email,
+            subject: `Negotiation #${negotiation.id} Closed`,
+            html: htmlContent,
+        });
+        console.log(`RFQ closed email sent to ${transcriber.email} for #${negotiation.id}`);
+    } catch (error) {
+        console.error(`Error sending RFQ closed email to ${transcriber.email} for #${negotiation.id}:`, error);
+    }
+};
+
+// NEW: Deadline reminders and overdue alerts (see utils/deadlineMonitor.js).
+// job: { jobType, id, dueDate }
+const describeJob = (job) => `${job.jobType === 'negotiation' ? 'negotiation job' : 'direct upload job'} <strong>#${job.id}</strong>`;
+
+const sendDeadlineReminderEmail = async (transcriber, job, hoursLeft) => {
+    const recipientName = transcriber.full_name || 'Transcriber';
+    const timeLeft = hoursLeft >= 1
+        ? `${Math.round(hoursLeft)} hour${Math.round(hoursLeft) === 1 ? '' : 's'}`
+        : `${Math.max(Math.round(hoursLeft * 60), 1)} minutes`;
+    const htmlContent = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+            <div style="text-align: center; margin-bottom: 20px;">
+                <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                <h1 style="color: #6a0dad; margin-top: 15px;">Deadline Reminder</h1>
+            </div>
+            <p style="font-size: 16px;">Hello ${recipientName},</p>
+            <p style="font-size: 16px;">Your ${describeJob(job)} is due in about <strong>${timeLeft}</strong> (${new Date(job.dueDate).toUTCString()}).</p>
+            <p style="font-size: 16px;">Please make sure to deliver on time. If you are running late, let the client know through the job chat.</p>
+            <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+            <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: transcriber.email,
+            subject: `Reminder: Job #${job.id} is due in ${timeLeft}`,
+            html: htmlContent,
+        });
+        console.log(`Deadline reminder email sent to ${transcriber.email} for job ${job.id}`);
+    } catch (error) {
+        console.error(`Error sending deadline reminder email to ${transcriber.email} for job ${job.id}:`, error);
+    }
+};
+
+// role: 'client' or 'admin'. job may also carry transcriberName.
+const sendJobOverdueEmail = async (recipient, job, role) => {
+    const recipientName = recipient.full_name || (role === 'admin' ? 'Admin' : 'Client');
+    const body = role === 'admin'
+        ? `<p style="font-size: 16px;">The ${describeJob(job)}, assigned to ${job.transcriberName || 'a transcriber'}, passed its deadline (${new Date(job.dueDate).toUTCString()}) without being delivered.</p>
+            <p style="font-size: 16px;">Please follow up with the transcriber and the client from the admin dashboard.</p>`
+        : `<p style="font-size: 16px;">Your ${describeJob(job)} passed its deadline (${new Date(job.dueDate).toUTCString()}) without being delivered.</p>
+            <p style="font-size: 16px;">We are sorry for the delay. Our team has been alerted and will follow up with the transcriber. You can also message them through the job chat.</p>`;
+    const htmlContent = `
+        <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+            <div style="text-align: center; margin-bottom: 20px;">
+                <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                <h1 style="color: #6a0dad; margin-top: 15px;">Job Overdue</h1>
+            </div>
+            <p style="font-size: 16px;">Hello ${recipientName},</p>
+            ${body}
+            <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+            <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+            </div>
+        </div>
+    `;
+
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: recipient.email,
+            subject: `Job #${job.id} is Overdue`,
+            html: htmlContent,
+        });
+        console.log(`Job overdue email sent to ${role} ${recipient.email} for job ${job.id}`);
+    } catch (error) {
+        console.error(`Error sending job overdue email to ${role} ${recipient.email} for job ${job.id}:`, error);
+    }
+};
+
 // NEW: Function to send email upon training completion and promotion to transcriber
 const sendTrainingCompletionEmail = async (user) => {
     try {
@@ -451,7 +603,9 @@ const sendTrainingCompletionEmail = async (user) => {
 };
 
 // NEW: Function to send email when an admin marks a transcriber payment as paid out
-const sendPayoutConfirmationEmail = async (transcriber, payment) => {
+// UPDATED: Pass includedPayments to confirm a consolidated payout (e.g. a weekly payout batch); `payment`
+// then carries the batch total in transcriber_earning and each included payment is listed.
+const sendPayoutConfirmationEmail = async (transcriber, payment, includedPayments = null) => {
     try {
         await transporter.sendMail({
             from: FROM_ADDRESS,
@@ -465,7 +619,12 @@ const sendPayoutConfirmationEmail = async (transcriber, payment) => {
                     </div>
                     <p style="font-size: 16px;">Hello ${transcriber.full_name || 'Transcriber'},</p>
                     <p style="font-size: 16px;">We are pleased to confirm that your payout for the amount of <strong>USD ${payment.transcriber_earning.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong> has been processed.</p>
-                    <p style="font-size: 16px;">This payment is for job ID: <strong>${payment.related_job_id?.substring(0, 8) || 'N/A'}...</strong>, originally paid by the client on ${new Date(payment.transaction_date).toLocaleDateString()}.</p>
+                    ${includedPayments ? `
+                    <p style="font-size: 16px;">This payout covers the following jobs:</p>
+                    <ul style="font-size: 15px;">
+                        ${includedPayments.map(included => `<li>Job ID <strong>${(included.negotiation_id || included.direct_upload_job_id || 'N/A').substring(0, 8)}...</strong> (paid ${new Date(included.transaction_date).toLocaleDateString()}): USD ${included.transcriber_earning.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</li>`).join('')}
+                    </ul>` : `
+                    <p style="font-size: 16px;">This payment is for job ID: <strong>${payment.related_job_id?.substring(0, 8) || 'N/A'}...</strong>, originally paid by the client on ${new Date(payment.transaction_date).toLocaleDateString()}.</p>`}
                     <p style="font-size: 16px;">Please check your payment method (M-Pesa/PayPal) within 1-2 business days for the funds to reflect.</p>
                     <p style="font-size: 16px;"><a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/transcriber-payments" style="color: #6a0dad; text-decoration: none; font-weight: bold;">View Your Payment History</a></p>
                     <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
@@ -542,6 +701,68 @@ const sendJobCompletedEmailToClient = async (client, transcriber, negotiation) =
     }
 };
 
+// NEW: Function to send email to client when an admin refunds (part of) a payment
+const sendRefundConfirmationEmailToClient = async (client, payment, refund) => {
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: client.email,
+            subject: `Refund Issued - USD ${refund.amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} from TypeMyworDz`,
+            html: `
+                <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+                    <div style="text-align: center; margin-bottom: 20px;">
+                        <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                        <h1 style="color: #6a0dad; margin-top: 15px;">Your Refund Has Been Issued</h1>
+                    </div>
+                    <p style="font-size: 16px;">Hello ${client.full_name || 'Client'},</p>
+                    <p style="font-size: 16px;">We have issued a refund of <strong>USD ${refund.amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong> for your payment of USD ${payment.amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} made on ${new Date(payment.transaction_date).toLocaleDateString()}.</p>
+                    ${refund.reason ? `<p style="font-size: 16px;"><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+                    <p style="font-size: 16px;">${refund.payment_method === 'wallet' ? 'The funds have been added to your TypeMyworDz wallet and can be used for your next job straight away.' : 'The funds will be returned to your original payment method. Depending on your bank or mobile money provider, this can take 5-10 business days.'}</p>
+                    <p style="font-size: 16px;"><a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/client-payments" style="color: #6a0dad; text-decoration: none; font-weight: bold;">View Your Payment History</a></p>
+                    <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+                    <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                        &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+                    </div>
+                </div>
+            `,
+        });
+        console.log(`Refund confirmation email sent to client ${client.email} for payment ID ${payment.id}`);
+    } catch (error) {
+        console.error(`Error sending refund confirmation email to client ${client.email} for payment ID ${payment.id}:`, error);
+    }
+};
+
+// NEW: Function to tell the transcriber that a refund reduced their earning for a job
+const sendRefundNotificationEmailToTranscriber = async (transcriber, payment, refund) => {
+    try {
+        await transporter.sendMail({
+            from: FROM_ADDRESS,
+            to: transcriber.email,
+            subject: `Payment Refunded to Client - TypeMyworDz`,
+            html: `
+                <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 20px auto; padding: 20px; border: 1px solid #eee; border-radius: 8px; background-color: #f9f9f9;">
+                    <div style="text-align: center; margin-bottom: 20px;">
+                        <img src="${LOGO_URL}" alt="TypeMyworDz Logo" style="max-width: 150px; height: auto; display: block; margin: 0 auto;">
+                        <h1 style="color: #6a0dad; margin-top: 15px;">A Job Payment Was Refunded</h1>
+                    </div>
+                    <p style="font-size: 16px;">Hello ${transcriber.full_name || 'Transcriber'},</p>
+                    <p style="font-size: 16px;">The client's payment for job ID <strong>${(payment.negotiation_id || payment.direct_upload_job_id || 'N/A').substring(0, 8)}...</strong> has been refunded by USD ${refund.amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}.</p>
+                    <p style="font-size: 16px;">Your earning for this job is now <strong>USD ${payment.transcriber_earning.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</strong>.</p>
+                    ${refund.reason ? `<p style="font-size: 16px;"><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+                    <p style="font-size: 16px;"><a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/transcriber-payments" style="color: #6a0dad; text-decoration: none; font-weight: bold;">View Your Payment History</a></p>
+                    <p style="font-size: 14px; color: #666;">Best regards,<br>The TypeMyworDz Team</p>
+                    <div style="text-align: center; margin-top: 30px; padding-top: 15px; border-top: 1px solid #eee; font-size: 12px; color: #999;">
+                        &copy; ${new Date().getFullYear()} TypeMyworDz. All rights reserved.
+                    </div>
+                </div>
+            `,
+        });
+        console.log(`Refund notification email sent to transcriber ${transcriber.email} for payment ID ${payment.id}`);
+    } catch (error) {
+        console.error(`Error sending refund notification email to transcriber ${transcriber.email} for payment ID ${payment.id}:`, error);
+    }
+};
+
 
 module.exports = {
     sendWelcomeEmail,
@@ -553,8 +774,14 @@ module.exports = {
     sendNegotiationAcceptedEmail,
     sendPaymentConfirmationEmail,
     sendNegotiationRejectedEmail,
+    sendNegotiationExpiredEmail,
+    sendRfqClosedEmail,
+    sendDeadlineReminderEmail,
+    sendJobOverdueEmail,
     sendTrainingCompletionEmail,
     sendPayoutConfirmationEmail,
     sendJobCompletedEmailToTranscriber, // NEW: Export the new function
     sendJobCompletedEmailToClient,      // NEW: Export the new function
+    sendRefundConfirmationEmailToClient,
+    sendRefundNotificationEmailToTranscriber,
 };
@@ -0,0 +1,138 @@
+// mpesa-stub-server.js
+// Stands in for Safaricom's Daraja API during development. Run with `npm run mpesa-stub` and start the
+// backend with MPESA_BASE_URL=http://localhost:5055 (plus any non-empty values for the other MPESA_* keys).
+//
+// B2C requests are accepted straight away and the callback follows after MPESA_STUB_DELAY_MS:
+//   - a PartyB ending in 000 gets a failed result (insufficient balance)
+//   - a PartyB ending in 999 gets a queue timeout callback
+//   - any other number gets a successful result with a fake receipt number
+//
+// Transaction Status queries answer from what the stub did with the transfer: timed-out transfers are reported
+// as Completed (as if Safaricom paid them late), failed ones as Failed, and unknown references as not found.
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const PORT = process.env.MPESA_STUB_PORT || 5055;
+const DELAY_MS = parseInt(process.env.MPESA_STUB_DELAY_MS, 10) || 2000;
+
+const app = express();
+app.use(express.json());
+
+// OriginatorConversationID -> { receipt, status } for every B2C request this stub has taken.
+const transfers = new Map();
+
+const randomCode = (length) => crypto.randomBytes(length).toString('hex').toUpperCase().substring(0, length);
+
+app.get('/oauth/v1/generate', (req, res) => {
+    res.json({ access_token: `stub-${randomCode(16)}`, expires_in: '3599' });
+});
+
+const buildResult = (request, conversationId) => {
+    const phoneNumber = String(request.PartyB);
+    const base = {
+        OriginatorConversationID: request.OriginatorConversationID,
+        ConversationID: conversationId,
+        TransactionID: randomCode(10)
+    };
+
+    if (phoneNumber.endsWith('999')) {
+        return { url: request.QueueTimeOutURL, body: { Result: { ...base, ResultType: 0, ResultCode: 1, ResultDesc: 'The service request timed out.' } } };
+    }
+    if (phoneNumber.endsWith('000')) {
+        return { url: request.ResultURL, body: { Result: { ...base, ResultType: 0, ResultCode: 2001, ResultDesc: 'The balance is insufficient for the transaction.' } } };
+    }
+    return {
+        url: request.ResultURL,
+        body: {
+            Result: {
+                ...base,
+                ResultType: 0,
+                ResultCode: 0,
+                ResultDesc: 'The service request is processed successfully.',
+                ResultParameters: {
+                    ResultParameter: [
+                        { Key: 'TransactionAmount', Value: request.Amount },
+                        { Key: 'TransactionReceipt', Value: base.TransactionID },
+                        { Key: 'ReceiverPartyPublicName', Value: `${phoneNumber} - Stub Recipient` },
+                        { Key: 'TransactionCompletedDateTime', Value: new Date().toISOString() }
+                    ]
+                }
+            }
+        }
+    };
+};
+
+app.post('/mpesa/b2c/v3/paymentrequest', (req, res) => {
+    const request = req.body;
+    if (!request.OriginatorConversationID || !request.PartyB || !request.Amount || !request.ResultURL) {
+        return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid payment request' });
+    }
+
+    const conversationId = `AG_${new Date().toISOString().replace(/\D/g, '').substring(0, 14)}_${randomCode(20)}`;
+    res.json({
+        ConversationID: conversationId,
+        OriginatorConversationID: request.OriginatorConversationID,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    const callback = buildResult(request, conversationId);
+    transfers.set(request.OriginatorConversationID, {
+        receipt: callback.body.Result.TransactionID,
+        status: callback.body.Result.ResultCode === 2001 ? 'Failed' : 'Completed'
+    });
+    setTimeout(async () => {
+        try {
+            await axios.post(callback.url, callback.body);
+            console.log(`[mpesa-stub] Sent ${callback.body.Result.ResultCode === 0 ? 'success' : 'failure'} callback for ${request.OriginatorConversationID}.`);
+        } catch (error) {
+            console.log(`[mpesa-stub] Callback to ${callback.url} failed:`, error.response?.status || error.message);
+        }
+    }, DELAY_MS);
+});
+
+app.post('/mpesa/transactionstatus/v1/query', (req, res) => {
+    const request = req.body;
+    if (!request.OriginalConversationID || !request.ResultURL) {
+        return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid status query' });
+    }
+
+    const conversationId = `AG_${new Date().toISOString().replace(/\D/g, '').substring(0, 14)}_${randomCode(20)}`;
+    res.json({
+        ConversationID: conversationId,
+        OriginatorConversationID: `stub-${randomCode(12)}`,
+        ResponseCode: '0',
+        ResponseDescription: 'Accept the service request successfully.'
+    });
+
+    const transfer = transfers.get(request.OriginalConversationID);
+    const result = transfer
+        ? {
+            ResultType: 0,
+            ResultCode: 0,
+            ResultDesc: 'The service request is processed successfully.',
+            ConversationID: conversationId,
+            TransactionID: transfer.receipt,
+            ResultParameters: {
+                ResultParameter: [
+                    { Key: 'ReceiptNo', Value: transfer.receipt },
+                    { Key: 'TransactionStatus', Value: transfer.status }
+                ]
+            }
+        }
+        : { ResultType: 0, ResultCode: 2032, ResultDesc: 'The transaction could not be found.', ConversationID: conversationId };
+
+    setTimeout(async () => {
+        try {
+            await axios.post(request.ResultURL, { Result: result });
+            console.log(`[mpesa-stub] Sent status '${transfer ? transfer.status : 'not found'}' for ${request.OriginalConversationID}.`);
+        } catch (error) {
+            console.log(`[mpesa-stub] Status callback to ${request.ResultURL} failed:`, error.response?.status || error.message);
+        }
+    }, DELAY_MS);
+});
+
+app.listen(PORT, () => {
+    console.log(`[mpesa-stub] Daraja stub listening on http://localhost:${PORT}`);
+});
@@ -12,6 +12,8 @@ const {
   tempUploadNegotiationFile,
   getAvailableTranscribers,
   createNegotiation,
+  createRfqNegotiation,
+  getRfqQuotes,
   getClientNegotiations,
   deleteNegotiation,
   acceptNegotiation,
@@ -23,7 +25,10 @@ const {
   markJobCompleteByClient,
   markNegotiationJobCompleteByTranscriber,
   initializeNegotiationPayment, // NEW: Import negotiation-specific payment initiation
-  verifyNegotiationPayment // NEW: Import negotiation-specific payment verification
+  verifyNegotiationPayment, // NEW: Import negotiation-specific payment verification
+  getNegotiationMilestones,
+  updateNegotiationMilestones,
+  getNegotiationHistory // NEW: Offer history
 } = require('..//controllers/negotiationController');
 
 // Import admin controller functions
@@ -31,6 +36,10 @@ const {
     getPendingTranscriberTestsCount,
     getActiveJobsCount,
     getOpenDisputesCount,
+    getFinancialSummaryStats,
+    getFinancialTimeSeriesStats,
+    getTranscriberLiabilitiesStats,
+    getOverdueJobsStats,
     getTotalUsersCount,
     getAllTranscriberTestSubmissions,
     getTranscriberTestSubmissionById,
@@ -42,6 +51,14 @@ const {
     deleteUser,
     getAdminSettings,
     updateAdminSettings,
+    getExchangeRateSettingsForAdmin,
+    updateExchangeRateSettings,
+    getNegotiationExpirySettingsForAdmin,
+    updateNegotiationExpirySettings,
+    runNegotiationExpirySweep,
+    getDeadlineMonitorSettingsForAdmin,
+    updateDeadlineMonitorSettings,
+    runDeadlineCheck,
     getAllJobsForAdmin,
     getJobByIdForAdmin,
     getAllDisputesForAdmin,
@@ -65,12 +82,68 @@ const {
 // MODIFIED: Import ONLY general payment history functions from paymentController.js
 const {
     getTranscriberPaymentHistory,
+    getTranscriberEarningsStatement,
     getClientPaymentHistory,
+    downloadPaymentInvoice,
     getAllPaymentHistoryForAdmin,
     getTranscriberUpcomingPayoutsForAdmin,
-    markPaymentAsPaidOut
+    markPaymentAsPaidOut,
+    refundPayment,
+    initiatePaymentPayout,
+    handleMpesaB2cResult,
+    handleMpesaB2cTimeout,
+    handleMpesaB2cStatusResult,
+    handleMpesaB2cStatusTimeout,
+    handlePaypalPayoutWebhook,
+    refreshPaymentPayoutStatus,
+    getPaymentReconciliationReport,
+    repairMissingPayment,
+    getLedgerTrialBalance,
+    getLedgerAccountStatement,
+    handleKorapayWebhook,
+    handlePaystackWebhook
 } = require('..//controllers/paymentController');
 
+// NEW: Import weekly payout batch functions
+const {
+    createPayoutBatch,
+    getPayoutBatches,
+    getPayoutBatchDetails,
+    exportPayoutBatch,
+    sendPayoutBatch,
+    markPayoutBatchAsPaid
+} = require('..//controllers/payoutBatchController');
+
+// NEW: Import client wallet functions
+const {
+    getClientWallet,
+    initializeWalletTopUp,
+    verifyWalletTopUp,
+    getClientWalletForAdmin
+} = require('..//controllers/walletController');
+
+// NEW: Import promo code functions
+const {
+    applyPromoCode,
+    removePromoCode,
+    createPromoCode,
+    getPromoCodes,
+    updatePromoCode
+} = require('..//controllers/promoCodeController');
+
+// NEW: Import dispute functions
+const {
+    openDispute,
+    resolveDispute,
+    getDisputePayoutHolds
+} = require('..//controllers/disputeController');
+const {
+    uploadDeliverableFiles,
+    getJobDeliverables,
+    downloadDeliverableFile,
+    submitDeliverableRevision
+} = require('..//controllers/deliverableController');
+
 // NEW: Import rating controller functions
 const {
     rateUserByAdmin,
@@ -116,7 +189,7 @@ const {
     handleTrainingRoomAttachmentUpload,
     completeTraining,
     initializeTrainingPayment, // NEW: Import training-specific payment initiation
-    verifyKorapayTrainingPayment // NEW: Import training-specific KoraPay verification
+    verifyTrainingPayment // UPDATED: Training verification for every gateway
 } = require('..//controllers/trainingController');
 
 // Import multer for direct use in this file for error handling
@@ -241,6 +314,9 @@ module.exports = (io) => {
           completed_at,
           client_feedback_comment,
           client_feedback_rating,
+          milestone_count,
+          milestones_cleared,
+          rfq_id,
           client_info:users!client_id(full_name, email, client_average_rating, client_completed_jobs)
         `)
         .eq('transcriber_id', transcriberId)
@@ -373,6 +449,18 @@ module.exports = (io) => {
     createNegotiation(req, res, next, io);
   });
 
+  // NEW: Request-for-quote: one job sent to several transcribers
+  router.post('/negotiations/rfq', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'client') {
+      return res.status(403).json({ error: 'Access denied. Only clients can send a request-for-quote.' });
+    }
+    createRfqNegotiation(req, res, next, io);
+  });
+
+  router.get('/negotiations/rfq/:rfqId', authMiddleware, (req, res, next) => {
+    getRfqQuotes(req, res, next);
+  });
+
 
   // NEW: Transcriber Negotiation Actions
   router.put('/negotiations/:negotiationId/accept', authMiddleware, (req, res, next) => {
@@ -481,6 +569,35 @@ module.exports = (io) => {
       getTotalUsersCount(req, res, next);
   });
 
+  // NEW: Finance dashboard figures from payments
+  router.get('/admin/stats/finance/summary', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view this statistic.' });
+      }
+      getFinancialSummaryStats(req, res, next);
+  });
+
+  router.get('/admin/stats/finance/timeseries', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view this statistic.' });
+      }
+      getFinancialTimeSeriesStats(req, res, next);
+  });
+
+  router.get('/admin/stats/finance/liabilities', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view this statistic.' });
+      }
+      getTranscriberLiabilitiesStats(req, res, next);
+  });
+
+  router.get('/admin/stats/overdue-jobs', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view this statistic.' });
+      }
+      getOverdueJobsStats(req, res, next);
+  });
+
   // --- Admin Transcriber Test Management Routes ---
   router.get('/admin/transcriber-tests', authMiddleware, (req, res, next) => {
       if (req.user.userType !== 'admin') {
@@ -598,6 +715,62 @@ module.exports = (io) => {
       updateAdminSettings(req, res, next);
   });
 
+  router.get('/admin/settings/exchange-rates', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view exchange rate settings.' });
+      }
+      getExchangeRateSettingsForAdmin(req, res, next);
+  });
+
+  router.put('/admin/settings/exchange-rates', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can update exchange rate settings.' });
+      }
+      updateExchangeRateSettings(req, res, next);
+  });
+
+  router.get('/admin/settings/negotiation-expiry', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view negotiation expiry settings.' });
+      }
+      getNegotiationExpirySettingsForAdmin(req, res, next);
+  });
+
+  router.put('/admin/settings/negotiation-expiry', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can update negotiation expiry settings.' });
+      }
+      updateNegotiationExpirySettings(req, res, next);
+  });
+
+  router.post('/admin/negotiations/expire-stale', authMiddleware, (req, res) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can run the negotiation expiry sweep.' });
+      }
+      runNegotiationExpirySweep(req, res, io);
+  });
+
+  router.get('/admin/settings/deadline-monitor', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view deadline monitor settings.' });
+      }
+      getDeadlineMonitorSettingsForAdmin(req, res, next);
+  });
+
+  router.put('/admin/settings/deadline-monitor', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can update deadline monitor settings.' });
+      }
+      updateDeadlineMonitorSettings(req, res, next);
+  });
+
+  router.post('/admin/jobs/check-deadlines', authMiddleware, (req, res) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can run the deadline check.' });
+      }
+      runDeadlineCheck(req, res, io);
+  });
+
   // --- NEW: Admin Jobs Routes ---
   router.get('/admin/jobs', authMiddleware, (req, res, next) => {
       if (req.user.userType !== 'admin') {
@@ -630,6 +803,28 @@ module.exports = (io) => {
       getAllDisputesForAdmin(req, res, io);
   });
 
+  // NEW: Disputes hold the job's payouts until an admin resolves them
+  router.post('/negotiations/:negotiationId/disputes', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client' && req.user.userType !== 'transcriber') {
+          return res.status(403).json({ error: 'Access denied. Only the client or transcriber of a job can open a dispute.' });
+      }
+      openDispute(req, res, io);
+  });
+
+  router.put('/admin/disputes/:disputeId/resolve', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can resolve disputes.' });
+      }
+      resolveDispute(req, res, io);
+  });
+
+  router.get('/admin/disputes/:disputeId/payout-holds', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view payout holds.' });
+      }
+      getDisputePayoutHolds(req, res);
+  });
+
   // --- MODIFIED: Dedicated Payment Routes for each job type ---
 
   // Negotiation Payment Routes
@@ -644,6 +839,23 @@ module.exports = (io) => {
     verifyNegotiationPayment(req, res, io);
   });
 
+  // NEW: Negotiation milestone schedule
+  router.get('/negotiations/:negotiationId/milestones', authMiddleware, (req, res, next) => {
+    getNegotiationMilestones(req, res);
+  });
+
+  router.put('/negotiations/:negotiationId/milestones', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'client') {
+      return res.status(403).json({ error: 'Access denied. Only clients can set a milestone schedule.' });
+    }
+    updateNegotiationMilestones(req, res, io);
+  });
+
+  // NEW: Offer history (proposals, counters, acceptances, rejections)
+  router.get('/negotiations/:negotiationId/history', authMiddleware, (req, res, next) => {
+    getNegotiationHistory(req, res);
+  });
+
   // Direct Upload Payment Routes
   router.post('/direct-uploads/:jobId/payment/initialize', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'client') {
@@ -678,7 +890,118 @@ module.exports = (io) => {
       if (req.user.userType !== 'trainee') {
           return res.status(403).json({ error: 'Access denied. Only trainees can verify KoraPay training payments.' });
       }
-      verifyKorapayTrainingPayment(req, res, io);
+      verifyTrainingPayment(req, res, io);
+  });
+
+  router.get('/training/payment/verify/:reference', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'trainee') {
+          return res.status(403).json({ error: 'Access denied. Only trainees can verify training payments.' });
+      }
+      verifyTrainingPayment(req, res, io);
+  });
+
+  // NEW: Client wallet routes
+  router.get('/client/wallet', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients have a wallet.' });
+      }
+      getClientWallet(req, res);
+  });
+
+  router.post('/client/wallet/top-up', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients can top up a wallet.' });
+      }
+      initializeWalletTopUp(req, res);
+  });
+
+  router.post('/client/wallet/top-up/verify-korapay', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients can verify wallet top-ups.' });
+      }
+      verifyWalletTopUp(req, res, io);
+  });
+
+  router.get('/client/wallet/top-up/verify/:reference', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients can verify wallet top-ups.' });
+      }
+      verifyWalletTopUp(req, res, io);
+  });
+
+  router.get('/admin/clients/:clientId/wallet', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view client wallets.' });
+      }
+      getClientWalletForAdmin(req, res);
+  });
+
+  // NEW: Promo code routes
+  router.post('/client/promo-codes/apply', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients can apply promo codes.' });
+      }
+      applyPromoCode(req, res);
+  });
+
+  router.delete('/client/promo-codes/:jobType/:jobId', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'client') {
+          return res.status(403).json({ error: 'Access denied. Only clients can remove promo codes.' });
+      }
+      removePromoCode(req, res);
+  });
+
+  router.post('/admin/promo-codes', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can create promo codes.' });
+      }
+      createPromoCode(req, res);
+  });
+
+  router.get('/admin/promo-codes', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can view promo codes.' });
+      }
+      getPromoCodes(req, res);
+  });
+
+  router.put('/admin/promo-codes/:promoCodeId', authMiddleware, (req, res, next) => {
+      if (req.user.userType !== 'admin') {
+          return res.status(403).json({ error: 'Access denied. Only admins can update promo codes.' });
+      }
+      updatePromoCode(req, res);
+  });
+
+
+  // --- Gateway Webhooks (no authMiddleware: requests come from the gateway and are verified by signature) ---
+  router.post('/payment/korapay-webhook', (req, res, next) => {
+    handleKorapayWebhook(req, res, io);
+  });
+
+  router.post('/payment/paystack-webhook', (req, res, next) => {
+    handlePaystackWebhook(req, res, io);
+  });
+
+  // NEW: Safaricom B2C payout callbacks (authenticated by the token in the query string)
+  router.post('/payment/mpesa/b2c/result', (req, res, next) => {
+    handleMpesaB2cResult(req, res, io);
+  });
+
+  router.post('/payment/mpesa/b2c/timeout', (req, res, next) => {
+    handleMpesaB2cTimeout(req, res, io);
+  });
+
+  // NEW: Answers to B2C Transaction Status queries for payouts flagged for a status check
+  router.post('/payment/mpesa/b2c/status-result', (req, res, next) => {
+    handleMpesaB2cStatusResult(req, res, io);
+  });
+
+  router.post('/payment/mpesa/b2c/status-timeout', (req, res, next) => {
+    handleMpesaB2cStatusTimeout(req, res, io);
+  });
+
+  router.post('/payment/paypal/payouts-webhook', (req, res, next) => {
+    handlePaypalPayoutWebhook(req, res, io);
   });
 
 
@@ -690,6 +1013,22 @@ module.exports = (io) => {
     getTranscriberPaymentHistory(req, res, next);
   });
 
+  // NEW: Earnings statement for the logged-in transcriber (?year, optional &month, &format=json|pdf|csv)
+  router.get('/transcriber/statements', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'transcriber') {
+      return res.status(403).json({ error: 'Access denied. Only transcribers can view their earnings statements.' });
+    }
+    getTranscriberEarningsStatement(req, res, next);
+  });
+
+  // NEW: Admin generates an earnings statement for any transcriber
+  router.get('/admin/transcribers/:transcriberId/statements', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can generate transcriber statements.' });
+    }
+    getTranscriberEarningsStatement(req, res, next);
+  });
+
   router.get('/client/payments', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'client') {
       return res.status(403).json({ error: 'Access denied. Only clients can view their payment history.' });
@@ -697,6 +1036,9 @@ module.exports = (io) => {
     getClientPaymentHistory(req, res, io);
   });
 
+  // NEW: Download the PDF receipt for a payment (the paying client, or an admin)
+  router.get('/client/payments/:paymentId/invoice', authMiddleware, downloadPaymentInvoice);
+
   router.get('/admin/payments', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'admin') {
       return res.status(403).json({ error: 'Access denied. Only admins can view all payment history.' });
@@ -718,6 +1060,98 @@ module.exports = (io) => {
     markPaymentAsPaidOut(req, res, io);
   });
 
+  router.post('/admin/payments/:paymentId/payout', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can send payouts.' });
+    }
+    initiatePaymentPayout(req, res, io);
+  });
+
+  router.post('/admin/payments/:paymentId/payout/refresh', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can refresh payouts.' });
+    }
+    refreshPaymentPayoutStatus(req, res, io);
+  });
+
+  router.post('/admin/payments/:paymentId/refund', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can refund payments.' });
+    }
+    refundPayment(req, res, io);
+  });
+
+  router.get('/admin/payments/reconciliation', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can view payment reconciliation.' });
+    }
+    getPaymentReconciliationReport(req, res);
+  });
+
+  router.post('/admin/payments/reconciliation/repair', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can repair payments.' });
+    }
+    repairMissingPayment(req, res, io);
+  });
+
+  // --- NEW: Weekly Payout Batch Routes ---
+  router.post('/admin/payout-batches', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can generate payout batches.' });
+    }
+    createPayoutBatch(req, res);
+  });
+
+  router.get('/admin/payout-batches', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can view payout batches.' });
+    }
+    getPayoutBatches(req, res);
+  });
+
+  router.get('/admin/payout-batches/:batchId', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can view payout batches.' });
+    }
+    getPayoutBatchDetails(req, res);
+  });
+
+  router.get('/admin/payout-batches/:batchId/export', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can export payout batches.' });
+    }
+    exportPayoutBatch(req, res);
+  });
+
+  router.post('/admin/payout-batches/:batchId/send', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can send payout batches.' });
+    }
+    sendPayoutBatch(req, res);
+  });
+
+  router.put('/admin/payout-batches/:batchId/mark-paid', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can mark payout batches as paid.' });
+    }
+    markPayoutBatchAsPaid(req, res, io);
+  });
+
+  router.get('/admin/ledger/trial-balance', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can view the ledger.' });
+    }
+    getLedgerTrialBalance(req, res);
+  });
+
+  router.get('/admin/ledger/accounts/:account/statement', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'admin') {
+      return res.status(403).json({ error: 'Access denied. Only admins can view the ledger.' });
+    }
+    getLedgerAccountStatement(req, res);
+  });
+
 
   // --- NEW: Rating Routes ---
   router.post('/admin/ratings', authMiddleware, (req, res, next) => {
@@ -868,13 +1302,34 @@ module.exports = (io) => {
     cancelDirectUploadJob(req, res, io);
   });
 
+  // UPDATED: multipart, with the transcript files in 'deliverables'
   router.put('/transcriber/direct-jobs/:jobId/complete', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'transcriber') {
       return res.status(403).json({ error: 'Access denied. Only transcribers can complete direct upload jobs.' });
     }
+    next();
+  }, uploadDeliverableFiles, (req, res, next) => {
     completeDirectUploadJob(req, res, io);
   });
 
+  // NEW: Transcript deliverables (jobType is 'negotiation' or 'direct_upload')
+  router.get('/deliverables/:jobType/:jobId', authMiddleware, (req, res, next) => {
+    getJobDeliverables(req, res, next);
+  });
+
+  router.post('/deliverables/:jobType/:jobId', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'transcriber') {
+      return res.status(403).json({ error: 'Access denied. Only transcribers can deliver transcripts.' });
+    }
+    next();
+  }, uploadDeliverableFiles, (req, res, next) => {
+    submitDeliverableRevision(req, res, io);
+  });
+
+  router.get('/deliverables/:deliverableId/files/:fileName', authMiddleware, (req, res, next) => {
+    downloadDeliverableFile(req, res, next);
+  });
+
   // NEW: Client marks a direct upload job as complete
   router.put('/client/direct-jobs/:jobId/complete', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'client') {
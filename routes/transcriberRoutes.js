@@ -8,12 +8,16 @@ const {
   acceptNegotiation,
   counterNegotiation,
   rejectNegotiation,
-  getTranscriberUpcomingPayouts, // NEW: Import getTranscriberUpcomingPayouts
   completeJob, // Ensure completeJob is imported if used elsewhere in routes
   syncAvailabilityStatus, // Ensure syncAvailabilityStatus is imported if used elsewhere in routes
   setOnlineStatus, // Ensure setOnlineStatus is imported if used elsewhere in routes
-  updateTranscriberProfile // Ensure updateTranscriberProfile is imported if used elsewhere in routes
+  updateTranscriberProfile, // Ensure updateTranscriberProfile is imported if used elsewhere in routes
+  getTranscriberPayoutPreferences, // NEW: Payout preferences
+  updateTranscriberPayoutPreferences
 } = require('..//controllers/transcriberController'); // NEW: Import all from transcriberController
+// UPDATED: getTranscriberUpcomingPayouts lives with the other payout views in paymentController
+const { getTranscriberUpcomingPayouts } = require('..//controllers/paymentController');
+const { uploadDeliverableFiles } = require('..//controllers/deliverableController');
 
 module.exports = (io) => {
   const router = express.Router();
@@ -67,10 +71,13 @@ module.exports = (io) => {
   });
 
   // NEW: PUT /api/transcriber/negotiations/:negotiationId/complete - Mark job as complete
+  // UPDATED: multipart, with the transcript files in 'deliverables'
   router.put('/negotiations/:negotiationId/complete', authMiddleware, (req, res, next) => {
     if (req.user.userType !== 'transcriber') {
       return res.status(403).json({ error: 'Access denied. Only transcribers can mark jobs as complete.' });
     }
+    next();
+  }, uploadDeliverableFiles, (req, res, next) => {
     completeJob(req, res, next, io); // Pass io for real-time updates
   });
 
@@ -82,5 +89,21 @@ module.exports = (io) => {
     getTranscriberUpcomingPayouts(req, res, next);
   });
 
+  // NEW: GET /api/transcriber/payout-preferences - Payout method, frequency and minimum threshold
+  router.get('/payout-preferences', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'transcriber') {
+      return res.status(403).json({ error: 'Access denied. Only transcribers can view their payout preferences.' });
+    }
+    getTranscriberPayoutPreferences(req, res);
+  });
+
+  // NEW: PUT /api/transcriber/payout-preferences
+  router.put('/payout-preferences', authMiddleware, (req, res, next) => {
+    if (req.user.userType !== 'transcriber') {
+      return res.status(403).json({ error: 'Access denied. Only transcribers can update their payout preferences.' });
+    }
+    updateTranscriberPayoutPreferences(req, res);
+  });
+
   return router;
 };
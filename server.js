@@ -11,6 +11,9 @@ const authRoutes = require('./routes/authRoutes');
 const audioRoutes = require('./routes/audioRoutes');
 const transcriberRoutes = require('./routes/transcriberRoutes');
 const generalApiRoutes = require('./routes/generalApiRoutes');
+const { startNegotiationExpirySweeper } = require('./utils/negotiationExpiry');
+const { startDeadlineMonitor } = require('./utils/deadlineMonitor');
+const { startPayoutStatusChecker } = require('./utils/payoutDisbursement');
 // REMOVED: const { setOnlineStatus } = require('./controllers/transcriberController'); // This import is no longer needed here
 
 const app = express();
@@ -106,7 +109,12 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json());
+// Keep the raw request bytes so gateway webhooks can verify signatures computed over the exact payload.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // NEW: Content Security Policy (CSP) Middleware to allow KoraPay scripts and connections
@@ -125,6 +133,10 @@ app.use((req, res, next) => {
 });
 
 
+// NEW: Deliverables are only downloadable through /api/deliverables, which checks who is asking
+app.use('/uploads/deliverables', (req, res) => {
+  res.status(404).json({ error: 'Not found.' });
+});
 // Serve static files from the 'uploads' directory
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // NEW: Serve static files from the 'uploads/temp_negotiation_files' directory for temporary uploads
@@ -185,6 +197,9 @@ server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log('Socket.IO is listening for connections.');
   console.log('Allowed CORS Origins: ', ALLOWED_ORIGINS);
+  startNegotiationExpirySweeper(io);
+  startDeadlineMonitor(io);
+  startPayoutStatusChecker(io);
 });
 
 module.exports = { io, server, app };
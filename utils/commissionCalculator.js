@@ -0,0 +1,102 @@
+// backend/utils/commissionCalculator.js
+
+const supabase = require('../database');
+const { calculateTranscriberEarning, DEFAULT_TRANSCRIBER_RATE } = require('./paymentUtils');
+
+/**
+ * Works out what share of a job's price the transcriber earns.
+ * Rules live in admin_settings.commission_rules (JSONB array), alongside pricing_rules.
+ * The most specific active matching rule wins; with no match, DEFAULT_TRANSCRIBER_RATE applies.
+ *
+ * A commission rule object should look like this (example):
+ * {
+ *   id: "unique-id",
+ *   name: "Top-rated transcribers on direct uploads",
+ *   job_type: "direct_upload",        // "negotiation" | "direct_upload"; omit to match both
+ *   transcriber_level: "transcriber", // matches users.transcriber_user_level; omit to match any level
+ *   min_rating: 4.5,                  // inclusive bounds on users.transcriber_average_rating; omit for open-ended
+ *   max_rating: null,
+ *   transcriber_rate: 0.85,           // share of the job price paid to the transcriber (0-1)
+ *   is_active: true
+ * }
+ */
+
+const getSpecificityScore = (rule) => {
+    let score = 0;
+    if (rule.job_type) score += 4;
+    if (rule.transcriber_level) score += 2;
+    if (typeof rule.min_rating === 'number' || typeof rule.max_rating === 'number') score += 1;
+    return score;
+};
+
+const ruleMatches = (rule, jobType, transcriber) => {
+    if (rule.job_type && rule.job_type !== jobType) return false;
+
+    // Level and rating rules only apply once we know who the transcriber is.
+    if (rule.transcriber_level && rule.transcriber_level !== transcriber?.transcriber_user_level) return false;
+
+    if (typeof rule.min_rating === 'number' || typeof rule.max_rating === 'number') {
+        const rating = transcriber?.transcriber_average_rating;
+        if (typeof rating !== 'number') return false;
+        if (typeof rule.min_rating === 'number' && rating < rule.min_rating) return false;
+        if (typeof rule.max_rating === 'number' && rating > rule.max_rating) return false;
+    }
+    return true;
+};
+
+const getCommissionRules = async () => {
+    const { data: settings, error } = await supabase
+        .from('admin_settings')
+        .select('commission_rules')
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error('[getCommissionRules] Error fetching commission rules:', error);
+        return [];
+    }
+    return settings?.commission_rules || [];
+};
+
+const fetchTranscriberForCommission = async (transcriberId) => {
+    if (!transcriberId) return null;
+    const { data: transcriber, error } = await supabase
+        .from('users')
+        .select('id, transcriber_user_level, transcriber_average_rating')
+        .eq('id', transcriberId)
+        .single();
+    if (error) console.error(`[fetchTranscriberForCommission] Error fetching transcriber ${transcriberId}:`, error);
+    return transcriber || null;
+};
+
+/**
+ * Calculates a transcriber's pay for a job. Used both for the estimate shown to transcribers
+ * and for the transcriber_earning recorded on the payment, so the two always agree.
+ * @param {object} params
+ * @param {number} params.amountUsd The job price paid by the client, in USD.
+ * @param {'negotiation'|'direct_upload'} params.jobType The kind of job.
+ * @param {object} [params.transcriber] A users row with transcriber_user_level and transcriber_average_rating.
+ * @param {string} [params.transcriberId] Used to look the transcriber up when `transcriber` is not given.
+ * @param {Array} [params.rules] Pre-fetched commission rules, to avoid refetching in loops.
+ * @returns {Promise<{earning: number, rate: number, ruleId: string|null}>}
+ */
+const calculateTranscriberPay = async ({ amountUsd, jobType, transcriber, transcriberId, rules }) => {
+    const commissionRules = rules || await getCommissionRules();
+    const transcriberDetails = transcriber || await fetchTranscriberForCommission(transcriberId);
+
+    const matchingRule = commissionRules
+        .filter(rule => rule.is_active && typeof rule.transcriber_rate === 'number' && rule.transcriber_rate >= 0 && rule.transcriber_rate <= 1)
+        .sort((a, b) => getSpecificityScore(b) - getSpecificityScore(a))
+        .find(rule => ruleMatches(rule, jobType, transcriberDetails));
+
+    const rate = matchingRule ? matchingRule.transcriber_rate : DEFAULT_TRANSCRIBER_RATE;
+    return {
+        earning: calculateTranscriberEarning(amountUsd, rate),
+        rate,
+        ruleId: matchingRule?.id || null
+    };
+};
+
+module.exports = {
+    calculateTranscriberPay,
+    getCommissionRules
+};
@@ -0,0 +1,66 @@
+// backend/utils/currencyRegistry.js
+
+/**
+ * Currencies clients can be charged in. Prices are always set in USD; these entries describe how
+ * a converted amount is rounded for the charge and how it maps to the gateway's minor units.
+ *
+ *   minorUnitsPerUnit - e.g. 100 kobo per naira; gateways such as Paystack take amounts in minor units
+ *   roundingDecimals  - decimals kept on the converted charge. Whole units are used where the unit is
+ *                       small enough that rounding cannot move the USD value by a cent.
+ */
+const CURRENCIES = {
+    USD: { code: 'USD', name: 'US Dollar', minorUnitName: 'cents', minorUnitsPerUnit: 100, roundingDecimals: 2 },
+    KES: { code: 'KES', name: 'Kenyan Shilling', minorUnitName: 'cents', minorUnitsPerUnit: 100, roundingDecimals: 0 },
+    NGN: { code: 'NGN', name: 'Nigerian Naira', minorUnitName: 'kobo', minorUnitsPerUnit: 100, roundingDecimals: 0 },
+    GHS: { code: 'GHS', name: 'Ghanaian Cedi', minorUnitName: 'pesewas', minorUnitsPerUnit: 100, roundingDecimals: 2 }
+};
+
+const DEFAULT_CHARGE_CURRENCY = 'KES';
+
+const isSupportedCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const getCurrency = (code) => {
+    if (!isSupportedCurrency(code)) {
+        throw new Error(`Unsupported currency: ${code}`);
+    }
+    return CURRENCIES[code];
+};
+
+// Rounds an amount to the precision that currency is charged in.
+const roundAmount = (amount, code) => {
+    const factor = Math.pow(10, getCurrency(code).roundingDecimals);
+    return Math.round(amount * factor) / factor;
+};
+
+const toMinorUnits = (amount, code) => Math.round(amount * getCurrency(code).minorUnitsPerUnit);
+
+const fromMinorUnits = (minorAmount, code) => minorAmount / getCurrency(code).minorUnitsPerUnit;
+
+/**
+ * Converts a USD price into the amount to charge in another currency.
+ * @param {number} amountUsd The price in USD.
+ * @param {string} code The currency to charge in.
+ * @param {number} exchangeRate Units of `code` per 1 USD.
+ * @returns {number} The charge amount, rounded for that currency.
+ */
+const convertFromUsd = (amountUsd, code, exchangeRate) => roundAmount(amountUsd * exchangeRate, code);
+
+/**
+ * Converts a charged amount back to USD, e.g. for the amount-mismatch check on verify.
+ * @param {number} amount The charged amount in major units (naira, shillings, ...).
+ * @param {number} exchangeRate Units of the charged currency per 1 USD used for the charge.
+ * @returns {number} The amount in USD, rounded to cents.
+ */
+const convertToUsd = (amount, exchangeRate) => parseFloat((amount / exchangeRate).toFixed(2));
+
+module.exports = {
+    CURRENCIES,
+    DEFAULT_CHARGE_CURRENCY,
+    isSupportedCurrency,
+    getCurrency,
+    roundAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    convertFromUsd,
+    convertToUsd
+};
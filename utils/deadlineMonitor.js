@@ -0,0 +1,387 @@
+// backend/utils/deadlineMonitor.js
+
+const supabase = require('../database');
+const emailService = require('../emailService');
+
+/**
+ * Watches the deadlines of jobs being worked on: hired negotiations and taken direct upload jobs.
+ *
+ * A negotiation is due at due_date, which is reset to hire time + deadline_hours when it is hired.
+ * A direct upload job is due agreed_deadline_hours after taken_at.
+ *
+ * Settings live in admin_settings.deadline_monitor_settings (JSONB):
+ *   { enabled, reminders: [{ elapsed_percent: 50 }, { elapsed_percent: 80 }, { hours_left: 1 }] }
+ * The transcriber is reminded once at each point. Reminders sent are recorded in `job_deadline_reminders`
+ * (job_type, job_id, reminder_key, sent_at; unique on job_type, job_id, reminder_key).
+ *
+ * When a deadline passes, overdue_at (timestamptz, on negotiations and direct_upload_jobs) is set and the
+ * client and admins are alerted. The status is left alone so the transcriber can still deliver; a job is
+ * overdue while it is active with overdue_at set.
+ */
+
+const DEFAULT_REMINDERS = [{ elapsed_percent: 50 }, { elapsed_percent: 80 }, { hours_left: 1 }];
+const MAX_REMINDERS = 10;
+const DEFAULT_MONITOR_MINUTES = 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+const ACTIVE_JOB_STATUSES = {
+    negotiation: ['hired'],
+    direct_upload: ['taken', 'in_progress']
+};
+
+const getDeadlineMonitorSettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('admin_settings')
+        .select('deadline_monitor_settings')
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error('[getDeadlineMonitorSettings] Error fetching deadline monitor settings:', error);
+    }
+    const saved = settings?.deadline_monitor_settings || {};
+    return {
+        enabled: saved.enabled !== false,
+        reminders: Array.isArray(saved.reminders) ? saved.reminders : DEFAULT_REMINDERS
+    };
+};
+
+const reminderKey = (reminder) => (
+    reminder.elapsed_percent !== undefined ? `elapsed_${reminder.elapsed_percent}` : `hours_left_${reminder.hours_left}`
+);
+
+/**
+ * Checks the settings an admin sent. Returns { error } or { settings } ready to save.
+ * @param {object} body { enabled, reminders }, each optional. Each reminder is { elapsed_percent } (1-99)
+ *   or { hours_left } (greater than 0).
+ */
+const validateDeadlineMonitorSettings = ({ enabled, reminders = DEFAULT_REMINDERS }) => {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return { error: 'enabled must be true or false.ᐟ' };
+    }
+    if (!Array.isArray(reminders) || reminders.length > MAX_REMINDERS) {
+        return { error: `reminders must be a list of at most ${MAX_REMINDERS} reminder points.ᐟ` };
+    }
+    for (const reminder of reminders) {
+        const keys = reminder && typeof reminder === 'object' ? Object.keys(reminder) : [];
+        if (keys.length !== 1 || !['elapsed_percent', 'hours_left'].includes(keys[0])) {
+            return { error: 'Each reminder must have exactly one of elapsed_percent or hours_left.ᐟ' };
+        }
+        const value = reminder[keys[0]];
+        if (keys[0] === 'elapsed_percent' && !(Number.isInteger(value) && value >= 1 && value <= 99)) {
+            return { error: 'elapsed_percent must be a whole number between 1 and 99.ᐟ' };
+        }
+        if (keys[0] === 'hours_left' && !(typeof value === 'number' && value > 0)) {
+            return { error: 'hours_left must be a number of hours greater than 0.ᐟ' };
+        }
+    }
+    const keys = reminders.map(reminderKey);
+    if (new Set(keys).size !== keys.length) {
+        return { error: 'reminders must not repeat the same point.ᐟ' };
+    }
+    return { settings: { enabled: enabled !== false, reminders } };
+};
+
+// When a reminder point falls for a job, as a timestamp.
+const reminderTime = (reminder, startMs, dueMs) => (
+    reminder.elapsed_percent !== undefined
+        ? startMs + (dueMs - startMs) * reminder.elapsed_percent / 100
+        : dueMs - reminder.hours_left * HOUR_MS
+);
+
+// Active jobs of both kinds in one shape: { jobType, id, clientId, transcriberId, startMs, dueMs, overdueAt }.
+const fetchActiveJobs = async () => {
+    const { data: negotiations, error: negotiationError } = await supabase
+        .from('negotiations')
+        .select('id, client_id, transcriber_id, deadline_hours, due_date, overdue_at')
+        .in('status', ACTIVE_JOB_STATUSES.negotiation)
+        .not('due_date', 'is', null);
+
+    if (negotiationError) throw negotiationError;
+
+    const { data: directUploadJobs, error: directUploadError } = await supabase
+        .from('direct_upload_jobs')
+        .select('id, client_id, transcriber_id, agreed_deadline_hours, taken_at, overdue_at')
+        .in('status', ACTIVE_JOB_STATUSES.direct_upload)
+        .not('taken_at', 'is', null);
+
+    if (directUploadError) throw directUploadError;
+
+    return [
+        ...negotiations.map(job => {
+            const dueMs = new Date(job.due_date).getTime();
+            return {
+                jobType: 'negotiation', id: job.id, clientId: job.client_id, transcriberId: job.transcriber_id,
+                startMs: dueMs - (job.deadline_hours || 0) * HOUR_MS, dueMs, overdueAt: job.overdue_at
+            };
+        }),
+        ...directUploadJobs.filter(job => job.agreed_deadline_hours).map(job => {
+            const startMs = new Date(job.taken_at).getTime();
+            return {
+                jobType: 'direct_upload', id: job.id, clientId: job.client_id, transcriberId: job.transcriber_id,
+                startMs, dueMs: startMs + job.agreed_deadline_hours * HOUR_MS, overdueAt: job.overdue_at
+            };
+        })
+    ];
+};
+
+const fetchUsers = async (ids) => {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, full_name, email')
+        .in('id', ids.filter(Boolean));
+
+    if (error) throw error;
+    return new Map(data.map(user => [user.id, user]));
+};
+
+const fetchAdmins = async () => {
+    const { data, error } = await supabase
+        .from('users')
+        .select('id, full_name, email')
+        .eq('user_type', 'admin');
+
+    if (error) throw error;
+    return data;
+};
+
+// Records a reminder as sent. False if it had already been sent.
+const claimReminder = async (job, key) => {
+    const { error } = await supabase
+        .from('job_deadline_reminders')
+        .insert([{ job_type: job.jobType, job_id: job.id, reminder_key: key, sent_at: new Date().toISOString() }]);
+
+    if (error?.code === '23505') return false;
+    if (error) throw error;
+    return true;
+};
+
+const fetchSentReminderKeys = async (jobs) => {
+    const sent = new Set();
+    if (jobs.length === 0) return sent;
+
+    const { data, error } = await supabase
+        .from('job_deadline_reminders')
+        .select('job_type, job_id, reminder_key')
+        .in('job_id', jobs.map(job => job.id));
+
+    if (error) throw error;
+    data.forEach(row => sent.add(`${row.job_type}:${row.job_id}:${row.reminder_key}`));
+    return sent;
+};
+
+const formatHours = (hours) => (
+    hours >= 1 ? `${Math.round(hours)} hour${Math.round(hours) === 1 ? '' : 's'}` : `${Math.max(Math.round(hours * 60), 1)} minutes`
+);
+
+/**
+ * Sends the reminders that have fallen due. If several points have passed since the last run they are
+ * all recorded, but the transcriber gets a single reminder with the time left.
+ */
+const sendDueReminders = async (jobs, reminders, now, io) => {
+    const sentKeys = await fetchSentReminderKeys(jobs);
+    let sentCount = 0;
+
+    for (const job of jobs) {
+        if (now >= job.dueMs) continue;
+
+        const passed = reminders
+            .map(reminder => ({ key: reminderKey(reminder), at: reminderTime(reminder, job.startMs, job.dueMs) }))
+            .filter(point => point.at >= job.startMs && point.at <= now && !sentKeys.has(`${job.jobType}:${job.id}:${point.key}`))
+            .sort((a, b) => a.at - b.at);
+        if (passed.length === 0) continue;
+
+        const claimed = [];
+        for (const point of passed) {
+            if (await claimReminder(job, point.key)) claimed.push(point);
+        }
+        if (claimed.length === 0) continue;
+
+        const hoursLeft = Math.max((job.dueMs - now) / HOUR_MS, 0);
+        const dueDate = new Date(job.dueMs).toISOString();
+        const users = await fetchUsers([job.transcriberId]);
+        const transcriber = users.get(job.transcriberId);
+
+        if (io) {
+            io.to(job.transcriberId).emit('job_deadline_reminder', {
+                relatedJobId: job.id,
+                jobType: job.jobType,
+                dueDate,
+                hoursLeft: Math.round(hoursLeft * 10) / 10,
+                message: `Reminder: your job is due in about ${formatHours(hoursLeft)}.`
+            });
+        }
+        if (transcriber) {
+            await emailService.sendDeadlineReminderEmail(transcriber, { jobType: job.jobType, id: job.id, dueDate }, hoursLeft);
+        }
+        sentCount += 1;
+    }
+    return sentCount;
+};
+
+// Flags jobs whose deadline has passed and alerts the client and admins, once per job.
+const markOverdueJobs = async (jobs, now, io) => {
+    const overdue = [];
+    let admins = null;
+
+    for (const job of jobs) {
+        if (job.overdueAt || now < job.dueMs) continue;
+
+        const table = job.jobType === 'negotiation' ? 'negotiations' : 'direct_upload_jobs';
+        const { data: updated, error } = await supabase
+            .from(table)
+            .update({ overdue_at: new Date(now).toISOString() })
+            .eq('id', job.id)
+            .is('overdue_at', null)
+            .in('status', ACTIVE_JOB_STATUSES[job.jobType])
+            .select('id');
+
+        if (error) {
+            console.error(`[markOverdueJobs] Error flagging ${job.jobType} job ${job.id} as overdue:`, error);
+            continue;
+        }
+        if (!updated || updated.length === 0) continue;
+        console.log(`[markOverdueJobs] ${job.jobType} job ${job.id} is overdue.`);
+        overdue.push({ jobType: job.jobType, id: job.id });
+
+        try {
+            if (!admins) admins = await fetchAdmins();
+            const users = await fetchUsers([job.clientId, job.transcriberId]);
+            const alert = {
+                relatedJobId: job.id,
+                jobType: job.jobType,
+                dueDate: new Date(job.dueMs).toISOString(),
+                transcriberName: users.get(job.transcriberId)?.full_name || null,
+                message: 'This job has passed its deadline without being delivered.'
+            };
+            const jobSummary = { jobType: job.jobType, id: job.id, dueDate: alert.dueDate, transcriberName: alert.transcriberName };
+
+            if (io) {
+                io.to(job.clientId).emit('job_overdue', alert);
+                io.to(job.transcriberId).emit('job_overdue', alert);
+                admins.forEach(admin => io.to(admin.id).emit('job_overdue', alert));
+            }
+            const client = users.get(job.clientId);
+            if (client) await emailService.sendJobOverdueEmail(client, jobSummary, 'client');
+            for (const admin of admins) {
+                await emailService.sendJobOverdueEmail(admin, jobSummary, 'admin');
+            }
+        } catch (notifyError) {
+            console.error(`[markOverdueJobs] Error alerting about overdue ${job.jobType} job ${job.id}:`, notifyError);
+        }
+    }
+    return overdue;
+};
+
+/**
+ * Forgets the reminders and overdue flag of a job that goes back to being unassigned, so the next
+ * transcriber's deadline is tracked from scratch.
+ * @param {string} jobType 'negotiation' or 'direct_upload'.
+ * @param {string} jobId
+ */
+const clearJobDeadlineTracking = async (jobType, jobId) => {
+    const { error: deleteError } = await supabase
+        .from('job_deadline_reminders')
+        .delete()
+        .eq('job_type', jobType)
+        .eq('job_id', jobId);
+
+    if (deleteError) throw deleteError;
+
+    const { error: updateError } = await supabase
+        .from(jobType === 'negotiation' ? 'negotiations' : 'direct_upload_jobs')
+        .update({ overdue_at: null })
+        .eq('id', jobId);
+
+    if (updateError) throw updateError;
+};
+
+/**
+ * One pass of the monitor: sends due reminders, then flags and alerts on overdue jobs.
+ * @param {object} [io] Socket.IO server for the notifications.
+ * @returns {Promise<{remindersSent: number, overdue: Array<{jobType: string, id: string}>, skipped: boolean}>}
+ */
+const checkJobDeadlines = async (io) => {
+    const settings = await getDeadlineMonitorSettings();
+    if (!settings.enabled) return { remindersSent: 0, overdue: [], skipped: true };
+
+    const now = Date.now();
+    const jobs = await fetchActiveJobs();
+    const remindersSent = await sendDueReminders(jobs, settings.reminders, now, io);
+    const overdue = await markOverdueJobs(jobs, now, io);
+    return { remindersSent, overdue, skipped: false };
+};
+
+// Active jobs past their deadline, most overdue first, with counts per job type.
+const getOverdueJobs = async () => {
+    const { data: negotiations, error: negotiationError } = await supabase
+        .from('negotiations')
+        .select('id, client_id, transcriber_id, due_date, overdue_at, client:users!client_id(full_name), transcriber:users!transcriber_id(full_name)')
+        .in('status', ACTIVE_JOB_STATUSES.negotiation)
+        .not('overdue_at', 'is', null);
+
+    if (negotiationError) throw negotiationError;
+
+    const { data: directUploadJobs, error: directUploadError } = await supabase
+        .from('direct_upload_jobs')
+        .select('id, client_id, transcriber_id, taken_at, agreed_deadline_hours, overdue_at, client:users!client_id(full_name), transcriber:users!transcriber_id(full_name)')
+        .in('status', ACTIVE_JOB_STATUSES.direct_upload)
+        .not('overdue_at', 'is', null);
+
+    if (directUploadError) throw directUploadError;
+
+    const jobs = [
+        ...negotiations.map(job => ({ ...job, jobType: 'negotiation' })),
+        ...directUploadJobs.map(job => ({
+            ...job,
+            jobType: 'direct_upload',
+            due_date: new Date(new Date(job.taken_at).getTime() + job.agreed_deadline_hours * HOUR_MS).toISOString()
+        }))
+    ].sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+    return {
+        negotiationCount: negotiations.length,
+        directUploadCount: directUploadJobs.length,
+        totalCount: jobs.length,
+        jobs
+    };
+};
+
+/**
+ * Runs checkJobDeadlines every DEADLINE_MONITOR_INTERVAL_MINUTES (5 by default). Runs never overlap,
+ * and the timer does not keep the process alive on its own.
+ * @param {object} io Socket.IO server.
+ */
+const startDeadlineMonitor = (io) => {
+    const minutes = parseFloat(process.env.DEADLINE_MONITOR_INTERVAL_MINUTES) || DEFAULT_MONITOR_MINUTES;
+    let running = false;
+
+    const check = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { remindersSent, overdue } = await checkJobDeadlines(io);
+            if (remindersSent > 0 || overdue.length > 0) {
+                console.log(`[startDeadlineMonitor] Sent ${remindersSent} reminder(s); ${overdue.length} job(s) newly overdue.`);
+            }
+        } catch (error) {
+            console.error('[startDeadlineMonitor] Deadline check failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(check, minutes * 60 * 1000);
+    timer.unref();
+    console.log(`Deadline monitor running every ${minutes} minute(s).`);
+    return timer;
+};
+
+module.exports = {
+    ACTIVE_JOB_STATUSES,
+    getDeadlineMonitorSettings,
+    validateDeadlineMonitorSettings,
+    checkJobDeadlines,
+    clearJobDeadlineTracking,
+    getOverdueJobs,
+    startDeadlineMonitor
+};
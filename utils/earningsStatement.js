@@ -0,0 +1,266 @@
+// backend/utils/earningsStatement.js
+
+const supabase = require('../database');
+const { toCsv } = require('./payoutExport');
+const { renderPdf, formatAmount } = require('./pdfRenderer');
+const { isEarnedPayment } = require('./paymentUtils');
+
+/**
+ * Monthly and yearly earnings statements for a transcriber, built from `payments`.
+ *
+ * A statement lists every job the transcriber earned from in the period, dated by when the client paid
+ * (the same date payout batches go by). Gross is what the client paid net of refunds, the platform fee is
+ * gross minus the transcriber's earning, and the paid-out date is set once the earning has been disbursed.
+ * Jobs awaiting completion (including direct uploads not yet completed, whose payments are 'pending' from
+ * the moment the client pays), voided or fully refunded earn nothing and are left out. Earnings held by an open
+ * dispute ('on_hold') are listed, since the dispute may still release them.
+ */
+
+const EARNED_PAYOUT_STATUSES = ['pending', 'on_hold', 'payout_processing', 'paid_out'];
+const STATEMENT_PAGE_SIZE = 1000;
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Works out the period a statement covers.
+ * @param {string|number} year e.g. 2026
+ * @param {string|number} [month] 1-12; omitted for a yearly statement.
+ * @returns {{ error: string } | { year, month, label, start: Date, end: Date }} end is exclusive.
+ */
+const parseStatementPeriod = (year, month) => {
+    const parsedYear = parseInt(year, 10);
+    if (!Number.isInteger(parsedYear) || parsedYear < 2000 || parsedYear > 9999) {
+        return { error: 'A valid year is required.ᐟ' };
+    }
+    if (month === undefined || month === null || month === '') {
+        return {
+            year: parsedYear,
+            month: null,
+            label: String(parsedYear),
+            start: new Date(Date.UTC(parsedYear, 0, 1)),
+            end: new Date(Date.UTC(parsedYear + 1, 0, 1))
+        };
+    }
+    const parsedMonth = parseInt(month, 10);
+    if (!Number.isInteger(parsedMonth) || parsedMonth < 1 || parsedMonth > 12) {
+        return { error: 'month must be between 1 and 12.ᐟ' };
+    }
+    return {
+        year: parsedYear,
+        month: parsedMonth,
+        label: `${MONTH_NAMES[parsedMonth - 1]} ${parsedYear}`,
+        start: new Date(Date.UTC(parsedYear, parsedMonth - 1, 1)),
+        end: new Date(Date.UTC(parsedYear, parsedMonth, 1))
+    };
+};
+
+const fetchEarnedPayments = async (transcriberId, period) => {
+    const payments = [];
+    for (let offset = 0; ; offset += STATEMENT_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('payments')
+            .select(`
+                id,
+                related_job_type,
+                negotiation_id,
+                direct_upload_job_id,
+                amount,
+                refunded_amount,
+                transcriber_earning,
+                transaction_date,
+                payout_status,
+                paid_out_date,
+                negotiation:negotiation_id(requirements),
+                direct_upload_job:direct_upload_jobs!direct_upload_job_id(file_name, audio_length_minutes, status)
+            `)
+            .eq('transcriber_id', transcriberId)
+            .in('related_job_type', ['negotiation', 'direct_upload'])
+            .in('payout_status', EARNED_PAYOUT_STATUSES)
+            .gte('transaction_date', period.start.toISOString())
+            .lt('transaction_date', period.end.toISOString())
+            .order('transaction_date', { ascending: true })
+            .range(offset, offset + STATEMENT_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        payments.push(...data.filter(isEarnedPayment));
+        if (data.length < STATEMENT_PAGE_SIZE) return payments;
+    }
+};
+
+// File names and requirements are written by clients. Whitespace is collapsed so a description cannot hide a
+// leading = + - or @ from the formula check in toCsv, which keeps such descriptions as text.
+const describeJob = (payment) => {
+    if (payment.related_job_type === 'direct_upload') {
+        const minutes = payment.direct_upload_job?.audio_length_minutes;
+        const fileName = (payment.direct_upload_job?.file_name || '').replace(/\s+/g, ' ').trim();
+        return `${fileName || 'Direct upload'}${minutes ? ` (${minutes} min)` : ''}`;
+    }
+    const requirements = (payment.negotiation?.requirements || '').replace(/\s+/g, ' ').trim();
+    return (requirements || 'Negotiated job').substring(0, 80);
+};
+
+const summarize = (lines) => {
+    const totals = lines.reduce((sum, line) => ({
+        jobs: sum.jobs + 1,
+        gross: sum.gross + line.gross,
+        platformFee: sum.platformFee + line.platformFee,
+        netEarning: sum.netEarning + line.netEarning,
+        paidOut: sum.paidOut + (line.payoutStatus === 'paid_out' ? line.netEarning : 0)
+    }), { jobs: 0, gross: 0, platformFee: 0, netEarning: 0, paidOut: 0 });
+
+    return {
+        jobs: totals.jobs,
+        gross: roundCents(totals.gross),
+        platformFee: roundCents(totals.platformFee),
+        netEarning: roundCents(totals.netEarning),
+        paidOut: roundCents(totals.paidOut),
+        outstanding: roundCents(totals.netEarning - totals.paidOut)
+    };
+};
+
+/**
+ * Builds a transcriber's statement for a month or a year. Yearly statements also carry a per-month summary.
+ * @param {string} transcriberId
+ * @param {object} period From parseStatementPeriod.
+ * @returns {Promise<object>} { transcriber, period, lines, totals, months? } with amounts in USD.
+ */
+const buildEarningsStatement = async (transcriberId, period) => {
+    const { data: transcriber, error: transcriberError } = await supabase
+        .from('users')
+        .select('id, full_name, email')
+        .eq('id', transcriberId)
+        .single();
+
+    if (transcriberError || !transcriber) {
+        return null;
+    }
+
+    const payments = await fetchEarnedPayments(transcriberId, period);
+    const lines = payments.map(payment => {
+        const gross = roundCents(payment.amount - (payment.refunded_amount || 0));
+        const netEarning = roundCents(payment.transcriber_earning || 0);
+        return {
+            paymentId: payment.id,
+            date: payment.transaction_date,
+            jobType: payment.related_job_type,
+            jobId: payment.negotiation_id || payment.direct_upload_job_id,
+            description: describeJob(payment),
+            gross,
+            platformFee: roundCents(gross - netEarning),
+            netEarning,
+            payoutStatus: payment.payout_status,
+            paidOutDate: payment.paid_out_date || null
+        };
+    }).filter(line => line.gross > 0);
+
+    const statement = {
+        transcriber,
+        period: { year: period.year, month: period.month, label: period.label, from: period.start.toISOString(), to: period.end.toISOString() },
+        currency: 'USD',
+        lines,
+        totals: summarize(lines),
+        generatedAt: new Date().toISOString()
+    };
+
+    if (period.month === null) {
+        statement.months = MONTH_NAMES.map((name, index) => ({
+            month: index + 1,
+            name,
+            ...summarize(lines.filter(line => new Date(line.date).getUTCMonth() === index))
+        }));
+    }
+    return statement;
+};
+
+const formatDate = (isoDate) => (isoDate ? isoDate.substring(0, 10) : '');
+
+const buildEarningsStatementCsv = (statement) => {
+    const rows = [
+        ['Date', 'Job Type', 'Job ID', 'Description', 'Gross (USD)', 'Platform Fee (USD)', 'Net Earning (USD)', 'Payout Status', 'Paid Out Date'],
+        ...statement.lines.map(line => [
+            formatDate(line.date),
+            line.jobType,
+            line.jobId,
+            line.description,
+            line.gross.toFixed(2),
+            line.platformFee.toFixed(2),
+            line.netEarning.toFixed(2),
+            line.payoutStatus,
+            formatDate(line.paidOutDate)
+        ]),
+        ['Total', '', '', `${statement.totals.jobs} jobs`, statement.totals.gross.toFixed(2), statement.totals.platformFee.toFixed(2), statement.totals.netEarning.toFixed(2), '', '']
+    ];
+    return toCsv(rows);
+};
+
+const buildEarningsStatementPdf = (statement) => renderPdf({
+    layout: 'landscape',
+    info: { Title: `Earnings statement ${statement.period.label}`, Author: 'TypeMyworDz' }
+}, (doc) => {
+    const left = doc.page.margins.left;
+    const columns = [
+        { header: 'Date', width: 70, value: line => formatDate(line.date) },
+        { header: 'Job', width: 250, value: line => line.description },
+        { header: 'Gross', width: 75, align: 'right', value: line => formatAmount(line.gross) },
+        { header: 'Platform fee', width: 75, align: 'right', value: line => formatAmount(line.platformFee) },
+        { header: 'Net earning', width: 75, align: 'right', value: line => formatAmount(line.netEarning) },
+        { header: 'Status', width: 90, value: line => line.payoutStatus.replace(/_/g, ' ') },
+        { header: 'Paid out', width: 70, value: line => formatDate(line.paidOutDate) }
+    ];
+
+    const drawRow = (values, options = {}) => {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 30) doc.addPage();
+        const y = doc.y;
+        let x = left;
+        let rowHeight = 0;
+        columns.forEach((column, index) => {
+            doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                .text(values[index], x, y, { width: column.width - 6, align: column.align || 'left' });
+            rowHeight = Math.max(rowHeight, doc.y - y);
+            x += column.width;
+        });
+        doc.x = left;
+        doc.y = y + rowHeight + 4;
+    };
+
+    doc.fillColor('#6a0dad').fontSize(22).text('TypeMyworDz');
+    doc.fillColor('#333333').fontSize(14).text(`Earnings Statement - ${statement.period.label}`);
+    doc.fontSize(10)
+        .text(`Transcriber: ${statement.transcriber.full_name || 'Transcriber'} (${statement.transcriber.email})`)
+        .text(`Period: ${formatDate(statement.period.from)} to ${formatDate(new Date(new Date(statement.period.to).getTime() - 1).toISOString())}`)
+        .text(`Generated: ${formatDate(statement.generatedAt)}. All amounts in USD.`);
+    doc.moveDown();
+
+    const { totals } = statement;
+    doc.fontSize(11)
+        .text(`Jobs: ${totals.jobs}    Gross: ${formatAmount(totals.gross)}    Platform fees: ${formatAmount(totals.platformFee)}    Net earnings: ${formatAmount(totals.netEarning)}`)
+        .text(`Paid out: ${formatAmount(totals.paidOut)}    Outstanding: ${formatAmount(totals.outstanding)}`);
+    doc.moveDown();
+
+    if (statement.months) {
+        doc.fontSize(12).text('Monthly summary', { underline: true });
+        doc.moveDown(0.3);
+        statement.months.filter(month => month.jobs > 0).forEach(month => {
+            doc.fontSize(9).text(`${month.name}: ${month.jobs} jobs, gross ${formatAmount(month.gross)}, fees ${formatAmount(month.platformFee)}, net ${formatAmount(month.netEarning)}`);
+        });
+        doc.moveDown();
+    }
+
+    doc.fontSize(12).text('Jobs', { underline: true });
+    doc.moveDown(0.3);
+    drawRow(columns.map(column => column.header), { bold: true });
+    if (statement.lines.length === 0) {
+        doc.font('Helvetica').fontSize(9).text('No earnings in this period.');
+    }
+    statement.lines.forEach(line => drawRow(columns.map(column => column.value(line))));
+    drawRow(['Total', `${totals.jobs} jobs`, formatAmount(totals.gross), formatAmount(totals.platformFee), formatAmount(totals.netEarning), '', ''], { bold: true });
+});
+
+module.exports = {
+    parseStatementPeriod,
+    buildEarningsStatement,
+    buildEarningsStatementCsv,
+    buildEarningsStatementPdf
+};
@@ -0,0 +1,160 @@
+// backend/utils/exchangeRateService.js
+
+const fs = require('fs');
+const supabase = require('../database');
+const { EXCHANGE_RATE_USD_TO_KES } = require('./paymentUtils');
+
+/**
+ * USD exchange rates used to price gateway charges and convert payouts.
+ *
+ * The margin only applies to what clients are charged; payouts to transcribers use the base rate
+ * (getBaseExchangeRate), so they are not cut by the margin.
+ *
+ * Rates come from a pluggable provider and are cached for a TTL. Admin-controlled settings live in
+ * admin_settings.exchange_rate_settings (JSONB), next to pricing_rules:
+ * {
+ *   provider: "file",                 // name of a registered provider ("file" or "admin")
+ *   admin_rates: { "KES": 129.5 },    // rates served by the "admin" provider
+ *   manual_overrides: { "KES": 130 }, // used as-is for that currency, bypassing the provider and margin
+ *   margin_percent: 1.5,              // added on top of provider rates
+ *   cache_ttl_seconds: 900
+ * }
+ *
+ * A provider is an async function (currency, settings) => rate (units of `currency` per 1 USD), or null
+ * when it has no rate. An HTTP provider can be added later with registerExchangeRateProvider().
+ */
+
+const DEFAULT_CACHE_TTL_SECONDS = parseInt(process.env.EXCHANGE_RATE_CACHE_TTL_SECONDS, 10) || 900;
+const EXCHANGE_RATES_FILE = process.env.EXCHANGE_RATES_FILE;
+
+// Last-resort rates so charges never fail just because no provider has a rate configured.
+const BUILT_IN_RATES = { KES: EXCHANGE_RATE_USD_TO_KES };
+
+// Reads rates from a JSON file ({ "KES": 129.5, ... }) named by EXCHANGE_RATES_FILE. Works offline.
+const fileProvider = async (currency) => {
+    if (!EXCHANGE_RATES_FILE || !fs.existsSync(EXCHANGE_RATES_FILE)) {
+        return null;
+    }
+    const rates = JSON.parse(await fs.promises.readFile(EXCHANGE_RATES_FILE, 'utf8'));
+    return rates[currency] || null;
+};
+
+// Serves the rates an admin typed into the settings page.
+const adminProvider = async (currency, settings) => settings.admin_rates?.[currency] || null;
+
+const providers = {
+    file: fileProvider,
+    admin: adminProvider
+};
+
+const registerExchangeRateProvider = (name, provider) => {
+    providers[name] = provider;
+};
+
+const getExchangeRateProviderNames = () => Object.keys(providers);
+
+// currency -> { snapshot, expiresAt }
+const rateCache = new Map();
+
+const clearExchangeRateCache = () => {
+    rateCache.clear();
+};
+
+const getExchangeRateSettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('admin_settings')
+        .select('exchange_rate_settings')
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error('[getExchangeRateSettings] Error fetching exchange rate settings:', error);
+    }
+    return settings?.exchange_rate_settings || {};
+};
+
+/**
+ * Resolves the USD -> currency rate to charge with, applying overrides and margin.
+ * @param {string} currency ISO currency code, e.g. 'KES'.
+ * @returns {Promise<{rate: number, baseRate: number, source: string, fetchedAt: string}>} A snapshot of the rate.
+ */
+const getExchangeRateSnapshot = async (currency) => {
+    if (currency === 'USD') {
+        return { rate: 1, baseRate: 1, source: 'identity', fetchedAt: new Date().toISOString() };
+    }
+
+    const cached = rateCache.get(currency);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.snapshot;
+    }
+
+    const settings = await getExchangeRateSettings();
+    const ttlSeconds = settings.cache_ttl_seconds || DEFAULT_CACHE_TTL_SECONDS;
+    let snapshot;
+
+    const overrideRate = parseFloat(settings.manual_overrides?.[currency]);
+    if (overrideRate > 0) {
+        snapshot = { rate: overrideRate, baseRate: overrideRate, source: 'manual_override' };
+    } else {
+        const providerName = settings.provider || 'file';
+        const provider = providers[providerName];
+        let baseRate = null;
+        let source = providerName;
+
+        if (!provider) {
+            console.error(`[getExchangeRateSnapshot] Unknown exchange rate provider '${providerName}'. Using built-in rate.`);
+        } else {
+            try {
+                baseRate = parseFloat(await provider(currency, settings)) || null;
+            } catch (error) {
+                console.error(`[getExchangeRateSnapshot] Provider '${providerName}' failed for ${currency}:`, error.message);
+            }
+        }
+        if (!baseRate) {
+            baseRate = BUILT_IN_RATES[currency];
+            source = 'built_in';
+        }
+        if (!baseRate) {
+            throw new Error(`No exchange rate available for ${currency}.`);
+        }
+
+        const marginPercent = parseFloat(settings.margin_percent) || 0;
+        snapshot = {
+            rate: parseFloat((baseRate * (1 + marginPercent / 100)).toFixed(4)),
+            baseRate,
+            source
+        };
+    }
+
+    snapshot.fetchedAt = new Date().toISOString();
+    rateCache.set(currency, { snapshot, expiresAt: Date.now() + ttlSeconds * 1000 });
+    return snapshot;
+};
+
+// Convenience for callers that only need the number.
+const getUsdExchangeRate = async (currency) => (await getExchangeRateSnapshot(currency)).rate;
+
+// The rate before margin, for money we send out rather than charge.
+const getBaseExchangeRate = async (currency) => (await getExchangeRateSnapshot(currency)).baseRate;
+
+// Whether a rate can be found for the currency, so a checkout can be refused up front instead of failing mid-way.
+// Only KES has a built-in rate; NGN and GHS need a provider, admin rate or override.
+const hasExchangeRate = async (currency) => {
+    try {
+        await getExchangeRateSnapshot(currency);
+        return true;
+    } catch (error) {
+        console.warn(`[hasExchangeRate] ${error.message}`);
+        return false;
+    }
+};
+
+module.exports = {
+    getExchangeRateSnapshot,
+    getUsdExchangeRate,
+    getBaseExchangeRate,
+    hasExchangeRate,
+    getExchangeRateSettings,
+    registerExchangeRateProvider,
+    getExchangeRateProviderNames,
+    clearExchangeRateCache
+};
@@ -0,0 +1,237 @@
+// backend/utils/financialStats.js
+
+const supabase = require('../database');
+const { SUPPORTED_PAYMENT_METHODS, getGateway, getGatewayForPayment } = require('./paymentGateway');
+const { WALLET_PAYMENT_METHOD } = require('./wallet');
+const { isEarnedPayment } = require('./paymentUtils');
+
+/**
+ * Money figures for the admin dashboard, aggregated from `payments` in USD.
+ *
+ * Payments are dated by transaction_date. For each payment:
+ *   gross volume       - amount, what the client paid
+ *   refunds            - refunded_amount
+ *   net volume         - gross volume minus refunds
+ *   transcriber share  - transcriber_earning; none for training fees or voided payouts
+ *   platform revenue   - net volume minus the transcriber share
+ * Outstanding liabilities are earnings owed to transcribers right now, whatever the period.
+ */
+
+const FINANCE_JOB_TYPES = ['negotiation', 'direct_upload', 'training'];
+const FINANCE_INTERVALS = ['day', 'week', 'month'];
+const VOIDED_PAYOUT_STATUSES = ['voided_by_cancellation', 'voided_by_dispute'];
+// Owed to transcribers once the work is done; 'awaiting_completion' is still in escrow, and so are direct upload
+// payments (which are 'pending' from the moment the client pays) until a transcriber has completed the job.
+const LIABILITY_PAYOUT_STATUSES = { pending: 'pending', payoutProcessing: 'payout_processing', onHold: 'on_hold' };
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_SERIES_POINTS = 1000;
+const FINANCE_PAGE_SIZE = 1000;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const parseDay = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCDate() === Number(match[3]) ? date : null;
+};
+
+/**
+ * Reads the dashboard filters from a query string: from/to (YYYY-MM-DD, UTC, both inclusive; the last
+ * 30 days by default) and jobType.
+ * @returns {{error: string} | {start: Date, end: Date, jobType: string|null}} end is exclusive.
+ */
+const parseFinanceFilters = ({ from, to, jobType }) => {
+    if (jobType && !FINANCE_JOB_TYPES.includes(jobType)) {
+        return { error: `jobType must be one of: ${FINANCE_JOB_TYPES.join(', ')}.ᐟ` };
+    }
+
+    const today = new Date();
+    const end = to ? parseDay(to) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    if (!end) return { error: 'to must be a date in YYYY-MM-DD format.ᐟ' };
+    end.setUTCDate(end.getUTCDate() + 1);
+
+    let start;
+    if (from) {
+        start = parseDay(from);
+        if (!start) return { error: 'from must be a date in YYYY-MM-DD format.ᐟ' };
+    } else {
+        start = new Date(end);
+        start.setUTCDate(start.getUTCDate() - DEFAULT_RANGE_DAYS);
+    }
+    if (start >= end) return { error: 'from must not be after to.ᐟ' };
+
+    return { start, end, jobType: jobType || null };
+};
+
+const PAYMENT_COLUMNS = [
+    'id', 'related_job_type', 'amount', 'refunded_amount', 'transcriber_earning', 'payout_status',
+    'transaction_date', 'currency_paid_by_client', 'wallet_transaction_id',
+    ...SUPPORTED_PAYMENT_METHODS.map(method => getGateway(method).referenceColumn)
+].join(', ');
+
+const fetchPayments = async ({ start, end, jobType }) => {
+    const payments = [];
+    for (let offset = 0; ; offset += FINANCE_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('payments')
+            .select(PAYMENT_COLUMNS)
+            .in('related_job_type', jobType ? [jobType] : FINANCE_JOB_TYPES)
+            .gte('transaction_date', start.toISOString())
+            .lt('transaction_date', end.toISOString())
+            .order('transaction_date', { ascending: true })
+            .range(offset, offset + FINANCE_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        payments.push(...data);
+        if (data.length < FINANCE_PAGE_SIZE) return payments;
+    }
+};
+
+const paymentFigures = (payment) => {
+    const gross = parseFloat(payment.amount || 0);
+    const refunds = parseFloat(payment.refunded_amount || 0);
+    const transcriberShare = payment.related_job_type === 'training' || VOIDED_PAYOUT_STATUSES.includes(payment.payout_status)
+        ? 0
+        : parseFloat(payment.transcriber_earning || 0);
+    return { gross, refunds, net: gross - refunds, transcriberShare, revenue: gross - refunds - transcriberShare };
+};
+
+const emptyTotals = () => ({ paymentCount: 0, grossVolume: 0, refunds: 0, netVolume: 0, transcriberEarnings: 0, platformRevenue: 0 });
+
+const addPayment = (totals, figures) => {
+    totals.paymentCount += 1;
+    totals.grossVolume += figures.gross;
+    totals.refunds += figures.refunds;
+    totals.netVolume += figures.net;
+    totals.transcriberEarnings += figures.transcriberShare;
+    totals.platformRevenue += figures.revenue;
+};
+
+const roundTotals = (totals) => ({
+    ...totals,
+    grossVolume: roundCents(totals.grossVolume),
+    refunds: roundCents(totals.refunds),
+    netVolume: roundCents(totals.netVolume),
+    transcriberEarnings: roundCents(totals.transcriberEarnings),
+    platformRevenue: roundCents(totals.platformRevenue)
+});
+
+const paymentMethodOf = (payment) => (
+    payment.wallet_transaction_id ? WALLET_PAYMENT_METHOD : getGatewayForPayment(payment)?.name || 'unknown'
+);
+
+const groupTotals = (payments, keyOf) => {
+    const groups = new Map();
+    for (const payment of payments) {
+        const key = keyOf(payment);
+        if (!groups.has(key)) groups.set(key, emptyTotals());
+        addPayment(groups.get(key), paymentFigures(payment));
+    }
+    return [...groups].map(([key, totals]) => ({ key, ...roundTotals(totals) })).sort((a, b) => b.grossVolume - a.grossVolume);
+};
+
+/**
+ * Totals for the period, split by job type, gateway and the currency the client paid in.
+ * @param {object} filters From parseFinanceFilters.
+ */
+const getFinancialSummary = async (filters) => {
+    const payments = await fetchPayments(filters);
+    const totals = emptyTotals();
+    for (const payment of payments) addPayment(totals, paymentFigures(payment));
+
+    const rename = (field) => ({ key, ...rest }) => ({ [field]: key, ...rest });
+    return {
+        totals: roundTotals(totals),
+        byJobType: groupTotals(payments, payment => payment.related_job_type).map(rename('jobType')),
+        byGateway: groupTotals(payments, paymentMethodOf).map(rename('gateway')),
+        byCurrency: groupTotals(payments, payment => payment.currency_paid_by_client || 'USD').map(rename('currency'))
+    };
+};
+
+// The start of the day, ISO week (Monday) or month a date falls in, in UTC.
+const periodStart = (date, interval) => {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+    if (interval === 'week') start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start;
+};
+
+const nextPeriodStart = (start, interval) => {
+    const next = new Date(start);
+    if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+    else next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+    return next;
+};
+
+/**
+ * Totals per day, week or month across the period, including empty periods so it can be charted directly.
+ * @param {object} filters From parseFinanceFilters.
+ * @param {string} interval 'day', 'week' or 'month'.
+ * @returns {Promise<{error: string} | {series: Array}>}
+ */
+const getFinancialTimeSeries = async (filters, interval) => {
+    const series = [];
+    const byPeriod = new Map();
+    for (let start = periodStart(filters.start, interval); start < filters.end; start = nextPeriodStart(start, interval)) {
+        if (series.length >= MAX_SERIES_POINTS) {
+            return { error: `That range has more than ${MAX_SERIES_POINTS} ${interval}s; choose a shorter range or a longer interval.ᐟ` };
+        }
+        const point = { period: start.toISOString().split('T')[0], ...emptyTotals() };
+        series.push(point);
+        byPeriod.set(point.period, point);
+    }
+
+    const payments = await fetchPayments(filters);
+    for (const payment of payments) {
+        const period = periodStart(new Date(payment.transaction_date), interval).toISOString().split('T')[0];
+        addPayment(byPeriod.get(period), paymentFigures(payment));
+    }
+    return { series: series.map(roundTotals) };
+};
+
+/**
+ * What the platform owes transcribers right now, by payout status, plus earnings still in escrow.
+ * @param {string|null} jobType
+ */
+const getOutstandingLiabilities = async (jobType) => {
+    const statuses = [...Object.values(LIABILITY_PAYOUT_STATUSES), 'awaiting_completion'];
+    const payments = [];
+    for (let offset = 0; ; offset += FINANCE_PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('payments')
+            .select('id, transcriber_id, transcriber_earning, payout_status, related_job_type, direct_upload_job:direct_upload_job_id(status)')
+            .in('related_job_type', jobType ? [jobType] : FINANCE_JOB_TYPES)
+            .in('payout_status', statuses)
+            .order('id', { ascending: true })
+            .range(offset, offset + FINANCE_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        payments.push(...data);
+        if (data.length < FINANCE_PAGE_SIZE) break;
+    }
+
+    const isOwed = (payment) => payment.payout_status !== 'awaiting_completion' && Boolean(payment.transcriber_id) && isEarnedPayment(payment);
+    const owedPayments = payments.filter(isOwed);
+    const escrowPayments = payments.filter(payment => !isOwed(payment));
+    const sumEarnings = (list) => roundCents(list.reduce((sum, payment) => sum + parseFloat(payment.transcriber_earning || 0), 0));
+
+    const owed = Object.fromEntries(Object.entries(LIABILITY_PAYOUT_STATUSES).map(([field, status]) => [
+        field,
+        sumEarnings(owedPayments.filter(payment => payment.payout_status === status))
+    ]));
+    return {
+        ...owed,
+        totalOwed: roundCents(Object.values(owed).reduce((sum, amount) => sum + amount, 0)),
+        transcriberCount: new Set(owedPayments.map(payment => payment.transcriber_id)).size,
+        awaitingCompletion: sumEarnings(escrowPayments)
+    };
+};
+
+module.exports = {
+    FINANCE_JOB_TYPES,
+    FINANCE_INTERVALS,
+    parseFinanceFilters,
+    getFinancialSummary,
+    getFinancialTimeSeries,
+    getOutstandingLiabilities
+};
@@ -0,0 +1,269 @@
+// backend/utils/invoiceService.js
+
+const supabase = require('../database');
+const { getGateway } = require('./paymentGateway');
+const { isSupportedCurrency, convertFromUsd } = require('./currencyRegistry');
+const { renderPdf, formatAmount } = require('./pdfRenderer');
+
+/**
+ * Numbered invoices for client payments, rendered as PDF receipts.
+ *
+ * Table `invoices`:
+ *   id, payment_id (unique), client_id, sequence_number (unique integer), invoice_number ('INV-000123'),
+ *   details (jsonb snapshot of what was paid for, see buildInvoiceDetails), issued_at
+ *
+ * Numbers are taken as the highest sequence_number + 1 and only consumed by a successful insert, so the
+ * series has no gaps; two payments claiming the same number collide on the unique index and the loser
+ * takes the next one. The details are frozen at issue time so a receipt never changes after it is sent.
+ */
+
+const INVOICE_NUMBER_PREFIX = 'INV-';
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const formatInvoiceNumber = (sequenceNumber) => `${INVOICE_NUMBER_PREFIX}${String(sequenceNumber).padStart(6, '0')}`;
+
+// A negotiation's discount is spread over its milestones the way the amount due is (see priceMilestones):
+// each takes its percentage and the last takes what is left, so the receipts' discounts add up to it.
+const getMilestoneDiscountUsd = (discountUsd, milestones, milestoneId) => {
+    const discountCents = Math.round(discountUsd * 100);
+    let allocatedCents = 0;
+
+    for (const [index, milestone] of milestones.entries()) {
+        const shareCents = index === milestones.length - 1
+            ? discountCents - allocatedCents
+            : Math.round(discountCents * milestone.percentage / 100);
+        if (milestone.id === milestoneId) return shareCents / 100;
+        allocatedCents += shareCents;
+    }
+    return 0;
+};
+
+// Collects what the receipt shows for a payment, from the payment row and the job it paid for.
+const buildInvoiceDetails = async (payment) => {
+    const { data: client, error: clientError } = await supabase
+        .from('users')
+        .select('full_name, email')
+        .eq('id', payment.client_id)
+        .single();
+    if (clientError) console.error(`[buildInvoiceDetails] Error fetching client ${payment.client_id}:`, clientError);
+
+    let job = { jobId: null, description: 'Transcription job', audioMinutes: null, pricePerMinuteUsd: null };
+
+    if (payment.related_job_type === 'direct_upload') {
+        const { data: directJob, error } = await supabase
+            .from('direct_upload_jobs')
+            .select('id, file_name, audio_length_minutes, price_per_minute_usd, client_instructions, promo_code, discount_amount_usd')
+            .eq('id', payment.direct_upload_job_id)
+            .single();
+        if (error) console.error(`[buildInvoiceDetails] Error fetching direct upload job ${payment.direct_upload_job_id}:`, error);
+        job = {
+            jobId: payment.direct_upload_job_id,
+            description: `Transcription of ${directJob?.file_name || 'uploaded audio'}`,
+            audioMinutes: directJob?.audio_length_minutes ?? null,
+            pricePerMinuteUsd: directJob?.price_per_minute_usd ?? null,
+            promoCode: directJob?.promo_code || null,
+            discountUsd: parseFloat(directJob?.discount_amount_usd || 0)
+        };
+    } else if (payment.related_job_type === 'negotiation') {
+        // Negotiated jobs are priced as a whole, so there is no per-minute rate to show.
+        const { data: negotiation, error } = await supabase
+            .from('negotiations')
+            .select('id, requirements, promo_code, discount_amount_usd')
+            .eq('id', payment.negotiation_id)
+            .single();
+        if (error) console.error(`[buildInvoiceDetails] Error fetching negotiation ${payment.negotiation_id}:`, error);
+        let description = negotiation?.requirements ? `Transcription: ${negotiation.requirements.substring(0, 120)}` : 'Negotiated transcription job';
+        let discountUsd = parseFloat(negotiation?.discount_amount_usd || 0);
+        if (payment.milestone_id) {
+            const { data: milestones, error: milestoneError } = await supabase
+                .from('negotiation_milestones')
+                .select('id, sequence_number, label, percentage')
+                .eq('negotiation_id', payment.negotiation_id)
+                .order('sequence_number', { ascending: true });
+            if (milestoneError) console.error(`[buildInvoiceDetails] Error fetching milestones for negotiation ${payment.negotiation_id}:`, milestoneError);
+            const milestone = (milestones || []).find(m => m.id === payment.milestone_id);
+            if (milestone) description += ` (milestone ${milestone.sequence_number}: ${milestone.label})`;
+            // UPDATED: The receipt shows this milestone's share of the discount, not the whole job's.
+            discountUsd = milestone ? getMilestoneDiscountUsd(discountUsd, milestones, milestone.id) : 0;
+        }
+        job = {
+            jobId: payment.negotiation_id,
+            description,
+            audioMinutes: null,
+            pricePerMinuteUsd: null,
+            promoCode: negotiation?.promo_code || null,
+            discountUsd
+        };
+    } else if (payment.related_job_type === 'training') {
+        job = { jobId: null, description: 'Transcriber training fee', audioMinutes: null, pricePerMinuteUsd: null };
+    }
+
+    const currencyPaid = payment.currency_paid_by_client || 'USD';
+    const exchangeRate = payment.exchange_rate_used || (currencyPaid === 'USD' ? 1 : null);
+    const amountPaidInCurrency = exchangeRate
+        ? (isSupportedCurrency(currencyPaid) ? convertFromUsd(payment.amount, currencyPaid, exchangeRate) : payment.amount * exchangeRate)
+        : null;
+
+    const paymentMethod = payment.wallet_transaction_id ? 'wallet' : (payment.korapay_reference ? 'korapay' : 'paystack');
+
+    return {
+        clientName: client?.full_name || 'Client',
+        clientEmail: client?.email || null,
+        jobType: payment.related_job_type,
+        ...job,
+        amountUsd: payment.amount,
+        currencyPaid,
+        exchangeRate,
+        amountPaidInCurrency,
+        paymentMethod: paymentMethod === 'wallet' ? 'TypeMyworDz wallet' : (getGateway(paymentMethod)?.displayName || paymentMethod),
+        paymentReference: payment.korapay_reference || payment.paystack_reference || payment.wallet_transaction_id,
+        paidAt: payment.transaction_date
+    };
+};
+
+const getInvoiceForPayment = async (paymentId) => {
+    const { data: invoice, error } = await supabase
+        .from('invoices')
+        .select('*')
+        .eq('payment_id', paymentId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`[getInvoiceForPayment] Error fetching invoice for payment ${paymentId}:`, error);
+        throw error;
+    }
+    return invoice;
+};
+
+/**
+ * Issues the invoice for a recorded payment, or returns the one already issued for it.
+ * Failures are logged and resolve to null so a payment is never held up by its receipt.
+ * @param {object} payment The payments row.
+ * @returns {Promise<object|null>} The invoices row.
+ */
+const issueInvoice = async (payment) => {
+    try {
+        const existingInvoice = await getInvoiceForPayment(payment.id);
+        if (existingInvoice) return existingInvoice;
+
+        const details = await buildInvoiceDetails(payment);
+
+        for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+            const { data: lastInvoice, error: lastError } = await supabase
+                .from('invoices')
+                .select('sequence_number')
+                .order('sequence_number', { ascending: false })
+                .limit(1)
+                .maybeSingle();
+            if (lastError) throw lastError;
+
+            const sequenceNumber = (lastInvoice?.sequence_number || 0) + 1;
+            const { data: invoice, error: insertError } = await supabase
+                .from('invoices')
+                .insert([{
+                    payment_id: payment.id,
+                    client_id: payment.client_id,
+                    sequence_number: sequenceNumber,
+                    invoice_number: formatInvoiceNumber(sequenceNumber),
+                    details,
+                    issued_at: new Date().toISOString()
+                }])
+                .select()
+                .single();
+
+            if (!insertError) return invoice;
+            if (insertError.code !== '23505') throw insertError;
+
+            // Either another payment took this number, or another call already invoiced this payment.
+            const concurrentInvoice = await getInvoiceForPayment(payment.id);
+            if (concurrentInvoice) return concurrentInvoice;
+        }
+        console.error(`[issueInvoice] Could not allocate an invoice number for payment ${payment.id} after ${MAX_NUMBERING_ATTEMPTS} attempts.`);
+        return null;
+    } catch (error) {
+        console.error(`[issueInvoice] Error issuing invoice for payment ${payment.id}:`, error);
+        return null;
+    }
+};
+
+/**
+ * Renders an invoice as a PDF receipt.
+ * @param {object} invoice An invoices row.
+ * @returns {Promise<Buffer>}
+ */
+const generateInvoicePdf = (invoice) => renderPdf({ info: { Title: `Receipt ${invoice.invoice_number}`, Author: 'TypeMyworDz' } }, (doc) => {
+    const details = invoice.details || {};
+
+    doc.fillColor('#6a0dad').fontSize(24).text('TypeMyworDz', { continued: false });
+    doc.fillColor('#333333').fontSize(16).text('Payment Receipt', { align: 'right' });
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+        .text(`Invoice number: ${invoice.invoice_number}`, { align: 'right' })
+        .text(`Issued: ${new Date(invoice.issued_at).toDateString()}`, { align: 'right' })
+        .text('Status: PAID', { align: 'right' });
+
+    doc.moveDown(1.5);
+    doc.fontSize(12).text('Billed to', { underline: true });
+    doc.fontSize(10).text(details.clientName || 'Client');
+    if (details.clientEmail) doc.text(details.clientEmail);
+
+    doc.moveDown(1.5);
+    doc.fontSize(12).text('Job', { underline: true });
+    doc.fontSize(10).text(details.description || 'Transcription job');
+    if (details.jobId) doc.text(`Job ID: ${details.jobId}`);
+
+    const rows = [
+        ['Audio minutes', details.audioMinutes !== null && details.audioMinutes !== undefined ? formatAmount(details.audioMinutes) : 'N/A'],
+        ['Price per minute', details.pricePerMinuteUsd !== null && details.pricePerMinuteUsd !== undefined ? `USD ${formatAmount(details.pricePerMinuteUsd)}` : 'N/A (fixed price)'],
+        ...(details.promoCode && details.discountUsd > 0 ? [
+            ['Subtotal (USD)', `USD ${formatAmount((details.amountUsd || 0) + details.discountUsd)}`],
+            [`Discount (${details.promoCode})`, `- USD ${formatAmount(details.discountUsd)}`]
+        ] : []),
+        ['Total (USD)', `USD ${formatAmount(details.amountUsd || 0)}`],
+        ['Currency paid', details.currencyPaid || 'USD'],
+        ['Exchange rate', details.exchangeRate ? `1 USD = ${formatAmount(details.exchangeRate, 4)} ${details.currencyPaid}` : 'N/A'],
+        ['Amount paid', details.amountPaidInCurrency !== null && details.amountPaidInCurrency !== undefined ? `${details.currencyPaid} ${formatAmount(details.amountPaidInCurrency)}` : 'N/A'],
+        ['Payment method', details.paymentMethod || 'N/A'],
+        ['Payment reference', details.paymentReference || 'N/A'],
+        ['Paid on', details.paidAt ? new Date(details.paidAt).toDateString() : 'N/A']
+    ];
+
+    doc.moveDown(1.5);
+    const labelX = 50;
+    const valueX = 250;
+    rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.fontSize(10).fillColor('#666666').text(label, labelX, y, { width: valueX - labelX - 10 });
+        doc.fillColor('#333333').text(value, valueX, y, { width: 295 });
+        doc.moveDown(0.4);
+    });
+
+    doc.moveDown(2);
+    doc.fontSize(9).fillColor('#999999').text(
+        `Thank you for using TypeMyworDz. This receipt was issued for payment ${invoice.payment_id}.`,
+        labelX,
+        doc.y,
+        { align: 'center', width: 495 }
+    );
+});
+
+// Builds a nodemailer attachment holding the invoice PDF, or null if it cannot be rendered.
+const buildInvoiceAttachment = async (invoice) => {
+    try {
+        return {
+            filename: `${invoice.invoice_number}.pdf`,
+            content: await generateInvoicePdf(invoice),
+            contentType: 'application/pdf'
+        };
+    } catch (error) {
+        console.error(`[buildInvoiceAttachment] Error rendering invoice ${invoice.invoice_number}:`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    issueInvoice,
+    getInvoiceForPayment,
+    generateInvoicePdf,
+    buildInvoiceAttachment
+};
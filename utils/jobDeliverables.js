@@ -0,0 +1,191 @@
+// backend/utils/jobDeliverables.js
+
+const path = require('path');
+const fs = require('fs');
+const supabase = require('../database');
+
+/**
+ * Transcript files delivered for a job, kept as numbered versions.
+ *
+ * Table `job_deliverables`:
+ *   id, job_type ('negotiation' | 'direct_upload'), job_id, version, submitted_by, note,
+ *   files (JSONB: [{ file_name, original_name, mime_type, size_bytes }]), acknowledged_at, acknowledged_by, created_at
+ *   unique (job_type, job_id, version)
+ * The transcriber delivers version 1 when completing the job and may send revisions until the client
+ * acknowledges one, which completes the job from the client's side. Files are stored under uploads/deliverables.
+ *
+ * Completing moves the job's status before the deliverable is written, and the client's completion
+ * (negotiations.client_completed_at, direct_upload_jobs status 'client_completed') before the acknowledgement,
+ * so only one of two racing requests goes through.
+ */
+
+const DELIVERABLES_DIR = 'uploads/deliverables';
+const DELIVERABLE_JOB_TYPES = ['negotiation', 'direct_upload'];
+
+const JOB_TABLES = { negotiation: 'negotiations', direct_upload: 'direct_upload_jobs' };
+// Statuses in which the work has been delivered and a revision can still be sent.
+const DELIVERED_STATUSES = {
+    negotiation: ['delivered_awaiting_payment', 'completed'],
+    direct_upload: ['completed']
+};
+
+const deliverablePath = (fileName) => path.join(DELIVERABLES_DIR, fileName);
+
+// Deletes files multer saved for a request that is not going ahead.
+const removeUploadedFiles = (files = []) => {
+    for (const file of files) {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+    }
+};
+
+// The client, transcriber and status of a job, or null if it does not exist.
+const getDeliverableJob = async (jobType, jobId) => {
+    const { data, error } = await supabase
+        .from(JOB_TABLES[jobType])
+        .select('id, client_id, transcriber_id, status')
+        .eq('id', jobId)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+};
+
+// Every version delivered for a job, newest first.
+const getDeliverables = async (jobType, jobId) => {
+    const { data, error } = await supabase
+        .from('job_deliverables')
+        .select('*')
+        .eq('job_type', jobType)
+        .eq('job_id', jobId)
+        .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+};
+
+const getDeliverable = async (deliverableId) => {
+    const { data, error } = await supabase
+        .from('job_deliverables')
+        .select('*')
+        .eq('id', deliverableId)
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+};
+
+/**
+ * Saves uploaded files as the job's next deliverable version. The files must already be in DELIVERABLES_DIR.
+ * @param {string} jobType
+ * @param {string} jobId
+ * @param {Array<object>} files Multer files.
+ * @param {string} submittedBy
+ * @param {string} [note]
+ */
+const createDeliverable = async (jobType, jobId, files, submittedBy, note = null) => {
+    const fileEntries = files.map(file => ({
+        file_name: file.filename,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size_bytes: file.size
+    }));
+
+    // Two submissions racing for the same version number: the loser retries with the next one.
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const existing = await getDeliverables(jobType, jobId);
+        const { data, error } = await supabase
+            .from('job_deliverables')
+            .insert([{
+                job_type: jobType,
+                job_id: jobId,
+                version: (existing[0]?.version || 0) + 1,
+                submitted_by: submittedBy,
+                note: note || null,
+                files: fileEntries,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (error?.code === '23505') continue;
+        if (error) throw error;
+        return data;
+    }
+    throw new Error(`Could not save a new deliverable version for ${jobType} job ${jobId}.`);
+};
+
+/**
+ * Checks that a client can acknowledge a deliverable: it must be the job's latest version, and no
+ * version of the job may have been acknowledged already. Call before completing the job, then
+ * acknowledgeDeliverable once it is completed.
+ * @returns {Promise<{deliverable: object} | {error: string, status: number}>}
+ */
+const checkDeliverableAcknowledgement = async (jobType, jobId, deliverableId) => {
+    if (!deliverableId) {
+        return { status: 400, error: 'deliverableId is required: acknowledge the deliverable version you reviewed.ᐟ' };
+    }
+
+    const deliverables = await getDeliverables(jobType, jobId);
+    if (deliverables.length === 0) {
+        return { status: 400, error: 'No deliverable has been submitted for this job yet.ᐟ' };
+    }
+    if (deliverables.some(deliverable => deliverable.acknowledged_at)) {
+        return { status: 409, error: 'A deliverable for this job has already been acknowledged.ᐟ' };
+    }
+    const deliverable = deliverables.find(d => d.id === deliverableId);
+    if (!deliverable) {
+        return { status: 404, error: 'Deliverable not found for this job.ᐟ' };
+    }
+    if (deliverable.version !== deliverables[0].version) {
+        return { status: 409, error: `Version ${deliverable.version} has been replaced by version ${deliverables[0].version}. Please review the latest version.ᐟ` };
+    }
+    return { deliverable };
+};
+
+// Records the client's acknowledgement of a deliverable checked with checkDeliverableAcknowledgement.
+const acknowledgeDeliverable = async (deliverable, clientId) => {
+    const { data, error } = await supabase
+        .from('job_deliverables')
+        .update({ acknowledged_at: new Date().toISOString(), acknowledged_by: clientId })
+        .eq('id', deliverable.id)
+        .is('acknowledged_at', null)
+        .select()
+        .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || deliverable;
+};
+
+// Removes a job's deliverables and their files, for when the job itself is deleted.
+const deleteJobDeliverables = async (jobType, jobId) => {
+    const deliverables = await getDeliverables(jobType, jobId);
+
+    const { error } = await supabase
+        .from('job_deliverables')
+        .delete()
+        .eq('job_type', jobType)
+        .eq('job_id', jobId);
+
+    if (error) throw error;
+    for (const deliverable of deliverables) {
+        for (const file of deliverable.files || []) {
+            const filePath = deliverablePath(file.file_name);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        }
+    }
+};
+
+module.exports = {
+    DELIVERABLES_DIR,
+    DELIVERABLE_JOB_TYPES,
+    DELIVERED_STATUSES,
+    deliverablePath,
+    removeUploadedFiles,
+    getDeliverableJob,
+    getDeliverables,
+    getDeliverable,
+    createDeliverable,
+    checkDeliverableAcknowledgement,
+    acknowledgeDeliverable,
+    deleteJobDeliverables
+};
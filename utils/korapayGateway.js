@@ -0,0 +1,149 @@
+// backend/utils/korapayGateway.js
+
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { generatePaymentReference, signaturesMatch } = require('./paymentUtils');
+const { getUsdExchangeRate } = require('./exchangeRateService');
+const { convertFromUsd, convertToUsd } = require('./currencyRegistry');
+const { recordCheckout, getCheckout } = require('./paymentCheckouts');
+
+const KORAPAY_SECRET_KEY = process.env.KORAPAY_SECRET_KEY;
+const KORAPAY_PUBLIC_KEY = process.env.KORAPAY_PUBLIC_KEY;
+const KORAPAY_BASE_URL = process.env.KORAPAY_BASE_URL || 'https://api-sandbox.korapay.com/v1';
+const KORAPAY_WEBHOOK_URL = process.env.KORAPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment/korapay-webhook';
+
+const httpAgent = new http.Agent({ family: 4 });
+const httpsAgent = new https.Agent({ family: 4 });
+
+const getRequestConfig = () => ({
+    headers: {
+        Authorization: `Bearer ${KORAPAY_SECRET_KEY}`,
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
+    },
+    httpsAgent: httpsAgent,
+    httpAgent: httpAgent
+});
+
+const isConfigured = () => Boolean(KORAPAY_SECRET_KEY);
+
+const supportedCurrencies = ['KES', 'NGN', 'GHS', 'USD'];
+
+// KoraPay uses an inline checkout, so initializing only builds the data the frontend passes to the KoraPay widget.
+// The payer can edit that data, so the rate and amount are also recorded server-side for verify().
+const initialize = async ({ jobType, jobId, amountUsd, currency, email, customerName, clientId }) => {
+    if (!KORAPAY_PUBLIC_KEY) {
+        return { success: false, message: 'KoraPay public key not configured.ᐟ' };
+    }
+
+    const exchangeRate = await getUsdExchangeRate(currency);
+    const reference = generatePaymentReference(jobType, jobId);
+    const amountCharged = convertFromUsd(amountUsd, currency, exchangeRate);
+    await recordCheckout({ reference, gateway: 'korapay', jobType, jobId, clientId, amountUsd, currency, exchangeRate, amountCharged });
+
+    const korapayData = {
+        key: KORAPAY_PUBLIC_KEY,
+        reference,
+        amount: amountCharged, // KoraPay takes major units
+        currency: currency,
+        customer: {
+            name: customerName || 'Customer',
+            email: email
+        },
+        notification_url: KORAPAY_WEBHOOK_URL,
+        // KoraPay allows at most 5 metadata keys. These are informational: verify() takes the
+        // job and rate from the recorded checkout, not from metadata the payer could have edited.
+        metadata: {
+            related_job_id: jobId,
+            related_job_type: jobType,
+            agreed_price_usd: amountUsd,
+            currency_paid: currency,
+            exchange_rate_from_usd: exchangeRate
+        }
+    };
+
+    return { success: true, checkout: { korapayData } };
+};
+
+const verify = async (reference) => {
+    const korapayResponse = await axios.get(`${KORAPAY_BASE_URL}/charges/${reference}`, getRequestConfig());
+
+    if (!korapayResponse.data.status || korapayResponse.data.data.status !== 'success') {
+        return { success: false, message: korapayResponse.data.message || 'Payment verification failed with KoraPay.ᐟ' };
+    }
+
+    const transaction = korapayResponse.data.data;
+    const currencyPaid = transaction.currency || 'KES';
+    const checkout = await getCheckout(reference);
+    if (checkout && checkout.currency !== currencyPaid) {
+        console.error(`[korapay.verify] Charge ${reference} was paid in ${currencyPaid}, but the checkout was issued in ${checkout.currency}.`);
+        return { success: false, message: `Payment currency ${currencyPaid} does not match the ${checkout.currency} checkout.ᐟ` };
+    }
+    // Charges started before checkouts were recorded convert at today's rate; the widget's metadata is never trusted.
+    const exchangeRate = checkout ? parseFloat(checkout.exchange_rate) : await getUsdExchangeRate(currencyPaid);
+    const metadata = checkout
+        ? { ...transaction.metadata, related_job_id: checkout.job_id, related_job_type: checkout.job_type, exchange_rate_from_usd: exchangeRate }
+        : { ...transaction.metadata, exchange_rate_from_usd: exchangeRate };
+    const parsedCreatedAt = new Date(transaction.createdAt);
+    transaction.paid_at = !isNaN(parsedCreatedAt.getTime()) ? parsedCreatedAt.toISOString() : new Date().toISOString();
+
+    return {
+        success: true,
+        transaction,
+        metadata,
+        amountPaidUsd: convertToUsd(parseFloat(transaction.amount), exchangeRate),
+        currencyPaid,
+        exchangeRate
+    };
+};
+
+// Refunds the whole charge, or amountUsd of it (converted at the charge's rate) when given.
+// The refundKey becomes KoraPay's refund reference, which it refuses to reuse, so a repeated refund is not paid twice.
+const refund = async ({ reference, amountUsd, currency, exchangeRate, reason, refundKey }) => {
+    const refundRequest = {
+        payment_reference: reference,
+        reference: refundKey ? `RF-${refundKey.replace(/:/g, '-')}` : `RF-${reference}-${Date.now().toString(36)}`,
+        reason: reason || 'Refund issued by admin'
+    };
+    if (amountUsd !== undefined && amountUsd !== null) {
+        refundRequest.amount = convertFromUsd(amountUsd, currency, exchangeRate || await getUsdExchangeRate(currency));
+    }
+
+    const korapayResponse = await axios.post(`${KORAPAY_BASE_URL}/refunds/initiate`, refundRequest, getRequestConfig());
+
+    if (!korapayResponse.data.status) {
+        return { success: false, message: korapayResponse.data.message || 'KoraPay refund failed.ᐟ' };
+    }
+    const refundData = korapayResponse.data.data;
+    return { success: true, refundReference: refundData.reference, status: refundData.status, refund: refundData };
+};
+
+// KoraPay signs the `data` object of each webhook with HMAC-SHA256 and sends it in x-korapay-signature.
+const parseWebhook = (req) => {
+    const signature = req.headers['x-korapay-signature'];
+    const { event, data } = req.body || {};
+    if (!signature || !data) {
+        return { valid: false };
+    }
+
+    const expectedSignature = crypto.createHmac('sha256', KORAPAY_SECRET_KEY).update(JSON.stringify(data)).digest('hex');
+    if (!signaturesMatch(expectedSignature, signature)) {
+        return { valid: false };
+    }
+
+    return { valid: true, event, reference: data.reference, isChargeSuccess: event === 'charge.success' };
+};
+
+module.exports = {
+    name: 'korapay',
+    displayName: 'KoraPay',
+    referenceColumn: 'korapay_reference',
+    statusColumn: 'korapay_status',
+    supportedCurrencies,
+    isConfigured,
+    initialize,
+    verify,
+    refund,
+    parseWebhook
+};
@@ -0,0 +1,375 @@
+// backend/utils/ledger.js
+
+const supabase = require('../database');
+
+/**
+ * Append-only double-entry ledger for money moving through the platform, in USD.
+ *
+ * Each posting is a set of `ledger_entries` rows sharing a transaction_key:
+ *   id, transaction_key (text), line_number (int), account (text), owner_id (uuid, nullable),
+ *   payment_id (uuid, nullable), debit (numeric), credit (numeric), description (text), created_at
+ * with a unique index on (transaction_key, line_number). Rows are only ever inserted; a mistake
+ * is corrected by posting the opposite entries, never by editing history.
+ *
+ * Accounts:
+ *   gateway_cash        - money held with the payment gateways (debit-normal)
+ *   client_escrow       - a client's payment for a job that is not yet complete, per client (owner_id)
+ *   client_wallet       - prepaid wallet balances the platform owes clients, per client (owner_id)
+ *   platform_revenue    - the platform's share of completed jobs and training fees
+ *   transcriber_payable - earnings owed to a transcriber, per transcriber (owner_id)
+ *
+ * The record* helpers below are called after the matching `payments` change has been saved.
+ * Each uses a transaction key derived from the payment, so calling one twice posts once.
+ * They log instead of throwing, so a ledger problem never fails the payment flow that triggered it.
+ *
+ * A cancelled direct upload job's payment goes back to unassigned (see cancelDirectUploadJob), so it can be
+ * released again for the job's next transcriber once any earlier release is reversed. Release and cancellation
+ * keys therefore carry the payment's assignment generation: the number of cancellations posted for it so far.
+ * The first generation keeps the plain `escrow_release:<payment id>` key.
+ */
+
+const ACCOUNTS = {
+    GATEWAY_CASH: 'gateway_cash',
+    CLIENT_ESCROW: 'client_escrow',
+    CLIENT_WALLET: 'client_wallet',
+    PLATFORM_REVENUE: 'platform_revenue',
+    TRANSCRIBER_PAYABLE: 'transcriber_payable'
+};
+
+const DEBIT_NORMAL_ACCOUNTS = [ACCOUNTS.GATEWAY_CASH];
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Posts one balanced transaction.
+ * @param {string} transactionKey Identifies the business event; a key can only be posted once.
+ * @param {Array<{account: string, ownerId?: string, debit?: number, credit?: number}>} lines
+ * @param {{paymentId?: string, description?: string}} [details]
+ * @returns {Promise<boolean>} False when the key was already posted.
+ */
+const postLedgerTransaction = async (transactionKey, lines, { paymentId = null, description = null } = {}) => {
+    const postedLines = lines.filter(line => toCents(line.debit) !== 0 || toCents(line.credit) !== 0);
+    const totalDebits = postedLines.reduce((sum, line) => sum + toCents(line.debit), 0);
+    const totalCredits = postedLines.reduce((sum, line) => sum + toCents(line.credit), 0);
+
+    if (totalDebits !== totalCredits) {
+        throw new Error(`Unbalanced ledger transaction ${transactionKey}: debits ${fromCents(totalDebits)}, credits ${fromCents(totalCredits)}.`);
+    }
+    if (postedLines.length === 0) {
+        return false;
+    }
+
+    const createdAt = new Date().toISOString();
+    const { error } = await supabase
+        .from('ledger_entries')
+        .insert(postedLines.map((line, index) => ({
+            transaction_key: transactionKey,
+            line_number: index + 1,
+            account: line.account,
+            owner_id: line.ownerId || null,
+            payment_id: paymentId,
+            debit: fromCents(toCents(line.debit)),
+            credit: fromCents(toCents(line.credit)),
+            description,
+            created_at: createdAt
+        })));
+
+    if (error) {
+        if (error.code === '23505') {
+            return false;
+        }
+        throw error;
+    }
+    return true;
+};
+
+const hasLedgerTransaction = async (transactionKey) => {
+    const { data, error } = await supabase
+        .from('ledger_entries')
+        .select('id')
+        .eq('transaction_key', transactionKey)
+        .limit(1);
+
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+};
+
+// Runs a posting, logging failures instead of passing them to the caller.
+const safelyPost = async (label, post) => {
+    try {
+        return await post();
+    } catch (error) {
+        console.error(`[${label}] Ledger posting failed:`, error);
+        return false;
+    }
+};
+
+const generationKey = (prefix, paymentId, generation) => (
+    generation === 0 ? `${prefix}:${paymentId}` : `${prefix}:${paymentId}:${generation}`
+);
+
+// Each cancellation posted for a payment ends one assignment; the current one is numbered after them.
+const getAssignmentGeneration = async (paymentId) => {
+    const { count, error } = await supabase
+        .from('ledger_entries')
+        .select('*', { count: 'exact', head: true })
+        .eq('payment_id', paymentId)
+        .like('transaction_key', `cancellation:${paymentId}%`)
+        .eq('line_number', 1);
+
+    if (error) throw error;
+    return count || 0;
+};
+
+// The key of the escrow release for the payment's current assignment.
+const getEscrowReleaseKey = async (paymentId) => generationKey('escrow_release', paymentId, await getAssignmentGeneration(paymentId));
+
+const hasEscrowRelease = async (paymentId) => hasLedgerTransaction(await getEscrowReleaseKey(paymentId));
+
+const postEscrowRelease = async (payment) => {
+    const releasedCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+    const earningCents = toCents(payment.transcriber_earning);
+
+    return postLedgerTransaction(await getEscrowReleaseKey(payment.id), [
+        { account: ACCOUNTS.CLIENT_ESCROW, ownerId: payment.client_id, debit: fromCents(releasedCents) },
+        { account: ACCOUNTS.TRANSCRIBER_PAYABLE, ownerId: payment.transcriber_id, credit: fromCents(earningCents) },
+        { account: ACCOUNTS.PLATFORM_REVENUE, credit: fromCents(releasedCents - earningCents) }
+    ], { paymentId: payment.id, description: 'Job completed; escrow released' });
+};
+
+// A client's payment arrives. Training fees are earned at once; job payments wait in escrow.
+// Jobs paid from the wallet move the money out of the client's wallet instead of the gateway.
+const recordPaymentReceived = (payment) => safelyPost('recordPaymentReceived', () => {
+    const creditAccount = payment.related_job_type === 'training'
+        ? { account: ACCOUNTS.PLATFORM_REVENUE, credit: payment.amount }
+        : { account: ACCOUNTS.CLIENT_ESCROW, ownerId: payment.client_id, credit: payment.amount };
+    const debitAccount = payment.wallet_transaction_id
+        ? { account: ACCOUNTS.CLIENT_WALLET, ownerId: payment.client_id, debit: payment.amount }
+        : { account: ACCOUNTS.GATEWAY_CASH, debit: payment.amount };
+
+    return postLedgerTransaction(`payment_received:${payment.id}`, [
+        debitAccount,
+        creditAccount
+    ], { paymentId: payment.id, description: `Payment received for ${payment.related_job_type} job` });
+});
+
+// A client tops up their wallet through a gateway.
+const recordWalletTopUp = (walletTransaction) => safelyPost('recordWalletTopUp', () => postLedgerTransaction(`wallet_top_up:${walletTransaction.id}`, [
+    { account: ACCOUNTS.GATEWAY_CASH, debit: walletTransaction.amount },
+    { account: ACCOUNTS.CLIENT_WALLET, ownerId: walletTransaction.client_id, credit: walletTransaction.amount }
+], { description: 'Wallet top-up' }));
+
+// A job is complete: what is left in escrow is split between the transcriber and the platform.
+const recordEscrowRelease = (payment) => safelyPost('recordEscrowRelease', () => postEscrowRelease(payment));
+
+/**
+ * A transcriber's assignment was cancelled. The client's money stays in escrow for the job; if the
+ * escrow had already been released for this payment, that release is reversed.
+ */
+const recordCancellation = (payment) => safelyPost('recordCancellation', async () => {
+    const generation = await getAssignmentGeneration(payment.id);
+    const { data: releaseLines, error } = await supabase
+        .from('ledger_entries')
+        .select('account, owner_id, debit, credit')
+        .eq('transaction_key', generationKey('escrow_release', payment.id, generation));
+    if (error) throw error;
+    if (releaseLines.length === 0) {
+        return false;
+    }
+
+    return postLedgerTransaction(generationKey('cancellation', payment.id, generation), releaseLines.map(line => ({
+        account: line.account,
+        ownerId: line.owner_id,
+        debit: line.credit,
+        credit: line.debit
+    })), { paymentId: payment.id, description: 'Assignment cancelled; escrow release reversed' });
+});
+
+/**
+ * A transcriber's earning was changed after its escrow release (e.g. a dispute reduced or voided it):
+ * the difference moves between their payable and platform revenue. Before the release there is nothing
+ * to post, as the release itself uses the new earning.
+ * @param {object} payment The payments row with the new transcriber_earning.
+ * @param {number} previousEarning The earning before the change.
+ * @param {string} adjustmentKey Identifies the change.
+ */
+const recordEarningAdjustment = (payment, previousEarning, adjustmentKey) => safelyPost('recordEarningAdjustment', async () => {
+    if (!await hasEscrowRelease(payment.id)) {
+        return false;
+    }
+    const reductionCents = toCents(previousEarning) - toCents(payment.transcriber_earning);
+    const [from, to] = reductionCents > 0
+        ? [{ account: ACCOUNTS.TRANSCRIBER_PAYABLE, ownerId: payment.transcriber_id }, { account: ACCOUNTS.PLATFORM_REVENUE }]
+        : [{ account: ACCOUNTS.PLATFORM_REVENUE }, { account: ACCOUNTS.TRANSCRIBER_PAYABLE, ownerId: payment.transcriber_id }];
+
+    return postLedgerTransaction(`earning_adjustment:${adjustmentKey}`, [
+        { ...from, debit: fromCents(Math.abs(reductionCents)) },
+        { ...to, credit: fromCents(Math.abs(reductionCents)) }
+    ], { paymentId: payment.id, description: 'Transcriber earning adjusted' });
+});
+
+/**
+ * Money goes back to the client. Before completion it comes out of escrow; after completion it is
+ * taken from the transcriber's payable (by however much their earning was reduced) and from revenue.
+ * Refunds with payment_method 'wallet' are credited to the client's wallet rather than paid out by a gateway.
+ * @param {object} paymentBefore The payments row as it was before the refund.
+ * @param {object} updatedPayment The payments row after refunded_amount/transcriber_earning were updated.
+ * @param {object} refund The `refunds` row.
+ */
+const recordRefund = (paymentBefore, updatedPayment, refund) => safelyPost('recordRefund', async () => {
+    const refundCents = toCents(refund.amount);
+    const lines = [refund.payment_method === 'wallet'
+        ? { account: ACCOUNTS.CLIENT_WALLET, ownerId: paymentBefore.client_id, credit: fromCents(refundCents) }
+        : { account: ACCOUNTS.GATEWAY_CASH, credit: fromCents(refundCents) }];
+
+    if (await hasEscrowRelease(paymentBefore.id)) {
+        const earningReductionCents = toCents(paymentBefore.transcriber_earning) - toCents(updatedPayment.transcriber_earning);
+        lines.push(
+            { account: ACCOUNTS.TRANSCRIBER_PAYABLE, ownerId: paymentBefore.transcriber_id, debit: fromCents(earningReductionCents) },
+            { account: ACCOUNTS.PLATFORM_REVENUE, debit: fromCents(refundCents - earningReductionCents) }
+        );
+    } else {
+        lines.push({ account: ACCOUNTS.CLIENT_ESCROW, ownerId: paymentBefore.client_id, debit: fromCents(refundCents) });
+    }
+
+    return postLedgerTransaction(`refund:${refund.id}`, lines, { paymentId: paymentBefore.id, description: 'Refund issued to client' });
+});
+
+// A transcriber's earning leaves the platform. The payable it draws on comes from the escrow release, so a
+// release that was never posted (e.g. its posting failed) is posted first.
+const recordPayout = (payment) => safelyPost('recordPayout', async () => {
+    if (!await hasEscrowRelease(payment.id)) {
+        console.warn(`[recordPayout] Payment ${payment.id} was paid out before its escrow release was posted; posting the release first.`);
+        await postEscrowRelease(payment);
+    }
+
+    return postLedgerTransaction(`payout:${payment.id}`, [
+        { account: ACCOUNTS.TRANSCRIBER_PAYABLE, ownerId: payment.transcriber_id, debit: payment.transcriber_earning },
+        { account: ACCOUNTS.GATEWAY_CASH, credit: payment.transcriber_earning }
+    ], { paymentId: payment.id, description: 'Earning paid out to transcriber' });
+});
+
+const LEDGER_PAGE_SIZE = 1000;
+
+// Supabase returns at most 1000 rows per request, so entries are read page by page.
+const fetchLedgerEntries = async (applyFilters) => {
+    const entries = [];
+    for (let offset = 0; ; offset += LEDGER_PAGE_SIZE) {
+        const { data, error } = await applyFilters(supabase.from('ledger_entries').select('*'))
+            .order('created_at', { ascending: true })
+            .order('transaction_key', { ascending: true })
+            .order('line_number', { ascending: true })
+            .range(offset, offset + LEDGER_PAGE_SIZE - 1);
+
+        if (error) throw error;
+        entries.push(...data);
+        if (data.length < LEDGER_PAGE_SIZE) return entries;
+    }
+};
+
+// Balance in the account's normal direction, so payables and revenue read as positive.
+const normalBalanceCents = (account, debitCents, creditCents) => (
+    DEBIT_NORMAL_ACCOUNTS.includes(account) ? debitCents - creditCents : creditCents - debitCents
+);
+
+/**
+ * Sums every account (per owner) up to a point in time.
+ * @param {Date} [asOf] Defaults to now.
+ * @returns {Promise<{asOf: string, accounts: Array, totalDebits: number, totalCredits: number, isBalanced: boolean}>}
+ */
+const getTrialBalance = async (asOf = new Date()) => {
+    const entries = await fetchLedgerEntries(query => query.lte('created_at', asOf.toISOString()));
+    const accounts = new Map();
+
+    for (const entry of entries) {
+        const key = `${entry.account}:${entry.owner_id || ''}`;
+        const totals = accounts.get(key) || { account: entry.account, ownerId: entry.owner_id, debitCents: 0, creditCents: 0 };
+        totals.debitCents += toCents(entry.debit);
+        totals.creditCents += toCents(entry.credit);
+        accounts.set(key, totals);
+    }
+
+    let totalDebitCents = 0;
+    let totalCreditCents = 0;
+    const accountRows = [...accounts.values()].map(({ account, ownerId, debitCents, creditCents }) => {
+        totalDebitCents += debitCents;
+        totalCreditCents += creditCents;
+        return {
+            account,
+            ownerId,
+            totalDebits: fromCents(debitCents),
+            totalCredits: fromCents(creditCents),
+            balance: fromCents(normalBalanceCents(account, debitCents, creditCents))
+        };
+    });
+
+    return {
+        asOf: asOf.toISOString(),
+        accounts: accountRows,
+        totalDebits: fromCents(totalDebitCents),
+        totalCredits: fromCents(totalCreditCents),
+        isBalanced: totalDebitCents === totalCreditCents
+    };
+};
+
+/**
+ * Lists one account's entries for a period with a running balance.
+ * @param {string} account One of ACCOUNTS.
+ * @param {{ownerId?: string, from?: Date, to?: Date}} [options] ownerId selects a client's escrow or a transcriber's payable.
+ * @returns {Promise<{account: string, ownerId: string|null, openingBalance: number, closingBalance: number, entries: Array}>}
+ */
+const getAccountStatement = async (account, { ownerId = null, from = null, to = null } = {}) => {
+    const filterAccount = (query) => (ownerId ? query.eq('account', account).eq('owner_id', ownerId) : query.eq('account', account));
+
+    let balanceCents = 0;
+    if (from) {
+        const earlierEntries = await fetchLedgerEntries(query => filterAccount(query).lt('created_at', from.toISOString()));
+        balanceCents = earlierEntries.reduce((sum, entry) => sum + normalBalanceCents(account, toCents(entry.debit), toCents(entry.credit)), 0);
+    }
+    const openingBalanceCents = balanceCents;
+
+    const entries = await fetchLedgerEntries(query => {
+        let filtered = filterAccount(query);
+        if (from) filtered = filtered.gte('created_at', from.toISOString());
+        if (to) filtered = filtered.lte('created_at', to.toISOString());
+        return filtered;
+    });
+
+    const statementEntries = entries.map(entry => {
+        balanceCents += normalBalanceCents(account, toCents(entry.debit), toCents(entry.credit));
+        return {
+            id: entry.id,
+            transactionKey: entry.transaction_key,
+            paymentId: entry.payment_id,
+            ownerId: entry.owner_id,
+            description: entry.description,
+            debit: parseFloat(entry.debit),
+            credit: parseFloat(entry.credit),
+            balance: fromCents(balanceCents),
+            createdAt: entry.created_at
+        };
+    });
+
+    return {
+        account,
+        ownerId,
+        openingBalance: fromCents(openingBalanceCents),
+        closingBalance: fromCents(balanceCents),
+        entries: statementEntries
+    };
+};
+
+module.exports = {
+    ACCOUNTS,
+    postLedgerTransaction,
+    recordPaymentReceived,
+    recordWalletTopUp,
+    recordEscrowRelease,
+    recordCancellation,
+    recordEarningAdjustment,
+    recordRefund,
+    recordPayout,
+    getTrialBalance,
+    getAccountStatement
+};
@@ -0,0 +1,249 @@
+// backend/utils/mpesaB2cGateway.js
+
+const axios = require('axios');
+const { signaturesMatch } = require('./paymentUtils');
+const { getBaseExchangeRate } = require('./exchangeRateService');
+const { convertFromUsd } = require('./currencyRegistry');
+
+/**
+ * Safaricom Daraja B2C: sends a transcriber's earning to their M-Pesa number.
+ *
+ * A B2C request is only accepted for processing; the outcome arrives later on the result URL
+ * (or the queue timeout URL if Safaricom did not process it in time). Daraja does not sign callbacks, so
+ * every callback URL carries MPESA_CALLBACK_TOKEN as a query parameter and callbacks without it are rejected.
+ *
+ * Whether a transfer went through after a timeout or a failed request is found with a Transaction Status
+ * query (requestPayoutStatus), whose answer arrives on the status result URL.
+ *
+ * Point MPESA_BASE_URL at mpesa-stub-server.js to develop without Safaricom credentials.
+ */
+
+const MPESA_BASE_URL = process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke';
+const MPESA_CONSUMER_KEY = process.env.MPESA_CONSUMER_KEY;
+const MPESA_CONSUMER_SECRET = process.env.MPESA_CONSUMER_SECRET;
+const MPESA_B2C_SHORTCODE = process.env.MPESA_B2C_SHORTCODE;
+const MPESA_INITIATOR_NAME = process.env.MPESA_INITIATOR_NAME;
+const MPESA_SECURITY_CREDENTIAL = process.env.MPESA_SECURITY_CREDENTIAL;
+const MPESA_CALLBACK_TOKEN = process.env.MPESA_CALLBACK_TOKEN;
+const MPESA_CALLBACK_BASE_URL = process.env.MPESA_CALLBACK_BASE_URL || 'http://localhost:5000/api/payment/mpesa/b2c';
+
+const isConfigured = () => Boolean(
+    MPESA_CONSUMER_KEY && MPESA_CONSUMER_SECRET && MPESA_B2C_SHORTCODE &&
+    MPESA_INITIATOR_NAME && MPESA_SECURITY_CREDENTIAL && MPESA_CALLBACK_TOKEN
+);
+
+// OAuth tokens last an hour; one is reused until shortly before it expires.
+let cachedToken = null;
+
+const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.token;
+    }
+    const credentials = Buffer.from(`${MPESA_CONSUMER_KEY}:${MPESA_CONSUMER_SECRET}`).toString('base64');
+    const tokenResponse = await axios.get(`${MPESA_BASE_URL}/oauth/v1/generate`, {
+        params: { grant_type: 'client_credentials' },
+        headers: { Authorization: `Basic ${credentials}` }
+    });
+    const expiresInSeconds = parseInt(tokenResponse.data.expires_in, 10) || 3599;
+    cachedToken = { token: tokenResponse.data.access_token, expiresAt: Date.now() + (expiresInSeconds - 60) * 1000 };
+    return cachedToken.token;
+};
+
+// Daraja expects 2547XXXXXXXX; profiles may hold 07XXXXXXXX or +2547XXXXXXXX.
+const normalizePhoneNumber = (phoneNumber) => {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    if (/^254[17]\d{8}$/.test(digits)) return digits;
+    if (/^0[17]\d{8}$/.test(digits)) return `254${digits.substring(1)}`;
+    if (/^[17]\d{8}$/.test(digits)) return `254${digits}`;
+    return null;
+};
+
+/**
+ * Asks Safaricom to send amountUsd, converted to whole shillings at the base rate, to a phone number.
+ * Our payout reference is sent as the OriginatorConversationID, so callbacks can be matched
+ * even if they arrive before this request returns.
+ * @returns {Promise<object>} { success, message } or { success, externalReference, amountSent, currencySent, exchangeRate },
+ *   where externalReference is Daraja's ConversationID.
+ */
+const sendPayout = async ({ reference, recipient, amountUsd, remarks }) => {
+    const phoneNumber = normalizePhoneNumber(recipient);
+    if (!phoneNumber) {
+        return { success: false, message: `'${recipient}' is not a valid Kenyan M-Pesa number.ᐟ` };
+    }
+
+    // Transcribers get the base rate; the charge margin is not taken out of their earnings.
+    const exchangeRate = await getBaseExchangeRate('KES');
+    const amountKes = convertFromUsd(amountUsd, 'KES', exchangeRate);
+    const callbackQuery = `?token=${encodeURIComponent(MPESA_CALLBACK_TOKEN)}`;
+    const accessToken = await getAccessToken();
+
+    const darajaResponse = await axios.post(
+        `${MPESA_BASE_URL}/mpesa/b2c/v3/paymentrequest`,
+        {
+            OriginatorConversationID: reference,
+            InitiatorName: MPESA_INITIATOR_NAME,
+            SecurityCredential: MPESA_SECURITY_CREDENTIAL,
+            CommandID: 'BusinessPayment',
+            Amount: amountKes,
+            PartyA: MPESA_B2C_SHORTCODE,
+            PartyB: phoneNumber,
+            Remarks: (remarks || 'TypeMyworDz payout').substring(0, 100),
+            QueueTimeOutURL: `${MPESA_CALLBACK_BASE_URL}/timeout${callbackQuery}`,
+            ResultURL: `${MPESA_CALLBACK_BASE_URL}/result${callbackQuery}`,
+            Occasion: 'Transcriber payout'
+        },
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+    ).catch(error => {
+        // Unless Daraja answered with a refusal, Safaricom may have taken the request before it failed.
+        error.payoutMayHaveStarted = !error.response || error.response.status >= 500;
+        throw error;
+    });
+
+    if (String(darajaResponse.data.ResponseCode) !== '0') {
+        return { success: false, message: darajaResponse.data.ResponseDescription || 'M-Pesa rejected the payout request.ᐟ' };
+    }
+    return {
+        success: true,
+        externalReference: darajaResponse.data.ConversationID,
+        amountSent: amountKes,
+        currencySent: 'KES',
+        exchangeRate
+    };
+};
+
+// Daraja has no bulk B2C request, so each transfer is its own request.
+const sendPayouts = async ({ items }) => {
+    const transfers = [];
+    for (const item of items) {
+        try {
+            transfers.push({ reference: item.reference, ...await sendPayout(item) });
+        } catch (error) {
+            console.error(`[mpesaB2cGateway] B2C request failed for ${item.reference}:`, error.response ? error.response.data : error.message);
+            transfers.push({
+                reference: item.reference,
+                success: false,
+                uncertain: Boolean(error.payoutMayHaveStarted),
+                message: error.payoutMayHaveStarted ? 'The M-Pesa request failed before Safaricom answered.' : 'M-Pesa could not be reached.'
+            });
+        }
+    }
+    return { success: true, transfers };
+};
+
+const getResultParameter = (result, key) => {
+    const parameters = result.ResultParameters?.ResultParameter;
+    const parameter = Array.isArray(parameters) ? parameters.find(p => p.Key === key) : null;
+    return parameter ? parameter.Value : null;
+};
+
+/**
+ * Reads a result or timeout callback.
+ * @returns {{valid: boolean, reference?: string, externalReference?: string, succeeded?: boolean,
+ *   timedOut?: boolean, receiptNumber?: string, failureReason?: string}}
+ */
+const parseCallback = (req, { timedOut = false } = {}) => {
+    const token = req.query?.token;
+    const result = req.body?.Result;
+    if (!token || !signaturesMatch(String(MPESA_CALLBACK_TOKEN), String(token)) || !result?.OriginatorConversationID) {
+        return { valid: false };
+    }
+
+    const succeeded = !timedOut && Number(result.ResultCode) === 0;
+    return {
+        valid: true,
+        reference: result.OriginatorConversationID,
+        externalReference: result.ConversationID,
+        succeeded,
+        timedOut,
+        receiptNumber: succeeded ? (result.TransactionID || getResultParameter(result, 'TransactionReceipt')) : null,
+        failureReason: succeeded ? null : (timedOut ? 'M-Pesa did not process the payout in time.' : result.ResultDesc)
+    };
+};
+
+/**
+ * Asks Safaricom what became of a B2C request, found by our payout reference (its OriginatorConversationID).
+ * The answer arrives on the status result URL, which carries the payout reference so it can be matched.
+ */
+const requestPayoutStatus = async ({ reference }) => {
+    const callbackQuery = `?token=${encodeURIComponent(MPESA_CALLBACK_TOKEN)}&reference=${encodeURIComponent(reference)}`;
+
+    const darajaResponse = await axios.post(
+        `${MPESA_BASE_URL}/mpesa/transactionstatus/v1/query`,
+        {
+            Initiator: MPESA_INITIATOR_NAME,
+            SecurityCredential: MPESA_SECURITY_CREDENTIAL,
+            CommandID: 'TransactionStatusQuery',
+            OriginalConversationID: reference,
+            PartyA: MPESA_B2C_SHORTCODE,
+            IdentifierType: '4',
+            ResultURL: `${MPESA_CALLBACK_BASE_URL}/status-result${callbackQuery}`,
+            QueueTimeOutURL: `${MPESA_CALLBACK_BASE_URL}/status-timeout${callbackQuery}`,
+            Remarks: `Status of payout ${reference}`.substring(0, 100),
+            Occasion: 'Transcriber payout status'
+        },
+        { headers: { Authorization: `Bearer ${await getAccessToken()}` } }
+    );
+
+    if (String(darajaResponse.data.ResponseCode) !== '0') {
+        throw new Error(darajaResponse.data.ResponseDescription || 'M-Pesa rejected the status query.');
+    }
+    return { requested: true };
+};
+
+// Transaction statuses that mean the B2C transfer did not pay the transcriber.
+const FAILED_TRANSACTION_STATUSES = ['Failed', 'Declined', 'Cancelled', 'Reversed', 'Expired'];
+// The Transaction Status result code for a reference M-Pesa has no transaction under.
+const TRANSACTION_NOT_FOUND_RESULT_CODE = 2032;
+
+/**
+ * Reads the answer to a Transaction Status query, in the same shape as parseCallback. Only a "transaction not
+ * found" answer proves the payout never happened. A timed-out query, or one refused for any other reason
+ * (busy, throttled, bad credentials), settles nothing and is reported as still in progress, so the payment
+ * stays flagged for another check.
+ */
+const parseStatusCallback = (req, { timedOut = false } = {}) => {
+    const token = req.query?.token;
+    const reference = req.query?.reference;
+    const result = req.body?.Result;
+    if (!token || !signaturesMatch(String(MPESA_CALLBACK_TOKEN), String(token)) || !reference || !result) {
+        return { valid: false };
+    }
+    if (timedOut) {
+        return { valid: true, reference, inProgress: true };
+    }
+    if (Number(result.ResultCode) === TRANSACTION_NOT_FOUND_RESULT_CODE) {
+        return { valid: true, reference, succeeded: false, failureReason: `M-Pesa has no transfer for this payout (${result.ResultDesc}).` };
+    }
+    if (Number(result.ResultCode) !== 0) {
+        console.warn(`[mpesaB2cGateway] Status query for payout ${reference} was not answered (${result.ResultCode}: ${result.ResultDesc}); it will be checked again.`);
+        return { valid: true, reference, inProgress: true };
+    }
+
+    const status = getResultParameter(result, 'TransactionStatus');
+    const succeeded = status === 'Completed';
+    const failed = FAILED_TRANSACTION_STATUSES.includes(status);
+    return {
+        valid: true,
+        reference,
+        status,
+        succeeded,
+        inProgress: !succeeded && !failed,
+        receiptNumber: succeeded ? (getResultParameter(result, 'ReceiptNo') || result.TransactionID) : null,
+        failureReason: failed ? `M-Pesa reports the payout as ${status.toLowerCase()}.` : null
+    };
+};
+
+module.exports = {
+    name: 'mpesa',
+    displayName: 'M-Pesa',
+    recipientColumn: 'transcriber_mpesa_number',
+    batchReferenceColumn: null,
+    externalReferenceColumn: 'mpesa_conversation_id',
+    receiptColumn: 'mpesa_receipt_number',
+    isConfigured,
+    sendPayouts,
+    parseCallback,
+    requestPayoutStatus,
+    parseStatusCallback,
+    normalizePhoneNumber
+};
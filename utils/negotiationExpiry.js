@@ -0,0 +1,205 @@
+// backend/utils/negotiationExpiry.js
+
+const supabase = require('../database');
+const emailService = require('../emailService');
+
+/**
+ * Expires negotiations that have waited too long on the other party.
+ *
+ * Settings live in admin_settings.negotiation_expiry_settings (JSONB):
+ *   { enabled, ttl_hours: { pending, transcriber_counter, client_counter, accepted_awaiting_payment } }
+ * A negotiation's age is measured from its last change (updated_at). Once it passes the TTL for its
+ * status it moves to 'expired', both parties are told, and the transcriber is freed if it was holding
+ * their availability. Negotiations with paid milestones are left alone; money is in escrow there.
+ */
+
+const EXPIRED_STATUS = 'expired';
+const DEFAULT_TTL_HOURS = {
+    pending: 72,
+    transcriber_counter: 72,
+    client_counter: 72,
+    accepted_awaiting_payment: 48
+};
+const EXPIRABLE_STATUSES = Object.keys(DEFAULT_TTL_HOURS);
+const MAX_TTL_HOURS = 24 * 90;
+const DEFAULT_SWEEP_MINUTES = 15;
+const SWEEP_BATCH_SIZE = 200;
+
+const getNegotiationExpirySettings = async () => {
+    const { data: settings, error } = await supabase
+        .from('admin_settings')
+        .select('negotiation_expiry_settings')
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error('[getNegotiationExpirySettings] Error fetching negotiation expiry settings:', error);
+    }
+    const saved = settings?.negotiation_expiry_settings || {};
+    return {
+        enabled: saved.enabled !== false,
+        ttl_hours: { ...DEFAULT_TTL_HOURS, ...saved.ttl_hours }
+    };
+};
+
+/**
+ * Checks the settings an admin sent. Returns { error } or { settings } ready to save.
+ * @param {object} body { enabled, ttl_hours }, each optional; missing TTLs keep their defaults.
+ */
+const validateNegotiationExpirySettings = ({ enabled, ttl_hours: ttlHours = {} }) => {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return { error: 'enabled must be true or false.ᐟ' };
+    }
+    if (!ttlHours || typeof ttlHours !== 'object' || Array.isArray(ttlHours)) {
+        return { error: 'ttl_hours must be an object of negotiation statuses to hours.ᐟ' };
+    }
+    for (const [status, hours] of Object.entries(ttlHours)) {
+        if (!EXPIRABLE_STATUSES.includes(status)) {
+            return { error: `Negotiations with status '${status}' do not expire. Use one of: ${EXPIRABLE_STATUSES.join(', ')}.ᐟ` };
+        }
+        if (!Number.isInteger(hours) || hours < 1 || hours > MAX_TTL_HOURS) {
+            return { error: `ttl_hours.${status} must be a whole number of hours between 1 and ${MAX_TTL_HOURS}.ᐟ` };
+        }
+    }
+    return {
+        settings: {
+            enabled: enabled !== false,
+            ttl_hours: { ...DEFAULT_TTL_HOURS, ...ttlHours }
+        }
+    };
+};
+
+// Clears the transcriber's current job if this negotiation is the one holding it.
+const releaseTranscriberAvailability = async (negotiation) => {
+    if (!negotiation.transcriber_id) return;
+
+    const { data: transcriber, error } = await supabase
+        .from('users')
+        .select('current_job_id')
+        .eq('id', negotiation.transcriber_id)
+        .single();
+
+    if (error) {
+        console.error(`[releaseTranscriberAvailability] Error fetching transcriber ${negotiation.transcriber_id}:`, error);
+        return;
+    }
+    if (transcriber.current_job_id === negotiation.id) {
+        // Imported locally to avoid a circular dependency, as in paymentFulfillment.
+        const { syncAvailabilityStatus } = require('../controllers/transcriberController');
+        await syncAvailabilityStatus(negotiation.transcriber_id, null);
+    }
+};
+
+const notifyNegotiationExpired = async (negotiation, previousStatus, io) => {
+    const payload = {
+        negotiationId: negotiation.id,
+        previousStatus,
+        newStatus: EXPIRED_STATUS,
+        message: `Negotiation #${negotiation.id} expired after waiting too long in '${previousStatus}'.`
+    };
+
+    for (const party of [negotiation.client, negotiation.transcriber]) {
+        if (!party) continue;
+        if (io) io.to(party.id).emit('negotiation_expired', payload);
+        await emailService.sendNegotiationExpiredEmail(party, negotiation, previousStatus);
+    }
+};
+
+/**
+ * Expires every negotiation past its TTL. Each row is moved only if its status and updated_at are
+ * still what was read, so a reply that lands mid-sweep wins.
+ * @param {object} [io] Socket.IO server for the notifications.
+ * @returns {Promise<{expired: Array<{id: string, previousStatus: string}>, skipped: boolean}>}
+ */
+const expireStaleNegotiations = async (io) => {
+    const settings = await getNegotiationExpirySettings();
+    if (!settings.enabled) return { expired: [], skipped: true };
+
+    const expired = [];
+    for (const status of EXPIRABLE_STATUSES) {
+        const cutoff = new Date(Date.now() - settings.ttl_hours[status] * 60 * 60 * 1000).toISOString();
+
+        const { data: stale, error } = await supabase
+            .from('negotiations')
+            .select(`
+                id, status, client_id, transcriber_id, agreed_price_usd, deadline_hours, updated_at, milestones_cleared,
+                client:users!client_id(id, full_name, email),
+                transcriber:users!transcriber_id(id, full_name, email)
+            `)
+            .eq('status', status)
+            .lt('updated_at', cutoff)
+            .order('updated_at', { ascending: true })
+            .limit(SWEEP_BATCH_SIZE);
+
+        if (error) {
+            console.error(`[expireStaleNegotiations] Error fetching stale '${status}' negotiations:`, error);
+            continue;
+        }
+
+        for (const negotiation of stale) {
+            if (negotiation.milestones_cleared > 0) continue;
+
+            const { data: updated, error: updateError } = await supabase
+                .from('negotiations')
+                .update({ status: EXPIRED_STATUS, updated_at: new Date().toISOString() })
+                .eq('id', negotiation.id)
+                .eq('status', status)
+                .eq('updated_at', negotiation.updated_at)
+                .select('id');
+
+            if (updateError) {
+                console.error(`[expireStaleNegotiations] Error expiring negotiation ${negotiation.id}:`, updateError);
+                continue;
+            }
+            if (!updated || updated.length === 0) continue;
+
+            console.log(`[expireStaleNegotiations] Negotiation ${negotiation.id} expired from '${status}'.`);
+            expired.push({ id: negotiation.id, previousStatus: status });
+            try {
+                await releaseTranscriberAvailability(negotiation);
+                await notifyNegotiationExpired(negotiation, status, io);
+            } catch (notifyError) {
+                console.error(`[expireStaleNegotiations] Error after expiring negotiation ${negotiation.id}:`, notifyError);
+            }
+        }
+    }
+    return { expired, skipped: false };
+};
+
+/**
+ * Runs expireStaleNegotiations every NEGOTIATION_EXPIRY_SWEEP_MINUTES (15 by default). Sweeps never
+ * overlap, and the timer does not keep the process alive on its own.
+ * @param {object} io Socket.IO server.
+ */
+const startNegotiationExpirySweeper = (io) => {
+    const minutes = parseFloat(process.env.NEGOTIATION_EXPIRY_SWEEP_MINUTES) || DEFAULT_SWEEP_MINUTES;
+    let running = false;
+
+    const sweep = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const { expired } = await expireStaleNegotiations(io);
+            if (expired.length > 0) {
+                console.log(`[startNegotiationExpirySweeper] Expired ${expired.length} negotiation(s).`);
+            }
+        } catch (error) {
+            console.error('[startNegotiationExpirySweeper] Sweep failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(sweep, minutes * 60 * 1000);
+    timer.unref();
+    console.log(`Negotiation expiry sweeper running every ${minutes} minute(s).`);
+    return timer;
+};
+
+module.exports = {
+    EXPIRED_STATUS,
+    EXPIRABLE_STATUSES,
+    getNegotiationExpirySettings,
+    validateNegotiationExpirySettings,
+    expireStaleNegotiations,
+    startNegotiationExpirySweeper
+};
@@ -0,0 +1,248 @@
+// backend/utils/negotiationMilestones.js
+
+const supabase = require('../database');
+const { getAmountDueUsd } = require('./promoCodes');
+
+/**
+ * Milestone (partial) payment schedules for negotiated jobs.
+ *
+ * Table `negotiation_milestones`:
+ *   id, negotiation_id, sequence_number (1..n, unique per negotiation), label, percentage,
+ *   due_on ('hire' | 'delivery'), status ('unpaid' | 'paid' | 'released'), amount_usd (set when paid),
+ *   payment_id, paid_at, released_at, created_at
+ * Negotiation columns: milestone_count (0 = paid in full on hire), milestones_cleared (milestones paid so far).
+ *
+ * Milestones are paid in sequence, each as its own charge and payments row. 'hire' milestones are paid
+ * while the negotiation is accepted_awaiting_payment and the transcriber is hired once the last of them
+ * clears; they are released to payouts when the work is delivered. 'delivery' milestones are paid once
+ * the transcriber has delivered (status delivered_awaiting_payment) and are released as soon as they are
+ * paid. Amounts are worked out from the percentages at payment time, with the last milestone taking
+ * whatever is left of the amount due so the milestones always add up to it.
+ */
+
+const MILESTONE_DUE_POINTS = ['hire', 'delivery'];
+const DELIVERED_AWAITING_PAYMENT = 'delivered_awaiting_payment';
+const MIN_MILESTONES = 2;
+const MAX_MILESTONES = 5;
+
+// The negotiation status in which a milestone due at each point can be paid.
+const MILESTONE_PAYABLE_STATUS = {
+    hire: 'accepted_awaiting_payment',
+    delivery: DELIVERED_AWAITING_PAYMENT
+};
+
+// Statuses in which the client may still change the schedule; once accepted it is part of the deal.
+const SCHEDULE_EDITABLE_STATUSES = ['pending', 'transcriber_counter', 'client_counter'];
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Checks a schedule sent by a client, e.g. [{ label: 'Deposit', percentage: 50, dueOn: 'hire' }, { percentage: 50, dueOn: 'delivery' }].
+ * @returns {{error: string} | {schedule: Array<{label: string, percentage: number, due_on: string}>}}
+ */
+const validateMilestoneSchedule = (milestones) => {
+    if (!Array.isArray(milestones) || milestones.length < MIN_MILESTONES || milestones.length > MAX_MILESTONES) {
+        return { error: `A milestone schedule needs between ${MIN_MILESTONES} and ${MAX_MILESTONES} milestones.ᐟ` };
+    }
+
+    let totalHundredths = 0;
+    let deliveryReached = false;
+    const schedule = [];
+
+    for (const [index, milestone] of milestones.entries()) {
+        const percentage = Number(milestone?.percentage);
+        if (!Number.isFinite(percentage) || percentage <= 0 || Math.abs(Math.round(percentage * 100) - percentage * 100) > 1e-6) {
+            return { error: `Milestone ${index + 1} needs a positive percentage with at most two decimals.ᐟ` };
+        }
+        if (!MILESTONE_DUE_POINTS.includes(milestone.dueOn)) {
+            return { error: `Milestone ${index + 1} must be due on ${MILESTONE_DUE_POINTS.join(' or ')}.ᐟ` };
+        }
+        if (milestone.dueOn === 'hire' && deliveryReached) {
+            return { error: 'Milestones due on hire must come before milestones due on delivery.ᐟ' };
+        }
+        deliveryReached = deliveryReached || milestone.dueOn === 'delivery';
+        totalHundredths += Math.round(percentage * 100);
+
+        schedule.push({
+            label: (milestone.label && String(milestone.label).trim().substring(0, 100)) || `${milestone.dueOn === 'hire' ? 'On hire' : 'On delivery'} (${percentage}%)`,
+            percentage,
+            due_on: milestone.dueOn
+        });
+    }
+
+    if (schedule[0].due_on !== 'hire') {
+        return { error: 'The first milestone must be due on hire.ᐟ' };
+    }
+    if (totalHundredths !== 10000) {
+        return { error: 'Milestone percentages must add up to 100.ᐟ' };
+    }
+    return { schedule };
+};
+
+const getNegotiationMilestones = async (negotiationId) => {
+    const { data, error } = await supabase
+        .from('negotiation_milestones')
+        .select('*')
+        .eq('negotiation_id', negotiationId)
+        .order('sequence_number', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Replaces a negotiation's schedule. An empty schedule goes back to paying in full on hire.
+ * @param {string} negotiationId
+ * @param {Array} schedule From validateMilestoneSchedule, or [].
+ * @returns {Promise<Array>} The new milestone rows.
+ */
+const saveMilestoneSchedule = async (negotiationId, schedule) => {
+    const { error: deleteError } = await supabase
+        .from('negotiation_milestones')
+        .delete()
+        .eq('negotiation_id', negotiationId);
+    if (deleteError) throw deleteError;
+
+    let milestones = [];
+    if (schedule.length > 0) {
+        const now = new Date().toISOString();
+        const { data, error: insertError } = await supabase
+            .from('negotiation_milestones')
+            .insert(schedule.map((milestone, index) => ({
+                negotiation_id: negotiationId,
+                sequence_number: index + 1,
+                ...milestone,
+                status: 'unpaid',
+                created_at: now
+            })))
+            .select();
+        if (insertError) throw insertError;
+        milestones = (data || []).sort((a, b) => a.sequence_number - b.sequence_number);
+    }
+
+    const { error: updateError } = await supabase
+        .from('negotiations')
+        .update({ milestone_count: milestones.length, milestones_cleared: 0, updated_at: new Date().toISOString() })
+        .eq('id', negotiationId);
+    if (updateError) throw updateError;
+
+    return milestones;
+};
+
+/**
+ * Adds what each milestone costs: the recorded amount once paid, otherwise its share of the amount due.
+ * @param {object} negotiation Needs agreed_price_usd and discount_amount_usd.
+ * @param {Array} milestones From getNegotiationMilestones.
+ */
+const priceMilestones = (negotiation, milestones) => {
+    const amountDueCents = toCents(getAmountDueUsd('negotiation', negotiation));
+    let allocatedCents = 0;
+
+    return milestones.map((milestone, index) => {
+        let amountCents;
+        if (milestone.status !== 'unpaid') {
+            amountCents = toCents(milestone.amount_usd);
+        } else if (index === milestones.length - 1) {
+            amountCents = amountDueCents - allocatedCents;
+        } else {
+            amountCents = Math.round(amountDueCents * milestone.percentage / 100);
+        }
+        allocatedCents += amountCents;
+        return { ...milestone, amount_usd: fromCents(amountCents) };
+    });
+};
+
+/**
+ * The next milestone to pay and its amount, or null once every milestone is paid.
+ * @returns {{milestone: object, amountUsd: number, isPayableNow: boolean} | null}
+ */
+const getNextMilestone = (negotiation, milestones) => {
+    const priced = priceMilestones(negotiation, milestones);
+    const milestone = priced.find(m => m.status === 'unpaid');
+    if (!milestone) return null;
+    return {
+        milestone,
+        amountUsd: milestone.amount_usd,
+        isPayableNow: negotiation.status === MILESTONE_PAYABLE_STATUS[milestone.due_on]
+    };
+};
+
+const hasUnpaidMilestones = (milestones, dueOn) => milestones.some(m => m.status === 'unpaid' && (!dueOn || m.due_on === dueOn));
+
+/**
+ * Claims an unpaid milestone for a charge. Resolves to null when another charge already paid it.
+ * @param {object} milestone
+ * @param {number} amountUsd
+ */
+const claimMilestone = async (milestone, amountUsd) => {
+    const { data, error } = await supabase
+        .from('negotiation_milestones')
+        .update({ status: 'paid', amount_usd: amountUsd, paid_at: new Date().toISOString() })
+        .eq('id', milestone.id)
+        .eq('status', 'unpaid')
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+// Gives a claimed milestone back when its payment could not be recorded.
+const unclaimMilestone = async (milestone) => {
+    const { error } = await supabase
+        .from('negotiation_milestones')
+        .update({ status: 'unpaid', amount_usd: null, paid_at: null })
+        .eq('id', milestone.id)
+        .is('payment_id', null);
+
+    if (error) console.error(`[unclaimMilestone] Error releasing claim on milestone ${milestone.id}:`, error);
+};
+
+const linkMilestonePayment = async (milestone, paymentId, released) => {
+    const { data, error } = await supabase
+        .from('negotiation_milestones')
+        .update({
+            payment_id: paymentId,
+            ...(released && { status: 'released', released_at: new Date().toISOString() })
+        })
+        .eq('id', milestone.id)
+        .select()
+        .single();
+
+    if (error) throw error;
+    return data;
+};
+
+// Marks the milestones paid by these (just released) payments as released. Logs instead of throwing.
+const markMilestonesReleased = async (payments) => {
+    const paymentIds = (payments || []).filter(payment => payment.milestone_id).map(payment => payment.id);
+    if (paymentIds.length === 0) return;
+
+    const { error } = await supabase
+        .from('negotiation_milestones')
+        .update({ status: 'released', released_at: new Date().toISOString() })
+        .in('payment_id', paymentIds)
+        .eq('status', 'paid');
+
+    if (error) {
+        console.error('[markMilestonesReleased] Error marking milestones released:', error);
+    }
+};
+
+module.exports = {
+    MILESTONE_DUE_POINTS,
+    MILESTONE_PAYABLE_STATUS,
+    DELIVERED_AWAITING_PAYMENT,
+    SCHEDULE_EDITABLE_STATUSES,
+    validateMilestoneSchedule,
+    getNegotiationMilestones,
+    saveMilestoneSchedule,
+    priceMilestones,
+    getNextMilestone,
+    hasUnpaidMilestones,
+    claimMilestone,
+    unclaimMilestone,
+    linkMilestonePayment,
+    markMilestonesReleased
+};
@@ -0,0 +1,108 @@
+// backend/utils/negotiationOffers.js
+
+const supabase = require('../database');
+
+/**
+ * Append-only history of the offers made on a negotiation.
+ *
+ * Table `negotiation_offers`:
+ *   id, negotiation_id, action ('proposal' | 'counter' | 'accept' | 'reject'), actor_id,
+ *   actor_role ('client' | 'transcriber'), price_usd, deadline_hours, message, status_after, created_at
+ * The negotiation row keeps only the current terms; each step that changes them appends a row here
+ * with the terms as they stood after it, so earlier rounds stay visible.
+ */
+
+const OFFER_ACTIONS = ['proposal', 'counter', 'accept', 'reject'];
+
+/**
+ * Appends an offer after the negotiation change has been saved. Logs instead of throwing, so a
+ * history problem never fails the negotiation step itself.
+ * @param {object} negotiation The negotiation after the change; needs id, status, agreed_price_usd, deadline_hours.
+ * @param {object} offer
+ * @param {string} offer.action One of OFFER_ACTIONS.
+ * @param {string} offer.actorId
+ * @param {string} offer.actorRole 'client' or 'transcriber'.
+ * @param {string} [offer.message]
+ */
+const recordNegotiationOffer = async (negotiation, { action, actorId, actorRole, message = null }) => {
+    const { data, error } = await supabase
+        .from('negotiation_offers')
+        .insert([{
+            negotiation_id: negotiation.id,
+            action,
+            actor_id: actorId,
+            actor_role: actorRole,
+            price_usd: negotiation.agreed_price_usd,
+            deadline_hours: negotiation.deadline_hours,
+            message: message || null,
+            status_after: negotiation.status,
+            created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error(`[recordNegotiationOffer] Error recording ${action} on negotiation ${negotiation.id}:`, error);
+        return null;
+    }
+    return data;
+};
+
+// Every offer on a negotiation, oldest first.
+const getNegotiationOffers = async (negotiationId) => {
+    const { data, error } = await supabase
+        .from('negotiation_offers')
+        .select('*, actor:users!actor_id(full_name)')
+        .eq('negotiation_id', negotiationId)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+// Ids per request, to keep the .in() filter's URL short.
+const NEGOTIATION_ID_CHUNK_SIZE = 100;
+// Supabase returns at most 1000 rows per request, so offers are read page by page.
+const OFFER_PAGE_SIZE = 1000;
+
+/**
+ * The most recent offer on each of the given negotiations. Like recordNegotiationOffer it logs instead of
+ * throwing, so the negotiation lists that show it never fail over the history.
+ * @param {Array<string>} negotiationIds
+ * @returns {Promise<Map<string, object>>} Negotiations without any recorded offer are left out; empty on error.
+ */
+const getLatestOffers = async (negotiationIds) => {
+    const latest = new Map();
+    try {
+        for (let start = 0; start < negotiationIds.length; start += NEGOTIATION_ID_CHUNK_SIZE) {
+            const chunk = negotiationIds.slice(start, start + NEGOTIATION_ID_CHUNK_SIZE);
+            for (let offset = 0; ; offset += OFFER_PAGE_SIZE) {
+                const { data, error } = await supabase
+                    .from('negotiation_offers')
+                    .select('*')
+                    .in('negotiation_id', chunk)
+                    .order('created_at', { ascending: false })
+                    .order('id', { ascending: false })
+                    .range(offset, offset + OFFER_PAGE_SIZE - 1);
+
+                if (error) throw error;
+                for (const offer of data) {
+                    if (!latest.has(offer.negotiation_id)) latest.set(offer.negotiation_id, offer);
+                }
+                if (data.length < OFFER_PAGE_SIZE) break;
+            }
+        }
+        return latest;
+    } catch (error) {
+        console.error(`[getLatestOffers] Error fetching the latest offers for ${negotiationIds.length} negotiation(s):`, error);
+        return new Map();
+    }
+};
+
+module.exports = {
+    OFFER_ACTIONS,
+    recordNegotiationOffer,
+    getNegotiationOffers,
+    getLatestOffers
+};
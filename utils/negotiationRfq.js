@@ -0,0 +1,97 @@
+// backend/utils/negotiationRfq.js
+
+const supabase = require('../database');
+const emailService = require('../emailService');
+
+/**
+ * Request-for-quote: one job sent to several transcribers at once.
+ *
+ * Negotiations column: rfq_id (uuid, nullable). Every negotiation created by the same request shares
+ * an rfq_id and otherwise negotiates on its own (accept, counter, reject). Once the client pays one of
+ * them, the siblings still open are closed as 'rfq_closed' and their transcribers are told.
+ */
+
+const MAX_RFQ_TRANSCRIBERS = 5;
+const RFQ_CLOSED_STATUS = 'rfq_closed';
+// Statuses in which nothing has been paid, so a sibling can still be closed.
+const RFQ_OPEN_STATUSES = ['pending', 'transcriber_counter', 'client_counter', 'accepted_awaiting_payment'];
+
+// The negotiations of an RFQ with their transcribers, cheapest current terms first.
+const getRfqNegotiations = async (rfqId) => {
+    const { data, error } = await supabase
+        .from('negotiations')
+        .select(`
+            id, rfq_id, status, client_id, transcriber_id, agreed_price_usd, deadline_hours, due_date,
+            transcriber_response, milestone_count, milestones_cleared, created_at, updated_at,
+            transcriber:users!transcriber_id(id, full_name, transcriber_average_rating, transcriber_completed_jobs)
+        `)
+        .eq('rfq_id', rfqId)
+        .order('agreed_price_usd', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+/**
+ * Closes the other open negotiations of the RFQ a paid negotiation belongs to. Each sibling is moved only
+ * if its status is still what was read; failures are logged so they never undo the payment.
+ * @param {object} negotiation The negotiation that was paid; needs id and rfq_id.
+ * @param {object} [io] Socket.IO server for the notifications.
+ * @returns {Promise<Array<string>>} IDs of the closed siblings.
+ */
+const closeRfqSiblings = async (negotiation, io) => {
+    if (!negotiation.rfq_id) return [];
+
+    const { data: siblings, error } = await supabase
+        .from('negotiations')
+        .select('id, status, milestones_cleared, transcriber:users!transcriber_id(id, full_name, email)')
+        .eq('rfq_id', negotiation.rfq_id)
+        .neq('id', negotiation.id)
+        .in('status', RFQ_OPEN_STATUSES);
+
+    if (error) {
+        console.error(`[closeRfqSiblings] Error fetching siblings of negotiation ${negotiation.id}:`, error);
+        return [];
+    }
+
+    const closed = [];
+    for (const sibling of siblings) {
+        if (sibling.milestones_cleared > 0) continue;
+
+        const { data: updated, error: updateError } = await supabase
+            .from('negotiations')
+            .update({ status: RFQ_CLOSED_STATUS, updated_at: new Date().toISOString() })
+            .eq('id', sibling.id)
+            .eq('status', sibling.status)
+            .select('id');
+
+        if (updateError) {
+            console.error(`[closeRfqSiblings] Error closing negotiation ${sibling.id}:`, updateError);
+            continue;
+        }
+        if (!updated || updated.length === 0) continue;
+        closed.push(sibling.id);
+
+        if (!sibling.transcriber) continue;
+        if (io) {
+            io.to(sibling.transcriber.id).emit('negotiation_closed', {
+                negotiationId: sibling.id,
+                message: 'The client has hired another transcriber for this request.',
+                newStatus: RFQ_CLOSED_STATUS
+            });
+        }
+        await emailService.sendRfqClosedEmail(sibling.transcriber, sibling);
+    }
+
+    if (closed.length > 0) {
+        console.log(`[closeRfqSiblings] Closed ${closed.length} sibling(s) of negotiation ${negotiation.id} in RFQ ${negotiation.rfq_id}.`);
+    }
+    return closed;
+};
+
+module.exports = {
+    MAX_RFQ_TRANSCRIBERS,
+    RFQ_CLOSED_STATUS,
+    getRfqNegotiations,
+    closeRfqSiblings
+};
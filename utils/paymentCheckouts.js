@@ -0,0 +1,72 @@
+// backend/utils/paymentCheckouts.js
+
+const supabase = require('../database');
+
+/**
+ * Charges the server has started with a gateway, recorded at initialize so verification never has to trust
+ * what comes back from the client's browser. KoraPay's inline widget, for one, lets the payer edit the metadata.
+ *
+ * Table `payment_checkouts`:
+ *   id, reference (unique), gateway, job_type, job_id, client_id, amount_usd, currency, exchange_rate,
+ *   amount_charged, created_at
+ * amount_usd is the USD amount the checkout was started for; amount_charged is that amount converted at
+ * exchange_rate into `currency`, as sent to the gateway.
+ */
+
+/**
+ * Records a checkout just before its data is handed to the gateway or the browser.
+ * @param {object} checkout
+ * @param {string} checkout.reference The gateway reference generated for the charge.
+ * @param {string} checkout.gateway The gateway adapter's name.
+ * @param {string} checkout.jobType
+ * @param {string} checkout.jobId
+ * @param {string} [checkout.clientId]
+ * @param {number} checkout.amountUsd
+ * @param {string} checkout.currency
+ * @param {number} checkout.exchangeRate Units of `currency` per 1 USD.
+ * @param {number} checkout.amountCharged
+ */
+const recordCheckout = async ({ reference, gateway, jobType, jobId, clientId, amountUsd, currency, exchangeRate, amountCharged }) => {
+    const { data, error } = await supabase
+        .from('payment_checkouts')
+        .insert([{
+            reference,
+            gateway,
+            job_type: jobType,
+            job_id: jobId,
+            client_id: clientId || null,
+            amount_usd: amountUsd,
+            currency,
+            exchange_rate: exchangeRate,
+            amount_charged: amountCharged,
+            created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error(`[recordCheckout] Error recording ${gateway} checkout ${reference}:`, error);
+        throw error;
+    }
+    return data;
+};
+
+// The checkout recorded for a gateway reference, or null for charges the server never started.
+const getCheckout = async (reference) => {
+    const { data, error } = await supabase
+        .from('payment_checkouts')
+        .select('*')
+        .eq('reference', reference)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`[getCheckout] Error fetching checkout ${reference}:`, error);
+        throw error;
+    }
+    return data;
+};
+
+module.exports = {
+    recordCheckout,
+    getCheckout
+};
@@ -0,0 +1,723 @@
+// backend/utils/paymentFulfillment.js
+
+const supabase = require('../database');
+const emailService = require('../emailService');
+const { TRAINING_FEE_USD } = require('./paymentUtils');
+const { calculateTranscriberPay } = require('./commissionCalculator');
+const { getGateway } = require('./paymentGateway');
+const { recordPaymentReceived, recordWalletTopUp, recordEscrowRelease } = require('./ledger');
+const { WALLET_PAYMENT_METHOD, postWalletTransaction, findWalletTransaction } = require('./wallet');
+const { getAmountDueUsd, confirmPromoCodeBeforePayment, markPromoCodeRedeemed } = require('./promoCodes');
+const {
+    getNegotiationMilestones,
+    getNextMilestone,
+    hasUnpaidMilestones,
+    claimMilestone,
+    unclaimMilestone,
+    linkMilestonePayment
+} = require('./negotiationMilestones');
+const { issueInvoice, buildInvoiceAttachment } = require('./invoiceService');
+const { holdPaymentIfDisputed } = require('./payoutHolds');
+const { RFQ_CLOSED_STATUS, closeRfqSiblings } = require('./negotiationRfq');
+const { EXPIRED_STATUS } = require('./negotiationExpiry');
+const { getCheckout } = require('./paymentCheckouts');
+
+/**
+ * Records a successful gateway charge and moves the paid-for job forward.
+ *
+ * A charge can reach us through the browser-driven verify endpoints, the gateway
+ * webhooks, or both (and webhooks are retried), so every fulfill* function here is
+ * idempotent: the gateway reference is checked against `payments` before anything
+ * is written, and a job that has already moved past payment is left untouched.
+ *
+ * Each fulfill* function resolves to `{ outcome, payment, job }` where outcome is one of:
+ *   'recorded'          - a new payments row was inserted and the job was updated
+ *   'already_processed' - this reference (or this job) was already paid for; nothing was written
+ *   'job_not_found'     - the related job/trainee does not exist
+ *   'amount_mismatch'   - the charged amount does not match what the job costs (after any promo discount)
+ *   'milestone_not_due' - (milestone negotiations) the next milestone cannot be paid in the job's current status
+ *   'refund_required'   - (negotiations) the job can no longer be paid for; the charge was recorded with
+ *                         payout_status 'refund_required' so an admin can refund it, and the job was left as is
+ *
+ * Direct upload jobs can also be paid from the client's wallet (payDirectUploadFromWallet). Such payments
+ * use paymentMethod 'wallet' and point at their wallet debit through payments.wallet_transaction_id.
+ */
+
+const amountsMatch = (amountA, amountB) => Math.round(amountA * 100) === Math.round(amountB * 100);
+
+// Negotiation statuses a charge can no longer pay for, e.g. one that expired while the client was at checkout,
+// or a quote closed because the client paid another quote of the same request-for-quote.
+const UNPAYABLE_NEGOTIATION_STATUSES = [EXPIRED_STATUS, RFQ_CLOSED_STATUS];
+const REFUND_REQUIRED_PAYOUT_STATUS = 'refund_required';
+
+const getReferenceColumn = (paymentMethod) => (
+    paymentMethod === WALLET_PAYMENT_METHOD ? 'wallet_transaction_id' : getGateway(paymentMethod).referenceColumn
+);
+
+// Looks up a payments row already recorded for this gateway reference (or wallet debit), if any.
+const findRecordedPayment = async (paymentMethod, reference) => {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('id, negotiation_id, direct_upload_job_id, related_job_type, client_id, transcriber_id, amount, payout_status')
+        .eq(getReferenceColumn(paymentMethod), reference)
+        .limit(1);
+
+    if (error) {
+        console.error(`[findRecordedPayment] Error checking for existing payment with reference ${reference}:`, error);
+        throw error;
+    }
+    return payments && payments.length > 0 ? payments[0] : null;
+};
+
+// Builds the columns shared by every payments row, whatever the job type.
+const buildPaymentData = ({ paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }) => {
+    const sourceColumns = paymentMethod === WALLET_PAYMENT_METHOD
+        ? { wallet_transaction_id: transaction.reference }
+        : { [getGateway(paymentMethod).referenceColumn]: transaction.reference, [getGateway(paymentMethod).statusColumn]: transaction.status };
+    return {
+        currency: 'USD',
+        amount: amountPaidUsd,
+        ...sourceColumns,
+        transaction_date: new Date(transaction.paid_at || Date.now()).toISOString(),
+        currency_paid_by_client: currencyPaid,
+        exchange_rate_used: exchangeRate
+    };
+};
+
+/**
+ * Inserts a payments row. Returns null instead of throwing when a concurrent call
+ * already inserted the same reference (unique violation), so the caller can treat
+ * it as already processed. A new row is also posted to the ledger.
+ */
+const insertPaymentRecord = async (paymentData) => {
+    const { data: paymentRecord, error } = await supabase
+        .from('payments')
+        .insert([paymentData])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            console.warn('[insertPaymentRecord] Payment reference was recorded concurrently. Skipping duplicate insert.');
+            return null;
+        }
+        console.error('Error recording payment in Supabase: ', error);
+        throw error;
+    }
+    await recordPaymentReceived(paymentRecord);
+    return paymentRecord;
+};
+
+// Issues the payment's invoice and renders it for the confirmation email; no attachment if either step fails.
+const prepareReceiptAttachments = async (paymentRecord) => {
+    const invoice = await issueInvoice(paymentRecord);
+    const attachment = invoice ? await buildInvoiceAttachment(invoice) : null;
+    return attachment ? [attachment] : [];
+};
+
+const fetchUserForEmail = async (userId) => {
+    if (!userId) return null;
+    const { data: user, error } = await supabase.from('users').select('full_name, email').eq('id', userId).single();
+    if (error) console.error(`Error fetching user ${userId} for payment email: `, error);
+    return user || null;
+};
+
+// A hired job's deadline runs from the moment it is hired, not from when it was first proposed.
+const dueDateFromNow = (deadlineHours) => new Date(Date.now() + deadlineHours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Records a charge for a negotiation that can no longer be paid for. It earns the transcriber nothing and
+ * moves nothing forward; the row only keeps the money traceable and refundable through the refund endpoint.
+ */
+const recordNegotiationChargeForRefund = async (negotiation, chargeDetails) => {
+    const paymentRecord = await insertPaymentRecord({
+        ...buildPaymentData(chargeDetails),
+        related_job_type: 'negotiation',
+        negotiation_id: negotiation.id,
+        direct_upload_job_id: null,
+        client_id: negotiation.client_id,
+        transcriber_id: null,
+        transcriber_earning: 0,
+        payout_status: REFUND_REQUIRED_PAYOUT_STATUS
+    });
+    if (!paymentRecord) {
+        return { outcome: 'already_processed', job: negotiation };
+    }
+    console.error(`[recordNegotiationChargeForRefund] Charge ${chargeDetails.transaction.reference} arrived for negotiation ${negotiation.id} in status '${negotiation.status}'. Recorded as payment ${paymentRecord.id} for refund.`);
+    return { outcome: 'refund_required', payment: paymentRecord, job: negotiation };
+};
+
+/**
+ * Records a verified charge for a negotiation and hires the transcriber.
+ * @param {object} params
+ * @param {string} params.negotiationId The negotiation the charge pays for.
+ * @param {string} params.paymentMethod The gateway that took the charge.
+ * @param {object} params.transaction The verified gateway transaction (needs reference, status, paid_at).
+ * @param {number} params.amountPaidUsd The charged amount converted back to USD.
+ * @param {string} params.currencyPaid The currency the client was charged in.
+ * @param {number} params.exchangeRate The USD exchange rate used for the charge.
+ * @param {object} io Socket.IO server instance (optional).
+ */
+const fulfillNegotiationPayment = async ({ negotiationId, paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io) => {
+    const existingPayment = await findRecordedPayment(paymentMethod, transaction.reference);
+    if (existingPayment) {
+        console.warn(`[fulfillNegotiationPayment] Reference ${transaction.reference} already recorded as payment ${existingPayment.id}. Skipping.`);
+        return { outcome: 'already_processed', payment: existingPayment };
+    }
+
+    const { data: negotiation, error: fetchError } = await supabase
+        .from('negotiations')
+        .select('id, client_id, transcriber_id, agreed_price_usd, discount_amount_usd, promo_code_id, deadline_hours, status, milestone_count, milestones_cleared, rfq_id')
+        .eq('id', negotiationId)
+        .single();
+
+    if (fetchError || !negotiation) {
+        console.error(`[fulfillNegotiationPayment] Error fetching negotiation ${negotiationId}: `, fetchError);
+        return { outcome: 'job_not_found' };
+    }
+    if (UNPAYABLE_NEGOTIATION_STATUSES.includes(negotiation.status)) {
+        return recordNegotiationChargeForRefund(negotiation, { paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate });
+    }
+    if (negotiation.milestone_count > 0) {
+        return fulfillNegotiationMilestonePayment(negotiation, { paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io);
+    }
+    if (negotiation.status === 'hired' || negotiation.status === 'completed') {
+        return { outcome: 'already_processed', job: negotiation };
+    }
+    if (!amountsMatch(amountPaidUsd, getAmountDueUsd('negotiation', negotiation))) {
+        console.error('[fulfillNegotiationPayment] Amount mismatch. Paid USD:', amountPaidUsd, 'Due USD:', getAmountDueUsd('negotiation', negotiation));
+        return { outcome: 'amount_mismatch', job: negotiation };
+    }
+
+    const { earning: transcriberEarning } = await calculateTranscriberPay({
+        amountUsd: amountPaidUsd,
+        jobType: 'negotiation',
+        transcriberId: negotiation.transcriber_id
+    });
+
+    const paymentRecord = await insertPaymentRecord({
+        ...buildPaymentData({ paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }),
+        related_job_type: 'negotiation',
+        negotiation_id: negotiationId,
+        direct_upload_job_id: null,
+        client_id: negotiation.client_id,
+        transcriber_id: negotiation.transcriber_id,
+        transcriber_earning: transcriberEarning,
+        payout_status: 'awaiting_completion'
+    });
+    if (!paymentRecord) {
+        return { outcome: 'already_processed', job: negotiation };
+    }
+    if (negotiation.promo_code_id) {
+        await markPromoCodeRedeemed('negotiation', negotiationId, paymentRecord.id);
+    }
+
+    const newJobStatus = 'hired';
+    const { error: jobUpdateError } = await supabase
+        .from('negotiations')
+        .update({ status: newJobStatus, due_date: dueDateFromNow(negotiation.deadline_hours), updated_at: new Date().toISOString() })
+        .eq('id', negotiationId);
+
+    if (jobUpdateError) {
+        console.error(`Error updating job status to ${newJobStatus} for negotiation ${negotiationId}: `, jobUpdateError);
+        throw jobUpdateError;
+    }
+
+    if (negotiation.transcriber_id) {
+        // Imported locally to avoid a circular dependency (transcriberController -> paymentController).
+        const { syncAvailabilityStatus } = require('../controllers/transcriberController');
+        await syncAvailabilityStatus(negotiation.transcriber_id, negotiationId);
+    }
+    // NEW: Paying one quote of a request-for-quote closes the others.
+    await closeRfqSiblings(negotiation, io);
+
+    const clientUser = await fetchUserForEmail(negotiation.client_id);
+    const transcriberUser = await fetchUserForEmail(negotiation.transcriber_id);
+    const receiptAttachments = await prepareReceiptAttachments(paymentRecord);
+    if (clientUser) {
+        await emailService.sendPaymentConfirmationEmail(clientUser, transcriberUser, negotiation, paymentRecord, receiptAttachments);
+    }
+
+    if (io) {
+        io.to(negotiation.client_id).emit('payment_successful', {
+            relatedJobId: negotiationId,
+            jobType: 'negotiation',
+            message: 'Your payment was successful and the job is now active!ᐟ',
+            newStatus: newJobStatus
+        });
+        if (negotiation.transcriber_id) {
+            io.to(negotiation.transcriber_id).emit('job_hired', {
+                relatedJobId: negotiationId,
+                jobType: 'negotiation',
+                message: 'A client has paid for your accepted job. The job is now active!ᐟ',
+                newStatus: newJobStatus
+            });
+            console.log(`Emitted 'payment_successful' to client ${negotiation.client_id} and 'job_hired' to transcriber ${negotiation.transcriber_id}`);
+        }
+    }
+
+    return { outcome: 'recorded', payment: paymentRecord, job: negotiation };
+};
+
+/**
+ * NEW: Records a verified charge against the next milestone of a negotiation paid in milestones
+ * (see utils/negotiationMilestones.js). Hire milestones are held until delivery; a delivery milestone is
+ * released to payouts straight away since the work it pays for has been delivered.
+ */
+const fulfillNegotiationMilestonePayment = async (negotiation, { paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io) => {
+    const negotiationId = negotiation.id;
+    const milestones = await getNegotiationMilestones(negotiationId);
+    const next = getNextMilestone(negotiation, milestones);
+
+    if (!next) {
+        return { outcome: 'already_processed', job: negotiation };
+    }
+    if (!next.isPayableNow) {
+        console.error(`[fulfillNegotiationMilestonePayment] Milestone ${next.milestone.sequence_number} of negotiation ${negotiationId} is due on ${next.milestone.due_on}, but the negotiation is ${negotiation.status}.`);
+        return { outcome: 'milestone_not_due', job: negotiation };
+    }
+    if (!amountsMatch(amountPaidUsd, next.amountUsd)) {
+        console.error('[fulfillNegotiationMilestonePayment] Amount mismatch. Paid USD:', amountPaidUsd, 'Milestone USD:', next.amountUsd);
+        return { outcome: 'amount_mismatch', job: negotiation };
+    }
+
+    // Claimed before the payment is recorded so two charges cannot both pay the same milestone.
+    const milestone = await claimMilestone(next.milestone, next.amountUsd);
+    if (!milestone) {
+        return { outcome: 'already_processed', job: negotiation };
+    }
+
+    const releasedOnPayment = milestone.due_on === 'delivery';
+    const { earning: transcriberEarning } = await calculateTranscriberPay({
+        amountUsd: amountPaidUsd,
+        jobType: 'negotiation',
+        transcriberId: negotiation.transcriber_id
+    });
+
+    const paymentRecord = await insertPaymentRecord({
+        ...buildPaymentData({ paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }),
+        related_job_type: 'negotiation',
+        negotiation_id: negotiationId,
+        direct_upload_job_id: null,
+        milestone_id: milestone.id,
+        client_id: negotiation.client_id,
+        transcriber_id: negotiation.transcriber_id,
+        transcriber_earning: transcriberEarning,
+        payout_status: releasedOnPayment ? 'pending' : 'awaiting_completion'
+    });
+    if (!paymentRecord) {
+        await unclaimMilestone(milestone);
+        return { outcome: 'already_processed', job: negotiation };
+    }
+    await linkMilestonePayment(milestone, paymentRecord.id, releasedOnPayment);
+    if (releasedOnPayment) {
+        await recordEscrowRelease(paymentRecord);
+    }
+    // A milestone paid while the job is under dispute is held with the job's other payments.
+    await holdPaymentIfDisputed(paymentRecord);
+    if (negotiation.promo_code_id && negotiation.milestones_cleared === 0) {
+        await markPromoCodeRedeemed('negotiation', negotiationId, paymentRecord.id);
+    }
+
+    const remaining = milestones.filter(m => m.status === 'unpaid' && m.id !== milestone.id);
+    let newJobStatus = negotiation.status;
+    if (milestone.due_on === 'hire' && !hasUnpaidMilestones(remaining, 'hire')) {
+        newJobStatus = 'hired';
+    } else if (milestone.due_on === 'delivery' && remaining.length === 0) {
+        newJobStatus = 'completed';
+    }
+
+    const now = new Date().toISOString();
+    const { error: jobUpdateError } = await supabase
+        .from('negotiations')
+        .update({
+            status: newJobStatus,
+            milestones_cleared: negotiation.milestone_count - remaining.length,
+            ...(newJobStatus === 'hired' && negotiation.status !== 'hired' && { due_date: dueDateFromNow(negotiation.deadline_hours) }),
+            ...(newJobStatus === 'completed' && { completed_at: now }),
+            updated_at: now
+        })
+        .eq('id', negotiationId);
+
+    if (jobUpdateError) {
+        console.error(`Error updating milestone progress for negotiation ${negotiationId}: `, jobUpdateError);
+        throw jobUpdateError;
+    }
+
+    const jobHired = newJobStatus === 'hired' && negotiation.status !== 'hired';
+    if (jobHired && negotiation.transcriber_id) {
+        // Imported locally to avoid a circular dependency (transcriberController -> paymentController).
+        const { syncAvailabilityStatus } = require('../controllers/transcriberController');
+        await syncAvailabilityStatus(negotiation.transcriber_id, negotiationId);
+    }
+    // The first milestone paid commits the client to this quote of a request-for-quote.
+    if (negotiation.milestones_cleared === 0) {
+        await closeRfqSiblings(negotiation, io);
+    }
+
+    const milestoneSummary = { ...milestone, total: negotiation.milestone_count };
+    const clientUser = await fetchUserForEmail(negotiation.client_id);
+    // The transcriber is emailed when the payments that hire them clear; later milestones are socket-only.
+    const transcriberUser = jobHired ? await fetchUserForEmail(negotiation.transcriber_id) : null;
+    const receiptAttachments = await prepareReceiptAttachments(paymentRecord);
+    if (clientUser) {
+        await emailService.sendPaymentConfirmationEmail(clientUser, transcriberUser, negotiation, paymentRecord, receiptAttachments, milestoneSummary);
+    }
+
+    if (io) {
+        io.to(negotiation.client_id).emit('payment_successful', {
+            relatedJobId: negotiationId,
+            jobType: 'negotiation',
+            milestoneId: milestone.id,
+            message: `Your payment for milestone ${milestone.sequence_number} of ${negotiation.milestone_count} (${milestone.label}) was successful.`,
+            newStatus: newJobStatus
+        });
+        if (negotiation.transcriber_id) {
+            io.to(negotiation.transcriber_id).emit(jobHired ? 'job_hired' : 'milestone_paid', {
+                relatedJobId: negotiationId,
+                jobType: 'negotiation',
+                milestoneId: milestone.id,
+                message: jobHired
+                    ? 'A client has paid for your accepted job. The job is now active!ᐟ'
+                    : `The client paid milestone ${milestone.sequence_number} of ${negotiation.milestone_count} (${milestone.label}).`,
+                newStatus: newJobStatus
+            });
+        }
+    }
+
+    return { outcome: 'recorded', payment: paymentRecord, job: { ...negotiation, status: newJobStatus }, milestone };
+};
+
+/**
+ * Records a verified charge for a direct upload job and releases it to transcribers.
+ * Takes the same params as fulfillNegotiationPayment, with directUploadJobId instead of negotiationId.
+ */
+const fulfillDirectUploadPayment = async ({ directUploadJobId, paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io) => {
+    const existingPayment = await findRecordedPayment(paymentMethod, transaction.reference);
+    if (existingPayment) {
+        console.warn(`[fulfillDirectUploadPayment] Reference ${transaction.reference} already recorded as payment ${existingPayment.id}. Skipping.`);
+        return { outcome: 'already_processed', payment: existingPayment };
+    }
+
+    const { data: job, error: fetchError } = await supabase
+        .from('direct_upload_jobs')
+        .select('id, client_id, transcriber_id, quote_amount, discount_amount_usd, promo_code_id, agreed_deadline_hours, status')
+        .eq('id', directUploadJobId)
+        .single();
+
+    if (fetchError || !job) {
+        console.error(`[fulfillDirectUploadPayment] Error fetching direct upload job ${directUploadJobId}: `, fetchError);
+        return { outcome: 'job_not_found' };
+    }
+    if (!['pending_review', 'transcriber_assigned'].includes(job.status)) {
+        return { outcome: 'already_processed', job };
+    }
+    if (!amountsMatch(amountPaidUsd, getAmountDueUsd('direct_upload', job))) {
+        console.error('[fulfillDirectUploadPayment] Amount mismatch. Paid USD:', amountPaidUsd, 'Due USD:', getAmountDueUsd('direct_upload', job));
+        return { outcome: 'amount_mismatch', job };
+    }
+
+    // Imported locally to avoid a circular dependency (paymentController -> transcriberController).
+    const { getNextFriday } = require('../controllers/paymentController');
+
+    // Usually no transcriber yet; the earning is recalculated for the transcriber who takes the job.
+    const { earning: transcriberEarning } = await calculateTranscriberPay({
+        amountUsd: amountPaidUsd,
+        jobType: 'direct_upload',
+        transcriberId: job.transcriber_id
+    });
+
+    const paymentRecord = await insertPaymentRecord({
+        ...buildPaymentData({ paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }),
+        related_job_type: 'direct_upload',
+        direct_upload_job_id: directUploadJobId,
+        negotiation_id: null,
+        client_id: job.client_id,
+        transcriber_id: job.transcriber_id,
+        transcriber_earning: transcriberEarning,
+        payout_status: 'pending',
+        payout_week_end_date: getNextFriday(new Date(transaction.paid_at || Date.now()))
+    });
+    if (!paymentRecord) {
+        return { outcome: 'already_processed', job };
+    }
+    if (job.promo_code_id) {
+        await markPromoCodeRedeemed('direct_upload', directUploadJobId, paymentRecord.id);
+    }
+
+    const newJobStatus = 'available_for_transcriber';
+    const { error: jobUpdateError } = await supabase
+        .from('direct_upload_jobs')
+        .update({ status: newJobStatus, updated_at: new Date().toISOString() })
+        .eq('id', directUploadJobId);
+
+    if (jobUpdateError) {
+        console.error(`Error updating job status to ${newJobStatus} for direct upload job ${directUploadJobId}: `, jobUpdateError);
+        throw jobUpdateError;
+    }
+
+    const clientUser = await fetchUserForEmail(job.client_id);
+    const transcriberUser = await fetchUserForEmail(job.transcriber_id);
+    const receiptAttachments = await prepareReceiptAttachments(paymentRecord);
+    if (clientUser) {
+        await emailService.sendPaymentConfirmationEmail(clientUser, transcriberUser, job, paymentRecord, receiptAttachments);
+    }
+
+    if (io) {
+        io.to(job.client_id).emit('payment_successful', {
+            relatedJobId: directUploadJobId,
+            jobType: 'direct_upload',
+            message: 'Your payment was successful and the job is now active!ᐟ',
+            newStatus: newJobStatus
+        });
+        io.emit('direct_job_paid', {
+            jobId: directUploadJobId,
+            message: `A direct upload job has been paid for and is now available!`,
+            newStatus: newJobStatus
+        });
+        console.log(`Emitted 'payment_successful' to client ${job.client_id} and 'direct_job_paid' to all transcribers.`);
+    }
+
+    return { outcome: 'recorded', payment: paymentRecord, job };
+};
+
+// How many wallet payments for a job were debited and then put back into the client's wallet.
+const countWalletPaymentReversals = async (clientId, directUploadJobId) => {
+    const { count, error } = await supabase
+        .from('wallet_transactions')
+        .select('id', { count: 'exact', head: true })
+        .eq('client_id', clientId)
+        .eq('direct_upload_job_id', directUploadJobId)
+        .eq('type', 'reversal');
+
+    if (error) {
+        console.error(`[countWalletPaymentReversals] Error counting reversals for job ${directUploadJobId}:`, error);
+        throw error;
+    }
+    return count || 0;
+};
+
+/**
+ * Pays for a direct upload job from the client's wallet: the quote is debited from the wallet and then
+ * recorded like a gateway charge, so the job moves on at once. If the job cannot take the payment after
+ * all (e.g. it was paid through a gateway meanwhile), the debit is put back into the wallet.
+ * @param {object} params
+ * @param {string} params.directUploadJobId
+ * @param {string} params.clientId The client paying; must own the job.
+ * @param {object} io Socket.IO server instance (optional).
+ * @returns {Promise<object>} As the fulfill* functions, plus walletBalance and the outcomes 'insufficient_funds' and
+ *   'promo_code_removed' (the job's promo code stopped being valid; message says why and nothing was charged).
+ */
+const payDirectUploadFromWallet = async ({ directUploadJobId, clientId }, io) => {
+    const { data: fetchedJob, error: fetchError } = await supabase
+        .from('direct_upload_jobs')
+        .select('id, client_id, quote_amount, discount_amount_usd, promo_code_id, promo_code, audio_length_minutes, status')
+        .eq('id', directUploadJobId)
+        .eq('client_id', clientId)
+        .single();
+
+    if (fetchError || !fetchedJob) {
+        console.error(`[payDirectUploadFromWallet] Error fetching direct upload job ${directUploadJobId}: `, fetchError);
+        return { outcome: 'job_not_found' };
+    }
+    if (!['pending_review', 'transcriber_assigned'].includes(fetchedJob.status)) {
+        return { outcome: 'already_processed', job: fetchedJob };
+    }
+    const promoCheck = await confirmPromoCodeBeforePayment('direct_upload', fetchedJob);
+    if (!promoCheck.valid) {
+        return { outcome: 'promo_code_removed', job: promoCheck.job, message: promoCheck.error };
+    }
+    const job = promoCheck.job;
+
+    // Keyed by job, so a retried request finds the earlier debit instead of charging the wallet twice.
+    // A reversed debit leaves the job unpaid, so each attempt after a reversal gets a key of its own.
+    const reversals = await countWalletPaymentReversals(clientId, directUploadJobId);
+    const debit = await postWalletTransaction({
+        clientId,
+        transactionKey: `job_payment:direct_upload:${directUploadJobId}${reversals > 0 ? `:attempt_${reversals + 1}` : ''}`,
+        type: 'job_payment',
+        amount: -getAmountDueUsd('direct_upload', job),
+        details: {
+            payment_method: WALLET_PAYMENT_METHOD,
+            direct_upload_job_id: directUploadJobId,
+            description: 'Payment for direct upload job'
+        }
+    });
+    if (debit.outcome === 'insufficient_funds') {
+        return { outcome: 'insufficient_funds', job, walletBalance: debit.balance };
+    }
+    if (debit.outcome === 'already_processed' && await findWalletTransaction(`reversal:${debit.transaction.id}`)) {
+        return { outcome: 'already_processed', job, walletBalance: debit.balance };
+    }
+
+    const result = await fulfillDirectUploadPayment({
+        directUploadJobId,
+        paymentMethod: WALLET_PAYMENT_METHOD,
+        transaction: { reference: debit.transaction.id, status: 'success', paid_at: debit.transaction.created_at },
+        amountPaidUsd: -parseFloat(debit.transaction.amount),
+        currencyPaid: 'USD',
+        exchangeRate: 1
+    }, io);
+
+    if (result.outcome === 'recorded') {
+        const { error: linkError } = await supabase
+            .from('wallet_transactions')
+            .update({ payment_id: result.payment.id })
+            .eq('id', debit.transaction.id);
+        if (linkError) console.error(`[payDirectUploadFromWallet] Error linking wallet transaction ${debit.transaction.id} to payment ${result.payment.id}:`, linkError);
+        return { ...result, walletBalance: debit.balance };
+    }
+    if (result.payment) {
+        // This debit was already recorded as the job's payment by an earlier request.
+        return { ...result, walletBalance: debit.balance };
+    }
+
+    const reversal = await postWalletTransaction({
+        clientId,
+        transactionKey: `reversal:${debit.transaction.id}`,
+        type: 'reversal',
+        amount: -parseFloat(debit.transaction.amount),
+        details: {
+            payment_method: WALLET_PAYMENT_METHOD,
+            direct_upload_job_id: directUploadJobId,
+            description: `Wallet payment returned (${result.outcome})`
+        }
+    });
+    console.warn(`[payDirectUploadFromWallet] Job ${directUploadJobId} could not take the wallet payment (${result.outcome}); debit ${debit.transaction.id} reversed.`);
+    return { ...result, walletBalance: reversal.balance };
+};
+
+/**
+ * Credits a verified top-up charge to the client's wallet.
+ * Takes the same params as fulfillNegotiationPayment, with clientId instead of negotiationId;
+ * `payment` in the result is the wallet_transactions row.
+ *
+ * A top-up has no job price to check the charge against, so the amount comes from the checkout recorded
+ * when it was initialized (utils/paymentCheckouts.js): the charge must match it, and only that amount is
+ * credited. Charges without such a checkout are never credited.
+ */
+const fulfillWalletTopUp = async ({ clientId, paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io) => {
+    const { data: client, error: fetchError } = await supabase
+        .from('users')
+        .select('id, user_type')
+        .eq('id', clientId)
+        .single();
+
+    if (fetchError || !client || client.user_type !== 'client') {
+        console.error(`[fulfillWalletTopUp] Error fetching client ${clientId}: `, fetchError);
+        return { outcome: 'job_not_found' };
+    }
+
+    const checkout = await getCheckout(transaction.reference);
+    if (!checkout || checkout.gateway !== paymentMethod || checkout.job_type !== 'wallet_top_up' || checkout.job_id !== clientId) {
+        console.error(`[fulfillWalletTopUp] No ${paymentMethod} top-up checkout for client ${clientId} matches reference ${transaction.reference}.`);
+        return { outcome: 'job_not_found', job: client };
+    }
+    const topUpAmountUsd = parseFloat(checkout.amount_usd);
+    if (checkout.currency !== currencyPaid || !amountsMatch(amountPaidUsd, topUpAmountUsd)) {
+        console.error('[fulfillWalletTopUp] Amount mismatch. Paid:', amountPaidUsd, currencyPaid, 'Top-up checkout:', topUpAmountUsd, checkout.currency);
+        return { outcome: 'amount_mismatch', job: client };
+    }
+
+    const { outcome, transaction: walletTransaction, balance } = await postWalletTransaction({
+        clientId,
+        transactionKey: `top_up:${paymentMethod}:${transaction.reference}`,
+        type: 'top_up',
+        amount: topUpAmountUsd,
+        details: {
+            payment_method: paymentMethod,
+            reference: transaction.reference,
+            currency_paid: checkout.currency,
+            exchange_rate: parseFloat(checkout.exchange_rate),
+            description: `Wallet top-up via ${getGateway(paymentMethod).displayName}`
+        }
+    });
+    if (outcome === 'already_processed') {
+        console.warn(`[fulfillWalletTopUp] Reference ${transaction.reference} already credited as wallet transaction ${walletTransaction.id}. Skipping.`);
+        return { outcome, payment: walletTransaction, job: client };
+    }
+    await recordWalletTopUp(walletTransaction);
+
+    if (io) {
+        io.to(clientId).emit('wallet_topped_up', {
+            amount: walletTransaction.amount,
+            balance,
+            message: `USD ${Number(walletTransaction.amount).toFixed(2)} was added to your wallet.ᐟ`
+        });
+    }
+
+    return { outcome: 'recorded', payment: walletTransaction, job: client };
+};
+
+/**
+ * Records a verified training fee charge and unlocks the training dashboard for the trainee.
+ * Takes the same params as fulfillNegotiationPayment, with traineeId instead of negotiationId.
+ */
+const fulfillTrainingPayment = async ({ traineeId, paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }, io) => {
+    const existingPayment = await findRecordedPayment(paymentMethod, transaction.reference);
+    if (existingPayment) {
+        console.warn(`[fulfillTrainingPayment] Reference ${transaction.reference} already recorded as payment ${existingPayment.id}. Skipping.`);
+        return { outcome: 'already_processed', payment: existingPayment };
+    }
+
+    const { data: trainee, error: fetchError } = await supabase
+        .from('users')
+        .select('id, transcriber_status')
+        .eq('id', traineeId)
+        .single();
+
+    if (fetchError || !trainee) {
+        console.error(`[fulfillTrainingPayment] Error fetching trainee ${traineeId}: `, fetchError);
+        return { outcome: 'job_not_found' };
+    }
+    if (!amountsMatch(amountPaidUsd, TRAINING_FEE_USD)) {
+        console.error('[fulfillTrainingPayment] Amount mismatch. Paid USD:', amountPaidUsd, 'Expected USD:', TRAINING_FEE_USD);
+        return { outcome: 'amount_mismatch', job: trainee };
+    }
+
+    const paymentRecord = await insertPaymentRecord({
+        ...buildPaymentData({ paymentMethod, transaction, amountPaidUsd, currencyPaid, exchangeRate }),
+        related_job_type: 'training',
+        negotiation_id: null,
+        direct_upload_job_id: null,
+        client_id: traineeId,
+        transcriber_id: traineeId,
+        transcriber_earning: amountPaidUsd,
+        payout_status: 'completed'
+    });
+    if (!paymentRecord) {
+        return { outcome: 'already_processed', job: trainee };
+    }
+
+    const { error: updateTraineeStatusError } = await supabase
+        .from('users')
+        .update({ transcriber_status: 'paid_training_fee', updated_at: new Date().toISOString() })
+        .eq('id', traineeId);
+
+    if (updateTraineeStatusError) {
+        console.error(`Error updating trainee ${traineeId} status after ${paymentMethod} payment:`, updateTraineeStatusError);
+        throw updateTraineeStatusError;
+    }
+    console.log(`Trainee ${traineeId} status updated to 'paid_training_fee' after successful ${paymentMethod} payment.`);
+    await issueInvoice(paymentRecord);
+
+    if (io) {
+        io.to(traineeId).emit('training_payment_successful', {
+            traineeId: traineeId,
+            message: 'Your training payment was successful! You now have access to the training dashboard.ᐟ',
+            newStatus: 'paid_training_fee'
+        });
+        console.log(`Emitted 'training_payment_successful' to trainee ${traineeId}`);
+    }
+
+    return { outcome: 'recorded', payment: paymentRecord, job: trainee };
+};
+
+module.exports = {
+    findRecordedPayment,
+    fulfillNegotiationPayment,
+    fulfillDirectUploadPayment,
+    fulfillTrainingPayment,
+    payDirectUploadFromWallet,
+    fulfillWalletTopUp
+};
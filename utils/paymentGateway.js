@@ -0,0 +1,87 @@
+// backend/utils/paymentGateway.js
+
+const paystackGateway = require('./paystackGateway');
+const korapayGateway = require('./korapayGateway');
+const { DEFAULT_CHARGE_CURRENCY, isSupportedCurrency } = require('./currencyRegistry');
+const { hasExchangeRate } = require('./exchangeRateService');
+
+/**
+ * Registry of payment gateway adapters. Every adapter exposes the same interface:
+ *
+ *   name, displayName                   - 'paystack' / 'Paystack'
+ *   referenceColumn, statusColumn       - the payments columns this gateway's charges are stored in
+ *   supportedCurrencies                 - currency codes (see currencyRegistry.js) the gateway can charge in
+ *   isConfigured()                      - whether the gateway's keys are set
+ *   initialize({ jobType, jobId, amountUsd, currency, email, customerName, clientId, discount })
+ *                                       - resolves to { success, message } or { success, checkout }, where
+ *                                         checkout is merged into the initialize endpoint's response.
+ *                                         amountUsd is the amount due; the optional discount
+ *                                         ({ code, amountUsd, originalAmountUsd }) is for the charge's metadata
+ *                                         where the gateway has room for it (KoraPay's 5 keys are taken).
+ *   verify(reference)                   - resolves to { success, message } or
+ *                                         { success, transaction, metadata, amountPaidUsd, currencyPaid, exchangeRate }
+ *   listTransactions({ from, to })     - optional; resolves to a verify()-style result for every successful
+ *                                         charge in the period. Gateways without it are reconciled one
+ *                                         recorded reference at a time.
+ *   refund({ reference, amountUsd, currency, exchangeRate, reason, refundKey })
+ *                                       - full refund when amountUsd is omitted; resolves to
+ *                                         { success, message } or { success, refundReference, status, refund }.
+ *                                         refundKey identifies the refund; gateways with idempotent refund
+ *                                         references use it so the same refund is never issued twice
+ *   parseWebhook(req)                   - checks the signature; returns { valid, event, reference, isChargeSuccess }
+ *
+ * Controllers only decide what is being paid for. Supporting another provider means
+ * writing one adapter and registering it below.
+ */
+const gateways = {
+    [paystackGateway.name]: paystackGateway,
+    [korapayGateway.name]: korapayGateway
+};
+
+const SUPPORTED_PAYMENT_METHODS = Object.keys(gateways);
+
+const getGateway = (paymentMethod) => gateways[paymentMethod] || null;
+
+/**
+ * Works out which currency to charge in for an initialize request.
+ * @param {object} gateway The chosen gateway adapter.
+ * @param {string} [requestedCurrency] The currency the client asked for; defaults to KES.
+ * @returns {Promise<{currency: string}|{error: string}>} The currency code, or an error message for a 400 response.
+ */
+const resolveChargeCurrency = async (gateway, requestedCurrency) => {
+    const currency = (requestedCurrency || DEFAULT_CHARGE_CURRENCY).toUpperCase();
+    if (!isSupportedCurrency(currency)) {
+        return { error: `Unsupported currency: ${currency}.ᐟ` };
+    }
+    if (!gateway.supportedCurrencies.includes(currency)) {
+        return { error: `${gateway.displayName} cannot charge in ${currency}.ᐟ` };
+    }
+    if (!await hasExchangeRate(currency)) {
+        return { error: `No exchange rate is configured for ${currency} yet. Please pay in another currency.ᐟ` };
+    }
+    return { currency };
+};
+
+// Finds the gateway a recorded payments row was charged through, from whichever reference column is set.
+const getGatewayForPayment = (payment) => Object.values(gateways).find(gateway => payment[gateway.referenceColumn]) || null;
+
+/**
+ * Checks that a verified charge was made for the given job. KoraPay does not always echo
+ * metadata on charge queries, so a charge without job metadata is not treated as a mismatch.
+ * @param {object} metadata The metadata returned by the gateway's verify().
+ * @param {string} jobId The job (or trainee) ID being verified.
+ * @param {string} jobType 'negotiation', 'direct_upload' or 'training'.
+ * @returns {boolean} False only when the charge names a different job.
+ */
+const chargeMatchesJob = (metadata, jobId, jobType) => {
+    if (!metadata || !metadata.related_job_id) return true;
+    return metadata.related_job_id === jobId && metadata.related_job_type === jobType;
+};
+
+module.exports = {
+    SUPPORTED_PAYMENT_METHODS,
+    getGateway,
+    resolveChargeCurrency,
+    getGatewayForPayment,
+    chargeMatchesJob
+};
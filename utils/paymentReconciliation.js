@@ -0,0 +1,214 @@
+// backend/utils/paymentReconciliation.js
+
+const supabase = require('../database');
+const { SUPPORTED_PAYMENT_METHODS, getGateway } = require('./paymentGateway');
+
+/**
+ * Compares what each gateway says it charged with what was recorded in `payments`.
+ *
+ * Findings are grouped as:
+ *   missing    - a successful gateway charge with no payments row (repairable)
+ *   orphaned   - a payments row the gateway has no successful charge for, or whose job never
+ *                moved past payment ('job_not_advanced')
+ *   mismatched - the charge and the row disagree on the USD amount
+ *
+ * Gateways with listTransactions() are compared both ways. For the others, only the recorded
+ * references are re-verified, so charges that were never recorded cannot be found for them.
+ * Wallet top-ups are recorded in `wallet_transactions` rather than `payments`; a listed top-up charge
+ * counts as recorded when its wallet credit exists.
+ */
+
+const amountsMatch = (amountA, amountB) => Math.round(amountA * 100) === Math.round(amountB * 100);
+
+// Job statuses that mean the job is still waiting for the payment that was recorded against it.
+const AWAITING_PAYMENT_STATUSES = {
+    negotiation: ['accepted_awaiting_payment'],
+    direct_upload: ['pending_review', 'transcriber_assigned']
+};
+
+const fetchRecordedPayments = async (gateway, from, to) => {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select(`id, negotiation_id, direct_upload_job_id, related_job_type, client_id, amount, transaction_date, payout_status, ${gateway.referenceColumn}`)
+        .not(gateway.referenceColumn, 'is', null)
+        .gte('transaction_date', from.toISOString())
+        .lte('transaction_date', to.toISOString());
+
+    if (error) {
+        console.error(`[fetchRecordedPayments] Error fetching ${gateway.name} payments:`, error);
+        throw error;
+    }
+    return payments || [];
+};
+
+// Looks up recorded references outside the date range, so a charge recorded with a slightly
+// different timestamp is not reported as missing.
+const fetchPaymentsByReference = async (gateway, references) => {
+    if (references.length === 0) return [];
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select(`id, amount, ${gateway.referenceColumn}`)
+        .in(gateway.referenceColumn, references);
+
+    if (error) {
+        console.error(`[fetchPaymentsByReference] Error fetching ${gateway.name} payments:`, error);
+        throw error;
+    }
+    return payments || [];
+};
+
+const fetchTopUpsByReference = async (gateway, references) => {
+    if (references.length === 0) return [];
+    const { data: topUps, error } = await supabase
+        .from('wallet_transactions')
+        .select('id, amount, reference')
+        .eq('type', 'top_up')
+        .eq('payment_method', gateway.name)
+        .in('reference', references);
+
+    if (error) {
+        console.error(`[fetchTopUpsByReference] Error fetching ${gateway.name} wallet top-ups:`, error);
+        throw error;
+    }
+    return (topUps || []).map(topUp => ({ walletTransactionId: topUp.id, amount: topUp.amount, [gateway.referenceColumn]: topUp.reference }));
+};
+
+const findJobsNotAdvanced = async (payments) => {
+    const findings = [];
+    const jobSources = [
+        { jobType: 'negotiation', table: 'negotiations', idColumn: 'negotiation_id' },
+        { jobType: 'direct_upload', table: 'direct_upload_jobs', idColumn: 'direct_upload_job_id' }
+    ];
+
+    for (const { jobType, table, idColumn } of jobSources) {
+        const jobIds = payments.filter(p => p.related_job_type === jobType && p[idColumn]).map(p => p[idColumn]);
+        if (jobIds.length === 0) continue;
+
+        const { data: jobs, error } = await supabase
+            .from(table)
+            .select('id, status')
+            .in('id', jobIds)
+            .in('status', AWAITING_PAYMENT_STATUSES[jobType]);
+
+        if (error) {
+            console.error(`[findJobsNotAdvanced] Error fetching ${table}:`, error);
+            throw error;
+        }
+        for (const job of jobs || []) {
+            const payment = payments.find(p => p[idColumn] === job.id);
+            findings.push({ paymentId: payment.id, jobType, jobId: job.id, jobStatus: job.status });
+        }
+    }
+    return findings;
+};
+
+// Re-verifies one recorded reference. Gateways answer 404 for references they have never seen.
+const verifyRecordedCharge = async (gateway, reference) => {
+    try {
+        const verification = await gateway.verify(reference);
+        return verification.success ? verification : null;
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+    }
+};
+
+const reconcileGateway = async (gateway, from, to) => {
+    const report = {
+        paymentMethod: gateway.name,
+        coverage: gateway.listTransactions ? 'full' : 'recorded_only',
+        chargesChecked: 0,
+        paymentsChecked: 0,
+        missing: [],
+        orphaned: [],
+        mismatched: []
+    };
+
+    const recordedPayments = await fetchRecordedPayments(gateway, from, to);
+    report.paymentsChecked = recordedPayments.length;
+    const chargesByReference = new Map();
+
+    if (gateway.listTransactions) {
+        const charges = await gateway.listTransactions({ from, to });
+        report.chargesChecked = charges.length;
+        charges.forEach(charge => chargesByReference.set(charge.transaction.reference, charge));
+
+        const recordedReferences = new Set(recordedPayments.map(p => p[gateway.referenceColumn]));
+        const unrecordedReferences = charges.map(c => c.transaction.reference).filter(ref => !recordedReferences.has(ref));
+        const recordedElsewhere = [
+            ...await fetchPaymentsByReference(gateway, unrecordedReferences),
+            ...await fetchTopUpsByReference(gateway, unrecordedReferences)
+        ];
+
+        for (const reference of unrecordedReferences) {
+            const charge = chargesByReference.get(reference);
+            const payment = recordedElsewhere.find(p => p[gateway.referenceColumn] === reference);
+            if (!payment) {
+                report.missing.push({
+                    reference,
+                    amountUsd: charge.amountPaidUsd,
+                    currencyPaid: charge.currencyPaid,
+                    relatedJobId: charge.metadata.related_job_id || null,
+                    relatedJobType: charge.metadata.related_job_type || null,
+                    paidAt: charge.transaction.paid_at || null
+                });
+            } else if (!amountsMatch(charge.amountPaidUsd, payment.amount)) {
+                const recordId = payment.walletTransactionId ? { walletTransactionId: payment.walletTransactionId } : { paymentId: payment.id };
+                report.mismatched.push({ reference, ...recordId, recordedAmountUsd: payment.amount, chargedAmountUsd: charge.amountPaidUsd });
+            }
+        }
+    }
+
+    for (const payment of recordedPayments) {
+        const reference = payment[gateway.referenceColumn];
+        let charge = chargesByReference.get(reference);
+
+        if (!gateway.listTransactions) {
+            report.chargesChecked += 1;
+            charge = await verifyRecordedCharge(gateway, reference);
+        } else if (!charge) {
+            // The listing is by charge date, so check individually before calling the row orphaned.
+            charge = await verifyRecordedCharge(gateway, reference);
+        }
+
+        if (!charge) {
+            report.orphaned.push({ reason: 'no_gateway_charge', paymentId: payment.id, reference, recordedAmountUsd: payment.amount });
+        } else if (!amountsMatch(charge.amountPaidUsd, payment.amount)) {
+            report.mismatched.push({ reference, paymentId: payment.id, recordedAmountUsd: payment.amount, chargedAmountUsd: charge.amountPaidUsd });
+        }
+    }
+
+    const jobsNotAdvanced = await findJobsNotAdvanced(recordedPayments);
+    jobsNotAdvanced.forEach(finding => report.orphaned.push({ reason: 'job_not_advanced', ...finding }));
+
+    return report;
+};
+
+/**
+ * Builds the reconciliation report for every configured gateway.
+ * @param {Date} from Start of the period (inclusive).
+ * @param {Date} to End of the period (inclusive).
+ * @returns {Promise<{from: string, to: string, gateways: Array}>} One report per gateway; a gateway that
+ *   could not be queried gets an `error` instead of findings.
+ */
+const reconcilePayments = async (from, to) => {
+    const gateways = [];
+    for (const paymentMethod of SUPPORTED_PAYMENT_METHODS) {
+        const gateway = getGateway(paymentMethod);
+        if (!gateway.isConfigured()) {
+            gateways.push({ paymentMethod, error: `${gateway.displayName} service not configured.` });
+            continue;
+        }
+        try {
+            gateways.push(await reconcileGateway(gateway, from, to));
+        } catch (error) {
+            console.error(`[reconcilePayments] Error reconciling ${paymentMethod}:`, error.response ? error.response.data : error.message);
+            gateways.push({ paymentMethod, error: `Could not reconcile ${gateway.displayName} payments.` });
+        }
+    }
+    return { from: from.toISOString(), to: to.toISOString(), gateways };
+};
+
+module.exports = {
+    reconcilePayments
+};
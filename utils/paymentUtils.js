@@ -1,32 +1,70 @@
 // backend/utils/paymentUtils.js
 
+const crypto = require('crypto');
+
+// Share of the job price paid to the transcriber when no commission rule applies.
+// Per job type, level and rating rates are configured in admin_settings.commission_rules (see utils/commissionCalculator.js).
+const DEFAULT_TRANSCRIBER_RATE = 0.80;
+
 /**
  * Calculates the transcriber's earning from a given payment amount in USD.
- * Assumes a fixed commission rate for the platform.
  * @param {number} totalPaymentUsd The total amount paid by the client in USD.
+ * @param {number} [transcriberRate] The transcriber's share of the payment (0-1).
  * @returns {number} The amount the transcriber earns in USD.
  */
-const calculateTranscriberEarning = (totalPaymentUsd) => {
-    // Example: Transcriber earns 80% of the total payment
-    const transcriberCommissionRate = 0.80;
-    return parseFloat((totalPaymentUsd * transcriberCommissionRate).toFixed(2)); // Round to 2 decimal places for currency
+const calculateTranscriberEarning = (totalPaymentUsd, transcriberRate = DEFAULT_TRANSCRIBER_RATE) => {
+    return parseFloat((totalPaymentUsd * transcriberRate).toFixed(2)); // Round to 2 decimal places for currency
 };
 
-// Placeholder for USD to KES exchange rate.
-// In a production environment, this should be fetched from a reliable, real-time API.
+// Direct upload job statuses in which the transcriber has earned the payment. Direct upload payments are
+// 'pending' from the moment the client pays, so their payout status alone does not say the work is done.
+const COMPLETED_DIRECT_UPLOAD_STATUSES = ['completed', 'client_completed'];
+
+// Whether a payment's job is done, for a payment selected with direct_upload_job:direct_upload_job_id(status).
+const isEarnedPayment = (payment) => payment.related_job_type !== 'direct_upload'
+    || COMPLETED_DIRECT_UPLOAD_STATUSES.includes(payment.direct_upload_job?.status);
+
+// Fallback USD to KES rate. Live rates come from utils/exchangeRateService.js and conversions
+// from utils/currencyRegistry.js; this is only used when no provider or override has a rate.
 const EXCHANGE_RATE_USD_TO_KES = 145.00; // Example: 1 USD = 145 KES
 
+// Flat training fee charged to trainees before they can access the training dashboard.
+const TRAINING_FEE_USD = 50.00;
+
+// Reference prefixes for charges that are not job payments.
+const REFERENCE_PREFIXES = { training: 'TR', wallet_top_up: 'WAL' };
+
+/**
+ * Builds a unique gateway reference for a charge. Training charges and wallet top-ups are
+ * prefixed separately so they are easy to tell apart in gateway dashboards.
+ * @param {string} jobType 'negotiation', 'direct_upload', 'training' or 'wallet_top_up'.
+ * @param {string} jobId The job (or trainee, or topped-up client) ID being paid for.
+ * @returns {string} The payment reference.
+ */
+const generatePaymentReference = (jobType, jobId) => {
+    const prefix = REFERENCE_PREFIXES[jobType] || 'JOB';
+    return `${prefix}-${String(jobId).substring(0, 8)}-${Date.now().toString(36)}`;
+};
+
 /**
- * Converts an amount from USD to KES using a predefined exchange rate.
- * @param {number} amountUsd The amount in USD.
- * @returns {number} The converted amount in KES.
+ * Constant-time comparison of a computed webhook signature with the one a gateway sent.
+ * @param {string} expectedSignature The signature we computed.
+ * @param {string} receivedSignature The signature from the request header.
+ * @returns {boolean} True when both are identical.
  */
-const convertUsdToKes = (amountUsd) => {
-    return parseFloat((amountUsd * EXCHANGE_RATE_USD_TO_KES).toFixed(2)); // Round to 2 decimal places for currency
+const signaturesMatch = (expectedSignature, receivedSignature) => {
+    const expectedBuffer = Buffer.from(String(expectedSignature));
+    const receivedBuffer = Buffer.from(String(receivedSignature));
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
 };
 
 module.exports = {
     calculateTranscriberEarning,
-    convertUsdToKes, // Export the new conversion utility
-    EXCHANGE_RATE_USD_TO_KES // Export the exchange rate for potential use elsewhere (e.g., in verifyPayment for reverse conversion)
+    DEFAULT_TRANSCRIBER_RATE,
+    EXCHANGE_RATE_USD_TO_KES, // Export the exchange rate for potential use elsewhere (e.g., in verifyPayment for reverse conversion)
+    TRAINING_FEE_USD,
+    COMPLETED_DIRECT_UPLOAD_STATUSES,
+    isEarnedPayment,
+    generatePaymentReference,
+    signaturesMatch
 };
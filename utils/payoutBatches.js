@@ -0,0 +1,108 @@
+// backend/utils/payoutBatches.js
+
+const supabase = require('../database');
+
+/**
+ * Keeps open payout batches in step with the payments that leave them (see controllers/payoutBatchController.js).
+ *
+ * A payment leaves its batch when it is put on hold, when its transfer fails or is skipped, or when the batch is
+ * marked paid without it having been exported. It gets payout_batch_id (and payout_exported_at) cleared so a later
+ * batch picks it up, and the batch's item for the transcriber and its totals are recalculated from the payments
+ * still in it. Batches already marked paid are a record of what was paid and are left alone.
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const sumEarnings = (payments) => roundCents(payments.reduce((sum, payment) => sum + parseFloat(payment.transcriber_earning || 0), 0));
+
+// Recalculates an open payout batch's totals, and the transcriber's item in it, from the payments still in the batch.
+const recalculatePayoutBatch = async (batchId, transcriberId) => {
+    const { data: batch, error: batchFetchError } = await supabase
+        .from('payout_batches')
+        .select('status')
+        .eq('id', batchId)
+        .maybeSingle();
+
+    if (batchFetchError) throw batchFetchError;
+    if (!batch || batch.status !== 'open') return;
+
+    const { data: batchPayments, error } = await supabase
+        .from('payments')
+        .select('id, transcriber_id, transcriber_earning')
+        .eq('payout_batch_id', batchId);
+
+    if (error) throw error;
+
+    const transcriberPayments = batchPayments.filter(payment => payment.transcriber_id === transcriberId);
+    const itemQuery = transcriberPayments.length === 0
+        ? supabase.from('payout_batch_items').delete()
+        : supabase.from('payout_batch_items').update({
+            payment_ids: transcriberPayments.map(payment => payment.id),
+            total_amount: sumEarnings(transcriberPayments),
+            payment_count: transcriberPayments.length
+        });
+    const { error: itemError } = await itemQuery.eq('batch_id', batchId).eq('transcriber_id', transcriberId);
+    if (itemError) throw itemError;
+
+    const { error: batchError } = await supabase
+        .from('payout_batches')
+        .update({
+            total_amount: sumEarnings(batchPayments),
+            transcriber_count: new Set(batchPayments.map(payment => payment.transcriber_id)).size,
+            payment_count: batchPayments.length
+        })
+        .eq('id', batchId)
+        .eq('status', 'open');
+
+    if (batchError) throw batchError;
+};
+
+/**
+ * Recalculates the batches the given payments were taken out of. Failures are logged, never thrown.
+ * @param {Array<{id: string, transcriber_id: string, payout_batch_id: string}>} payments As they were in the batch.
+ */
+const recalculateBatchesLeft = async (payments) => {
+    const batchItems = new Map();
+    for (const payment of payments) {
+        if (payment.payout_batch_id) batchItems.set(`${payment.payout_batch_id}:${payment.transcriber_id}`, payment);
+    }
+    for (const payment of batchItems.values()) {
+        try {
+            await recalculatePayoutBatch(payment.payout_batch_id, payment.transcriber_id);
+        } catch (error) {
+            console.error(`[recalculateBatchesLeft] Error recalculating payout batch ${payment.payout_batch_id} for transcriber ${payment.transcriber_id}:`, error);
+        }
+    }
+};
+
+/**
+ * Takes still-pending payments out of their payout batch so a later batch picks them up.
+ * @param {Array<{id: string, transcriber_id: string, payout_batch_id: string}>} payments
+ * @returns {Promise<Array>} The payments that left their batch.
+ */
+const leavePayoutBatch = async (payments) => {
+    const inBatch = payments.filter(payment => payment.payout_batch_id);
+    if (inBatch.length === 0) return [];
+
+    const { data: released, error } = await supabase
+        .from('payments')
+        .update({ payout_batch_id: null, payout_exported_at: null, updated_at: new Date().toISOString() })
+        .in('id', inBatch.map(payment => payment.id))
+        .eq('payout_status', 'pending')
+        .not('payout_batch_id', 'is', null)
+        .select('id');
+
+    if (error) {
+        console.error('[leavePayoutBatch] Error taking payments out of their payout batch:', error);
+        return [];
+    }
+    const releasedIds = new Set((released || []).map(payment => payment.id));
+    const left = inBatch.filter(payment => releasedIds.has(payment.id));
+    await recalculateBatchesLeft(left);
+    return left;
+};
+
+module.exports = {
+    recalculateBatchesLeft,
+    leavePayoutBatch
+};
@@ -0,0 +1,420 @@
+// backend/utils/payoutDisbursement.js
+
+const supabase = require('../database');
+const emailService = require('../emailService');
+const { recordPayout } = require('./ledger');
+const { getPayoutGateway } = require('./payoutGateway');
+const { leavePayoutBatch } = require('./payoutBatches');
+
+/**
+ * Sends transcriber earnings out through a payout adapter (see payoutGateway.js) and applies the results.
+ *
+ * A payment moves to payout_status 'payout_processing' before its transfer starts, so it cannot be sent
+ * twice or picked up by a payout batch, and stays there until the provider confirms or fails the transfer.
+ * Payments carry: payout_method, payout_reference (ours, sent to the provider), payout_batch_reference (ours, for
+ * the request the transfer was sent in), payout_initiated_at, payout_failure_reason, and the adapter's
+ * batchReferenceColumn, externalReferenceColumn and receiptColumn.
+ *
+ * When we cannot tell whether the provider took a transfer (the request failed in flight, or M-Pesa timed
+ * it out in its queue) the payment is not put back to 'pending', since sending it again could pay twice.
+ * It stays 'payout_processing' with payout_status_check_required (boolean) set until a status check with
+ * the provider settles it: on demand through checkPayoutStatus, or every PAYOUT_STATUS_CHECK_MINUTES.
+ * A batched transfer whose provider batch ID never came back is found by sending the same batch again under
+ * the same payout_batch_reference, which the adapter must treat idempotently.
+ */
+
+const DEFAULT_STATUS_CHECK_MINUTES = 30;
+const STATUS_CHECK_BATCH_SIZE = 50;
+
+const generatePayoutReference = (paymentId) => `PO-${paymentId.substring(0, 8)}-${Date.now().toString(36)}`;
+
+// Posts a paid-out payment to the ledger and tells the transcriber their money is on the way.
+const completePayout = async (updatedPayment, io) => {
+    await recordPayout(updatedPayment);
+
+    if (io && updatedPayment.transcriber_id) {
+        io.to(updatedPayment.transcriber_id).emit('payout_processed', {
+            paymentId: updatedPayment.id,
+            amount: updatedPayment.transcriber_earning,
+            message: 'Your payment has been processed and disbursed!ᐟ',
+            status: 'paid_out'
+        });
+    }
+
+    const { data: transcriberUser, error: transcriberError } = await supabase
+        .from('users')
+        .select('full_name, email')
+        .eq('id', updatedPayment.transcriber_id)
+        .single();
+
+    if (transcriberError) console.error(`Error fetching transcriber ${updatedPayment.transcriber_id} for payout email:`, transcriberError);
+
+    if (transcriberUser) {
+        await emailService.sendPayoutConfirmationEmail(transcriberUser, updatedPayment);
+    }
+};
+
+// Puts a payment whose transfer failed back in the payout queue with the reason, out of any payout batch.
+const returnPaymentToPending = async (paymentId, failureReason, extraColumns = {}) => {
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .update({
+            payout_status: 'pending',
+            payout_failure_reason: failureReason,
+            payout_status_check_required: false,
+            ...extraColumns,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', paymentId)
+        .eq('payout_status', 'payout_processing')
+        .select()
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error(`[returnPaymentToPending] Error returning payment ${paymentId} to 'pending':`, error);
+    }
+    if (payment) await leavePayoutBatch([payment]);
+    return payment || null;
+};
+
+// Leaves a payment whose transfer may have gone through in 'payout_processing', flagged for a status check.
+const flagPayoutStatusCheck = async (paymentId, reason, extraColumns = {}) => {
+    const { error } = await supabase
+        .from('payments')
+        .update({ payout_status_check_required: true, payout_failure_reason: reason, ...extraColumns, updated_at: new Date().toISOString() })
+        .eq('id', paymentId)
+        .eq('payout_status', 'payout_processing');
+
+    if (error) {
+        console.error(`[flagPayoutStatusCheck] Error flagging payment ${paymentId} for a status check:`, error);
+    }
+    console.warn(`[flagPayoutStatusCheck] Payment ${paymentId} needs a payout status check: ${reason}`);
+};
+
+const claimPaymentForPayout = async (payoutGateway, paymentId, batchReference) => {
+    const { data: claimedPayment, error } = await supabase
+        .from('payments')
+        .update({
+            payout_status: 'payout_processing',
+            payout_method: payoutGateway.name,
+            payout_reference: generatePayoutReference(paymentId),
+            payout_batch_reference: batchReference,
+            payout_initiated_at: new Date().toISOString(),
+            payout_failure_reason: null,
+            payout_status_check_required: false,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', paymentId)
+        .eq('payout_status', 'pending')
+        .select()
+        .single();
+
+    if (error && error.code !== 'PGRST116') {
+        console.error(`[claimPaymentForPayout] Error claiming payment ${paymentId}:`, error);
+    }
+    return claimedPayment || null;
+};
+
+// Maps transcriber IDs to their payout destination for the adapter.
+const getRecipients = async (payoutGateway, payments) => {
+    const transcriberIds = [...new Set(payments.map(payment => payment.transcriber_id))];
+    const { data: transcribers, error } = await supabase
+        .from('users')
+        .select(`id, ${payoutGateway.recipientColumn}`)
+        .in('id', transcriberIds);
+
+    if (error) throw error;
+    return Object.fromEntries(transcribers.map(user => [user.id, user[payoutGateway.recipientColumn]]));
+};
+
+const buildPayoutItem = (payment, recipient) => ({
+    reference: payment.payout_reference,
+    recipient,
+    amountUsd: payment.transcriber_earning,
+    remarks: `TypeMyworDz earnings ${payment.payout_reference}`
+});
+
+/**
+ * Claims pending payments and sends them in one call to the payout adapter.
+ * @param {object} payoutGateway A payout adapter.
+ * @param {Array<{id: string, transcriber_id: string}>} payments Payments to pay out.
+ * @param {string} [batchReference] Our reference for the whole request, when the adapter batches transfers.
+ * @returns {Promise<{sent: Array, failed: Array, uncertain: Array, skipped: Array}>} Each entry names a paymentId;
+ *   skipped entries have reason 'no_recipient' or 'not_pending'; failed and uncertain entries have a message.
+ *   Uncertain payments may have been sent and are flagged for a status check instead of returning to 'pending'.
+ */
+const startPayouts = async (payoutGateway, payments, batchReference) => {
+    const outcome = { sent: [], failed: [], uncertain: [], skipped: [] };
+    if (payments.length === 0) return outcome;
+
+    const requestReference = batchReference || generatePayoutReference(payments[0].id);
+    const recipients = await getRecipients(payoutGateway, payments);
+
+    const claimedPayments = [];
+    for (const payment of payments) {
+        const recipient = recipients[payment.transcriber_id];
+        if (!recipient) {
+            outcome.skipped.push({ paymentId: payment.id, reason: 'no_recipient' });
+            continue;
+        }
+        const claimedPayment = await claimPaymentForPayout(payoutGateway, payment.id, requestReference);
+        if (!claimedPayment) {
+            outcome.skipped.push({ paymentId: payment.id, reason: 'not_pending' });
+            continue;
+        }
+        claimedPayments.push({ payment: claimedPayment, recipient });
+    }
+    if (claimedPayments.length === 0) return outcome;
+
+    let result;
+    let requestMayHaveReachedProvider = false;
+    try {
+        result = await payoutGateway.sendPayouts({
+            batchReference: requestReference,
+            items: claimedPayments.map(({ payment, recipient }) => buildPayoutItem(payment, recipient))
+        });
+    } catch (error) {
+        console.error(`[startPayouts] ${payoutGateway.displayName} request failed:`, error.response ? error.response.data : error.message);
+        // Only an answer refusing the request proves nothing was sent.
+        requestMayHaveReachedProvider = !error.response || error.response.status >= 500;
+        result = { success: false, message: `${payoutGateway.displayName} request failed: ${error.message}` };
+    }
+
+    for (const { payment } of claimedPayments) {
+        const transfer = result.success ? result.transfers.find(t => t.reference === payment.payout_reference) : null;
+
+        if (!transfer || !transfer.success) {
+            const message = transfer?.message || result.message || `${payoutGateway.displayName} did not accept the payout.`;
+            if (transfer ? transfer.uncertain : requestMayHaveReachedProvider) {
+                await flagPayoutStatusCheck(payment.id, message);
+                outcome.uncertain.push({ paymentId: payment.id, payoutReference: payment.payout_reference, message });
+                continue;
+            }
+            await returnPaymentToPending(payment.id, message);
+            outcome.failed.push({ paymentId: payment.id, message });
+            continue;
+        }
+
+        const references = {};
+        if (payoutGateway.batchReferenceColumn && result.externalBatchReference) {
+            references[payoutGateway.batchReferenceColumn] = result.externalBatchReference;
+        }
+        if (transfer.externalReference) {
+            references[payoutGateway.externalReferenceColumn] = transfer.externalReference;
+        }
+        if (Object.keys(references).length > 0) {
+            const { error: updateError } = await supabase
+                .from('payments')
+                .update({ ...references, updated_at: new Date().toISOString() })
+                .eq('id', payment.id);
+            if (updateError) {
+                // The transfer is already under way; the status update still finds the payment by payout_reference.
+                console.error(`[startPayouts] Error storing ${payoutGateway.displayName} references on payment ${payment.id}:`, updateError);
+            }
+        }
+        outcome.sent.push({ paymentId: payment.id, payoutReference: payment.payout_reference, amountSent: transfer.amountSent, currencySent: transfer.currencySent });
+    }
+    return outcome;
+};
+
+/**
+ * Applies a payout status from a provider callback or status check: a confirmed transfer marks the payment
+ * 'paid_out' with the provider's receipt, a failed one puts it back to 'pending' with the reason. A queue
+ * timeout (timedOut) proves nothing either way, so the payment is flagged for a status check instead.
+ * @returns {Promise<'paid_out'|'returned_to_pending'|'needs_status_check'|'still_processing'|'already_processed'|'payment_not_found'>}
+ */
+const applyPayoutResult = async (payoutGateway, result, io) => {
+    const { data: payment, error: fetchError } = await supabase
+        .from('payments')
+        .select('id, payout_status')
+        .eq('payout_method', payoutGateway.name)
+        .eq('payout_reference', result.reference)
+        .single();
+
+    if (fetchError || !payment) {
+        return 'payment_not_found';
+    }
+    if (payment.payout_status !== 'payout_processing') {
+        return 'already_processed';
+    }
+    if (result.inProgress) {
+        return 'still_processing';
+    }
+
+    const references = {};
+    if (result.externalReference) references[payoutGateway.externalReferenceColumn] = result.externalReference;
+    if (result.externalBatchReference && payoutGateway.batchReferenceColumn) references[payoutGateway.batchReferenceColumn] = result.externalBatchReference;
+
+    if (result.timedOut) {
+        await flagPayoutStatusCheck(payment.id, result.failureReason, references);
+        return 'needs_status_check';
+    }
+    if (!result.succeeded) {
+        // An unclaimed transfer can still be claimed later, so it is cancelled before the earning can be sent again.
+        if (result.requiresCancellation) {
+            const cancelled = await payoutGateway.cancelPayout(result.externalReference);
+            if (!cancelled) {
+                console.error(`[applyPayoutResult] Could not cancel ${payoutGateway.displayName} transfer ${result.externalReference}; payment ${payment.id} stays in processing.`);
+                return 'still_processing';
+            }
+        }
+        await returnPaymentToPending(payment.id, result.failureReason, references);
+        return 'returned_to_pending';
+    }
+
+    const { data: paidPayment, error: updateError } = await supabase
+        .from('payments')
+        .update({
+            payout_status: 'paid_out',
+            paid_out_date: new Date().toISOString(),
+            [payoutGateway.receiptColumn]: result.receiptNumber,
+            ...references,
+            payout_failure_reason: null,
+            payout_status_check_required: false,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .eq('payout_status', 'payout_processing')
+        .select()
+        .single();
+
+    if (updateError) {
+        if (updateError.code === 'PGRST116') return 'already_processed';
+        throw updateError;
+    }
+    await completePayout(paidPayment, io);
+    return 'paid_out';
+};
+
+/**
+ * Finds the provider's ID for a batch request whose answer was lost by sending the batch's payments still in
+ * processing again under the same batch reference; the adapter answers with the batch it already created, or
+ * creates it if the first request never arrived. The ID is stored on every one of those payments.
+ * @returns {Promise<string|null>} The provider's batch ID.
+ */
+const recoverExternalBatchReference = async (payoutGateway, batchReference) => {
+    const { data: batchPayments, error } = await supabase
+        .from('payments')
+        .select('id, transcriber_id, transcriber_earning, payout_reference')
+        .eq('payout_method', payoutGateway.name)
+        .eq('payout_batch_reference', batchReference)
+        .eq('payout_status', 'payout_processing')
+        .order('payout_reference', { ascending: true });
+
+    if (error) throw error;
+    if (!batchPayments || batchPayments.length === 0) return null;
+
+    const recipients = await getRecipients(payoutGateway, batchPayments);
+    const result = await payoutGateway.sendPayouts({
+        batchReference,
+        items: batchPayments.map(payment => buildPayoutItem(payment, recipients[payment.transcriber_id]))
+    });
+    if (!result.success || !result.externalBatchReference) {
+        console.error(`[recoverExternalBatchReference] ${payoutGateway.displayName} did not return batch ${batchReference}: ${result.message}`);
+        return null;
+    }
+
+    const { error: updateError } = await supabase
+        .from('payments')
+        .update({ [payoutGateway.batchReferenceColumn]: result.externalBatchReference, updated_at: new Date().toISOString() })
+        .eq('payout_method', payoutGateway.name)
+        .eq('payout_batch_reference', batchReference)
+        .eq('payout_status', 'payout_processing');
+
+    if (updateError) throw updateError;
+    return result.externalBatchReference;
+};
+
+/**
+ * Asks the provider what became of a payment's transfer. Adapters with fetchPayoutStatus answer at once and the
+ * result is applied; M-Pesa's status query (requestPayoutStatus) answers later on its status callback.
+ * @param {object} payoutGateway The adapter the payment was sent through.
+ * @param {object} payment The payments row; must be 'payout_processing'.
+ * @returns {Promise<string>} An applyPayoutResult outcome, or 'status_requested', 'not_found' or 'unsupported'.
+ */
+const checkPayoutStatus = async (payoutGateway, payment, io) => {
+    const lookup = {
+        reference: payment.payout_reference,
+        externalReference: payment[payoutGateway.externalReferenceColumn],
+        externalBatchReference: payoutGateway.batchReferenceColumn ? payment[payoutGateway.batchReferenceColumn] : null
+    };
+
+    // Without the provider's batch ID the transfer cannot be looked up, so the batch is found first.
+    if (payoutGateway.batchReferenceColumn && !lookup.externalReference && !lookup.externalBatchReference && payment.payout_batch_reference) {
+        lookup.externalBatchReference = await recoverExternalBatchReference(payoutGateway, payment.payout_batch_reference);
+        if (!lookup.externalBatchReference) return 'not_found';
+    }
+    if (payoutGateway.fetchPayoutStatus) {
+        const result = await payoutGateway.fetchPayoutStatus(lookup);
+        return result ? applyPayoutResult(payoutGateway, result, io) : 'not_found';
+    }
+    if (payoutGateway.requestPayoutStatus) {
+        await payoutGateway.requestPayoutStatus(lookup);
+        return 'status_requested';
+    }
+    return 'unsupported';
+};
+
+// Runs a status check for every payment flagged as needing one.
+const checkFlaggedPayouts = async (io) => {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('payout_status', 'payout_processing')
+        .eq('payout_status_check_required', true)
+        .order('payout_initiated_at', { ascending: true })
+        .limit(STATUS_CHECK_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const outcomes = [];
+    for (const payment of payments || []) {
+        const payoutGateway = getPayoutGateway(payment.payout_method);
+        if (!payoutGateway?.isConfigured()) continue;
+        try {
+            outcomes.push({ paymentId: payment.id, outcome: await checkPayoutStatus(payoutGateway, payment, io) });
+        } catch (checkError) {
+            console.error(`[checkFlaggedPayouts] Status check failed for payment ${payment.id}:`, checkError.response ? checkError.response.data : checkError.message);
+        }
+    }
+    return outcomes;
+};
+
+/**
+ * Runs checkFlaggedPayouts every PAYOUT_STATUS_CHECK_MINUTES (30 by default). Runs never overlap, and the
+ * timer does not keep the process alive on its own.
+ * @param {object} io Socket.IO server.
+ */
+const startPayoutStatusChecker = (io) => {
+    const minutes = parseFloat(process.env.PAYOUT_STATUS_CHECK_MINUTES) || DEFAULT_STATUS_CHECK_MINUTES;
+    let running = false;
+
+    const check = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const outcomes = await checkFlaggedPayouts(io);
+            if (outcomes.length > 0) {
+                console.log(`[startPayoutStatusChecker] Checked ${outcomes.length} flagged payout(s).`);
+            }
+        } catch (error) {
+            console.error('[startPayoutStatusChecker] Check failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(check, minutes * 60 * 1000);
+    timer.unref();
+    console.log(`Payout status checker running every ${minutes} minute(s).`);
+    return timer;
+};
+
+module.exports = {
+    completePayout,
+    startPayouts,
+    applyPayoutResult,
+    checkPayoutStatus,
+    checkFlaggedPayouts,
+    startPayoutStatusChecker
+};
@@ -0,0 +1,58 @@
+// backend/utils/payoutExport.js
+
+const { convertFromUsd } = require('./currencyRegistry');
+
+/**
+ * Builds the bulk payment files admins upload to M-Pesa and PayPal to pay out a batch.
+ * Each payee is { transcriberId, fullName, mpesaNumber, paypalEmail, totalAmount } with totalAmount in USD.
+ * Payees without the relevant payout detail are left out and returned in `skipped`.
+ */
+
+// Spreadsheets run cells starting with = + - or @ as formulas, so those are prefixed with ' to keep them text.
+// Plain numbers, such as +2547XXXXXXXX phone numbers or negative amounts, cannot be formulas and are left alone.
+const escapeCsvValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+
+// M-Pesa pays out in KES, so totals are converted at the given USD -> KES rate and rounded to whole shillings.
+const buildMpesaBulkCsv = (payees, batchReference, exchangeRateUsdToKes) => {
+    const skipped = payees.filter(payee => !payee.mpesaNumber);
+    const rows = payees
+        .filter(payee => payee.mpesaNumber)
+        .map(payee => [
+            payee.mpesaNumber,
+            convertFromUsd(payee.totalAmount, 'KES', exchangeRateUsdToKes),
+            payee.fullName || '',
+            batchReference
+        ]);
+
+    return { csv: toCsv([['Phone Number', 'Amount', 'Name', 'Reference'], ...rows]), skipped };
+};
+
+// PayPal's mass payment upload takes headerless rows: recipient, amount, currency, reference ID, note.
+const buildPaypalMassPayCsv = (payees, batchReference) => {
+    const skipped = payees.filter(payee => !payee.paypalEmail);
+    const rows = payees
+        .filter(payee => payee.paypalEmail)
+        .map(payee => [
+            payee.paypalEmail,
+            payee.totalAmount.toFixed(2),
+            'USD',
+            `${batchReference}-${payee.transcriberId.substring(0, 8)}`,
+            'TypeMyworDz transcription earnings'
+        ]);
+
+    return { csv: toCsv(rows), skipped };
+};
+
+module.exports = {
+    toCsv,
+    buildMpesaBulkCsv,
+    buildPaypalMassPayCsv
+};
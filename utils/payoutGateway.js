@@ -0,0 +1,43 @@
+// backend/utils/payoutGateway.js
+
+const mpesaB2cGateway = require('./mpesaB2cGateway');
+const paypalPayoutGateway = require('./paypalPayoutGateway');
+
+/**
+ * Registry of payout adapters, which send transcriber earnings out (the reverse of paymentGateway.js).
+ * Every adapter exposes:
+ *
+ *   name, displayName        - 'mpesa' / 'M-Pesa'
+ *   recipientColumn          - the users column holding the transcriber's payout destination
+ *   batchReferenceColumn     - the payments column for the provider's ID of a multi-item request, or null
+ *   externalReferenceColumn  - the payments column the provider's own transfer ID is stored in
+ *   receiptColumn            - the payments column the provider's receipt for a completed transfer is stored in
+ *   isConfigured()           - whether the adapter's credentials are set
+ *   sendPayouts({ batchReference, items: [{ reference, recipient, amountUsd, remarks }] })
+ *                            - starts one transfer per item, identified by our payments.payout_reference; resolves to
+ *                              { success, message } or { success, externalBatchReference, transfers }, with one
+ *                              { reference, success, uncertain, message, externalReference, amountSent, currencySent }
+ *                              per item. uncertain marks a failed item the provider may still have taken.
+ *   parseCallback(req, options)
+ *                            - authenticates a status callback (may be async); returns { valid, reference,
+ *                              externalReference, succeeded, inProgress, timedOut, receiptNumber, failureReason }
+ *   fetchPayoutStatus(...)   - optional; polls a transfer's status, same result shape as parseCallback
+ *   requestPayoutStatus(...) - optional, for providers that answer status queries on a callback instead;
+ *                              that callback is read by parseStatusCallback(req, options), same shape as parseCallback
+ *   cancelPayout(id)         - optional; needed when a result can carry requiresCancellation
+ *
+ * Sending and applying results is done by payoutDisbursement.js.
+ */
+const payoutGateways = {
+    [mpesaB2cGateway.name]: mpesaB2cGateway,
+    [paypalPayoutGateway.name]: paypalPayoutGateway
+};
+
+const SUPPORTED_PAYOUT_METHODS = Object.keys(payoutGateways);
+
+const getPayoutGateway = (payoutMethod) => payoutGateways[payoutMethod] || null;
+
+module.exports = {
+    SUPPORTED_PAYOUT_METHODS,
+    getPayoutGateway
+};
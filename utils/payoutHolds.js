@@ -0,0 +1,236 @@
+// backend/utils/payoutHolds.js
+
+const supabase = require('../database');
+const { recordEscrowRelease, recordEarningAdjustment } = require('./ledger');
+const { markMilestonesReleased } = require('./negotiationMilestones');
+const { recalculateBatchesLeft } = require('./payoutBatches');
+
+/**
+ * Payout holds for payments whose job is under dispute.
+ *
+ * Opening a dispute moves the job's payments that have not started paying out ('awaiting_completion' or
+ * 'pending') to payout_status 'on_hold'. Nothing pays out a held payment: payouts, batches and upcoming
+ * totals only take 'pending' ones. A held payment leaves its payout batch (see payoutBatches.js). Payment columns:
+ *   held_payout_status (what the status was before the hold), payout_hold_dispute_id
+ * Resolving the dispute settles each hold:
+ *   release - the payment returns to where it was, or to 'pending' if the job was completed meanwhile
+ *   reduce  - as release, with the transcriber's earning cut to payoutPercentage of what it was
+ *   void    - the earning drops to 0 and the payment is 'voided_by_dispute'; refund the client separately
+ *
+ * Every change is logged to `payout_hold_events`:
+ *   id, payment_id, dispute_id, action ('hold' | 'release' | 'reduce' | 'void'), from_status, to_status,
+ *   previous_earning, new_earning, performed_by, notes, created_at
+ */
+
+const HOLDABLE_PAYOUT_STATUSES = ['awaiting_completion', 'pending'];
+const HOLD_OUTCOMES = ['release', 'reduce', 'void'];
+const VOIDED_PAYOUT_STATUS = 'voided_by_dispute';
+// Negotiation statuses in which the work has been handed over, so its held earnings can be paid.
+const DELIVERED_JOB_STATUSES = ['completed', 'delivered_awaiting_payment'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const logHoldEvent = async (event) => {
+    const { data, error } = await supabase
+        .from('payout_hold_events')
+        .insert([{ ...event, created_at: new Date().toISOString() }])
+        .select()
+        .single();
+
+    if (error) {
+        console.error(`[logHoldEvent] Error logging ${event.action} for payment ${event.payment_id}:`, error);
+        return null;
+    }
+    console.log(`[payoutHolds] ${event.action} on payment ${event.payment_id} (dispute ${event.dispute_id}): ${event.from_status} -> ${event.to_status}, earning ${event.previous_earning} -> ${event.new_earning}`);
+    return data;
+};
+
+const holdPayment = async (payment, disputeId, actorId) => {
+    // Conditional on the status read, so a payout that starts meanwhile is not held mid-flight.
+    const { data: heldPayment, error } = await supabase
+        .from('payments')
+        .update({
+            payout_status: 'on_hold',
+            held_payout_status: payment.payout_status,
+            payout_hold_dispute_id: disputeId,
+            payout_batch_id: null,
+            payout_exported_at: null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .eq('payout_status', payment.payout_status)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!heldPayment) return null;
+
+    await recalculateBatchesLeft([payment]);
+
+    await logHoldEvent({
+        payment_id: payment.id,
+        dispute_id: disputeId,
+        action: 'hold',
+        from_status: payment.payout_status,
+        to_status: 'on_hold',
+        previous_earning: payment.transcriber_earning,
+        new_earning: payment.transcriber_earning,
+        performed_by: actorId
+    });
+    return heldPayment;
+};
+
+/**
+ * Puts the payments of a disputed negotiation on hold.
+ * @param {object} dispute The disputes row.
+ * @param {string} actorId Who opened the dispute.
+ * @returns {Promise<{held: Array, notHeld: Array}>} notHeld lists payments already being paid out or paid.
+ */
+const placeDisputeHolds = async (dispute, actorId) => {
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('id, transcriber_id, transcriber_earning, payout_status, payout_batch_id')
+        .eq('negotiation_id', dispute.negotiation_id)
+        .eq('related_job_type', 'negotiation')
+        .not('transcriber_id', 'is', null);
+
+    if (error) throw error;
+
+    const held = [];
+    const notHeld = [];
+    for (const payment of payments || []) {
+        const heldPayment = HOLDABLE_PAYOUT_STATUSES.includes(payment.payout_status)
+            ? await holdPayment(payment, dispute.id, actorId)
+            : null;
+        if (heldPayment) {
+            held.push(heldPayment);
+        } else if (payment.payout_status !== 'on_hold') {
+            notHeld.push({ paymentId: payment.id, payoutStatus: payment.payout_status });
+        }
+    }
+    return { held, notHeld };
+};
+
+// Holds a payment recorded while its negotiation is already under dispute (e.g. a milestone paid meanwhile).
+const holdPaymentIfDisputed = async (payment) => {
+    if (!payment.negotiation_id || !HOLDABLE_PAYOUT_STATUSES.includes(payment.payout_status)) return null;
+
+    try {
+        const { data: dispute, error } = await supabase
+            .from('disputes')
+            .select('id')
+            .eq('negotiation_id', payment.negotiation_id)
+            .eq('status', 'open')
+            .limit(1)
+            .maybeSingle();
+
+        if (error) throw error;
+        return dispute ? await holdPayment(payment, dispute.id, null) : null;
+    } catch (error) {
+        console.error(`[holdPaymentIfDisputed] Error checking disputes for payment ${payment.id}:`, error);
+        return null;
+    }
+};
+
+/**
+ * Settles every hold placed for a dispute.
+ * @param {object} dispute The disputes row.
+ * @param {object} resolution
+ * @param {string} resolution.outcome 'release', 'reduce' or 'void'.
+ * @param {number} [resolution.payoutPercentage] For 'reduce': the share of each earning the transcriber keeps (0-100, exclusive).
+ * @param {string} [resolution.notes]
+ * @param {string} actorId The admin resolving the dispute.
+ * @returns {Promise<Array>} The updated payments.
+ */
+const resolveDisputeHolds = async (dispute, { outcome, payoutPercentage, notes = null }, actorId) => {
+    const { data: heldPayments, error } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('payout_hold_dispute_id', dispute.id)
+        .eq('payout_status', 'on_hold');
+
+    if (error) throw error;
+    if (!heldPayments || heldPayments.length === 0) return [];
+
+    const { data: negotiation, error: negotiationError } = await supabase
+        .from('negotiations')
+        .select('status')
+        .eq('id', dispute.negotiation_id)
+        .maybeSingle();
+    if (negotiationError) throw negotiationError;
+    const jobDelivered = DELIVERED_JOB_STATUSES.includes(negotiation?.status);
+
+    const settled = [];
+    for (const payment of heldPayments) {
+        const previousEarning = parseFloat(payment.transcriber_earning || 0);
+        let newEarning = previousEarning;
+        let newStatus;
+
+        if (outcome === 'void') {
+            newEarning = 0;
+            newStatus = VOIDED_PAYOUT_STATUS;
+        } else {
+            if (outcome === 'reduce') newEarning = roundCents(previousEarning * payoutPercentage / 100);
+            newStatus = payment.held_payout_status === 'awaiting_completion' && !jobDelivered ? 'awaiting_completion' : 'pending';
+        }
+
+        const { data: updatedPayment, error: updateError } = await supabase
+            .from('payments')
+            .update({
+                payout_status: newStatus,
+                transcriber_earning: newEarning,
+                held_payout_status: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', payment.id)
+            .eq('payout_status', 'on_hold')
+            .select()
+            .maybeSingle();
+
+        if (updateError) throw updateError;
+        if (!updatedPayment) continue;
+
+        const event = await logHoldEvent({
+            payment_id: payment.id,
+            dispute_id: dispute.id,
+            action: outcome,
+            from_status: 'on_hold',
+            to_status: newStatus,
+            previous_earning: previousEarning,
+            new_earning: newEarning,
+            performed_by: actorId,
+            notes
+        });
+
+        if (newEarning !== previousEarning) {
+            await recordEarningAdjustment(updatedPayment, previousEarning, `dispute:${dispute.id}:${payment.id}`);
+        }
+        // Held before the job was handed over and released after: the escrow is released now.
+        if (newStatus === 'pending' && payment.held_payout_status === 'awaiting_completion') {
+            await recordEscrowRelease(updatedPayment);
+            await markMilestonesReleased([updatedPayment]);
+        }
+        settled.push({ ...updatedPayment, holdEventId: event?.id || null });
+    }
+    return settled;
+};
+
+const getPayoutHoldEvents = async (disputeId) => {
+    const { data, error } = await supabase
+        .from('payout_hold_events')
+        .select('*')
+        .eq('dispute_id', disputeId)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+};
+
+module.exports = {
+    HOLD_OUTCOMES,
+    VOIDED_PAYOUT_STATUS,
+    placeDisputeHolds,
+    holdPaymentIfDisputed,
+    resolveDisputeHolds,
+    getPayoutHoldEvents
+};
@@ -0,0 +1,169 @@
+// backend/utils/payoutSchedule.js
+
+/**
+ * When a transcriber's pending earnings are due, from their payout preferences.
+ *
+ * User columns (transcribers):
+ *   payout_method ('mpesa' | 'paypal'), payout_frequency ('weekly' | 'monthly'), payout_threshold_usd (numeric)
+ * Weekly payouts are made on Fridays and monthly payouts on the last Friday of the month. Earnings are
+ * due on the first payout day on or after they were paid; if what is due on a payout day (including
+ * anything rolled over) is below the threshold, it rolls forward to the next payout day instead.
+ */
+
+const PAYOUT_METHODS = ['mpesa', 'paypal'];
+const PAYOUT_FREQUENCIES = ['weekly', 'monthly'];
+const MAX_PAYOUT_THRESHOLD_USD = 500;
+
+const roundToCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * A transcriber's preferences with defaults filled in. Without a chosen method, M-Pesa is used if they
+ * have a number on file, then PayPal; null means they have no payout details at all.
+ * @param {object} user The users row.
+ */
+const getPayoutPreferences = (user) => ({
+    method: user.payout_method
+        || (user.transcriber_mpesa_number ? 'mpesa' : null)
+        || (user.transcriber_paypal_email ? 'paypal' : null),
+    frequency: user.payout_frequency || 'weekly',
+    thresholdUsd: parseFloat(user.payout_threshold_usd || 0)
+});
+
+// The end of the Friday on or after a date, matching getNextFriday's week ends.
+const getWeekEnd = (date) => {
+    const weekEnd = new Date(date);
+    weekEnd.setDate(weekEnd.getDate() + (5 - weekEnd.getDay() + 7) % 7);
+    weekEnd.setHours(23, 59, 59, 999);
+    return weekEnd;
+};
+
+const isLastFridayOfMonth = (friday) => {
+    const nextFriday = new Date(friday);
+    nextFriday.setDate(friday.getDate() + 7);
+    return nextFriday.getMonth() !== friday.getMonth();
+};
+
+// Whether a week-ending Friday is a payout day for this frequency.
+const isPayoutDay = (friday, frequency) => frequency !== 'monthly' || isLastFridayOfMonth(friday);
+
+// The first payout day (end of day) on or after a date.
+const getPayoutDate = (date, frequency) => {
+    const payoutDate = getWeekEnd(date);
+    while (!isPayoutDay(payoutDate, frequency)) {
+        payoutDate.setDate(payoutDate.getDate() + 7);
+    }
+    return payoutDate;
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Groups pending payments into the payout days they are due on, rolling amounts below the threshold forward.
+ * @param {Array<{transaction_date: string, transcriber_earning: number}>} payments
+ * @param {object} preferences From getPayoutPreferences.
+ * @param {Date} [now]
+ * @returns {{cycles: Array<{date: string, totalAmount: number, carriedForwardAmount: number, payments: Array}>,
+ *   rolledForward: {totalAmount: number, payments: Array, nextPayoutDate: string, shortfall: number} | null}}
+ */
+const schedulePayouts = (payments, preferences, now = new Date()) => {
+    const byPayoutDate = new Map();
+    const sorted = [...payments].sort((a, b) => new Date(a.transaction_date) - new Date(b.transaction_date));
+    for (const payment of sorted) {
+        const date = toDateString(getPayoutDate(new Date(payment.transaction_date), preferences.frequency));
+        if (!byPayoutDate.has(date)) byPayoutDate.set(date, []);
+        byPayoutDate.get(date).push(payment);
+    }
+
+    const cycles = [];
+    let carried = [];
+    let lastPayoutDate = null;
+    for (const [date, cyclePayments] of byPayoutDate) {
+        const carriedForwardAmount = roundToCents(carried.reduce((sum, payment) => sum + payment.transcriber_earning, 0));
+        const duePayments = [...carried, ...cyclePayments];
+        const totalAmount = roundToCents(duePayments.reduce((sum, payment) => sum + payment.transcriber_earning, 0));
+        lastPayoutDate = date;
+
+        if (totalAmount >= preferences.thresholdUsd) {
+            cycles.push({ date, totalAmount, carriedForwardAmount, payments: duePayments });
+            carried = [];
+        } else {
+            carried = duePayments;
+        }
+    }
+
+    let rolledForward = null;
+    if (carried.length > 0) {
+        const totalAmount = roundToCents(carried.reduce((sum, payment) => sum + payment.transcriber_earning, 0));
+        const afterLastCycle = new Date(`${lastPayoutDate}T23:59:59.999`);
+        afterLastCycle.setDate(afterLastCycle.getDate() + 1);
+        rolledForward = {
+            totalAmount,
+            payments: carried,
+            nextPayoutDate: toDateString(getPayoutDate(afterLastCycle > now ? afterLastCycle : now, preferences.frequency)),
+            shortfall: roundToCents(preferences.thresholdUsd - totalAmount)
+        };
+    }
+    return { cycles, rolledForward };
+};
+
+/**
+ * Whether a transcriber is paid in the batch for a week-ending Friday: it must be one of their payout
+ * days and their pending earnings up to it must reach their threshold.
+ * @param {object} preferences From getPayoutPreferences.
+ * @param {Date} weekEnd
+ * @param {number} pendingAmountUsd
+ */
+const isDueInBatch = (preferences, weekEnd, pendingAmountUsd) => (
+    isPayoutDay(weekEnd, preferences.frequency) && roundToCents(pendingAmountUsd) >= preferences.thresholdUsd
+);
+
+/**
+ * Checks the preference fields a transcriber sent. Returns { error } or { fields } (users columns).
+ * @param {object} body { payoutMethod, payoutFrequency, payoutThresholdUsd }, each optional.
+ * @param {object} user The users row, for the payout details on file.
+ */
+const validatePayoutPreferences = (body, user) => {
+    const fields = {};
+
+    if (body.payoutMethod !== undefined) {
+        if (!PAYOUT_METHODS.includes(body.payoutMethod)) {
+            return { error: `payoutMethod must be one of: ${PAYOUT_METHODS.join(', ')}.ᐟ` };
+        }
+        if (body.payoutMethod === 'mpesa' && !user.transcriber_mpesa_number) {
+            return { error: 'Add your M-Pesa number to your profile before choosing M-Pesa payouts.ᐟ' };
+        }
+        if (body.payoutMethod === 'paypal' && !user.transcriber_paypal_email) {
+            return { error: 'Add your PayPal email to your profile before choosing PayPal payouts.ᐟ' };
+        }
+        fields.payout_method = body.payoutMethod;
+    }
+    if (body.payoutFrequency !== undefined) {
+        if (!PAYOUT_FREQUENCIES.includes(body.payoutFrequency)) {
+            return { error: `payoutFrequency must be one of: ${PAYOUT_FREQUENCIES.join(', ')}.ᐟ` };
+        }
+        fields.payout_frequency = body.payoutFrequency;
+    }
+    if (body.payoutThresholdUsd !== undefined) {
+        const threshold = Number(body.payoutThresholdUsd || 0);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > MAX_PAYOUT_THRESHOLD_USD || roundToCents(threshold) !== threshold) {
+            return { error: `payoutThresholdUsd must be between 0 and ${MAX_PAYOUT_THRESHOLD_USD} with at most two decimals.ᐟ` };
+        }
+        fields.payout_threshold_usd = threshold;
+    }
+
+    if (Object.keys(fields).length === 0) {
+        return { error: 'No payout preferences to update.ᐟ' };
+    }
+    return { fields };
+};
+
+module.exports = {
+    PAYOUT_METHODS,
+    PAYOUT_FREQUENCIES,
+    MAX_PAYOUT_THRESHOLD_USD,
+    getPayoutPreferences,
+    getPayoutDate,
+    schedulePayouts,
+    isDueInBatch,
+    validatePayoutPreferences
+};
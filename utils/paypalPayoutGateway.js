@@ -0,0 +1,210 @@
+// backend/utils/paypalPayoutGateway.js
+
+const axios = require('axios');
+
+/**
+ * PayPal Payouts: sends transcriber earnings in USD to their PayPal email.
+ *
+ * One payout request can carry many items; each item is one payment, identified by our payout reference
+ * as its sender_item_id. PayPal reports item outcomes through PAYMENT.PAYOUTS-ITEM.* webhooks, which are
+ * verified with PayPal's verify-webhook-signature API, and through the payout item lookup used for polling.
+ *
+ * Our batch reference is both the sender_batch_id and the PayPal-Request-Id of the request, so sending the same
+ * batch again never pays twice: PayPal answers a repeated request with the payout it already created.
+ */
+
+const PAYPAL_BASE_URL = process.env.PAYPAL_BASE_URL || 'https://api-m.sandbox.paypal.com';
+const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
+const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
+
+const isConfigured = () => Boolean(PAYPAL_CLIENT_ID && PAYPAL_CLIENT_SECRET && PAYPAL_WEBHOOK_ID);
+
+// Item statuses that end a transfer without paying the transcriber.
+const FAILED_ITEM_STATUSES = ['FAILED', 'UNCLAIMED', 'RETURNED', 'BLOCKED', 'REFUNDED', 'REVERSED', 'DENIED', 'CANCELED'];
+
+// Readable reasons for statuses PayPal does not always explain in the item's errors.
+const FAILURE_REASONS = {
+    UNCLAIMED: 'The PayPal email has no PayPal account, so the payout was not claimed.',
+    RETURNED: 'PayPal returned the payout unclaimed.',
+    BLOCKED: 'PayPal blocked the payout.',
+    DENIED: 'PayPal denied the payout.'
+};
+
+let cachedToken = null;
+
+const getAccessToken = async () => {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+        return cachedToken.token;
+    }
+    const tokenResponse = await axios.post(
+        `${PAYPAL_BASE_URL}/v1/oauth2/token`,
+        'grant_type=client_credentials',
+        {
+            auth: { username: PAYPAL_CLIENT_ID, password: PAYPAL_CLIENT_SECRET },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }
+    );
+    cachedToken = {
+        token: tokenResponse.data.access_token,
+        expiresAt: Date.now() + ((tokenResponse.data.expires_in || 3600) - 60) * 1000
+    };
+    return cachedToken.token;
+};
+
+const getRequestConfig = async () => ({
+    headers: { Authorization: `Bearer ${await getAccessToken()}`, 'Content-Type': 'application/json' }
+});
+
+// PayPal refuses a reused sender_batch_id and links the payout that already used it.
+const findExistingBatchId = (error) => {
+    const links = error.response?.data?.links || [];
+    const link = links.find(l => /\/v1\/payments\/payouts\/[^/?]+$/.test(l.href || ''));
+    return link ? link.href.split('/').pop() : null;
+};
+
+/**
+ * Creates one PayPal payout holding every item, or finds the one an earlier request with the same
+ * batchReference created.
+ * @returns {Promise<object>} { success, message } or { success, externalBatchReference, transfers }, where
+ *   externalBatchReference is PayPal's payout_batch_id. Item IDs are only known once PayPal reports on them.
+ */
+const sendPayouts = async ({ batchReference, items }) => {
+    const requestConfig = await getRequestConfig();
+    requestConfig.headers['PayPal-Request-Id'] = batchReference;
+
+    const paypalResponse = await axios.post(
+        `${PAYPAL_BASE_URL}/v1/payments/payouts`,
+        {
+            sender_batch_header: {
+                sender_batch_id: batchReference,
+                email_subject: 'You have a payout from TypeMyworDz',
+                email_message: 'Your TypeMyworDz transcription earnings have been sent to your PayPal account.'
+            },
+            items: items.map(item => ({
+                recipient_type: 'EMAIL',
+                receiver: item.recipient,
+                amount: { value: Number(item.amountUsd).toFixed(2), currency: 'USD' },
+                note: item.remarks,
+                sender_item_id: item.reference
+            }))
+        },
+        requestConfig
+    ).catch(error => {
+        const existingBatchId = findExistingBatchId(error);
+        if (!existingBatchId) throw error;
+        console.warn(`[paypalPayoutGateway] Batch ${batchReference} was already sent as PayPal payout ${existingBatchId}.`);
+        return { data: { batch_header: { payout_batch_id: existingBatchId } } };
+    });
+
+    const batchHeader = paypalResponse.data.batch_header;
+    if (!batchHeader?.payout_batch_id) {
+        return { success: false, message: 'PayPal did not accept the payout request.ᐟ' };
+    }
+    return {
+        success: true,
+        externalBatchReference: batchHeader.payout_batch_id,
+        transfers: items.map(item => ({
+            reference: item.reference,
+            success: true,
+            amountSent: Number(Number(item.amountUsd).toFixed(2)),
+            currencySent: 'USD'
+        }))
+    };
+};
+
+// Turns a payout item (from a webhook resource or an item lookup) into a payout result.
+const describePayoutItem = (item) => {
+    const status = item.transaction_status;
+    const succeeded = status === 'SUCCESS';
+    const failed = FAILED_ITEM_STATUSES.includes(status);
+
+    return {
+        valid: true,
+        reference: item.payout_item?.sender_item_id,
+        externalReference: item.payout_item_id,
+        externalBatchReference: item.payout_batch_id,
+        status,
+        succeeded,
+        inProgress: !succeeded && !failed,
+        // Unclaimed money can still be claimed for 30 days unless the item is cancelled first.
+        requiresCancellation: status === 'UNCLAIMED',
+        receiptNumber: succeeded ? item.transaction_id : null,
+        failureReason: failed ? (item.errors?.message || FAILURE_REASONS[status] || `PayPal payout ${status.toLowerCase()}.`) : null
+    };
+};
+
+/**
+ * Verifies a PAYMENT.PAYOUTS-ITEM.* webhook with PayPal and reads the item it reports on.
+ * Events about whole batches are valid but carry no reference, so they are ignored by the caller.
+ */
+const parseCallback = async (req) => {
+    const headers = req.headers;
+    if (!headers['paypal-transmission-sig'] || !req.body?.event_type) {
+        return { valid: false };
+    }
+
+    const verification = await axios.post(
+        `${PAYPAL_BASE_URL}/v1/notifications/verify-webhook-signature`,
+        {
+            auth_algo: headers['paypal-auth-algo'],
+            cert_url: headers['paypal-cert-url'],
+            transmission_id: headers['paypal-transmission-id'],
+            transmission_sig: headers['paypal-transmission-sig'],
+            transmission_time: headers['paypal-transmission-time'],
+            webhook_id: PAYPAL_WEBHOOK_ID,
+            webhook_event: req.body
+        },
+        await getRequestConfig()
+    );
+    if (verification.data.verification_status !== 'SUCCESS') {
+        return { valid: false };
+    }
+
+    if (!req.body.event_type.startsWith('PAYMENT.PAYOUTS-ITEM.')) {
+        return { valid: true, event: req.body.event_type, reference: null };
+    }
+    return { ...describePayoutItem(req.body.resource), event: req.body.event_type };
+};
+
+// Looks a transfer up for polling; by item ID when known, otherwise through its payout batch.
+const fetchPayoutStatus = async ({ reference, externalReference, externalBatchReference }) => {
+    if (externalReference) {
+        const itemResponse = await axios.get(`${PAYPAL_BASE_URL}/v1/payments/payouts-item/${externalReference}`, await getRequestConfig());
+        return describePayoutItem(itemResponse.data);
+    }
+    if (!externalBatchReference) {
+        return null;
+    }
+    const batchResponse = await axios.get(`${PAYPAL_BASE_URL}/v1/payments/payouts/${externalBatchReference}`, {
+        ...await getRequestConfig(),
+        params: { page_size: 1000 }
+    });
+    const item = (batchResponse.data.items || []).find(batchItem => batchItem.payout_item?.sender_item_id === reference);
+    return item ? describePayoutItem({ payout_batch_id: externalBatchReference, ...item }) : null;
+};
+
+// Cancels an unclaimed item so its money comes back and cannot be claimed after we pay again.
+const cancelPayout = async (payoutItemId) => {
+    try {
+        const cancelResponse = await axios.post(`${PAYPAL_BASE_URL}/v1/payments/payouts-item/${payoutItemId}/cancel`, {}, await getRequestConfig());
+        return ['RETURNED', 'CANCELED'].includes(cancelResponse.data.transaction_status);
+    } catch (error) {
+        console.error(`[paypalPayoutGateway] Error cancelling payout item ${payoutItemId}:`, error.response ? error.response.data : error.message);
+        return false;
+    }
+};
+
+module.exports = {
+    name: 'paypal',
+    displayName: 'PayPal',
+    recipientColumn: 'transcriber_paypal_email',
+    batchReferenceColumn: 'paypal_payout_batch_id',
+    externalReferenceColumn: 'paypal_payout_item_id',
+    receiptColumn: 'paypal_transaction_id',
+    isConfigured,
+    sendPayouts,
+    parseCallback,
+    fetchPayoutStatus,
+    cancelPayout
+};
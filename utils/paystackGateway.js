@@ -0,0 +1,181 @@
+// backend/utils/paystackGateway.js
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { generatePaymentReference, signaturesMatch } = require('./paymentUtils');
+const { getUsdExchangeRate } = require('./exchangeRateService');
+const { convertFromUsd, convertToUsd, toMinorUnits, fromMinorUnits } = require('./currencyRegistry');
+const { recordCheckout } = require('./paymentCheckouts');
+
+const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+const getHeaders = () => ({
+    Authorization: `Bearer ${PAYSTACK_SECRET_KEY}`,
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/108.0.0.0 Safari/537.36'
+});
+
+const isConfigured = () => Boolean(PAYSTACK_SECRET_KEY);
+
+// Currencies our Paystack integration is enabled for; the registry handles their minor units.
+const supportedCurrencies = ['KES', 'NGN', 'GHS', 'USD'];
+
+// Payment channels differ by market; pesalink is Kenya-only.
+const CHANNELS_BY_CURRENCY = {
+    KES: ['mobile_money', 'card', 'bank_transfer', 'pesalink'],
+    NGN: ['card', 'bank', 'ussd', 'bank_transfer'],
+    GHS: ['mobile_money', 'card'],
+    USD: ['card']
+};
+
+// Creates a Paystack transaction; the frontend redirects the client to data.authorization_url.
+const initialize = async ({ jobType, jobId, amountUsd, currency, email, clientId, discount = null }) => {
+    const exchangeRate = await getUsdExchangeRate(currency);
+    const amountCharged = convertFromUsd(amountUsd, currency, exchangeRate);
+    const reference = generatePaymentReference(jobType, jobId);
+    // NEW: Recorded like KoraPay's, so amounts such as wallet top-ups can be checked against what the server issued.
+    await recordCheckout({ reference, gateway: 'paystack', jobType, jobId, clientId, amountUsd, currency, exchangeRate, amountCharged });
+
+    const paystackResponse = await axios.post(
+        `${PAYSTACK_BASE_URL}/transaction/initialize`,
+        {
+            email: email,
+            amount: toMinorUnits(amountCharged, currency), // Paystack expects minor units (kobo, pesewas, cents)
+            reference,
+            callback_url: `${CLIENT_URL}/payment-callback?relatedJobId=${jobId}&jobType=${jobType}`,
+            currency: currency,
+            channels: CHANNELS_BY_CURRENCY[currency],
+            metadata: {
+                related_job_id: jobId,
+                related_job_type: jobType,
+                client_id: clientId,
+                agreed_price_usd: amountUsd,
+                currency_paid: currency,
+                exchange_rate_from_usd: exchangeRate,
+                amount_charged: amountCharged,
+                ...(discount && {
+                    promo_code: discount.code,
+                    discount_usd: discount.amountUsd,
+                    original_amount_usd: discount.originalAmountUsd
+                })
+            }
+        },
+        { headers: getHeaders() }
+    );
+
+    if (!paystackResponse.data.status) {
+        return { success: false, message: paystackResponse.data.message || 'Failed to initialize payment with Paystack.ᐟ' };
+    }
+    return { success: true, checkout: { data: paystackResponse.data.data } };
+};
+
+// Shapes a successful Paystack transaction the way verify() returns it, with the amount back in USD.
+const describeTransaction = async (transaction) => {
+    const metadata = transaction.metadata || {};
+    const currencyPaid = transaction.currency;
+    // Convert back with the rate the charge was created with, not today's rate.
+    // Charges created before multi-currency support stored the KES rate under exchange_rate_usd_to_kes.
+    const exchangeRate = metadata.exchange_rate_from_usd || metadata.exchange_rate_usd_to_kes || await getUsdExchangeRate(currencyPaid);
+
+    return {
+        success: true,
+        transaction,
+        metadata,
+        amountPaidUsd: convertToUsd(fromMinorUnits(transaction.amount, currencyPaid), exchangeRate),
+        currencyPaid,
+        exchangeRate
+    };
+};
+
+const verify = async (reference) => {
+    const paystackResponse = await axios.get(
+        `${PAYSTACK_BASE_URL}/transaction/verify/${reference}`,
+        { headers: getHeaders() }
+    );
+
+    if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
+        return { success: false, message: paystackResponse.data.data?.gateway_response || 'Payment verification failed.ᐟ' };
+    }
+
+    return describeTransaction(paystackResponse.data.data);
+};
+
+// Transactions fetched per request when listing.
+const LIST_PAGE_SIZE = 100;
+
+/**
+ * Lists the successful charges made between two dates, for reconciliation.
+ * @param {{from: Date, to: Date}} range The period to list, inclusive.
+ * @returns {Promise<Array>} One verify()-style result per charge.
+ */
+const listTransactions = async ({ from, to }) => {
+    const charges = [];
+    let page = 1;
+    let pageCount = 1;
+
+    do {
+        const paystackResponse = await axios.get(`${PAYSTACK_BASE_URL}/transaction`, {
+            headers: getHeaders(),
+            params: { from: from.toISOString(), to: to.toISOString(), status: 'success', perPage: LIST_PAGE_SIZE, page }
+        });
+        if (!paystackResponse.data.status) {
+            throw new Error(paystackResponse.data.message || 'Failed to list Paystack transactions.');
+        }
+        for (const transaction of paystackResponse.data.data) {
+            charges.push(await describeTransaction(transaction));
+        }
+        pageCount = paystackResponse.data.meta?.pageCount || 1;
+        page += 1;
+    } while (page <= pageCount);
+
+    return charges;
+};
+
+// Refunds the whole transaction, or amountUsd of it (converted at the charge's rate) when given.
+const refund = async ({ reference, amountUsd, currency, exchangeRate }) => {
+    const refundRequest = { transaction: reference };
+    if (amountUsd !== undefined && amountUsd !== null) {
+        const refundAmount = convertFromUsd(amountUsd, currency, exchangeRate || await getUsdExchangeRate(currency));
+        refundRequest.amount = toMinorUnits(refundAmount, currency);
+    }
+
+    const paystackResponse = await axios.post(`${PAYSTACK_BASE_URL}/refund`, refundRequest, { headers: getHeaders() });
+
+    if (!paystackResponse.data.status) {
+        return { success: false, message: paystackResponse.data.message || 'Paystack refund failed.ᐟ' };
+    }
+    const refundData = paystackResponse.data.data;
+    return { success: true, refundReference: String(refundData.id), status: refundData.status, refund: refundData };
+};
+
+// Paystack signs the raw request body with HMAC-SHA512 and sends the hex digest in x-paystack-signature.
+const parseWebhook = (req) => {
+    const signature = req.headers['x-paystack-signature'];
+    if (!signature || !req.rawBody) {
+        return { valid: false };
+    }
+
+    const expectedSignature = crypto.createHmac('sha512', PAYSTACK_SECRET_KEY).update(req.rawBody).digest('hex');
+    if (!signaturesMatch(expectedSignature, signature)) {
+        return { valid: false };
+    }
+
+    const { event, data } = req.body;
+    return { valid: true, event, reference: data?.reference, isChargeSuccess: event === 'charge.success' };
+};
+
+module.exports = {
+    name: 'paystack',
+    displayName: 'Paystack',
+    referenceColumn: 'paystack_reference',
+    statusColumn: 'paystack_status',
+    supportedCurrencies,
+    isConfigured,
+    initialize,
+    verify,
+    listTransactions,
+    refund,
+    parseWebhook
+};
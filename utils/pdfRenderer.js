@@ -0,0 +1,31 @@
+// backend/utils/pdfRenderer.js
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Renders a PDF in memory.
+ * @param {object} options PDFKit document options (size, margin, info...).
+ * @param {(doc: PDFDocument) => void} draw Writes the content; the document is ended afterwards.
+ * @returns {Promise<Buffer>}
+ */
+const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        draw(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+const formatAmount = (amount, decimals = 2) => Number(amount).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+module.exports = {
+    renderPdf,
+    formatAmount
+};
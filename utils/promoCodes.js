@@ -0,0 +1,286 @@
+// backend/utils/promoCodes.js
+
+const supabase = require('../database');
+
+/**
+ * Promo codes that discount what a client pays for a job.
+ *
+ * Table `promo_codes`:
+ *   id, code (unique, upper case), description, discount_type ('percentage' | 'fixed'), discount_value,
+ *   max_discount_usd (cap for percentage codes, nullable), starts_at, expires_at, max_uses (nullable = unlimited),
+ *   first_order_only (bool), min_minutes (nullable), job_types (text[], nullable = every job type),
+ *   is_active (bool), created_by, created_at, updated_at
+ * Table `promo_code_redemptions`:
+ *   id, promo_code_id, client_id, job_type, job_id (unique with job_type), discount_amount_usd,
+ *   status ('applied' | 'redeemed'), payment_id, created_at, redeemed_at
+ *
+ * Applying a code stores the discount on the job (promo_code_id, promo_code, discount_amount_usd) next to the
+ * undiscounted price, and every payment check compares the charge with getAmountDueUsd(). A code counts
+ * towards max_uses once the discounted payment is recorded.
+ */
+
+const PROMO_JOB_TYPES = ['direct_upload', 'negotiation'];
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Gateways cannot take a zero charge, so a discount always leaves this much to pay.
+const MIN_AMOUNT_DUE_USD = 1;
+
+const JOB_SOURCES = {
+    direct_upload: { table: 'direct_upload_jobs', priceColumn: 'quote_amount', awaitingPaymentStatuses: ['pending_review', 'transcriber_assigned'] },
+    negotiation: { table: 'negotiations', priceColumn: 'agreed_price_usd', awaitingPaymentStatuses: ['accepted_awaiting_payment'] }
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * What the client has to pay for a job once any promo discount is taken off.
+ * @param {string} jobType 'direct_upload' or 'negotiation'.
+ * @param {object} job The job row; needs its price column and discount_amount_usd.
+ */
+const getAmountDueUsd = (jobType, job) => (
+    fromCents(toCents(job[JOB_SOURCES[jobType].priceColumn]) - toCents(job.discount_amount_usd))
+);
+
+const calculateDiscountUsd = (promoCode, amountUsd) => {
+    const amountCents = toCents(amountUsd);
+    let discountCents = promoCode.discount_type === 'percentage'
+        ? Math.round(amountCents * parseFloat(promoCode.discount_value) / 100)
+        : toCents(promoCode.discount_value);
+
+    if (promoCode.discount_type === 'percentage' && promoCode.max_discount_usd) {
+        discountCents = Math.min(discountCents, toCents(promoCode.max_discount_usd));
+    }
+    discountCents = Math.min(discountCents, amountCents - toCents(MIN_AMOUNT_DUE_USD));
+    return fromCents(Math.max(discountCents, 0));
+};
+
+const hasPaidForAJob = async (clientId) => {
+    const { data, error } = await supabase
+        .from('payments')
+        .select('id')
+        .eq('client_id', clientId)
+        .in('related_job_type', PROMO_JOB_TYPES)
+        .limit(1);
+
+    if (error) throw error;
+    return Boolean(data && data.length > 0);
+};
+
+const countRedemptions = async (promoCodeId) => {
+    const { count, error } = await supabase
+        .from('promo_code_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('promo_code_id', promoCodeId)
+        .eq('status', 'redeemed');
+
+    if (error) throw error;
+    return count || 0;
+};
+
+/**
+ * Checks a code against a job and works out its discount.
+ * @param {string} code The code the client entered.
+ * @param {object} context
+ * @param {string} context.clientId
+ * @param {string} context.jobType 'direct_upload' or 'negotiation'.
+ * @param {number} context.amountUsd The undiscounted price.
+ * @param {number} [context.audioMinutes] The job's audio length; negotiated jobs have none.
+ * @returns {Promise<{valid: false, error: string} | {valid: true, promoCode: object, discountUsd: number, amountDueUsd: number}>}
+ */
+const validatePromoCode = async (code, { clientId, jobType, amountUsd, audioMinutes = null }) => {
+    const normalizedCode = normalizePromoCode(code);
+    if (!normalizedCode) {
+        return { valid: false, error: 'Enter a promo code.ᐟ' };
+    }
+
+    const { data: promoCode, error } = await supabase
+        .from('promo_codes')
+        .select('*')
+        .eq('code', normalizedCode)
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!promoCode || !promoCode.is_active) {
+        return { valid: false, error: 'This promo code is not valid.ᐟ' };
+    }
+
+    const now = new Date();
+    if (promoCode.starts_at && new Date(promoCode.starts_at) > now) {
+        return { valid: false, error: 'This promo code is not active yet.ᐟ' };
+    }
+    if (promoCode.expires_at && new Date(promoCode.expires_at) <= now) {
+        return { valid: false, error: 'This promo code has expired.ᐟ' };
+    }
+    if (promoCode.job_types && promoCode.job_types.length > 0 && !promoCode.job_types.includes(jobType)) {
+        return { valid: false, error: 'This promo code does not apply to this kind of job.ᐟ' };
+    }
+    if (promoCode.min_minutes && (audioMinutes === null || audioMinutes < promoCode.min_minutes)) {
+        return { valid: false, error: `This promo code only applies to jobs of at least ${promoCode.min_minutes} minutes.ᐟ` };
+    }
+    if (promoCode.max_uses !== null && promoCode.max_uses !== undefined && await countRedemptions(promoCode.id) >= promoCode.max_uses) {
+        return { valid: false, error: 'This promo code has been fully redeemed.ᐟ' };
+    }
+    if (promoCode.first_order_only && await hasPaidForAJob(clientId)) {
+        return { valid: false, error: 'This promo code is only for your first order.ᐟ' };
+    }
+
+    const discountUsd = calculateDiscountUsd(promoCode, amountUsd);
+    if (discountUsd <= 0) {
+        return { valid: false, error: 'This promo code gives no discount on this job.ᐟ' };
+    }
+    return { valid: true, promoCode, discountUsd, amountDueUsd: fromCents(toCents(amountUsd) - toCents(discountUsd)) };
+};
+
+const getAudioMinutes = (jobType, job) => (jobType === 'direct_upload' ? job.audio_length_minutes : null);
+
+/**
+ * Applies a code to a job awaiting payment, replacing any code applied before.
+ * @param {object} params
+ * @param {string} params.jobType
+ * @param {object} params.job The job row (id, client_id, status, price column, audio_length_minutes for direct uploads).
+ * @param {string} params.code
+ * @returns {Promise<{valid: false, error: string} | {valid: true, job: object, discountUsd: number, amountDueUsd: number}>}
+ */
+const applyPromoCodeToJob = async ({ jobType, job, code }) => {
+    const source = JOB_SOURCES[jobType];
+    if (!source.awaitingPaymentStatuses.includes(job.status)) {
+        return { valid: false, error: `Promo codes can only be applied before payment. Current status: ${job.status}` };
+    }
+    if (job.milestones_cleared > 0) {
+        return { valid: false, error: 'Promo codes cannot be changed once a milestone has been paid.ᐟ' };
+    }
+
+    const validation = await validatePromoCode(code, {
+        clientId: job.client_id,
+        jobType,
+        amountUsd: job[source.priceColumn],
+        audioMinutes: getAudioMinutes(jobType, job)
+    });
+    if (!validation.valid) return validation;
+
+    const { data: updatedJob, error: updateError } = await supabase
+        .from(source.table)
+        .update({
+            promo_code_id: validation.promoCode.id,
+            promo_code: validation.promoCode.code,
+            discount_amount_usd: validation.discountUsd,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .in('status', source.awaitingPaymentStatuses)
+        .select()
+        .single();
+
+    if (updateError) {
+        if (updateError.code === 'PGRST116') {
+            return { valid: false, error: 'This job has already been paid for.ᐟ' };
+        }
+        throw updateError;
+    }
+
+    const { error: deleteError } = await supabase
+        .from('promo_code_redemptions')
+        .delete()
+        .eq('job_type', jobType)
+        .eq('job_id', job.id)
+        .eq('status', 'applied');
+    if (deleteError) throw deleteError;
+
+    const { error: insertError } = await supabase
+        .from('promo_code_redemptions')
+        .insert([{
+            promo_code_id: validation.promoCode.id,
+            client_id: job.client_id,
+            job_type: jobType,
+            job_id: job.id,
+            discount_amount_usd: validation.discountUsd,
+            status: 'applied',
+            created_at: new Date().toISOString()
+        }]);
+    if (insertError) throw insertError;
+
+    return { valid: true, job: updatedJob, discountUsd: validation.discountUsd, amountDueUsd: validation.amountDueUsd };
+};
+
+/**
+ * Takes a job's promo discount off again, e.g. when the code stopped being valid before the client paid.
+ * @returns {Promise<object>} The updated job row.
+ */
+const removePromoCodeFromJob = async (jobType, job) => {
+    const source = JOB_SOURCES[jobType];
+    const { data: updatedJob, error } = await supabase
+        .from(source.table)
+        .update({ promo_code_id: null, promo_code: null, discount_amount_usd: 0, updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .in('status', source.awaitingPaymentStatuses)
+        .select()
+        .single();
+    if (error) throw error;
+
+    const { error: deleteError } = await supabase
+        .from('promo_code_redemptions')
+        .delete()
+        .eq('job_type', jobType)
+        .eq('job_id', job.id)
+        .eq('status', 'applied');
+    if (deleteError) throw deleteError;
+
+    return updatedJob;
+};
+
+/**
+ * Re-checks a job's applied code just before a checkout starts, since it may have expired or run out
+ * since it was applied. An invalid code is removed so the client is charged the full price knowingly.
+ * @returns {Promise<{valid: true, job: object} | {valid: false, error: string, job: object}>}
+ */
+const confirmPromoCodeBeforePayment = async (jobType, job) => {
+    if (!job.promo_code_id) return { valid: true, job };
+
+    const validation = await validatePromoCode(job.promo_code, {
+        clientId: job.client_id,
+        jobType,
+        amountUsd: job[JOB_SOURCES[jobType].priceColumn],
+        audioMinutes: getAudioMinutes(jobType, job)
+    });
+    if (validation.valid && toCents(validation.discountUsd) === toCents(job.discount_amount_usd)) {
+        return { valid: true, job };
+    }
+
+    const updatedJob = await removePromoCodeFromJob(jobType, job);
+    return {
+        valid: false,
+        error: `Promo code ${job.promo_code} can no longer be used (${validation.valid ? 'its discount changed' : validation.error}). It has been removed; please review the new amount.`,
+        job: updatedJob
+    };
+};
+
+// Marks a job's applied code as used once its payment is recorded. Logs instead of throwing.
+const markPromoCodeRedeemed = async (jobType, jobId, paymentId) => {
+    const { error } = await supabase
+        .from('promo_code_redemptions')
+        .update({ status: 'redeemed', payment_id: paymentId, redeemed_at: new Date().toISOString() })
+        .eq('job_type', jobType)
+        .eq('job_id', jobId)
+        .eq('status', 'applied');
+
+    if (error) {
+        console.error(`[markPromoCodeRedeemed] Error redeeming promo code for ${jobType} ${jobId}:`, error);
+    }
+};
+
+module.exports = {
+    PROMO_JOB_TYPES,
+    DISCOUNT_TYPES,
+    JOB_SOURCES,
+    normalizePromoCode,
+    getAmountDueUsd,
+    validatePromoCode,
+    applyPromoCodeToJob,
+    removePromoCodeFromJob,
+    confirmPromoCodeBeforePayment,
+    markPromoCodeRedeemed,
+    countRedemptions
+};
@@ -0,0 +1,137 @@
+// backend/utils/wallet.js
+
+const supabase = require('../database');
+
+/**
+ * Prepaid client wallets, held in USD.
+ *
+ * Table `wallet_transactions` is the wallet's history and its balance:
+ *   id, client_id, sequence_number (int, unique per client), transaction_key (text, unique),
+ *   type ('top_up' | 'job_payment' | 'refund' | 'reversal'), amount (signed USD), balance_after,
+ *   payment_method, reference, currency_paid, exchange_rate, payment_id, direct_upload_job_id,
+ *   description, created_at
+ *
+ * Every row carries the balance after it, so the balance is the latest row's balance_after. A new row
+ * takes the client's next sequence_number; two concurrent postings collide on the unique index and the
+ * loser re-reads the balance and tries again, so a wallet can never be spent twice. transaction_key
+ * names the business event (e.g. the gateway charge of a top-up) so repeating a posting is harmless.
+ */
+
+const WALLET_PAYMENT_METHOD = 'wallet';
+const MAX_POSTING_ATTEMPTS = 5;
+const HISTORY_PAGE_SIZE_LIMIT = 100;
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const getLatestWalletTransaction = async (clientId) => {
+    const { data, error } = await supabase
+        .from('wallet_transactions')
+        .select('sequence_number, balance_after')
+        .eq('client_id', clientId)
+        .order('sequence_number', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+const findWalletTransaction = async (transactionKey) => {
+    const { data, error } = await supabase
+        .from('wallet_transactions')
+        .select('*')
+        .eq('transaction_key', transactionKey)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data;
+};
+
+const getWalletBalance = async (clientId) => {
+    const latest = await getLatestWalletTransaction(clientId);
+    return latest ? parseFloat(latest.balance_after) : 0;
+};
+
+/**
+ * Credits (positive amount) or debits (negative amount) a client's wallet.
+ * @param {object} posting
+ * @param {string} posting.clientId
+ * @param {string} posting.transactionKey Identifies the event; a key is only ever posted once.
+ * @param {string} posting.type One of the wallet_transactions types.
+ * @param {number} posting.amount Signed USD amount.
+ * @param {object} [posting.details] Extra columns (payment_method, reference, payment_id, description...).
+ * @returns {Promise<{outcome: 'recorded'|'already_processed'|'insufficient_funds', transaction?: object, balance: number}>}
+ */
+const postWalletTransaction = async ({ clientId, transactionKey, type, amount, details = {} }) => {
+    const amountCents = toCents(amount);
+
+    for (let attempt = 0; attempt < MAX_POSTING_ATTEMPTS; attempt++) {
+        const latest = await getLatestWalletTransaction(clientId);
+        const balanceCents = toCents(latest?.balance_after);
+
+        if (balanceCents + amountCents < 0) {
+            const existing = await findWalletTransaction(transactionKey);
+            if (existing) return { outcome: 'already_processed', transaction: existing, balance: fromCents(balanceCents) };
+            return { outcome: 'insufficient_funds', balance: fromCents(balanceCents) };
+        }
+
+        const { data: transaction, error } = await supabase
+            .from('wallet_transactions')
+            .insert([{
+                client_id: clientId,
+                sequence_number: (latest?.sequence_number || 0) + 1,
+                transaction_key: transactionKey,
+                type,
+                amount: fromCents(amountCents),
+                balance_after: fromCents(balanceCents + amountCents),
+                ...details,
+                created_at: new Date().toISOString()
+            }])
+            .select()
+            .single();
+
+        if (!error) {
+            return { outcome: 'recorded', transaction, balance: parseFloat(transaction.balance_after) };
+        }
+        if (error.code !== '23505') throw error;
+
+        // Either this event was already posted, or another posting took the sequence number first.
+        const existing = await findWalletTransaction(transactionKey);
+        if (existing) {
+            return { outcome: 'already_processed', transaction: existing, balance: await getWalletBalance(clientId) };
+        }
+    }
+    throw new Error(`Could not post wallet transaction ${transactionKey} after ${MAX_POSTING_ATTEMPTS} attempts.`);
+};
+
+/**
+ * Lists a client's wallet history, newest first.
+ * @returns {Promise<{balance: number, transactions: Array, total: number}>}
+ */
+const getWalletHistory = async (clientId, { limit = 50, offset = 0 } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), HISTORY_PAGE_SIZE_LIMIT);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    const { data: transactions, error, count } = await supabase
+        .from('wallet_transactions')
+        .select('id, sequence_number, type, amount, balance_after, payment_method, reference, currency_paid, exchange_rate, payment_id, direct_upload_job_id, description, created_at', { count: 'exact' })
+        .eq('client_id', clientId)
+        .order('sequence_number', { ascending: false })
+        .range(start, start + pageSize - 1);
+
+    if (error) throw error;
+    return {
+        balance: await getWalletBalance(clientId),
+        transactions: transactions || [],
+        total: count || 0
+    };
+};
+
+module.exports = {
+    WALLET_PAYMENT_METHOD,
+    getWalletBalance,
+    postWalletTransaction,
+    findWalletTransaction,
+    getWalletHistory
+};